@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_SCHEMA } = require('./schema');
+
+// Environment variables: TOKEN_SELLER_<FIELD>, nested fields joined with "__"
+const ENV_PREFIX = 'TOKEN_SELLER_';
+
+// Config file locations, first match wins; constants.js is the pre-schema format
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'config.json');
+const LEGACY_CONFIG_FILE = path.join(__dirname, 'constants.js');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Bottom layer: every schema default (deep-copied so the schema stays untouched)
+ */
+const schemaDefaults = (schema = CONFIG_SCHEMA) => {
+  const defaults = {};
+
+  Object.entries(schema).forEach(([field, spec]) => {
+    if (spec.type === 'object') {
+      defaults[field] = schemaDefaults(spec.fields);
+    } else if (spec.default !== undefined) {
+      defaults[field] = isPlainObject(spec.default) ? { ...spec.default }
+        : Array.isArray(spec.default) ? [...spec.default] : spec.default;
+    }
+  });
+
+  return defaults;
+};
+
+/**
+ * Value of `--profile` in argv, if given
+ */
+const profileFromArgv = (argv) => {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--profile') {
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith('--profile=')) {
+      return argv[i].slice('--profile='.length);
+    }
+  }
+  return undefined;
+};
+
+/**
+ * The config file to read: TOKEN_SELLER_CONFIG, else config.json, else a legacy constants.js
+ */
+const resolveConfigFile = (env) => {
+  if (env[`${ENV_PREFIX}CONFIG`]) {
+    return path.resolve(env[`${ENV_PREFIX}CONFIG`]);
+  }
+  return [DEFAULT_CONFIG_FILE, LEGACY_CONFIG_FILE].find(file => fs.existsSync(file)) ?? null;
+};
+
+/**
+ * Read a JSON config file, or the CONFIG object of a legacy constants.js
+ */
+const readConfigFile = (file) => {
+  if (file.endsWith('.js')) {
+    const loaded = require(file);
+    return loaded.CONFIG ?? loaded;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+/**
+ * Convert an environment string to the field's type. Values that don't parse
+ * are kept as strings so validation can report them.
+ */
+const parseEnvValue = (spec, raw) => {
+  if (['integer', 'number'].includes(spec.type) && raw.trim() !== '' && Number.isFinite(Number(raw))) {
+    return Number(raw);
+  }
+  // Lists are given as JSON, e.g. TOKEN_SELLER_WEBHOOKS='[{"url":"..."}]'
+  if (spec.type === 'list') {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return raw;
+    }
+  }
+  return raw;
+};
+
+/**
+ * Top layer: TOKEN_SELLER_* variables for fields in the schema. Other
+ * variables with the prefix (the keystore passphrase, the daemon token, CONFIG,
+ * PROFILE) are ignored.
+ */
+const envLayer = (env, schema = CONFIG_SCHEMA) => {
+  const layer = {};
+  const names = {};
+
+  Object.entries(schema).forEach(([field, spec]) => {
+    const name = `${ENV_PREFIX}${field}`;
+
+    if (spec.type === 'object' || spec.type === 'map') {
+      const nested = Object.keys(env).filter(key => key.startsWith(`${name}__`));
+      nested.forEach(key => {
+        const child = key.slice(name.length + 2);
+        const childSpec = spec.type === 'object' ? spec.fields[child] : spec.of;
+        if (!childSpec) return;
+
+        layer[field] = layer[field] ?? {};
+        layer[field][child] = parseEnvValue(childSpec, env[key]);
+        names[`${field}.${child}`] = key;
+      });
+      return;
+    }
+
+    if (env[name] !== undefined) {
+      layer[field] = parseEnvValue(spec, env[name]);
+      names[field] = name;
+    }
+  });
+
+  return { layer, names };
+};
+
+/**
+ * Apply one layer on top of `config`, recording where each value came from.
+ * Objects and maps merge key by key; unknown fields are reported.
+ */
+const applyLayer = (config, layer, source, state, schema = CONFIG_SCHEMA, prefix = '') => {
+  Object.entries(layer).forEach(([key, value]) => {
+    const field = `${prefix}${key}`;
+    const spec = schema[key];
+    const label = typeof source === 'function' ? source(field) : source;
+
+    if (!spec) {
+      state.errors.push({ field, message: `is not a configuration field (${label})` });
+      return;
+    }
+
+    const nested = spec.type === 'object' || spec.type === 'map';
+    if (nested && isPlainObject(value)) {
+      config[key] = isPlainObject(config[key]) ? config[key] : {};
+      const childSchema = spec.type === 'object'
+        ? spec.fields
+        : Object.fromEntries(Object.keys(value).map(child => [child, spec.of]));
+      applyLayer(config[key], value, source, state, childSchema, `${field}.`);
+      return;
+    }
+
+    config[key] = value;
+    state.sources[field] = label;
+  });
+};
+
+/**
+ * Build the configuration from its layers, lowest first:
+ * schema defaults, the config file, the selected profile from that file, then
+ * TOKEN_SELLER_* environment variables. Never throws: problems with the file
+ * or profile are returned in `errors`, next to where each value came from.
+ */
+const loadConfig = ({ env = process.env, argv = process.argv.slice(2), file, profile } = {}) => {
+  const state = { errors: [], warnings: [], sources: {} };
+  const config = schemaDefaults();
+  const configFile = file === undefined ? resolveConfigFile(env) : file;
+  const profileName = profile ?? profileFromArgv(argv) ?? env[`${ENV_PREFIX}PROFILE`] ?? null;
+  let profiles = {};
+
+  if (configFile) {
+    const label = path.relative(process.cwd(), configFile) || configFile;
+
+    try {
+      const { profiles: fileProfiles, ...values } = readConfigFile(configFile);
+      profiles = fileProfiles ?? {};
+      applyLayer(config, values, label, state);
+    } catch (error) {
+      state.errors.push({ field: 'config file', message: `${label} could not be read: ${error.message}` });
+    }
+
+    if (configFile === LEGACY_CONFIG_FILE) {
+      state.warnings.push('src/config/constants.js is deprecated. Move its values to src/config/config.json (see config.example.json).');
+    }
+  }
+
+  if (profileName) {
+    if (!isPlainObject(profiles[profileName])) {
+      const available = Object.keys(profiles);
+      state.errors.push({
+        field: 'profile',
+        message: `"${profileName}" is not defined in the config file (${available.length > 0 ? `available: ${available.join(', ')}` : 'no profiles defined'})`
+      });
+    } else {
+      applyLayer(config, profiles[profileName], `profile ${profileName}`, state);
+    }
+  }
+
+  const { layer, names } = envLayer(env);
+  applyLayer(config, layer, field => `env ${names[field]}`, state);
+
+  return {
+    config,
+    file: configFile,
+    profile: profileName,
+    sources: state.sources,
+    errors: state.errors,
+    warnings: state.warnings
+  };
+};
+
+/**
+ * "FIELD: reason (set in <source>)" for one validation error
+ */
+const formatConfigError = ({ field, message }, sources = {}) => {
+  const source = sources[field];
+  return source ? `${field}: ${message} (set in ${source})` : `${field}: ${message}`;
+};
+
+module.exports = {
+  ENV_PREFIX,
+  DEFAULT_CONFIG_FILE,
+  LEGACY_CONFIG_FILE,
+  loadConfig,
+  schemaDefaults,
+  envLayer,
+  formatConfigError
+};
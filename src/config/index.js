@@ -0,0 +1,41 @@
+const { loadConfig, formatConfigError } = require('./configLoader');
+const { collectConfigErrors } = require('./schema');
+
+// Loaded once per process: defaults < config file < profile < TOKEN_SELLER_* env vars
+const loaded = loadConfig();
+const CONFIG = loaded.config;
+
+/**
+ * Where the configuration came from: { file, profile, sources, warnings }
+ */
+const configInfo = {
+  file: loaded.file,
+  profile: loaded.profile,
+  sources: loaded.sources,
+  warnings: loaded.warnings
+};
+
+/**
+ * File/profile problems plus every schema violation, formatted one per field
+ */
+const getConfigErrors = () => [...loaded.errors, ...collectConfigErrors(CONFIG)]
+  .map(error => formatConfigError(error, loaded.sources));
+
+// Validation functions
+const validateConfig = () => {
+  const errors = getConfigErrors();
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  configInfo.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+  console.log('✅ Configuration validated successfully');
+};
+
+module.exports = {
+  CONFIG,
+  configInfo,
+  getConfigErrors,
+  validateConfig
+};
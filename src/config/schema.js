@@ -0,0 +1,313 @@
+const { addressProblem, assertKeyPair } = require('../utils/solanaKeys');
+
+/**
+ * Typed schema for every configuration field. `default` values form the
+ * bottom configuration layer; fields without one must be configured.
+ *
+ * Types: string, integer, number, enum, url, address, path, envName,
+ * object (fixed `fields`), map (any keys, each checked against `of`) and
+ * list (an array, each item checked against `of`).
+ */
+
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+// Lifecycle events a webhook can subscribe to, and the payload formats it can receive
+const NOTIFICATION_EVENTS = ['state_change', 'swap_succeeded', 'swap_failed', 'guard_triggered', 'session_completed'];
+const WEBHOOK_TEMPLATES = ['json', 'slack', 'discord'];
+
+const CONFIG_SCHEMA = {
+  // Target token configuration
+  TARGET_TOKEN_MINT: { type: 'address', required: true, description: 'Mint of the token to sell' },
+
+  // Wallet configuration
+  WALLET_PRIVATE_KEY: { type: 'string', secret: true, description: 'Deprecated: import it into the keystore with `npm run setup`' },
+  WALLET_PUBLIC_KEY: { type: 'address', required: true, description: 'Wallet that holds the tokens' },
+
+  // API configuration
+  API_BASE_URL: { type: 'url', default: 'https://solanaapivolume.onrender.com/api', description: 'Trading API base URL' },
+  API_TIMEOUT: { type: 'integer', min: 1000, max: 300000, default: 30000, description: 'Request timeout (ms)' },
+  MAX_RETRIES: { type: 'integer', min: 0, max: 10, default: 3, description: 'Retries per API request' },
+  RETRY_DELAY: { type: 'integer', min: 0, max: 60000, default: 2000, description: 'Base delay between retries (ms)' },
+
+  // Trading configuration
+  SELL_TIMEOUT_HOURS: { type: 'number', positive: true, max: 168, default: 4, description: 'Maximum execution window (hours)' },
+  MIN_SLIPPAGE_BPS: { type: 'integer', min: 1, max: 5000, default: 50, description: 'Lowest slippage offered (bps)' },
+  MAX_SLIPPAGE_BPS: { type: 'integer', min: 1, max: 5000, default: 100, description: 'Highest slippage allowed (bps)' },
+  DEFAULT_SLIPPAGE_BPS: { type: 'integer', min: 1, max: 5000, default: 75, description: 'Default slippage (bps)' },
+  CHECK_INTERVAL_MINUTES: { type: 'number', positive: true, max: 1440, default: 5, description: 'Price check interval for timed strategies' },
+  OPTIMAL_PRICE_IMPROVEMENT_PCT: { type: 'number', min: 0, max: 100, default: 2, description: 'Optimal timing sells this far above the running average (%)' },
+
+  // Chunking configuration for large orders
+  MAX_CHUNK_SIZE: { type: 'number', positive: true, default: 100000, description: 'Maximum tokens per chunk' },
+  MIN_CHUNK_DELAY: { type: 'integer', min: 0, max: 3600000, default: 30000, description: 'Minimum delay between chunks (ms)' },
+  MAX_CHUNK_DELAY: { type: 'integer', min: 0, max: 3600000, default: 120000, description: 'Maximum delay between chunks (ms)' },
+
+  // TWAP strategy
+  TWAP_SLICE_INTERVAL_SECONDS: { type: 'number', positive: true, max: 86400, default: 60, description: 'Average time between TWAP slices (s)' },
+  TWAP_SIZE_JITTER_PCT: { type: 'number', min: 0, max: 90, default: 20, description: 'Slice size variation (%)' },
+  TWAP_TIME_JITTER_PCT: { type: 'number', min: 0, max: 50, default: 30, description: 'Slice timing variation (% of an interval)' },
+
+  // Safety limits
+  MAX_PRICE_IMPACT_PCT: { type: 'number', positive: true, max: 100, default: 5, description: 'Price impact cap enforced before every swap (%)' },
+  PRICE_IMPACT_BREACH_ACTION: { type: 'enum', values: ['reduce', 'abort'], default: 'reduce', description: 'What to do when a quote breaches the impact cap' },
+  IMPACT_SEARCH_ITERATIONS: { type: 'integer', min: 1, max: 50, default: 10, description: 'Quotes spent searching for the largest size under the cap' },
+  MAX_QUOTE_AGE_SECONDS: { type: 'number', positive: true, max: 3600, default: 30, description: 'Older quotes are refreshed before swapping (s)' },
+  REQUOTE_TOLERANCE_PCT: { type: 'number', min: 0, max: 100, default: 0.5, description: 'Ask again if a refreshed quote is this much worse (%)' },
+  RECONCILE_MAX_ATTEMPTS: { type: 'integer', min: 1, max: 20, default: 3, description: 'Post-swap balance reads' },
+  RECONCILE_RETRY_DELAY_MS: { type: 'integer', min: 0, max: 60000, default: 2000, description: 'Delay between post-swap balance reads (ms)' },
+  MIN_LIQUIDITY_THRESHOLD: { type: 'number', min: 0, default: 1000, description: 'Minimum liquidity (SOL)' },
+
+  // Supported output tokens
+  OUTPUT_TOKENS: {
+    type: 'map',
+    of: { type: 'address' },
+    default: {
+      SOL: 'So11111111111111111111111111111111111111112',
+      USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+      USDT: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'
+    },
+    description: 'Output token symbols and their mints'
+  },
+  VALUATION_TOKEN: { type: 'string', default: 'USDC', description: 'OUTPUT_TOKENS symbol used to compare output tokens' },
+
+  // Logging and runtime files
+  LOG_LEVEL: { type: 'enum', values: LOG_LEVELS, default: 'info', description: 'Winston log level' },
+  LOG_FILE: { type: 'path', default: 'logs/token-seller.log', description: 'Structured JSON log' },
+  REPORTS_DIR: { type: 'path', default: 'reports', description: 'Per-session JSON + CSV execution reports' },
+  KEYSTORE_FILE: { type: 'path', default: 'keystore/wallet.json', description: 'Encrypted wallet keystore' },
+  KEYSTORE_PASSPHRASE_ENV: { type: 'envName', default: 'TOKEN_SELLER_KEYSTORE_PASSPHRASE', description: 'Env var that unlocks the keystore in headless runs' },
+  JOURNAL_FILE: { type: 'path', default: 'sessions/current-session.json', description: 'Crash-safe session journal used by --resume' },
+
+  // Webhook notifications
+  WEBHOOKS: {
+    type: 'list',
+    of: {
+      type: 'object',
+      fields: {
+        url: { type: 'url', required: true, secret: true, description: 'Webhook URL (kept out of logs and errors)' },
+        template: { type: 'enum', values: WEBHOOK_TEMPLATES, description: 'Payload format (default json)' },
+        events: { type: 'list', of: { type: 'enum', values: NOTIFICATION_EVENTS }, description: 'Events to send (default all)' }
+      }
+    },
+    default: [],
+    description: 'Webhooks notified of trade lifecycle events'
+  },
+  WEBHOOK_TIMEOUT_MS: { type: 'integer', min: 1000, max: 60000, default: 5000, description: 'Timeout per webhook delivery (ms)' },
+  WEBHOOK_MAX_ATTEMPTS: { type: 'integer', min: 1, max: 20, default: 5, description: 'Delivery attempts per notification' },
+  WEBHOOK_RETRY_DELAY_MS: { type: 'integer', min: 100, max: 600000, default: 2000, description: 'First retry delay, doubled on each attempt (ms)' },
+  WEBHOOK_FLUSH_TIMEOUT_MS: { type: 'integer', min: 0, max: 300000, default: 15000, description: 'How long a finished run waits for queued notifications (ms)' },
+
+  // Daemon mode (src/daemon.js)
+  DAEMON_HOST: { type: 'string', default: '127.0.0.1', description: 'Interface the control API listens on' },
+  DAEMON_PORT: { type: 'integer', min: 1, max: 65535, default: 3100, description: 'Port of the control API' },
+  DAEMON_TOKEN_ENV: { type: 'envName', default: 'TOKEN_SELLER_DAEMON_TOKEN', description: 'Env var holding the bearer token the control API requires' },
+  DAEMON_MAX_CONCURRENT_JOBS: { type: 'integer', min: 1, max: 10, default: 1, description: 'Sell jobs running at the same time' },
+  JOBS_DIR: { type: 'path', default: 'jobs', description: 'Persisted daemon jobs and their session journals' },
+
+  // Live terminal dashboard (--dashboard)
+  DASHBOARD_REFRESH_MS: { type: 'integer', min: 100, max: 60000, default: 1000, description: 'Dashboard redraw interval (ms)' },
+  DASHBOARD_QUOTE_INTERVAL_SECONDS: { type: 'integer', min: 5, max: 3600, default: 30, description: 'Seconds without a strategy quote before the dashboard quotes the remaining amount itself' },
+
+  // Emergency execution triggers
+  EMERGENCY_TRIGGERS: {
+    type: 'object',
+    fields: {
+      TIME_REMAINING_MINUTES: { type: 'number', min: 0, max: 10080, default: 30, description: 'Execute if less than this many minutes remain' },
+      PRICE_DROP_THRESHOLD: { type: 'number', positive: true, max: 100, default: 10, description: 'Execute if the price drops more than this (%)' },
+      LIQUIDITY_DROP_THRESHOLD: { type: 'number', positive: true, max: 100, default: 50, description: 'Execute if liquidity drops more than this (%)' },
+      SELL_PORTION_PCT: { type: 'number', positive: true, max: 100, default: 100, description: 'Share of the remaining balance sold when a trigger fires (%)' }
+    }
+  }
+};
+
+/**
+ * Relations between fields. A rule only runs when every field it `uses` is valid on its own.
+ */
+const CROSS_FIELD_RULES = [
+  {
+    field: 'WALLET_PRIVATE_KEY',
+    uses: ['WALLET_PRIVATE_KEY', 'WALLET_PUBLIC_KEY'],
+    check: config => keyPairProblem(config) === null,
+    message: config => keyPairProblem(config)
+  },
+  {
+    field: 'MIN_SLIPPAGE_BPS',
+    uses: ['MIN_SLIPPAGE_BPS', 'MAX_SLIPPAGE_BPS'],
+    check: config => config.MIN_SLIPPAGE_BPS <= config.MAX_SLIPPAGE_BPS,
+    message: config => `must not exceed MAX_SLIPPAGE_BPS (${config.MIN_SLIPPAGE_BPS} > ${config.MAX_SLIPPAGE_BPS})`
+  },
+  {
+    field: 'DEFAULT_SLIPPAGE_BPS',
+    uses: ['DEFAULT_SLIPPAGE_BPS', 'MIN_SLIPPAGE_BPS', 'MAX_SLIPPAGE_BPS'],
+    check: config => config.DEFAULT_SLIPPAGE_BPS >= config.MIN_SLIPPAGE_BPS && config.DEFAULT_SLIPPAGE_BPS <= config.MAX_SLIPPAGE_BPS,
+    message: config => `must be between MIN_SLIPPAGE_BPS and MAX_SLIPPAGE_BPS (${config.MIN_SLIPPAGE_BPS}-${config.MAX_SLIPPAGE_BPS}, got ${config.DEFAULT_SLIPPAGE_BPS})`
+  },
+  {
+    field: 'MIN_CHUNK_DELAY',
+    uses: ['MIN_CHUNK_DELAY', 'MAX_CHUNK_DELAY'],
+    check: config => config.MIN_CHUNK_DELAY <= config.MAX_CHUNK_DELAY,
+    message: config => `must not exceed MAX_CHUNK_DELAY (${config.MIN_CHUNK_DELAY} > ${config.MAX_CHUNK_DELAY})`
+  },
+  {
+    field: 'VALUATION_TOKEN',
+    uses: ['VALUATION_TOKEN', 'OUTPUT_TOKENS'],
+    check: config => Object.prototype.hasOwnProperty.call(config.OUTPUT_TOKENS, config.VALUATION_TOKEN),
+    message: config => `must be one of the OUTPUT_TOKENS (${Object.keys(config.OUTPUT_TOKENS).join(', ')}), got "${config.VALUATION_TOKEN}"`
+  }
+];
+
+/**
+ * Why a plaintext WALLET_PRIVATE_KEY is not the key of WALLET_PUBLIC_KEY, or null
+ */
+const keyPairProblem = (config) => {
+  if (String(config.WALLET_PRIVATE_KEY).includes('YOUR_')) {
+    return null;
+  }
+  try {
+    assertKeyPair(config.WALLET_PRIVATE_KEY, config.WALLET_PUBLIC_KEY);
+    return null;
+  } catch (error) {
+    // "Private key does not match ..." reads as "WALLET_PRIVATE_KEY: does not match ..."
+    return error.message.replace(/^Private key /, '');
+  }
+};
+
+const describeValue = (value) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+/**
+ * Why `value` does not satisfy `spec`, or null when it does
+ */
+const checkValue = (spec, value) => {
+  const got = spec.secret ? '' : ` (got ${describeValue(value)})`;
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `must be a number${got}`;
+      }
+      if (spec.type === 'integer' && !Number.isInteger(value)) {
+        return `must be a whole number${got}`;
+      }
+      if (spec.positive && value <= 0) {
+        return `must be greater than 0${got}`;
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return `must be at least ${spec.min}${got}`;
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return `must be at most ${spec.max}${got}`;
+      }
+      return null;
+    }
+
+    case 'enum':
+      return spec.values.includes(value) ? null : `must be one of ${spec.values.join(', ')}${got}`;
+
+    case 'url': {
+      if (typeof value !== 'string') {
+        return `must be an http(s) URL${got}`;
+      }
+      try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) ? null : `must be an http(s) URL${got}`;
+      } catch (error) {
+        return `must be an http(s) URL${got}`;
+      }
+    }
+
+    case 'address': {
+      const problem = typeof value === 'string' ? addressProblem(value) : 'not a string';
+      return problem ? `must be a 32-byte base58 address: ${problem}${got}` : null;
+    }
+
+    case 'envName':
+      return typeof value === 'string' && ENV_NAME.test(value) ? null : `must be an environment variable name${got}`;
+
+    case 'path':
+    case 'string':
+      return typeof value === 'string' && value.trim() !== '' ? null : `must be a non-empty string${got}`;
+
+    case 'object':
+    case 'map':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) ? null : `must be an object${got}`;
+
+    case 'list':
+      return Array.isArray(value) ? null : `must be a list${got}`;
+
+    default:
+      return `has unknown schema type ${spec.type}`;
+  }
+};
+
+/**
+ * Check one field (and its children). Pushes { field, message } entries.
+ */
+const checkField = (field, spec, value, errors) => {
+  if (value === undefined || value === null || value === '') {
+    if (spec.required) {
+      errors.push({ field, message: 'is required' });
+    }
+    return;
+  }
+
+  if (spec.required && typeof value === 'string' && value.includes('YOUR_')) {
+    errors.push({ field, message: 'still has the placeholder value' });
+    return;
+  }
+
+  const problem = checkValue(spec, value);
+  if (problem) {
+    errors.push({ field, message: problem });
+    return;
+  }
+
+  if (spec.type === 'object') {
+    Object.entries(spec.fields).forEach(([key, child]) => checkField(`${field}.${key}`, child, value[key], errors));
+  } else if (spec.type === 'map') {
+    Object.entries(value).forEach(([key, child]) => checkField(`${field}.${key}`, spec.of, child, errors));
+  } else if (spec.type === 'list') {
+    value.forEach((item, index) => {
+      const itemField = `${field}[${index}]`;
+      // Layers replace lists whole, so unknown keys in list items are caught here
+      if (spec.of.type === 'object' && checkValue(spec.of, item) === null) {
+        Object.keys(item)
+          .filter(key => !spec.of.fields[key])
+          .forEach(key => errors.push({ field: `${itemField}.${key}`, message: 'is not a configuration field' }));
+      }
+      checkField(itemField, spec.of, item, errors);
+    });
+  }
+};
+
+/**
+ * Every schema violation in `config`, as { field, message } entries
+ */
+const collectConfigErrors = (config, schema = CONFIG_SCHEMA, rules = CROSS_FIELD_RULES) => {
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, spec]) => checkField(field, spec, config[field], errors));
+
+  const invalid = new Set(errors.map(error => error.field.split('.')[0]));
+  rules.forEach(rule => {
+    if (rule.uses.some(field => invalid.has(field) || config[field] === undefined)) {
+      return;
+    }
+    if (!rule.check(config)) {
+      errors.push({ field: rule.field, message: rule.message(config) });
+    }
+  });
+
+  return errors;
+};
+
+module.exports = {
+  CONFIG_SCHEMA,
+  CROSS_FIELD_RULES,
+  NOTIFICATION_EVENTS,
+  WEBHOOK_TEMPLATES,
+  collectConfigErrors,
+  checkValue
+};
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+const http = require('http');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const { CONFIG, configInfo, validateConfig } = require('./config');
+const { createLogger } = require('./utils/logger');
+const { keystoreService, promptKeystorePassphrase } = require('./services/keystoreService');
+const { JobManager, JOB_STATUS } = require('./jobManager');
+const { TokenSeller } = require('./index');
+const { EXIT_CODES } = require('./utils/cliArgs');
+
+const log = createLogger('daemon');
+
+// Request bodies are small JSON job requests
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Host header names the API answers to, besides DAEMON_HOST (DNS rebinding guard)
+const LOCAL_HOST_NAMES = ['127.0.0.1', 'localhost'];
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Long-lived seller with a local REST control API:
+ *
+ *   GET  /health                  Daemon and wallet status, job counts
+ *   GET  /jobs                    Every job
+ *   POST /jobs                    Submit { mint, amount, outputToken, strategy, slippageBps,
+ *                                 limitPrice, stopPrice, durationMinutes, dryRun }
+ *   GET  /jobs/:id                Status, state and totals
+ *   GET  /jobs/:id/transactions   Swaps of the job
+ *   POST /jobs/:id/pause|resume|cancel
+ *
+ * Every request needs `Authorization: Bearer <token>` and a Host header
+ * naming the daemon itself; POST bodies must be `application/json`. The
+ * token comes from the DAEMON_TOKEN_ENV variable, or is generated at start.
+ */
+class SellDaemon {
+  /**
+   * @param {Object} options
+   * @param {JobManager} options.manager - Job manager (required)
+   * @param {string} options.host - Listen address
+   * @param {string} options.token - Bearer token; defaults to the DAEMON_TOKEN_ENV variable
+   */
+  constructor(options = {}) {
+    this.manager = options.manager;
+    this.host = options.host ?? CONFIG.DAEMON_HOST ?? '127.0.0.1';
+    this.token = options.token || process.env[CONFIG.DAEMON_TOKEN_ENV ?? 'TOKEN_SELLER_DAEMON_TOKEN'] || null;
+    this.tokenGenerated = false;
+    this.allowedHosts = new Set();
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  /**
+   * Listen for API requests. Resolves with the base URL. Without a
+   * configured token a random one is generated (see `tokenGenerated`).
+   */
+  start(port = CONFIG.DAEMON_PORT ?? 3100) {
+    if (!this.token) {
+      this.token = crypto.randomBytes(24).toString('hex');
+      this.tokenGenerated = true;
+    }
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.server.on('connection', socket => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, this.host, () => {
+        this.port = this.server.address().port;
+        const listenHost = this.host.includes(':') ? `[${this.host}]` : this.host;
+        this.baseUrl = `http://${listenHost}:${this.port}`;
+        this.allowedHosts = new Set([...LOCAL_HOST_NAMES, listenHost].map(name => `${name}:${this.port}`));
+        log.info('Control API listening', 'start', { baseUrl: this.baseUrl, tokenGenerated: this.tokenGenerated });
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    this.sockets.forEach(socket => socket.destroy());
+    return new Promise(resolve => this.server.close(() => {
+      this.server = null;
+      resolve();
+    }));
+  }
+
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const segments = pathname.split('/').filter(Boolean);
+
+    try {
+      if (!this.allowedHosts.has(String(req.headers.host).toLowerCase())) {
+        throw httpError(403, `Host not allowed: ${req.headers.host}`);
+      }
+      if (!this.isAuthorized(req)) {
+        throw httpError(401, 'Missing or wrong bearer token');
+      }
+      if (req.method === 'POST' && !this.isJson(req)) {
+        throw httpError(415, 'Content-Type must be application/json');
+      }
+
+      const body = req.method === 'POST' ? await this.readBody(req) : null;
+      const { status = 200, payload } = this.route(req.method, segments, body);
+      this.respond(res, status, payload);
+    } catch (error) {
+      // Validation errors carry exitCode 2
+      const status = error.statusCode ?? (error.exitCode === EXIT_CODES.VALIDATION_FAILURE ? 400 : 500);
+      if (status === 500) {
+        log.error('Control API request failed', 'request', error, { method: req.method, pathname });
+      }
+      this.respond(res, status, { error: error.message });
+    }
+
+    log.debug('Control API request', 'request', { method: req.method, pathname, status: res.statusCode });
+  }
+
+  route(method, [resource, jobId, action, ...rest], body) {
+    const manager = this.manager;
+
+    if (method === 'GET' && resource === 'health' && !jobId) {
+      return { payload: this.health() };
+    }
+
+    if (resource !== 'jobs' || rest.length > 0) {
+      throw httpError(404, 'Not found');
+    }
+
+    if (!jobId) {
+      if (method === 'GET') return { payload: { jobs: manager.list() } };
+      if (method === 'POST') return { status: 201, payload: manager.submit(body) };
+      throw httpError(405, `${method} not allowed on /jobs`);
+    }
+
+    if (!action) {
+      if (method === 'GET') return { payload: manager.get(jobId) };
+      throw httpError(405, `${method} not allowed on /jobs/${jobId}`);
+    }
+
+    if (action === 'transactions' && method === 'GET') {
+      return { payload: { jobId, transactions: manager.transactions(jobId) } };
+    }
+
+    if (['pause', 'resume', 'cancel'].includes(action) && method === 'POST') {
+      return { payload: manager[action](jobId) };
+    }
+
+    throw httpError(404, 'Not found');
+  }
+
+  health() {
+    const counts = Object.fromEntries(Object.values(JOB_STATUS).map(status => [status, 0]));
+    this.manager.list().forEach(job => { counts[job.status] += 1; });
+
+    return {
+      status: 'ok',
+      walletUnlocked: keystoreService.isUnlocked(),
+      dryRunOnly: this.manager.dryRun,
+      maxConcurrentJobs: this.manager.maxConcurrent,
+      jobs: counts
+    };
+  }
+
+  isAuthorized(req) {
+    const expected = Buffer.from(`Bearer ${this.token}`);
+    const given = Buffer.from(req.headers.authorization ?? '');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  isJson(req) {
+    const mediaType = (req.headers['content-type'] ?? '').split(';')[0].trim().toLowerCase();
+    return mediaType === 'application/json';
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      req.on('data', chunk => {
+        data += chunk;
+        if (data.length > MAX_BODY_BYTES) {
+          reject(httpError(413, 'Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        if (!data) return resolve({});
+        try {
+          const body = JSON.parse(data);
+          if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+            return reject(httpError(400, 'Request body must be a JSON object'));
+          }
+          resolve(body);
+        } catch (error) {
+          reject(httpError(400, `Invalid JSON body: ${error.message}`));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  respond(res, status, payload) {
+    if (res.writableEnded || res.destroyed) return;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+}
+
+/**
+ * Unlock the wallet once for every job: env var, else a prompt when attached to a terminal
+ */
+const unlockWallet = async () => {
+  const source = await keystoreService.unlockForSession({
+    promptPassphrase: process.stdin.isTTY ? promptKeystorePassphrase : null
+  });
+  console.log(source === 'plaintext'
+    ? chalk.yellow('⚠️  Using the plaintext WALLET_PRIVATE_KEY. Run "npm run setup" to encrypt it into a keystore.')
+    : chalk.green('🔐 Wallet keystore unlocked'));
+};
+
+// Run standalone: node src/daemon.js [--port 3100] [--dry-run] [--profile <name>]
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const flagValue = (name) => {
+    const index = argv.indexOf(`--${name}`);
+    return index === -1 ? undefined : argv[index + 1];
+  };
+  const dryRun = argv.includes('--dry-run');
+
+  const manager = new JobManager({
+    createSeller: options => new TokenSeller(options),
+    dryRun
+  });
+  const daemon = new SellDaemon({ manager });
+
+  const shutdown = async () => {
+    console.log(chalk.yellow('\n⚠️  Stopping daemon; running jobs resume on the next start'));
+    manager.shutdown();
+    await daemon.stop();
+    process.exit(0);
+  };
+
+  (async () => {
+    console.log(chalk.cyan.bold('🛰️  Solana Token Seller daemon'));
+    console.log(chalk.gray(`⚙️  Config: ${configInfo.file ?? 'defaults only'}${configInfo.profile ? ` (profile ${configInfo.profile})` : ''}`));
+
+    validateConfig();
+    if (dryRun) {
+      console.log(chalk.magenta.bold('🧪 DRY RUN: every job is simulated. No funds will move.'));
+    } else {
+      await unlockWallet();
+    }
+
+    manager.recover();
+
+    const port = flagValue('port') !== undefined ? Number(flagValue('port')) : CONFIG.DAEMON_PORT;
+    const baseUrl = await daemon.start(port);
+    console.log(chalk.cyan.bold(`🌐 Control API listening on ${baseUrl}`));
+    if (daemon.tokenGenerated) {
+      console.log(chalk.yellow(`🔑 API token for this run: ${daemon.token}`));
+      console.log(chalk.gray(`   Set ${CONFIG.DAEMON_TOKEN_ENV} to keep the same token across restarts.`));
+    }
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  })().catch(error => {
+    console.error(chalk.red(`❌ Daemon failed to start: ${error.message}`));
+    process.exit(error.exitCode ?? EXIT_CODES.UNEXPECTED_ERROR);
+  });
+}
+
+module.exports = {
+  SellDaemon
+};
@@ -0,0 +1,456 @@
+const readline = require('readline');
+const util = require('util');
+const chalk = require('chalk');
+const { CONFIG } = require('./config');
+const { createLogger, setConsoleLogging } = require('./utils/logger');
+const { apiClient } = require('./services/apiClient');
+const { jupiterService } = require('./services/jupiterService');
+const { reportService } = require('./services/reportService');
+const tokenAmount = require('./utils/tokenAmount');
+
+const log = createLogger('dashboard');
+
+const ANSI = {
+  ENTER_ALT_SCREEN: '\x1b[?1049h',
+  LEAVE_ALT_SCREEN: '\x1b[?1049l',
+  HIDE_CURSOR: '\x1b[?25l',
+  SHOW_CURSOR: '\x1b[?25h',
+  HOME: '\x1b[H',
+  CLEAR_LINE: '\x1b[K',
+  CLEAR_BELOW: '\x1b[J'
+};
+
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+const SPARK_BLOCKS = '▁▂▃▄▅▆▇█';
+const MAX_PRICE_SAMPLES = 60;
+const MAX_ACTIVITY_LINES = 200;
+const RECENT_TRANSACTIONS = 5;
+const LABEL_WIDTH = 11;
+
+const TRIGGER_NAMES = {
+  PRICE_DROP: 'Price drop',
+  LIQUIDITY_DROP: 'Liquidity',
+  TIME_REMAINING: 'Time left'
+};
+
+/**
+ * Cut a line to `width` visible characters, keeping its colour codes
+ */
+const truncate = (line, width) => {
+  let visible = 0;
+  let result = '';
+  let lastIndex = 0;
+
+  for (const match of line.matchAll(ANSI_PATTERN)) {
+    const text = line.slice(lastIndex, match.index);
+    const room = width - visible;
+    result += text.slice(0, Math.max(0, room));
+    visible += Math.min(text.length, Math.max(0, room));
+    result += match[0];
+    lastIndex = match.index + match[0].length;
+  }
+
+  return result + line.slice(lastIndex).slice(0, Math.max(0, width - visible));
+};
+
+/**
+ * 1h02m, 3m05s or 42s
+ */
+const formatDuration = (ms) => {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+
+  if (h > 0) return `${h}h${String(m).padStart(2, '0')}m`;
+  if (m > 0) return `${m}m${String(s).padStart(2, '0')}s`;
+  return `${s}s`;
+};
+
+const progressBar = (fraction, width) => {
+  const filled = Math.round(Math.min(1, Math.max(0, fraction)) * width);
+  return chalk.green('█'.repeat(filled)) + chalk.gray('░'.repeat(width - filled));
+};
+
+const sparkline = (values) => {
+  if (values.length < 2) return '';
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min;
+  return values
+    .map(value => SPARK_BLOCKS[range === 0 ? 3 : Math.round(((value - min) / range) * (SPARK_BLOCKS.length - 1))])
+    .join('');
+};
+
+const label = (text) => chalk.cyan(text.padEnd(LABEL_WIDTH));
+
+/**
+ * Full-screen view of a running TokenSeller, redrawn in place on the
+ * terminal's alternate screen. The seller's console output moves into an
+ * activity pane while the dashboard is up. The seller's latest quote feeds the
+ * price trend and the emergency trigger distances; the dashboard only quotes
+ * the remainder itself when the seller has not quoted for
+ * DASHBOARD_QUOTE_INTERVAL_SECONDS (long waits, pauses). Keys drive the seller
+ * through its JobControl: pause, resume, sell the remainder now, abort.
+ */
+class Dashboard {
+  /**
+   * @param {Object} options
+   * @param {TokenSeller} options.seller - Seller to show (required)
+   * @param {JobControl} options.control - The seller's control (required)
+   * @param {stream.Writable} options.output - Screen, defaults to stdout
+   * @param {stream.Readable} options.input - Keyboard, defaults to stdin (keys need a TTY)
+   * @param {Object} options.quoteSource - Service with getQuote(), defaults to jupiterService
+   * @param {ApiClient} options.apiClient - Client whose health is shown
+   */
+  constructor(options = {}) {
+    this.seller = options.seller;
+    this.control = options.control;
+    this.output = options.output ?? process.stdout;
+    this.input = options.input ?? process.stdin;
+    this.quoteSource = options.quoteSource ?? jupiterService;
+    this.apiClient = options.apiClient ?? apiClient;
+    this.refreshMs = options.refreshMs ?? CONFIG.DASHBOARD_REFRESH_MS ?? 1000;
+    this.quoteIntervalMs = options.quoteIntervalMs ?? (CONFIG.DASHBOARD_QUOTE_INTERVAL_SECONDS ?? 30) * 1000;
+
+    this.active = false;
+    this.activity = [];
+    this.priceSamples = [];
+    this.lastQuote = null;
+    this.lastQuoteAt = null;
+    this.quoteError = null;
+    this.quoting = false;
+    this.pending = null; // 'sell_now' | 'abort' awaiting confirmation
+    this.message = null;
+
+    this.render = this.render.bind(this);
+    this.handleKey = this.handleKey.bind(this);
+    this.restoreTerminal = this.restoreTerminal.bind(this);
+  }
+
+  start() {
+    if (this.active) return;
+    this.active = true;
+
+    // The seller keeps printing; its lines land in the activity pane
+    this.savedConsole = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+    ['log', 'info', 'warn', 'error'].forEach(method => {
+      console[method] = (...args) => this.addActivity(util.format(...args));
+    });
+    setConsoleLogging(false);
+
+    this.output.write(ANSI.ENTER_ALT_SCREEN + ANSI.HIDE_CURSOR);
+    process.on('exit', this.restoreTerminal);
+    this.output.on('resize', this.render);
+
+    if (this.input.isTTY) {
+      readline.emitKeypressEvents(this.input);
+      this.input.setRawMode(true);
+      this.input.on('keypress', this.handleKey);
+      this.input.resume();
+    }
+
+    this.refreshTimer = setInterval(this.render, this.refreshMs);
+    this.quoteTimer = setInterval(() => this.pollQuote(), this.quoteIntervalMs);
+    this.refreshTimer.unref();
+    this.quoteTimer.unref();
+
+    log.info('Dashboard started', 'start', { refreshMs: this.refreshMs, quoteIntervalMs: this.quoteIntervalMs, keys: Boolean(this.input.isTTY) });
+    if (this.seller.lastQuote) {
+      this.recordQuote(this.seller.lastQuote, this.seller.lastQuoteAt);
+    }
+    this.render();
+  }
+
+  /**
+   * Give the terminal back and replay the activity into the normal scrollback
+   */
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+
+    clearInterval(this.refreshTimer);
+    clearInterval(this.quoteTimer);
+    this.output.off('resize', this.render);
+    if (this.input.isTTY) {
+      this.input.off('keypress', this.handleKey);
+      this.input.pause();
+    }
+
+    this.restoreTerminal();
+    process.off('exit', this.restoreTerminal);
+    Object.assign(console, this.savedConsole);
+    setConsoleLogging(true);
+
+    this.activity.forEach(line => console.log(line));
+    log.info('Dashboard stopped', 'stop');
+  }
+
+  restoreTerminal() {
+    if (this.input.isTTY) {
+      this.input.setRawMode(false);
+    }
+    this.output.write(ANSI.SHOW_CURSOR + ANSI.LEAVE_ALT_SCREEN);
+  }
+
+  addActivity(text) {
+    this.activity.push(...text.split('\n').filter(line => line.trim() !== ''));
+    this.activity.splice(0, Math.max(0, this.activity.length - MAX_ACTIVITY_LINES));
+    this.render();
+  }
+
+  /**
+   * Keypress handler. Selling now and aborting ask for a `y` first.
+   */
+  handleKey(str, key = {}) {
+    if (key.ctrl && key.name === 'c') {
+      // Raw mode swallows the signal; stop first so the handler prints normally
+      this.stop();
+      process.kill(process.pid, 'SIGINT');
+      return;
+    }
+
+    const name = key.name ?? str;
+
+    if (this.pending) {
+      const action = this.pending;
+      this.pending = null;
+      if (name === 'y') {
+        this.perform(action);
+      } else {
+        this.message = 'Nothing done';
+      }
+      this.render();
+      return;
+    }
+
+    switch (name) {
+      case 'p':
+        this.control.pause();
+        this.message = 'Paused: no new swap starts until you resume';
+        log.info('Pause requested', 'keypress');
+        break;
+      case 'r':
+        this.control.resume();
+        this.message = 'Resumed';
+        log.info('Resume requested', 'keypress');
+        break;
+      case 's':
+        this.pending = 'sell_now';
+        break;
+      case 'q':
+        this.pending = 'abort';
+        break;
+      default:
+        return;
+    }
+    this.render();
+  }
+
+  perform(action) {
+    if (action === 'sell_now') {
+      this.control.sellNow();
+      this.message = 'Selling the remainder...';
+    } else {
+      this.control.cancel();
+      this.message = 'Aborting after the current swap...';
+    }
+    log.info('Dashboard action confirmed', 'keypress', { action });
+  }
+
+  /**
+   * Show a quote the seller fetched
+   */
+  recordQuote(quote, quotedAt = Date.now()) {
+    this.lastQuote = quote;
+    this.lastQuoteAt = quotedAt;
+    this.quoteError = null;
+    this.priceSamples.push(quote.price);
+    this.priceSamples.splice(0, Math.max(0, this.priceSamples.length - MAX_PRICE_SAMPLES));
+  }
+
+  /**
+   * Quote the remaining amount when the seller has not quoted lately
+   */
+  async pollQuote() {
+    const seller = this.seller;
+    if (this.quoting || seller.quoteInFlight || !seller.preferences) return;
+    if (this.lastQuoteAt !== null && Date.now() - this.lastQuoteAt < this.quoteIntervalMs) return;
+
+    const { remaining } = seller.getProgress();
+    if (tokenAmount.isZero(remaining)) return;
+
+    this.quoting = true;
+    try {
+      const outputMint = CONFIG.OUTPUT_TOKENS[seller.executionSummary.outputToken];
+      this.recordQuote(await this.quoteSource.getQuote(seller.inputMint, outputMint, remaining.raw));
+    } catch (error) {
+      this.quoteError = error.message;
+      log.warn('Dashboard quote failed', 'poll_quote', { error: error.message });
+    } finally {
+      this.quoting = false;
+    }
+
+    this.render();
+  }
+
+  render() {
+    if (!this.active) return;
+
+    const width = this.output.columns || 80;
+    const height = this.output.rows || 24;
+    const lines = this.buildLines(width, height);
+
+    this.output.write(ANSI.HOME + lines.map(line => truncate(line, width) + ANSI.CLEAR_LINE).join('\n') + ANSI.CLEAR_BELOW);
+  }
+
+  /**
+   * Screen content, one string per row. The activity pane takes the rows left over.
+   */
+  buildLines(width = 80, height = 24, now = Date.now()) {
+    const top = [
+      ...this.headerLines(now),
+      '',
+      ...this.marketLines(width, now),
+      '',
+      ...this.safetyLines(now),
+      '',
+      ...this.transactionLines()
+    ];
+    const footer = ['', this.footerLine()];
+
+    const room = height - top.length - footer.length - 2;
+    const activity = room > 0
+      ? ['', chalk.cyan.bold('Activity'), ...this.activity.slice(-room).map(line => `  ${line}`)]
+      : [];
+
+    return [...top, ...activity, ...footer];
+  }
+
+  headerLines(now) {
+    const seller = this.seller;
+    const { outputToken } = seller.executionSummary;
+
+    let status = chalk.green(seller.state);
+    if (this.control.cancelled) {
+      status = chalk.red.bold('ABORTING');
+    } else if (this.control.paused) {
+      status = chalk.black.bgYellow(' PAUSED ');
+    }
+
+    return [
+      chalk.cyan.bold('SOLANA TOKEN SELLER') +
+        `  ${seller.formatStrategy(seller.preferences?.strategy)} → ${outputToken}` +
+        (seller.options.dryRun ? chalk.magenta.bold('  [DRY RUN]') : '') +
+        chalk.gray(`  ${new Date(now).toLocaleTimeString()}`),
+      `${label('State')}${status}  ${chalk.gray(`elapsed ${formatDuration(now - seller.startTime)} · ${seller.sessionId}`)}`
+    ];
+  }
+
+  marketLines(width, now) {
+    const seller = this.seller;
+    const { outputToken, totalReceived } = seller.executionSummary;
+    const lines = [];
+
+    if (this.lastQuote) {
+      const { price, priceImpactPct, inAmountUi, outAmountUi } = this.lastQuote;
+      const first = this.priceSamples[0];
+      const changePct = first ? ((price - first) / first) * 100 : 0;
+      const trend = changePct >= 0
+        ? chalk.green(`▲ +${changePct.toFixed(2)}%`)
+        : chalk.red(`▼ ${changePct.toFixed(2)}%`);
+
+      lines.push(`${label('Quote')}${price.toFixed(8)} ${outputToken}/token  ${trend}  ${chalk.yellow(sparkline(this.priceSamples))}`);
+      lines.push(`${label('')}${chalk.gray(`${tokenAmount.formatAmount(inAmountUi)} → ${tokenAmount.formatAmount(outAmountUi)} ${outputToken} · impact ${priceImpactPct}% · ${formatDuration(now - this.lastQuoteAt)} ago`)}` +
+        (this.quoteError ? chalk.red(` · last quote failed: ${this.quoteError}`) : ''));
+    } else {
+      lines.push(`${label('Quote')}${this.quoteError ? chalk.red(`failed: ${this.quoteError}`) : chalk.gray('waiting for the first quote...')}`);
+    }
+
+    if (seller.preferences) {
+      const { sold, remaining, total, fraction } = seller.getProgress();
+      const barWidth = Math.max(10, Math.min(40, width - 30));
+      lines.push(`${label('Progress')}${progressBar(fraction, barWidth)} ${(fraction * 100).toFixed(1)}%`);
+      lines.push(`${label('')}${tokenAmount.formatAmount(sold)} / ${tokenAmount.formatAmount(total)} sold · ` +
+        `${tokenAmount.formatAmount(remaining)} left · received ${tokenAmount.formatAmount(totalReceived)} ${outputToken}`);
+    }
+
+    const next = seller.nextStep;
+    if (next) {
+      const when = next.at <= now ? 'due now' : `in ${formatDuration(next.at - now)}`;
+      lines.push(`${label('Next')}${next.label}: ${tokenAmount.formatAmount(next.amount)} tokens ${when}` +
+        (this.control.paused ? chalk.yellow(' (held by pause)') : ''));
+    } else {
+      lines.push(`${label('Next')}${chalk.gray('-')}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Emergency trigger distances and API health
+   */
+  safetyLines(now) {
+    const distances = this.seller.emergencyTriggers.getDistances(this.lastQuote, now);
+
+    const triggerLines = distances.map(({ trigger, value, threshold, unit, distance }, i) => {
+      // A price or liquidity rise is no drop
+      const shown = Number.isFinite(value) ? `${Math.max(0, value).toFixed(1)}${unit}` : '∞';
+      let color = chalk.green;
+      if (distance <= 0) {
+        color = chalk.red.bold;
+      } else if (distance < threshold * 0.25) {
+        color = chalk.yellow;
+      }
+      const away = Number.isFinite(distance) ? `${distance.toFixed(1)}${unit} to go` : 'no deadline';
+      return `${label(i === 0 ? 'Triggers' : '')}${TRIGGER_NAMES[trigger].padEnd(12)}${color(`${shown} / ${threshold}${unit}`)}  ${chalk.gray(away)}`;
+    });
+
+    const health = this.apiClient.getHealth();
+    const statusColors = { healthy: chalk.green, degraded: chalk.yellow, down: chalk.red.bold, unknown: chalk.gray };
+    const details = [
+      health.lastLatencyMs === null ? null : `last ${health.lastLatencyMs}ms`,
+      `${health.failures}/${health.requests} failed`,
+      health.lastSuccessAt ? `last ok ${formatDuration(now - health.lastSuccessAt)} ago` : null,
+      health.consecutiveFailures > 0 ? `last error ${health.lastError}` : null
+    ].filter(Boolean).join(' · ');
+
+    return [
+      ...triggerLines,
+      `${label('API')}${statusColors[health.status](`● ${health.status}`)}  ${chalk.gray(details)}`
+    ];
+  }
+
+  transactionLines() {
+    const { transactions, outputToken } = this.seller.executionSummary;
+    const recent = transactions.slice(-RECENT_TRANSACTIONS).reverse();
+
+    const rows = recent.map(tx => {
+      const row = reportService.toReportTransaction(tx);
+      return `  ${new Date(row.timestamp).toLocaleTimeString()}  ${tokenAmount.formatAmount(row.inAmount)} → ` +
+        `${tokenAmount.formatAmount(row.realizedOutAmount)} ${outputToken}  ${chalk.blue(row.solscanUrl ?? 'simulated')}`;
+    });
+
+    return [
+      chalk.cyan.bold(`Recent transactions (${transactions.length})`),
+      ...(rows.length > 0 ? rows : [chalk.gray('  none yet')])
+    ];
+  }
+
+  footerLine() {
+    if (this.pending === 'sell_now') {
+      const { remaining } = this.seller.getProgress();
+      return chalk.yellow.bold(`Sell the remaining ${tokenAmount.formatAmount(remaining)} tokens now? [y/N]`);
+    }
+    if (this.pending === 'abort') {
+      return chalk.red.bold('Abort the session after the current swap? [y/N]');
+    }
+
+    const keys = chalk.gray('[p] pause  [r] resume  [s] sell remainder now  [q] abort');
+    return this.message ? `${keys}  ${chalk.white(this.message)}` : keys;
+  }
+}
+
+module.exports = {
+  Dashboard
+};
@@ -3,66 +3,257 @@
 const readlineSync = require('readline-sync');
 const chalk = require('chalk');
 const Table = require('cli-table3');
-const { CONFIG, validateConfig } = require('./config/constants');
+const { CONFIG, configInfo, validateConfig } = require('./config');
 const { createLogger, performanceLogger } = require('./utils/logger');
 const { apiClient } = require('./services/apiClient');
 const { walletService } = require('./services/walletService');
 const { jupiterService } = require('./services/jupiterService');
 const { apiValidator } = require('./services/apiValidator');
+const { emergencyTriggerService } = require('./services/emergencyTriggerService');
+const { SimulatedSwapService } = require('./services/simulatedSwapService');
+const { SessionJournal } = require('./services/sessionJournal');
+const { reportService } = require('./services/reportService');
+const { logAnalyticsService } = require('./services/logAnalyticsService');
+const { keystoreService, promptKeystorePassphrase } = require('./services/keystoreService');
+const { notificationService } = require('./services/notificationService');
+const { PortfolioSeller } = require('./portfolioSeller');
+const { Dashboard } = require('./dashboard');
+const { JobControl, createCancellationError } = require('./utils/jobControl');
+const tokenAmount = require('./utils/tokenAmount');
+const {
+  EXIT_CODES,
+  USAGE,
+  parseArgs,
+  resolveHeadlessPreferences,
+  resolvePortfolioPlan,
+  resolveHistoryOptions,
+  createValidationError
+} = require('./utils/cliArgs');
 
 const log = createLogger('tokenSeller');
 
+const STRATEGIES = ['immediate', 'gradual', 'optimal', 'limit', 'stop-loss', 'twap'];
+
+// Strategies that watch the price and sell once a threshold is crossed
+const ORDER_STRATEGIES = ['limit', 'stop-loss'];
+
+// Pseudo output token: compare every OUTPUT_TOKENS entry and sell into the best
+const BEST_OUTPUT = 'BEST';
+
 class TokenSeller {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object|null} options.headlessPreferences - Raw preferences from flags/plan; null = interactive
+   * @param {boolean} options.assumeYes - Skip every confirmation prompt
+   * @param {boolean} options.dryRun - Real validation and quotes, simulated swaps
+   * @param {boolean} options.pessimisticFill - Dry-run swaps fill at minimum output
+   * @param {boolean} options.resume - Continue the session recorded in the journal
+   * @param {string} options.inputMint - Mint to sell (defaults to CONFIG.TARGET_TOKEN_MINT)
+   * @param {string} options.sessionId - Session identifier override
+   * @param {SessionJournal} options.journal - Journal override
+   * @param {Object} options.swapExecutor - Swap executor override (e.g. a shared simulator)
+   * @param {EmergencyTriggerService} options.emergencyTriggers - Trigger service override
+   * @param {NotificationService} options.notifier - Webhook notifier override
+   * @param {JobControl} options.control - Pause/cancel control when run as a daemon job
+   * @param {boolean|Object} options.dashboard - Show the live terminal dashboard while a strategy runs (an object is passed on as Dashboard options)
+   * @param {boolean} options.exitOnError - Exit the process on a critical error (false: resolve with the exit code)
+   */
+  constructor(options = {}) {
+    this.options = {
+      headlessPreferences: null,
+      assumeYes: false,
+      dryRun: false,
+      pessimisticFill: false,
+      resume: false,
+      inputMint: CONFIG.TARGET_TOKEN_MINT,
+      control: null,
+      dashboard: false,
+      exitOnError: true,
+      ...options
+    };
+    // The dashboard's keys drive the seller through a control of its own
+    if (this.options.dashboard && !this.options.control) {
+      this.options.control = new JobControl();
+    }
+    this.dashboard = null;
+    this.nextStep = null; // { label, at, amount } of the next scheduled swap or check
+    this.isHeadless = this.options.headlessPreferences !== null;
+    this.inputMint = this.options.inputMint;
+    
+    // Every strategy swaps through this executor; dry runs get a simulated one
+    this.swapExecutor = this.options.swapExecutor || (this.options.dryRun
+      ? new SimulatedSwapService({ pessimisticFill: this.options.pessimisticFill })
+      : jupiterService);
+    this.journal = this.options.journal ||
+      (this.options.dryRun ? SessionJournal.forDryRun() : new SessionJournal());
+    this.emergencyTriggers = this.options.emergencyTriggers || emergencyTriggerService;
+    this.notifier = this.options.notifier || notificationService;
+    this.sessionId = this.options.sessionId || `session-${new Date().toISOString().replace(/[:.]/g, '-')}`;
     this.state = 'INITIALIZING';
     this.startTime = Date.now();
     this.endTime = null;
     this.executionSummary = {
       totalTokensSold: 0,
+      totalTokensSoldRaw: '0',
       totalReceived: 0,
+      totalReceivedRaw: '0',
+      totalQuoted: 0,
+      totalQuotedRaw: '0', // What the executed quotes promised; totalReceived is realized
+      belowMinimumCount: 0, // Swaps whose realized output fell below the quote's minimum
+      outputToken: null,
       averagePrice: 0,
       transactionCount: 0,
       feesPaid: 0,
       success: false,
+      cancelled: false,
+      expired: false, // Limit/stop-loss order ran out of time unfilled
+      deferredRaw: '0', // Held back by the price impact cap
+      unsoldRaw: '0', // Left over by an emergency sale of SELL_PORTION_PCT < 100
+      simulated: this.options.dryRun,
       transactions: []
     };
     
-    log.info('Token seller initialized', 'init');
+    log.info('Token seller initialized', 'init', {
+      sessionId: this.sessionId,
+      inputMint: this.inputMint,
+      headless: this.isHeadless,
+      assumeYes: this.options.assumeYes,
+      dryRun: this.options.dryRun,
+      pessimisticFill: this.options.pessimisticFill,
+      resume: this.options.resume,
+      dashboard: this.options.dashboard,
+      configFile: configInfo.file,
+      profile: configInfo.profile
+    });
   }
   
   /**
-   * Main execution flow
+   * Main execution flow. Resolves with the process exit code; exiting is left to the caller.
    */
   async run() {
     try {
+      if (this.isHeadless && !this.options.assumeYes) {
+        throw createValidationError('Headless mode cannot prompt for confirmation. Pass --yes to proceed.');
+      }
+      
+      // Fail fast on bad flags before touching the network
+      if (this.isHeadless && !this.options.resume) {
+        this.parseHeadlessPreferences(this.options.headlessPreferences);
+      }
+      
       this.printWelcome();
       
       // Phase 1: Validation and Setup
       await this.validateEnvironment();
       await this.displayWalletInfo();
       
-      // Phase 2: User Input
-      const userPreferences = await this.getUserPreferences();
+      let userPreferences;
+      
+      if (this.options.resume) {
+        // Phase 2+3: Reload, reconcile and validate the interrupted session
+        userPreferences = await this.resumeSession();
+      } else {
+        // Phase 2: User Input
+        userPreferences = await this.getUserPreferences();
+        
+        // Phase 3: Validation
+        await this.validateUserInputs(userPreferences);
+      }
       
-      // Phase 3: Validation
-      await this.validateUserInputs(userPreferences);
+      if (!userPreferences) {
+        return EXIT_CODES.SUCCESS;
+      }
       
       // Phase 4: Strategy Execution
       await this.executeSellingStrategy(userPreferences);
       
       // Phase 5: Summary
-      this.displayExecutionSummary();
+      await this.displayExecutionSummary();
+      
+      const { success, cancelled, expired } = this.executionSummary;
+      if (success || cancelled || expired || this.isDeferredOnly()) {
+        return EXIT_CODES.SUCCESS;
+      }
+      return EXIT_CODES.SWAP_FAILURE;
       
     } catch (error) {
-      await this.handleCriticalError(error);
+      if (error.declined) {
+        log.info('Session declined', 'cancel', { sessionId: this.sessionId, reason: error.message });
+        return error.exitCode;
+      }
+      if (error.cancelled) {
+        return this.handleCancellation();
+      }
+      return await this.handleCriticalError(error);
+    } finally {
+      await this.notifier.flush();
+    }
+  }
+  
+  /**
+   * Wait here while the job is paused; throws once it is cancelled.
+   * Strategies call this between swaps. A no-op unless run as a daemon job or with the dashboard.
+   */
+  async checkpoint() {
+    if (this.options.control) {
+      await this.options.control.checkpoint();
+    }
+  }
+  
+  /**
+   * Whether a "sell now" was requested since the last call (clears the request)
+   */
+  consumeSellNow() {
+    return this.options.control?.takeSellNow() ?? false;
+  }
+  
+  /**
+   * Take over the terminal with the live dashboard, when enabled. Strategies
+   * call this once their confirmations are done.
+   */
+  startDashboard() {
+    if (!this.options.dashboard || this.dashboard) {
+      return;
+    }
+    const overrides = typeof this.options.dashboard === 'object' ? this.options.dashboard : {};
+    this.dashboard = new Dashboard({ ...overrides, seller: this, control: this.options.control });
+    this.dashboard.start();
+  }
+  
+  stopDashboard() {
+    this.dashboard?.stop();
+    this.dashboard = null;
+  }
+  
+  /**
+   * Move to a new state: log it and persist it to the session journal
+   */
+  transitionTo(newState, data = {}) {
+    log.logStateChange(this.state, newState, { sessionId: this.sessionId, simulated: this.options.dryRun, ...data });
+    this.state = newState;
+    this.journal.setState(newState, data);
+  }
+  
+  /**
+   * Ask a yes/no question, or auto-confirm when running with --yes
+   */
+  confirm(message) {
+    if (this.options.assumeYes) {
+      console.log(chalk.gray(`${message} ${chalk.green('[auto-confirmed: --yes]')}`));
+      log.info('Confirmation skipped', 'confirm', { message });
+      return true;
     }
+    
+    return readlineSync.keyInYNStrict(message);
   }
   
   /**
    * Print welcome message and system info
    */
   printWelcome() {
-    console.clear();
+    if (!this.isHeadless) {
+      console.clear();
+    }
     console.log(chalk.cyan.bold('╔═══════════════════════════════════════╗'));
     console.log(chalk.cyan.bold('║        SOLANA TOKEN SELLER            ║'));
     console.log(chalk.cyan.bold('║    Intelligent Jupiter DEX Trading    ║'));
@@ -70,10 +261,15 @@ class TokenSeller {
     console.log();
     
     console.log(chalk.gray(`🕐 Session started: ${new Date().toLocaleString()}`));
+    console.log(chalk.gray(`⚙️  Config: ${configInfo.file ?? 'defaults only'}${configInfo.profile ? ` (profile ${configInfo.profile})` : ''}`));
     console.log(chalk.gray(`⏰ Maximum execution time: ${CONFIG.SELL_TIMEOUT_HOURS} hours`));
+    if (this.options.dryRun) {
+      const fillMode = this.options.pessimisticFill ? 'minimum output' : 'quoted output';
+      console.log(chalk.magenta.bold(`🧪 DRY RUN: real quotes, simulated swaps filled at ${fillMode}. No funds will move.`));
+    }
     console.log();
     
-    log.logStateChange('NONE', 'INITIALIZING');
+    log.logStateChange('NONE', 'INITIALIZING', { sessionId: this.sessionId, simulated: this.options.dryRun });
     this.state = 'INITIALIZING';
   }
   
@@ -90,6 +286,8 @@ class TokenSeller {
       validateConfig();
       console.log(chalk.green('✅ Configuration validated'));
       
+      await this.unlockWallet();
+      
       // Check API connectivity with comprehensive validation
       console.log(chalk.yellow('🌐 Checking API connectivity...'));
       const validationResults = await apiValidator.validateApi();
@@ -101,12 +299,31 @@ class TokenSeller {
       console.log(chalk.green('✅ API connectivity and endpoints confirmed'));
       
       perf.end('tokenSeller', true);
-      log.logStateChange('INITIALIZING', 'VALIDATED');
-      this.state = 'VALIDATED';
+      this.transitionTo('VALIDATED');
       
     } catch (error) {
       perf.end('tokenSeller', false);
-      throw new Error(`Environment validation failed: ${error.message}`);
+      throw createValidationError(`Environment validation failed: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Unlock the wallet keystore: hidden prompt when interactive, env var when headless.
+   * Dry runs never sign, so they skip it.
+   */
+  async unlockWallet() {
+    if (this.options.dryRun) {
+      return;
+    }
+    
+    const source = await keystoreService.unlockForSession({
+      promptPassphrase: this.isHeadless ? null : promptKeystorePassphrase
+    });
+    
+    if (source === 'plaintext') {
+      console.log(chalk.yellow('⚠️  Using the plaintext WALLET_PRIVATE_KEY. Run "npm run setup" to encrypt it into a keystore.'));
+    } else {
+      console.log(chalk.green('🔐 Wallet keystore unlocked'));
     }
   }
   
@@ -127,7 +344,7 @@ class TokenSeller {
       walletTable.push(
         ['Wallet Address', walletService.formatAddress(walletSummary.publicKey)],
         ['SOL Balance', `${walletService.formatSolAmount(walletSummary.balanceSol)} SOL`],
-        ['Target Token', walletService.formatAddress(CONFIG.TARGET_TOKEN_MINT)],
+        ['Target Token', walletService.formatAddress(this.inputMint)],
         ['Token Balance', walletSummary.targetToken.hasToken ? 
           chalk.green(`✅ ${walletSummary.targetToken.balance.toLocaleString()}`) : chalk.red('❌ Not Found')]
       );
@@ -139,26 +356,52 @@ class TokenSeller {
       
     } catch (error) {
       log.error('Failed to display wallet info', 'display_wallet_info', error);
-      throw new Error(`Failed to load wallet information: ${error.message}`);
+      throw createValidationError(`Failed to load wallet information: ${error.message}`);
     }
   }
   
   /**
-   * Get user preferences through interactive prompts
+   * Get user preferences through interactive prompts, or from flags/plan when headless
    */
   async getUserPreferences() {
-    log.logStateChange(this.state, 'COLLECTING_INPUT');
-    this.state = 'COLLECTING_INPUT';
+    this.transitionTo('COLLECTING_INPUT');
     
-    console.log(chalk.blue.bold('\n📝 Configuration Setup'));
-    console.log(chalk.gray('Please provide the following information:\n'));
+    if (this.journal.hasResumableSession()) {
+      console.log(chalk.yellow('⚠️  An unfinished session was found. Run with --resume to continue it.'));
+      
+      if (!this.confirm(chalk.yellow('Start a new session instead (the old journal will be archived)?'))) {
+        this.executionSummary.cancelled = true;
+        console.log(chalk.red('❌ Operation cancelled by user'));
+        throw createCancellationError('Operation cancelled by user', { declined: true });
+      }
+      this.journal.archive();
+    }
     
-    const preferences = {};
+    let preferences;
     
-    preferences.tokenAmount = this.askTokenAmount();
-    preferences.outputToken = this.askOutputToken();
-    preferences.strategy = this.askSellingStrategy();
-    preferences.maxSlippage = this.askMaxSlippage();
+    if (this.isHeadless) {
+      console.log(chalk.blue.bold('\n📝 Headless Configuration'));
+      preferences = this.parseHeadlessPreferences(this.options.headlessPreferences);
+    } else {
+      console.log(chalk.blue.bold('\n📝 Configuration Setup'));
+      console.log(chalk.gray('Please provide the following information:\n'));
+      
+      preferences = {};
+      preferences.tokenAmount = this.askTokenAmount();
+      preferences.outputToken = this.askOutputToken();
+      preferences.strategy = this.askSellingStrategy();
+      if (ORDER_STRATEGIES.includes(preferences.strategy)) {
+        if (preferences.outputToken === BEST_OUTPUT) {
+          console.log(chalk.yellow('⚠️  Order prices need a fixed output token'));
+          preferences.outputToken = this.askOutputToken({ allowBest: false });
+        }
+        Object.assign(preferences, this.askOrderPrices(preferences));
+      }
+      if (preferences.strategy === 'twap') {
+        preferences.durationMinutes = this.askTwapDuration();
+      }
+      preferences.maxSlippage = this.askMaxSlippage();
+    }
     
     this.confirmPreferences(preferences);
     
@@ -166,17 +409,122 @@ class TokenSeller {
     return preferences;
   }
   
+  /**
+   * Validate and normalize preferences given on the command line or in a plan file
+   */
+  parseHeadlessPreferences(raw) {
+    // Kept as a decimal string so fromUi sees every digit
+    const amount = raw.tokenAmount === undefined ? null : tokenAmount.parsePositiveUiInput(raw.tokenAmount);
+    if (amount === null) {
+      throw createValidationError(`Invalid or missing amount: ${raw.tokenAmount}. Use --amount <tokens>.`);
+    }
+    
+    const outputToken = raw.outputToken === undefined ? undefined : String(raw.outputToken).toUpperCase();
+    if (!CONFIG.OUTPUT_TOKENS[outputToken] && outputToken !== BEST_OUTPUT) {
+      throw createValidationError(`Invalid or missing output token: ${raw.outputToken}. Use --output ${[...Object.keys(CONFIG.OUTPUT_TOKENS), BEST_OUTPUT].join('|')}.`);
+    }
+    
+    const strategy = raw.strategy === undefined ? 'immediate' : String(raw.strategy).toLowerCase();
+    if (!STRATEGIES.includes(strategy)) {
+      throw createValidationError(`Invalid strategy: ${raw.strategy}. Use --strategy ${STRATEGIES.join('|')}.`);
+    }
+    
+    const maxSlippage = raw.maxSlippage === undefined ? CONFIG.DEFAULT_SLIPPAGE_BPS : Number(raw.maxSlippage);
+    if (!Number.isInteger(maxSlippage) || maxSlippage < CONFIG.MIN_SLIPPAGE_BPS || maxSlippage > CONFIG.MAX_SLIPPAGE_BPS) {
+      throw createValidationError(`Invalid slippage: ${raw.maxSlippage}. Use --slippage-bps between ${CONFIG.MIN_SLIPPAGE_BPS} and ${CONFIG.MAX_SLIPPAGE_BPS}.`);
+    }
+    
+    return {
+      tokenAmount: amount,
+      outputToken,
+      strategy,
+      maxSlippage,
+      ...this.parseOrderPrices(raw, strategy, outputToken),
+      ...this.parseTwapDuration(raw, strategy)
+    };
+  }
+  
+  /**
+   * Validate the TWAP window; it must fit inside the session's sell window
+   */
+  parseTwapDuration(raw, strategy) {
+    const given = raw.durationMinutes !== undefined && raw.durationMinutes !== null && raw.durationMinutes !== '';
+    
+    if (strategy !== 'twap') {
+      if (given) {
+        throw createValidationError('--duration only applies to the twap strategy.');
+      }
+      return {};
+    }
+    
+    const maxMinutes = this.getMaxTwapMinutes();
+    const durationMinutes = Number(raw.durationMinutes);
+    if (!given || !(durationMinutes > 0) || durationMinutes > maxMinutes) {
+      throw createValidationError(`Invalid or missing --duration: ${raw.durationMinutes}. Use minutes above 0 and up to ${maxMinutes} (SELL_TIMEOUT_HOURS minus the TIME_REMAINING_MINUTES emergency trigger).`);
+    }
+    
+    return { durationMinutes };
+  }
+  
+  /**
+   * Longest TWAP window that ends before the TIME_REMAINING emergency trigger,
+   * which would otherwise sell all remaining slices at once
+   */
+  getMaxTwapMinutes() {
+    const triggerMinutes = CONFIG.EMERGENCY_TRIGGERS.TIME_REMAINING_MINUTES ?? 0;
+    return Math.max(0, CONFIG.SELL_TIMEOUT_HOURS * 60 - triggerMinutes);
+  }
+  
+  /**
+   * Validate limit/stop prices (output tokens per input token) for order strategies
+   */
+  parseOrderPrices(raw, strategy, outputToken) {
+    const parsePrice = (value, flag) => {
+      if (value === undefined || value === null || value === '') return null;
+      const price = Number(value);
+      if (!(price > 0) || !isFinite(price)) {
+        throw createValidationError(`Invalid ${flag}: ${value}. Use a price above 0, in output tokens per token.`);
+      }
+      return price;
+    };
+    
+    const limitPrice = parsePrice(raw.limitPrice, '--limit-price');
+    const stopPrice = parsePrice(raw.stopPrice, '--stop-price');
+    
+    if (!ORDER_STRATEGIES.includes(strategy)) {
+      if (limitPrice !== null || stopPrice !== null) {
+        throw createValidationError('--limit-price and --stop-price only apply to the limit and stop-loss strategies.');
+      }
+      return {};
+    }
+    
+    if (strategy === 'limit' && limitPrice === null) {
+      throw createValidationError('The limit strategy needs --limit-price.');
+    }
+    if (strategy === 'stop-loss' && stopPrice === null) {
+      throw createValidationError('The stop-loss strategy needs --stop-price.');
+    }
+    if (limitPrice !== null && stopPrice !== null && stopPrice >= limitPrice) {
+      throw createValidationError(`--stop-price (${stopPrice}) must be below --limit-price (${limitPrice}).`);
+    }
+    if (outputToken === BEST_OUTPUT) {
+      throw createValidationError(`Order prices are quoted in the output token; choose ${Object.keys(CONFIG.OUTPUT_TOKENS).join('|')} instead of ${BEST_OUTPUT}.`);
+    }
+    
+    return { limitPrice, stopPrice };
+  }
+  
   /**
    * Ask for token amount to sell
    */
   askTokenAmount() {
     console.log(chalk.yellow('💰 Token Amount'));
-    console.log(chalk.gray('How many tokens would you like to sell?'));
+    console.log(chalk.gray('How many tokens would you like to sell? (fractions allowed)'));
     
     const input = readlineSync.question(chalk.white('Enter amount: '));
-    const amount = parseInt(input.replace(/,/g, ''), 10);
+    const amount = tokenAmount.parsePositiveUiInput(input);
     
-    if (isNaN(amount) || amount <= 0) {
+    if (amount === null) {
       console.log(chalk.red('❌ Invalid amount. Please enter a positive number.'));
       return this.askTokenAmount();
     }
@@ -187,13 +535,14 @@ class TokenSeller {
   /**
    * Ask for output token selection
    */
-  askOutputToken() {
+  askOutputToken({ allowBest = true } = {}) {
     console.log(chalk.yellow('\n🎯 Output Token'));
     console.log(chalk.gray('Which token would you like to receive?'));
     
-    const choices = Object.keys(CONFIG.OUTPUT_TOKENS);
+    const tokens = Object.keys(CONFIG.OUTPUT_TOKENS);
+    const choices = allowBest ? [...tokens, `${BEST_OUTPUT} - Compare all and pick the highest value`] : tokens;
     const index = readlineSync.keyInSelect(choices, 'Select output token:', { cancel: false });
-    return choices[index];
+    return tokens[index] || BEST_OUTPUT;
   }
   
   /**
@@ -205,13 +554,57 @@ class TokenSeller {
     
     const choices = [
       'Immediate Sale - Execute right now',
-      'Gradual Sale - Split into smaller chunks (not implemented)',
-      'Optimal Timing - Wait for best conditions (not implemented)'
+      'Gradual Sale - Split into smaller chunks',
+      'Optimal Timing - Wait for best conditions',
+      'Limit Order - Sell once the price reaches a target',
+      'Stop-Loss - Sell if the price falls to a floor',
+      'TWAP - Spread evenly over a time window'
     ];
     
     const index = readlineSync.keyInSelect(choices, 'Select strategy:', { cancel: false });
-    const strategyMap = ['immediate', 'gradual', 'optimal'];
-    return strategyMap[index];
+    return STRATEGIES[index];
+  }
+  
+  /**
+   * Ask for the limit and/or stop price of an order strategy
+   */
+  askOrderPrices(preferences) {
+    const isLimit = preferences.strategy === 'limit';
+    const unit = `${preferences.outputToken} per token`;
+    
+    console.log(chalk.yellow('\n🎚️  Order Prices'));
+    console.log(chalk.gray(`Prices are in ${unit}. The order expires after ${CONFIG.SELL_TIMEOUT_HOURS}h.`));
+    
+    const limitPrice = readlineSync.question(chalk.white(
+      isLimit ? 'Sell when the price reaches: ' : 'Also sell when the price reaches (Enter to skip): '
+    ));
+    const stopPrice = readlineSync.question(chalk.white(
+      isLimit ? 'Also sell if the price falls to (Enter to skip): ' : 'Sell if the price falls to: '
+    ));
+    
+    try {
+      return this.parseOrderPrices({ limitPrice, stopPrice }, preferences.strategy, preferences.outputToken);
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      return this.askOrderPrices(preferences);
+    }
+  }
+  
+  /**
+   * Ask for the TWAP window in minutes
+   */
+  askTwapDuration() {
+    console.log(chalk.yellow('\n⏱️  TWAP Window'));
+    console.log(chalk.gray(`Over how many minutes should the sale be spread? (max ${this.getMaxTwapMinutes()})`));
+    
+    const input = readlineSync.question(chalk.white('Enter minutes: '));
+    
+    try {
+      return this.parseTwapDuration({ durationMinutes: input }, 'twap').durationMinutes;
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      return this.askTwapDuration();
+    }
   }
   
   /**
@@ -244,21 +637,32 @@ class TokenSeller {
     });
     
     summaryTable.push(
-      ['Token Amount', preferences.tokenAmount.toLocaleString()],
-      ['Output Token', preferences.outputToken],
+      ['Token Amount', tokenAmount.formatAmount(preferences.tokenAmount, 9)],
+      ['Output Token', preferences.outputToken === BEST_OUTPUT ? `${BEST_OUTPUT} (compared before selling)` : preferences.outputToken],
       ['Strategy', this.formatStrategy(preferences.strategy)],
       ['Max Slippage', `${preferences.maxSlippage / 100}%`]
     );
     
+    if (preferences.limitPrice) {
+      summaryTable.push(['Limit Price', `≥ ${preferences.limitPrice} ${preferences.outputToken} per token`]);
+    }
+    if (preferences.stopPrice) {
+      summaryTable.push(['Stop Price', `≤ ${preferences.stopPrice} ${preferences.outputToken} per token`]);
+    }
+    if (preferences.durationMinutes) {
+      summaryTable.push(['TWAP Window', `${preferences.durationMinutes} minutes`]);
+    }
+    
     console.log(summaryTable.toString());
     
-    const confirmed = readlineSync.keyInYNStrict(
+    const confirmed = this.confirm(
       chalk.yellow('\nProceed with this configuration?')
     );
     
     if (!confirmed) {
+      this.executionSummary.cancelled = true;
       console.log(chalk.red('❌ Operation cancelled by user'));
-      process.exit(0);
+      throw createCancellationError('Operation cancelled by user', { declined: true });
     }
     
     console.log(chalk.green('✅ Configuration confirmed\n'));
@@ -271,7 +675,10 @@ class TokenSeller {
     const strategyNames = {
       immediate: 'Immediate Sale',
       gradual: 'Gradual Sale',
-      optimal: 'Optimal Timing'
+      optimal: 'Optimal Timing',
+      limit: 'Limit Order',
+      'stop-loss': 'Stop-Loss',
+      twap: 'TWAP'
     };
     return strategyNames[strategy] || strategy;
   }
@@ -283,13 +690,12 @@ class TokenSeller {
     const perf = performanceLogger.start('validate_inputs');
     
     try {
-      log.logStateChange(this.state, 'VALIDATING_INPUTS');
-      this.state = 'VALIDATING_INPUTS';
+      this.transitionTo('VALIDATING_INPUTS');
       
       console.log(chalk.yellow('🔍 Validating inputs...'));
       
       await walletService.validateTokenAmount(
-        CONFIG.TARGET_TOKEN_MINT, 
+        this.inputMint,
         preferences.tokenAmount
       );
       console.log(chalk.green('✅ Token amount validated'));
@@ -297,38 +703,287 @@ class TokenSeller {
       await walletService.validateSolForFees();
       console.log(chalk.green('✅ SOL balance sufficient for fees'));
       
+      await this.resolveSellAmount(preferences);
+      console.log(chalk.green(`✅ Token decimals resolved (${preferences.sellAmount.decimals})`));
+      
       perf.end('tokenSeller', true);
       log.info('Input validation completed', 'validate_inputs', preferences);
       
     } catch (error) {
       perf.end('tokenSeller', false);
-      throw new Error(`Input validation failed: ${error.message}`);
+      throw createValidationError(`Input validation failed: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Attach the decimals-aware sell amount to the preferences.
+   * Decimals are fetched once here and cached by walletService.
+   */
+  async resolveSellAmount(preferences) {
+    const outputMint = CONFIG.OUTPUT_TOKENS[preferences.outputToken];
+    const inputDecimals = await walletService.getTokenDecimals(this.inputMint);
+    if (outputMint) {
+      // Unknown until the comparison runs for BEST
+      await walletService.getTokenDecimals(outputMint);
+    }
+    
+    preferences.sellAmount = tokenAmount.fromUi(
+      preferences.tokenAmount,
+      inputDecimals,
+      this.inputMint
+    );
+    
+    log.info('Sell amount resolved', 'resolve_sell_amount', preferences.sellAmount);
+    return preferences.sellAmount;
+  }
+  
+  /**
+   * Start journaling this session once preferences are validated
+   */
+  async startJournal(preferences) {
+    const holding = await walletService.checkTokenHolding(this.inputMint);
+    
+    this.journal.start({
+      sessionId: this.sessionId,
+      startTime: this.startTime,
+      preferences,
+      initialBalanceRaw: holding.rawBalance,
+      dryRun: this.options.dryRun,
+      state: this.state
+    });
+  }
+  
+  /**
+   * Reload the journaled session, reconcile it against the live balance and
+   * return preferences for the remaining amount (null if nothing is left).
+   */
+  async resumeSession() {
+    this.transitionTo('RESUMING');
+    
+    let journalData;
+    try {
+      journalData = this.journal.load();
+    } catch (error) {
+      throw createValidationError(`Cannot resume: ${error.message}`);
+    }
+    
+    if (journalData.status === 'COMPLETED') {
+      throw createValidationError(`Cannot resume: session ${journalData.sessionId} already completed`);
+    }
+    
+    const original = journalData.preferences;
+    const sellAmount = original.sellAmount;
+    
+    // Restore the session identity, sell window and completed swaps
+    this.sessionId = journalData.sessionId;
+    this.startTime = journalData.startTime;
+    journalData.transactions.forEach(entry => this.applyTransaction(entry));
+    
+    // Reconcile: trust whichever source says more has sold. The balance catches
+    // swaps that landed after the last journal write (e.g. a pending swap).
+    const holding = await walletService.checkTokenHolding(this.inputMint);
+    const liveBalance = tokenAmount.fromRaw(holding.rawBalance, sellAmount.decimals, sellAmount.mint);
+    const journalSold = tokenAmount.fromRaw(this.executionSummary.totalTokensSoldRaw, sellAmount.decimals, sellAmount.mint);
+    const balanceSold = tokenAmount.subtractAmounts(
+      tokenAmount.fromRaw(journalData.initialBalanceRaw, sellAmount.decimals, sellAmount.mint),
+      liveBalance
+    );
+    const sold = tokenAmount.compareAmounts(balanceSold, journalSold) > 0 ? balanceSold : journalSold;
+    let remaining = tokenAmount.subtractAmounts(tokenAmount.fromRaw(sellAmount.raw, sellAmount.decimals, sellAmount.mint), sold);
+    if (tokenAmount.compareAmounts(remaining, liveBalance) > 0) {
+      remaining = liveBalance;
+    }
+    
+    const resumeTable = new Table({
+      head: [chalk.cyan('Session'), chalk.cyan(journalData.sessionId)],
+      style: { head: [], border: [] }
+    });
+    resumeTable.push(
+      ['Status', journalData.status],
+      ['Last State', journalData.state],
+      ['Strategy', this.formatStrategy(original.strategy)],
+      ['Output Token', original.outputToken],
+      ['Original Amount', tokenAmount.formatAmount(sellAmount, 9)],
+      ['Journaled Sold', `${tokenAmount.formatAmount(journalSold, 9)} (${journalData.transactions.length} swaps)`],
+      ['Sold per Balance', tokenAmount.formatAmount(balanceSold, 9)],
+      ['Pending Swap', journalData.pendingSwap ? chalk.yellow(`unconfirmed since ${journalData.pendingSwap.startedAt}`) : 'None'],
+      ['Remaining', chalk.bold(tokenAmount.formatAmount(remaining, 9))]
+    );
+    console.log(chalk.blue.bold('\n♻️  Resuming Session'));
+    console.log(resumeTable.toString());
+    
+    log.info('Session reconciled', 'resume_session', {
+      sessionId: journalData.sessionId,
+      originalRaw: sellAmount.raw,
+      journalSoldRaw: journalSold.raw,
+      balanceSoldRaw: balanceSold.raw,
+      remainingRaw: remaining.raw,
+      pendingSwap: journalData.pendingSwap
+    });
+    
+    this.journal.resume();
+    this.executionSummary.outputToken = original.outputToken;
+    
+    if (tokenAmount.isZero(remaining)) {
+      console.log(chalk.green('✅ Nothing left to sell for this session'));
+      this.executionSummary.success = true;
+      await this.displayExecutionSummary();
+      return null;
+    }
+    
+    if (!this.confirm(chalk.yellow(`\nResume selling ${tokenAmount.formatAmount(remaining, 9)} remaining tokens?`))) {
+      this.journal.markInterrupted();
+      this.executionSummary.cancelled = true;
+      console.log(chalk.red('❌ Resume cancelled by user'));
+      throw createCancellationError('Resume cancelled by user', { declined: true });
     }
+    
+    const preferences = {
+      tokenAmount: remaining.ui,
+      outputToken: original.outputToken,
+      strategy: original.strategy,
+      maxSlippage: original.maxSlippage,
+      limitPrice: original.limitPrice,
+      stopPrice: original.stopPrice,
+      durationMinutes: original.durationMinutes
+    };
+    
+    await this.validateUserInputs(preferences);
+    preferences.sellAmount = remaining; // exact raw amount, not the rounded UI value
+    
+    return preferences;
   }
   
   /**
    * Execute the selected selling strategy
    */
   async executeSellingStrategy(preferences) {
-    log.logStateChange(this.state, 'EXECUTING');
-    this.state = 'EXECUTING';
+    if (preferences.outputToken === BEST_OUTPUT) {
+      await this.selectBestOutputToken(preferences);
+    }
+    
+    await this.beginExecution(preferences);
     
     console.log(chalk.blue.bold(`\n🚀 Executing ${this.formatStrategy(preferences.strategy)}`));
     
-    switch (preferences.strategy) {
-      case 'immediate':
-        await this.executeImmediateSale(preferences);
-        break;
-      case 'gradual':
-      case 'optimal':
-        console.log(chalk.blue(`Note: '${preferences.strategy}' strategy falls back to immediate execution for this version.`));
-        await this.executeImmediateSale(preferences);
-        break;
-      default:
-        throw new Error(`Unknown strategy: ${preferences.strategy}`);
+    try {
+      switch (preferences.strategy) {
+        case 'immediate':
+          await this.executeImmediateSale(preferences);
+          break;
+        case 'gradual':
+          await this.executeGradualSale(preferences);
+          break;
+        case 'optimal':
+          await this.executeOptimalTimingSale(preferences);
+          break;
+        case 'limit':
+        case 'stop-loss':
+          await this.executeOrder(preferences);
+          break;
+        case 'twap':
+          await this.executeTwapSale(preferences);
+          break;
+        default:
+          throw createValidationError(`Unknown strategy: ${preferences.strategy}`);
+      }
+    } catch (error) {
+      // Anything failing once execution started is treated as a swap failure
+      if (error.exitCode === undefined) {
+        error.exitCode = EXIT_CODES.SWAP_FAILURE;
+      }
+      throw error;
+    } finally {
+      this.stopDashboard();
+      this.nextStep = null;
+    }
+  }
+  
+  /**
+   * Start journaling, enter EXECUTING and arm the emergency triggers
+   */
+  async beginExecution(preferences) {
+    if (!this.journal.isStarted()) {
+      await this.startJournal(preferences);
+    }
+    
+    this.transitionTo('EXECUTING');
+    this.preferences = preferences;
+    // A resumed session already sold part of its amount
+    this.soldBeforeRaw = this.executionSummary.totalTokensSoldRaw;
+    
+    this.emergencyTriggers.startSession(this.getDeadline());
+    this.executionSummary.outputToken = preferences.outputToken;
+    this.maxSlippageBps = preferences.maxSlippage ?? CONFIG.MAX_SLIPPAGE_BPS;
+  }
+  
+  /**
+   * Sold vs planned for the session (earlier runs of a resumed session included)
+   */
+  getProgress() {
+    const { decimals, mint, raw } = this.preferences.sellAmount;
+    const sold = BigInt(this.executionSummary.totalTokensSoldRaw);
+    const total = BigInt(this.soldBeforeRaw ?? '0') + BigInt(raw);
+    const remaining = total > sold ? total - sold : 0n;
+    
+    return {
+      sold: tokenAmount.fromRaw(sold.toString(), decimals, mint),
+      remaining: tokenAmount.fromRaw(remaining.toString(), decimals, mint),
+      total: tokenAmount.fromRaw(total.toString(), decimals, mint),
+      fraction: total === 0n ? 1 : Number(sold * 10000n / total) / 10000
+    };
+  }
+  
+  /**
+   * Quote options for this session: never quote above the user's max slippage
+   */
+  getQuoteOptions() {
+    return { maxSlippageBps: this.maxSlippageBps ?? CONFIG.MAX_SLIPPAGE_BPS };
+  }
+  
+  /**
+   * Best quote for selling `amountRaw` of the input token. Strategies quote
+   * through here so the dashboard shows their quotes instead of fetching its own.
+   */
+  async quoteSale(outputMint, amountRaw) {
+    this.quoteInFlight = true;
+    try {
+      const quote = await jupiterService.getOptimalQuote(this.inputMint, outputMint, amountRaw, this.getQuoteOptions());
+      this.lastQuote = quote;
+      this.lastQuoteAt = Date.now();
+      this.dashboard?.recordQuote(quote, this.lastQuoteAt);
+      return quote;
+    } finally {
+      this.quoteInFlight = false;
     }
   }
   
+  /**
+   * Resolve the BEST output choice: compare every output token on a common
+   * valuation and use the top-ranked one for the rest of the session
+   */
+  async selectBestOutputToken(preferences) {
+    console.log(chalk.yellow('⚖️  Comparing output tokens...'));
+    
+    const ranked = await jupiterService.compareOutputTokens(
+      this.inputMint,
+      preferences.sellAmount.raw,
+      { maxSlippageBps: preferences.maxSlippage }
+    );
+    this.displayOutputComparison(ranked);
+    
+    preferences.outputToken = ranked[0].outputToken;
+    this.executionSummary.outputComparison = ranked.map(({ outputToken, value, reason }) => ({ outputToken, value, reason }));
+    
+    console.log(chalk.green(`✅ Selling into ${preferences.outputToken}`));
+    log.info('Best output token selected', 'select_output_token', {
+      outputToken: preferences.outputToken,
+      comparison: this.executionSummary.outputComparison
+    });
+    
+    return preferences.outputToken;
+  }
+  
   /**
    * Execute immediate sale strategy
    */
@@ -339,33 +994,54 @@ class TokenSeller {
       console.log(chalk.yellow('⚡ Getting optimal quote...'));
       
       const outputMint = CONFIG.OUTPUT_TOKENS[preferences.outputToken];
-      const quote = await jupiterService.getOptimalQuote(
-        CONFIG.TARGET_TOKEN_MINT,
+      const ranked = await jupiterService.getRankedQuotes(
+        this.inputMint,
         outputMint,
-        preferences.tokenAmount
+        preferences.sellAmount.raw,
+        this.getQuoteOptions()
       );
+      this.displayQuoteRanking(ranked, preferences.outputToken);
+      const optimalQuote = ranked[0];
+      
+      const { quote, declined } = await this.applyImpactGuard(optimalQuote, preferences.sellAmount, outputMint, { interactive: true });
+      
+      if (!quote) {
+        this.executionSummary.cancelled = declined;
+        console.log(chalk.red('❌ Swap aborted: price impact above cap'));
+        perf.end('tokenSeller', true, { aborted: 'price_impact' });
+        return;
+      }
       
       this.displayQuoteInfo(quote, preferences.outputToken);
       
-      const confirmed = readlineSync.keyInYNStrict(chalk.yellow('\n🎯 Execute this swap?'));
+      const confirmed = this.confirm(chalk.yellow('\n🎯 Execute this swap?'));
       
       if (!confirmed) {
+        this.executionSummary.cancelled = true;
         console.log(chalk.red('❌ Swap cancelled by user'));
         return;
       }
       
+      // The prompt can sit open for any length of time
+      const freshQuote = await this.ensureFreshQuote(quote, preferences.outputToken, { interactive: true });
+      
+      if (!freshQuote && this.hasDeferred()) {
+        console.log(chalk.red('❌ Swap aborted: refreshed quote above the price impact cap'));
+        perf.end('tokenSeller', true, { aborted: 'price_impact' });
+        return;
+      }
+      
+      if (!freshQuote) {
+        this.executionSummary.cancelled = true;
+        console.log(chalk.red('❌ Swap cancelled: refreshed quote declined'));
+        return;
+      }
+      
       console.log(chalk.yellow('📤 Executing swap...'));
-      const result = await jupiterService.executeSwap(quote.quoteResponse, true);
-      
-      this.executionSummary = {
-        totalTokensSold: preferences.tokenAmount,
-        totalReceived: parseInt(quote.outAmount),
-        averagePrice: quote.price,
-        transactionCount: 1,
-        feesPaid: result.feeCollection?.feeAmount || 0,
-        success: true,
-        transactions: [result]
-      };
+      const result = await this.executeSwap(freshQuote);
+      
+      this.recordTransaction(freshQuote, result);
+      this.executionSummary.success = true;
       
       perf.end('tokenSeller', true);
       console.log(chalk.green('✅ Immediate sale completed successfully!'));
@@ -377,109 +1053,1637 @@ class TokenSeller {
   }
 
   /**
-   * Display quote information
-   */
-  displayQuoteInfo(quote, outputToken) {
-    const quoteTable = new Table({
-      head: [chalk.cyan('Metric'), chalk.cyan('Value')],
-      style: { head: [], border: [] }
-    });
-    
-    quoteTable.push(
-      ['Input Amount', parseInt(quote.inAmount).toLocaleString()],
-      ['Est. Output', `${parseInt(quote.outAmount).toLocaleString()} ${outputToken}`],
-      ['Price Impact', `${quote.priceImpactPct}%`],
-      ['Route Length', quote.routeLength],
-      ['Slippage', `${quote.slippageBps / 100}%`]
-    );
-    
-    console.log(quoteTable.toString());
-  }
-  
-  /**
-   * Display execution summary
+   * Execute gradual sale strategy: sell in chunks with randomized delays
    */
-  displayExecutionSummary() {
-    log.logStateChange(this.state, 'COMPLETED');
-    this.state = 'COMPLETED';
-    this.endTime = Date.now();
-    
-    console.log(chalk.blue.bold('\n📊 EXECUTION SUMMARY'));
-    console.log(chalk.blue.bold('═'.repeat(50)));
+  async executeGradualSale(preferences) {
+    const perf = performanceLogger.start('gradual_sale');
     
-    const summaryTable = new Table({
-      head: [chalk.cyan('Metric'), chalk.cyan('Value')],
-      style: { head: [], border: [] }
+    try {
+      const outputMint = CONFIG.OUTPUT_TOKENS[preferences.outputToken];
+      const chunks = this.planChunks(preferences.sellAmount);
+      this.journal.setPlan(chunks.map(chunk => chunk.raw));
+      
+      this.displayChunkPlan(chunks);
+      
+      const confirmed = this.confirm(
+        chalk.yellow(`\n🎯 Execute ${chunks.length} swaps over time?`)
+      );
+      
+      if (!confirmed) {
+        this.executionSummary.cancelled = true;
+        console.log(chalk.red('❌ Gradual sale cancelled by user'));
+        return;
+      }
+      
+      log.info('Gradual sale started', 'gradual_sale', {
+        totalAmount: preferences.sellAmount,
+        chunkCount: chunks.length,
+        chunks: chunks.map(chunk => chunk.raw)
+      });
+      this.startDashboard();
+      
+      const failedChunks = [];
+      
+      for (let i = 0; i < chunks.length; i++) {
+        const chunkAmount = chunks[i];
+        const label = `[${i + 1}/${chunks.length}]`;
+        
+        await this.checkpoint();
+        
+        try {
+          if (this.consumeSellNow()) {
+            const remainingAmount = tokenAmount.sumAmounts(chunks.slice(i), chunkAmount.decimals, chunkAmount.mint);
+            await this.sellRemainderNow(remainingAmount, outputMint);
+            break;
+          }
+          
+          console.log(chalk.yellow(`\n⚡ ${label} Quoting ${tokenAmount.formatAmount(chunkAmount)} tokens...`));
+          const chunkQuote = await this.quoteSale(outputMint, chunkAmount.raw);
+          
+          const evaluation = this.emergencyTriggers.evaluate(chunkQuote);
+          if (evaluation.triggered) {
+            const remainingAmount = tokenAmount.sumAmounts(chunks.slice(i), chunkAmount.decimals, chunkAmount.mint);
+            await this.executeEmergencySale(remainingAmount, evaluation, outputMint);
+            break;
+          }
+          
+          const guarded = await this.applyImpactGuard(chunkQuote, chunkAmount, outputMint);
+          const quote = guarded.quote && await this.ensureFreshQuote(guarded.quote, preferences.outputToken);
+          
+          if (quote) {
+            console.log(chalk.yellow(`📤 ${label} Executing swap...`));
+            const result = await this.executeSwap(quote);
+            this.recordTransaction(quote, result);
+            
+            console.log(chalk.green(`✅ ${label} Sold ${tokenAmount.formatAmount(quote.inAmountUi, quote.inputDecimals)} tokens → ${tokenAmount.formatAmount(quote.outAmountUi)} ${preferences.outputToken}`));
+            if (!result.simulated) {
+              console.log(chalk.gray(`   https://solscan.io/tx/${result.transactionId}`));
+            }
+          } else {
+            console.log(chalk.yellow(`⏭️  ${label} Chunk deferred: price impact above cap`));
+          }
+          
+        } catch (error) {
+          failedChunks.push({ index: i, amount: chunkAmount.ui, amountRaw: chunkAmount.raw, error: error.message });
+          console.log(chalk.red(`❌ ${label} Chunk failed: ${error.message}`));
+          log.warn('Gradual sale chunk failed', 'gradual_sale', {
+            chunkIndex: i,
+            chunkAmount: chunkAmount.ui,
+            error: error.message
+          });
+        }
+        
+        if (i < chunks.length - 1) {
+          const delay = this.getRandomChunkDelay();
+          this.nextStep = { label: `Chunk ${i + 2}/${chunks.length}`, at: Date.now() + delay, amount: chunks[i + 1] };
+          console.log(chalk.gray(`⏳ Waiting ${(delay / 1000).toFixed(0)}s before next chunk...`));
+          await this.sleep(delay);
+        }
+      }
+      
+      this.executionSummary.success = this.executionSummary.transactionCount > 0 && failedChunks.length === 0;
+      this.executionSummary.failedChunks = failedChunks;
+      
+      if (this.hasDeferred()) {
+        console.log(chalk.yellow(`⏸️  ${tokenAmount.formatAmount(this.getDeferredAmount())} tokens deferred by the price impact cap`));
+      }
+      
+      perf.end('tokenSeller', this.executionSummary.success, {
+        chunkCount: chunks.length,
+        failedChunks: failedChunks.length
+      });
+      
+      if (failedChunks.length === 0) {
+        console.log(chalk.green('\n✅ Gradual sale completed successfully!'));
+      } else {
+        console.log(chalk.yellow(`\n⚠️  Gradual sale finished with ${failedChunks.length} failed chunk(s)`));
+      }
+      
+    } catch (error) {
+      perf.end('tokenSeller', false);
+      throw error;
+    }
+  }
+  
+  /**
+   * Split a token amount into chunks no larger than MAX_CHUNK_SIZE (UI tokens)
+   */
+  planChunks(totalAmount) {
+    const total = BigInt(totalAmount.raw);
+    const maxChunk = BigInt(tokenAmount.uiToRaw(CONFIG.MAX_CHUNK_SIZE, totalAmount.decimals));
+    const chunkCount = total <= maxChunk ? 1 : Number((total + maxChunk - 1n) / maxChunk);
+    
+    // Chunk sizes differ by at most one base unit
+    return tokenAmount.splitAmount(totalAmount, chunkCount);
+  }
+  
+  /**
+   * Random delay between chunks within the configured bounds
+   */
+  getRandomChunkDelay() {
+    const min = CONFIG.MIN_CHUNK_DELAY;
+    const max = Math.max(CONFIG.MAX_CHUNK_DELAY, min);
+    return Math.floor(min + Math.random() * (max - min));
+  }
+  
+  /**
+   * Display planned chunks for a gradual sale
+   */
+  displayChunkPlan(chunks) {
+    const planTable = new Table({
+      head: [chalk.cyan('Chunk'), chalk.cyan('Amount')],
+      style: { head: [], border: [] }
+    });
+    
+    chunks.forEach((amount, i) => planTable.push([i + 1, tokenAmount.formatAmount(amount)]));
+    
+    console.log(planTable.toString());
+    console.log(chalk.gray(`Delay between chunks: ${CONFIG.MIN_CHUNK_DELAY / 1000}s - ${CONFIG.MAX_CHUNK_DELAY / 1000}s`));
+  }
+  
+  /**
+   * Execute TWAP strategy: spread jittered slices evenly across the window and
+   * report the achieved price against the arrival price (first quote)
+   */
+  async executeTwapSale(preferences) {
+    const perf = performanceLogger.start('twap_sale');
+    
+    try {
+      const outputMint = CONFIG.OUTPUT_TOKENS[preferences.outputToken];
+      const durationMs = preferences.durationMinutes * 60 * 1000;
+      const slices = this.planTwapSlices(preferences.sellAmount, durationMs);
+      this.journal.setPlan(slices.map(slice => slice.amount.raw));
+      
+      this.displayTwapPlan(slices);
+      
+      const confirmed = this.confirm(
+        chalk.yellow(`\n🎯 Execute ${slices.length} TWAP slices over ${preferences.durationMinutes} minutes?`)
+      );
+      
+      if (!confirmed) {
+        this.executionSummary.cancelled = true;
+        console.log(chalk.red('❌ TWAP sale cancelled by user'));
+        return;
+      }
+      
+      log.info('TWAP sale started', 'twap_sale', {
+        totalAmount: preferences.sellAmount,
+        durationMinutes: preferences.durationMinutes,
+        slices: slices.map(({ amount, offsetMs }) => ({ raw: amount.raw, offsetMs }))
+      });
+      this.startDashboard();
+      
+      const startedAt = Date.now();
+      const failedChunks = [];
+      const slicePrices = [];
+      let arrivalPrice = null;
+      
+      for (let i = 0; i < slices.length; i++) {
+        const { amount, offsetMs } = slices[i];
+        const label = `[${i + 1}/${slices.length}]`;
+        
+        this.nextStep = { label: `Slice ${i + 1}/${slices.length}`, at: startedAt + offsetMs, amount };
+        const waitMs = startedAt + offsetMs - Date.now();
+        if (waitMs > 0) {
+          console.log(chalk.gray(`⏳ Next slice in ${(waitMs / 1000).toFixed(0)}s...`));
+          await this.sleep(waitMs);
+        }
+        
+        await this.checkpoint();
+        
+        try {
+          if (this.consumeSellNow()) {
+            const remainingAmount = tokenAmount.sumAmounts(slices.slice(i).map(slice => slice.amount), amount.decimals, amount.mint);
+            await this.sellRemainderNow(remainingAmount, outputMint);
+            break;
+          }
+          
+          console.log(chalk.yellow(`\n⚡ ${label} Quoting ${tokenAmount.formatAmount(amount)} tokens...`));
+          const sliceQuote = await this.quoteSale(outputMint, amount.raw);
+          
+          if (arrivalPrice === null) {
+            arrivalPrice = sliceQuote.price;
+          }
+          
+          const evaluation = this.emergencyTriggers.evaluate(sliceQuote);
+          if (evaluation.triggered) {
+            const remainingAmount = tokenAmount.sumAmounts(slices.slice(i).map(slice => slice.amount), amount.decimals, amount.mint);
+            await this.executeEmergencySale(remainingAmount, evaluation, outputMint);
+            break;
+          }
+          
+          const guarded = await this.applyImpactGuard(sliceQuote, amount, outputMint);
+          const quote = guarded.quote && await this.ensureFreshQuote(guarded.quote, preferences.outputToken);
+          
+          if (quote) {
+            const result = await this.executeSwap(quote);
+            this.recordTransaction(quote, result);
+            slicePrices.push(quote.price);
+            
+            console.log(chalk.green(`✅ ${label} Sold ${tokenAmount.formatAmount(quote.inAmountUi, quote.inputDecimals)} tokens at ${quote.price.toFixed(8)} ${preferences.outputToken}`));
+          } else {
+            console.log(chalk.yellow(`⏭️  ${label} Slice deferred: price impact above cap`));
+          }
+          
+        } catch (error) {
+          failedChunks.push({ index: i, amount: amount.ui, amountRaw: amount.raw, error: error.message });
+          console.log(chalk.red(`❌ ${label} Slice failed: ${error.message}`));
+          log.warn('TWAP slice failed', 'twap_sale', {
+            sliceIndex: i,
+            sliceAmount: amount.ui,
+            error: error.message
+          });
+        }
+      }
+      
+      this.executionSummary.success = this.executionSummary.transactionCount > 0 && failedChunks.length === 0;
+      this.executionSummary.failedChunks = failedChunks;
+      this.executionSummary.twap = this.buildTwapReport(arrivalPrice, slicePrices, preferences.durationMinutes, slices.length);
+      
+      perf.end('tokenSeller', this.executionSummary.success, {
+        sliceCount: slices.length,
+        failedSlices: failedChunks.length,
+        ...this.executionSummary.twap
+      });
+      
+      if (failedChunks.length === 0) {
+        console.log(chalk.green('\n✅ TWAP sale completed successfully!'));
+      } else {
+        console.log(chalk.yellow(`\n⚠️  TWAP sale finished with ${failedChunks.length} failed slice(s)`));
+      }
+      
+    } catch (error) {
+      perf.end('tokenSeller', false);
+      throw error;
+    }
+  }
+  
+  /**
+   * Split the amount into one slice per TWAP_SLICE_INTERVAL_SECONDS of the window.
+   * Sizes are jittered in pairs (one grows by what the other shrinks) so the
+   * total stays exact; times are jittered around evenly spaced slots. The first
+   * slice always fires at once.
+   */
+  planTwapSlices(totalAmount, durationMs) {
+    const intervalMs = (CONFIG.TWAP_SLICE_INTERVAL_SECONDS ?? 60) * 1000;
+    const sizeJitter = Math.min(90, Math.max(0, CONFIG.TWAP_SIZE_JITTER_PCT ?? 20));
+    const timeJitter = Math.min(50, Math.max(0, CONFIG.TWAP_TIME_JITTER_PCT ?? 30));
+    
+    let sliceCount = Math.max(1, Math.round(durationMs / intervalMs));
+    if (BigInt(totalAmount.raw) < BigInt(sliceCount)) {
+      // Never plan empty slices
+      sliceCount = Math.max(1, Number(totalAmount.raw));
+    }
+    const slotMs = durationMs / sliceCount;
+    
+    const sizes = tokenAmount.splitAmount(totalAmount, sliceCount).map(slice => BigInt(slice.raw));
+    const maxShift = sizes[sizes.length - 1] * BigInt(Math.round(sizeJitter * 100)) / 10000n;
+    
+    for (let i = 0; i + 1 < sizes.length; i += 2) {
+      const shift = BigInt(Math.floor((Math.random() * 2 - 1) * Number(maxShift)));
+      sizes[i] += shift;
+      sizes[i + 1] -= shift;
+    }
+    
+    return sizes.map((raw, i) => ({
+      amount: tokenAmount.fromRaw(raw.toString(), totalAmount.decimals, totalAmount.mint),
+      offsetMs: i === 0 ? 0 : Math.round(i * slotMs + (Math.random() * 2 - 1) * slotMs * timeJitter / 100)
+    }));
+  }
+  
+  /**
+   * Display planned TWAP slices
+   */
+  displayTwapPlan(slices) {
+    const planTable = new Table({
+      head: [chalk.cyan('Slice'), chalk.cyan('Amount'), chalk.cyan('At')],
+      style: { head: [], border: [] }
+    });
+    
+    slices.forEach(({ amount, offsetMs }, i) => planTable.push([
+      i + 1,
+      tokenAmount.formatAmount(amount),
+      `+${(offsetMs / 60000).toFixed(1)}m`
+    ]));
+    
+    console.log(planTable.toString());
+    console.log(chalk.gray(`Sizes ±${CONFIG.TWAP_SIZE_JITTER_PCT ?? 20}%, timing ±${CONFIG.TWAP_TIME_JITTER_PCT ?? 30}% of an interval`));
+  }
+  
+  /**
+   * Achieved prices vs the arrival price. Positive slippage is better than arrival.
+   */
+  buildTwapReport(arrivalPrice, slicePrices, durationMinutes, plannedSlices) {
+    const achievedPrice = this.executionSummary.averagePrice;
+    const timeWeightedPrice = slicePrices.length === 0
+      ? 0
+      : slicePrices.reduce((sum, price) => sum + price, 0) / slicePrices.length;
+    
+    return {
+      arrivalPrice,
+      achievedPrice,
+      timeWeightedPrice,
+      vsArrivalBps: arrivalPrice && slicePrices.length > 0
+        ? Math.round(((achievedPrice - arrivalPrice) / arrivalPrice) * 10000)
+        : null,
+      durationMinutes,
+      plannedSlices,
+      executedSlices: slicePrices.length
+    };
+  }
+  
+  /**
+   * Execute optimal timing strategy: monitor quotes and sell on a favorable price
+   */
+  async executeOptimalTimingSale(preferences) {
+    const perf = performanceLogger.start('optimal_timing_sale');
+    
+    try {
+      const intervalMs = CONFIG.CHECK_INTERVAL_MINUTES * 60 * 1000;
+      const deadline = this.getDeadline();
+      const improvementPct = CONFIG.OPTIMAL_PRICE_IMPROVEMENT_PCT ?? 2;
+      
+      console.log(chalk.gray(`Checking quotes every ${CONFIG.CHECK_INTERVAL_MINUTES} minutes until ${new Date(deadline).toLocaleString()}`));
+      console.log(chalk.gray(`Sells when the price is ${improvementPct}% above the running average, or at the deadline`));
+      
+      const confirmed = this.confirm(chalk.yellow('\n🎯 Start price monitoring?'));
+      
+      if (!confirmed) {
+        this.executionSummary.cancelled = true;
+        console.log(chalk.red('❌ Optimal timing sale cancelled by user'));
+        return;
+      }
+      
+      this.startDashboard();
+      this.transitionTo('MONITORING');
+      
+      const monitor = {
+        preferences,
+        outputMint: CONFIG.OUTPUT_TOKENS[preferences.outputToken],
+        intervalMs,
+        deadline,
+        improvementPct,
+        priceSamples: [],
+        baselinePrice: null
+      };
+      
+      const result = await this.runMonitoringLoop(monitor);
+      
+      perf.end('tokenSeller', true, {
+        checks: monitor.priceSamples.length,
+        reason: result.reason
+      });
+      
+      console.log(chalk.green(`\n✅ Optimal timing sale completed (${result.reason})`));
+      
+    } catch (error) {
+      perf.end('tokenSeller', false);
+      throw error;
+    }
+  }
+  
+  /**
+   * Poll quotes every CHECK_INTERVAL_MINUTES, counted from the end of the
+   * previous check, until a tick returns an outcome.
+   * A "sell now" request sells the whole amount on the next tick.
+   */
+  runMonitoringLoop(monitor, step = () => this.monitorTick(monitor)) {
+    const control = this.options.control;
+    
+    return new Promise((resolve, reject) => {
+      const intervalMs = CONFIG.CHECK_INTERVAL_MINUTES * 60 * 1000;
+      let timer = null;
+      let busy = false;
+      let finished = false;
+      
+      const finish = () => {
+        finished = true;
+        clearTimeout(timer);
+        control?.off('sell_now', tick);
+        control?.off('cancel', tick);
+        this.nextStep = null;
+      };
+      
+      const tick = async () => {
+        if (busy || finished) return;
+        busy = true;
+        
+        try {
+          await this.checkpoint();
+          const outcome = this.consumeSellNow()
+            ? await this.sellRemainderNow(monitor.preferences.sellAmount, monitor.outputMint)
+            : await step();
+          
+          if (outcome) {
+            finish();
+            resolve(outcome);
+          } else {
+            clearTimeout(timer);
+            timer = setTimeout(tick, intervalMs);
+            this.nextStep = {
+              label: 'Price check',
+              at: Date.now() + intervalMs,
+              amount: monitor.preferences.sellAmount
+            };
+          }
+        } catch (error) {
+          finish();
+          reject(error);
+        } finally {
+          busy = false;
+        }
+        
+        // A request that arrived during the check is handled right away
+        if (!finished && (control?.cancelled || control?.sellNowRequested)) {
+          tick();
+        }
+      };
+      
+      // Requests from the dashboard should not wait for the next scheduled check
+      control?.on('sell_now', tick);
+      control?.on('cancel', tick);
+      
+      // First check right away; each check schedules the next
+      tick();
+    });
+  }
+  
+  /**
+   * Single monitoring step: requote, update the baseline, and sell if warranted.
+   * Returns an outcome once a sale happened, otherwise null.
+   */
+  async monitorTick(monitor) {
+    const now = Date.now();
+    const isFinalCheck = now + monitor.intervalMs >= monitor.deadline;
+    
+    let quote;
+    try {
+      quote = await this.quoteSale(monitor.outputMint, monitor.preferences.sellAmount.raw);
+    } catch (error) {
+      log.warn('Monitoring quote failed', 'monitor_tick', { error: error.message, isFinalCheck });
+      console.log(chalk.red(`❌ Quote failed: ${error.message}`));
+      
+      const evaluation = this.emergencyTriggers.evaluate(null, now);
+      if (evaluation.triggered) {
+        const result = await this.executeEmergencySale(monitor.preferences.sellAmount, evaluation, monitor.outputMint);
+        return { reason: evaluation.reason, transactionId: result?.transactionId };
+      }
+      
+      if (isFinalCheck) {
+        throw new Error(`Sell window expired and final quote failed: ${error.message}`);
+      }
+      return null;
+    }
+    
+    const evaluation = this.emergencyTriggers.evaluate(quote, now);
+    if (evaluation.triggered) {
+      const result = await this.executeEmergencySale(monitor.preferences.sellAmount, evaluation, monitor.outputMint);
+      return { reason: evaluation.reason, transactionId: result?.transactionId };
+    }
+    
+    const baseline = monitor.baselinePrice;
+    const changePct = baseline ? ((quote.price - baseline) / baseline) * 100 : 0;
+    const withinImpact = quote.priceImpactPct <= CONFIG.MAX_PRICE_IMPACT_PCT;
+    const isFavorable = baseline !== null && changePct >= monitor.improvementPct && withinImpact;
+    
+    monitor.priceSamples.push(quote.price);
+    monitor.baselinePrice = monitor.priceSamples.reduce((sum, p) => sum + p, 0) / monitor.priceSamples.length;
+    
+    const minutesLeft = Math.max(0, (monitor.deadline - now) / 60000).toFixed(0);
+    console.log(chalk.gray(`📈 ${new Date(now).toLocaleTimeString()} price ${quote.price.toFixed(8)} ` +
+      `(${changePct >= 0 ? '+' : ''}${changePct.toFixed(2)}% vs avg, impact ${quote.priceImpactPct}%, ${minutesLeft}m left)`));
+    
+    log.info('Monitoring check', 'monitor_tick', {
+      price: quote.price,
+      baselinePrice: baseline,
+      changePct,
+      priceImpact: quote.priceImpactPct,
+      samples: monitor.priceSamples.length,
+      isFavorable,
+      isFinalCheck
+    });
+    
+    if (!isFavorable && !isFinalCheck) {
+      return null;
+    }
+    
+    const reason = isFavorable ? 'favorable price' : 'sell window expired';
+    
+    // Only the deadline sale can get here above the cap; favorable requires withinImpact
+    const guarded = await this.applyImpactGuard(quote, monitor.preferences.sellAmount, monitor.outputMint);
+    if (!guarded.quote) {
+      return { reason: `${reason}, sale deferred by price impact cap` };
+    }
+    const freshQuote = await this.ensureFreshQuote(guarded.quote, monitor.preferences.outputToken);
+    if (!freshQuote) {
+      return { reason: `${reason}, sale deferred by price impact cap` };
+    }
+    
+    console.log(chalk.yellow(`\n📤 Executing swap: ${reason}`));
+    
+    const result = await this.executeSwap(freshQuote);
+    this.recordTransaction(freshQuote, result);
+    this.executionSummary.success = true;
+    
+    return { reason, transactionId: result.transactionId };
+  }
+  
+  /**
+   * Execute a limit or stop-loss order: watch the quoted price every
+   * CHECK_INTERVAL_MINUTES and sell the whole amount once a threshold is
+   * crossed. Unfilled orders expire after SELL_TIMEOUT_HOURS without selling.
+   */
+  async executeOrder(preferences) {
+    const perf = performanceLogger.start('order_sale');
+    
+    try {
+      const order = this.createOrder(preferences);
+      this.displayOrder(order);
+      
+      const confirmed = this.confirm(chalk.yellow('\n🎯 Place this order?'));
+      
+      if (!confirmed) {
+        this.executionSummary.cancelled = true;
+        console.log(chalk.red('❌ Order cancelled by user'));
+        return;
+      }
+      
+      this.startDashboard();
+      this.transitionTo('MONITORING', {
+        limitPrice: order.limitPrice,
+        stopPrice: order.stopPrice,
+        expiresAt: new Date(order.deadline).toISOString()
+      });
+      
+      const result = await this.runMonitoringLoop(order, () => this.orderTick(order));
+      this.executionSummary.orderOutcome = result.reason;
+      
+      perf.end('tokenSeller', true, {
+        checks: order.checks,
+        reason: result.reason
+      });
+      
+      if (result.expired) {
+        console.log(chalk.yellow('\n⌛ Order expired without reaching its price'));
+      } else {
+        console.log(chalk.green(`\n✅ Order completed (${result.reason})`));
+      }
+      
+    } catch (error) {
+      perf.end('tokenSeller', false);
+      throw error;
+    }
+  }
+  
+  createOrder(preferences) {
+    return {
+      preferences,
+      outputMint: CONFIG.OUTPUT_TOKENS[preferences.outputToken],
+      limitPrice: preferences.limitPrice ?? null,
+      stopPrice: preferences.stopPrice ?? null,
+      deadline: this.getDeadline(),
+      checks: 0
+    };
+  }
+  
+  displayOrder(order) {
+    const { outputToken } = order.preferences;
+    const orderTable = new Table({
+      head: [chalk.cyan('Order'), chalk.cyan('Value')],
+      style: { head: [], border: [] }
+    });
+    
+    orderTable.push(
+      ['Amount', tokenAmount.formatAmount(order.preferences.sellAmount, 9)],
+      ['Sell When Price ≥', order.limitPrice === null ? '-' : `${order.limitPrice} ${outputToken}`],
+      ['Sell When Price ≤', order.stopPrice === null ? '-' : `${order.stopPrice} ${outputToken}`],
+      ['Check Interval', `${CONFIG.CHECK_INTERVAL_MINUTES} minutes`],
+      ['Expires', new Date(order.deadline).toLocaleString()]
+    );
+    
+    console.log(orderTable.toString());
+  }
+  
+  /**
+   * Single order check. Resolves with an outcome once the order filled or
+   * expired, otherwise null.
+   */
+  async orderTick(order, now = Date.now()) {
+    const { sellAmount, outputToken } = order.preferences;
+    
+    if (now >= order.deadline) {
+      this.executionSummary.expired = true;
+      log.info('Order expired', 'order_tick', { checks: order.checks, limitPrice: order.limitPrice, stopPrice: order.stopPrice });
+      return { reason: 'order expired', expired: true };
+    }
+    
+    let quote;
+    try {
+      quote = await this.quoteSale(order.outputMint, sellAmount.raw);
+    } catch (error) {
+      log.warn('Order quote failed', 'order_tick', { error: error.message });
+      console.log(chalk.red(`❌ Quote failed: ${error.message}`));
+      return null;
+    }
+    
+    order.checks++;
+    const trigger = this.evaluateOrder(order, quote.price);
+    
+    const minutesLeft = Math.max(0, (order.deadline - now) / 60000).toFixed(0);
+    console.log(chalk.gray(`📈 ${new Date(now).toLocaleTimeString()} price ${quote.price.toFixed(8)} ${outputToken} (${minutesLeft}m left)`));
+    log.info('Order check', 'order_tick', {
+      price: quote.price,
+      limitPrice: order.limitPrice,
+      stopPrice: order.stopPrice,
+      trigger
+    });
+    
+    if (!trigger) {
+      return null;
+    }
+    
+    console.log(chalk.yellow(`\n📤 Executing swap: ${trigger}`));
+    
+    const guarded = await this.applyImpactGuard(quote, sellAmount, order.outputMint);
+    if (!guarded.quote) {
+      return { reason: `${trigger}, sale deferred by price impact cap` };
+    }
+    const freshQuote = await this.ensureFreshQuote(guarded.quote, outputToken);
+    if (!freshQuote) {
+      return { reason: `${trigger}, sale deferred by price impact cap` };
+    }
+    
+    const result = await this.executeSwap(freshQuote);
+    this.recordTransaction(freshQuote, result);
+    this.executionSummary.success = true;
+    
+    return { reason: trigger, transactionId: result.transactionId };
+  }
+  
+  /**
+   * Which order threshold (if any) the price crossed
+   */
+  evaluateOrder({ limitPrice, stopPrice }, price) {
+    if (limitPrice !== null && price >= limitPrice) {
+      return `limit price reached (${price.toFixed(8)} ≥ ${limitPrice})`;
+    }
+    if (stopPrice !== null && price <= stopPrice) {
+      return `stop-loss triggered (${price.toFixed(8)} ≤ ${stopPrice})`;
+    }
+    return null;
+  }
+  
+  /**
+   * Sell the remaining amount (or the configured portion of it) right away
+   * after an emergency trigger fired. No confirmation is asked.
+   */
+  async executeEmergencySale(remainingAmount, evaluation, outputMint) {
+    const perf = performanceLogger.start('emergency_sale');
+    const sellAmount = this.emergencyTriggers.getEmergencySellAmount(remainingAmount);
+    const unsold = tokenAmount.subtractAmounts(remainingAmount, sellAmount);
+    
+    this.transitionTo('EMERGENCY_EXECUTION', {
+      trigger: evaluation.trigger,
+      reason: evaluation.reason,
+      remainingAmount: remainingAmount.ui,
+      sellAmount: sellAmount.ui,
+      unsoldAmount: unsold.ui
+    });
+    this.recordUnsold(unsold);
+    this.executionSummary.emergencyTrigger = {
+      trigger: evaluation.trigger,
+      reason: evaluation.reason
+    };
+    
+    this.notifier.notify('guard_triggered', {
+      sessionId: this.sessionId,
+      simulated: this.options.dryRun,
+      guard: 'emergency_trigger',
+      trigger: evaluation.trigger,
+      reason: evaluation.reason,
+      sellAmount: sellAmount.ui,
+      unsoldAmount: unsold.ui
+    });
+    
+    console.log(chalk.red.bold(`\n🚨 EMERGENCY TRIGGER: ${evaluation.reason}`));
+    
+    if (!tokenAmount.isZero(unsold)) {
+      console.log(chalk.yellow(`⚠️  Selling ${CONFIG.EMERGENCY_TRIGGERS.SELL_PORTION_PCT}% of the remainder; ${tokenAmount.formatAmount(unsold)} tokens stay unsold`));
+    }
+    
+    if (tokenAmount.isZero(sellAmount)) {
+      perf.end('tokenSeller', true, { sellAmount: sellAmount.ui });
+      console.log(chalk.yellow('⚠️  Nothing to sell for emergency execution'));
+      return null;
+    }
+    
+    try {
+      console.log(chalk.yellow(`📤 Selling ${tokenAmount.formatAmount(sellAmount)} tokens immediately...`));
+      
+      const result = await this.sellAtOnce(sellAmount, outputMint);
+      
+      if (!result) {
+        perf.end('tokenSeller', true, { sellAmount: sellAmount.ui, trigger: evaluation.trigger, deferred: true });
+        console.log(chalk.yellow('⏸️  Emergency sale deferred: price impact above cap'));
+        return null;
+      }
+      
+      perf.end('tokenSeller', true, { sellAmount: sellAmount.ui, trigger: evaluation.trigger });
+      console.log(chalk.green(`✅ Emergency sale executed: ${result.transactionId}`));
+      
+      return result;
+      
+    } catch (error) {
+      perf.end('tokenSeller', false, { sellAmount: sellAmount.ui, trigger: evaluation.trigger });
+      throw new Error(`Emergency sale failed: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Sell the remaining amount on request (the dashboard's "sell now"), through
+   * the price impact guard and without confirmation. Resolves with an outcome
+   * for the monitoring loop.
+   */
+  async sellRemainderNow(remainingAmount, outputMint) {
+    const perf = performanceLogger.start('sell_now');
+    
+    log.info('Sell now requested', 'sell_now', { remainingAmount: remainingAmount.ui, state: this.state });
+    console.log(chalk.yellow.bold(`\n⏩ Selling the remaining ${tokenAmount.formatAmount(remainingAmount)} tokens now...`));
+    this.nextStep = null;
+    
+    try {
+      const result = await this.sellAtOnce(remainingAmount, outputMint);
+      perf.end('tokenSeller', true, { sellAmount: remainingAmount.ui, deferred: !result });
+      
+      if (!result) {
+        console.log(chalk.yellow('⏸️  Sale deferred: price impact above cap'));
+        return { reason: 'sold on request, sale deferred by price impact cap' };
+      }
+      
+      console.log(chalk.green(`✅ Remainder sold: ${result.transactionId}`));
+      return { reason: 'sold on request', transactionId: result.transactionId };
+      
+    } catch (error) {
+      perf.end('tokenSeller', false, { sellAmount: remainingAmount.ui });
+      throw error;
+    }
+  }
+  
+  /**
+   * Quote, guard and swap an amount in one go. Resolves with the swap result,
+   * or null when the price impact cap held the whole amount back.
+   */
+  async sellAtOnce(sellAmount, outputMint) {
+    const optimalQuote = await this.quoteSale(outputMint, sellAmount.raw);
+    const guarded = await this.applyImpactGuard(optimalQuote, sellAmount, outputMint);
+    
+    if (!guarded.quote) {
+      return null;
+    }
+    
+    const quote = await this.ensureFreshQuote(guarded.quote, this.executionSummary.outputToken);
+    if (!quote) {
+      return null;
+    }
+    
+    const result = await this.executeSwap(quote);
+    
+    this.recordTransaction(quote, result);
+    this.executionSummary.success = true;
+    
+    return result;
+  }
+  
+  /**
+   * Enforce MAX_PRICE_IMPACT_PCT on a quote before swapping. Above the cap, search
+   * for the largest size that fits and either sell that now (deferring the rest)
+   * or hold the whole amount back. Interactive callers are asked; automated
+   * strategies follow PRICE_IMPACT_BREACH_ACTION.
+   * Resolves with { quote, declined }; quote is null when nothing should be sold.
+   */
+  async applyImpactGuard(quote, amount, outputMint, { interactive = false } = {}) {
+    if (jupiterService.isWithinImpactCap(quote)) {
+      return { quote, declined: false };
+    }
+    
+    const maxImpactPct = CONFIG.MAX_PRICE_IMPACT_PCT;
+    const action = CONFIG.PRICE_IMPACT_BREACH_ACTION ?? 'reduce';
+    
+    console.log(chalk.red(`\n⚠️  Price impact ${quote.priceImpactPct}% exceeds the ${maxImpactPct}% cap for ${tokenAmount.formatAmount(amount)} tokens`));
+    log.warn('Price impact cap breached', 'impact_guard', {
+      amountRaw: amount.raw,
+      priceImpact: quote.priceImpactPct,
+      maxImpactPct,
+      action,
+      interactive
+    });
+    this.notifier.notify('guard_triggered', {
+      sessionId: this.sessionId,
+      simulated: this.options.dryRun,
+      guard: 'price_impact',
+      reason: `Price impact ${quote.priceImpactPct}% exceeds the ${maxImpactPct}% cap`,
+      amount: amount.ui,
+      action
+    });
+    
+    if (action === 'abort') {
+      this.deferAmount(amount);
+      return { quote: null, declined: false };
+    }
+    
+    console.log(chalk.yellow('🔎 Searching for the largest size within the cap...'));
+    const reduced = await jupiterService.findMaxSizeWithinImpact(
+      this.inputMint,
+      outputMint,
+      amount.raw,
+      quote.slippageBps
+    );
+    
+    if (!reduced) {
+      console.log(chalk.red('❌ No size found within the price impact cap'));
+      this.deferAmount(amount);
+      return { quote: null, declined: false };
+    }
+    
+    const sellNow = tokenAmount.fromRaw(reduced.amount, amount.decimals, amount.mint);
+    const deferred = tokenAmount.subtractAmounts(amount, sellNow);
+    
+    const guardTable = new Table({
+      head: [chalk.cyan('Price Impact Guard'), chalk.cyan('Value')],
+      style: { head: [], border: [] }
+    });
+    guardTable.push(
+      ['Requested', `${tokenAmount.formatAmount(amount)} (${quote.priceImpactPct}% impact)`],
+      ['Sell Now', `${tokenAmount.formatAmount(sellNow)} (${reduced.quote.priceImpactPct}% impact)`],
+      ['Deferred', tokenAmount.formatAmount(deferred)]
+    );
+    console.log(guardTable.toString());
+    
+    if (interactive && !this.confirm(chalk.yellow(`\n🎯 Sell ${tokenAmount.formatAmount(sellNow)} now and defer the rest?`))) {
+      log.info('Reduced size declined', 'impact_guard', { sellNowRaw: sellNow.raw });
+      return { quote: null, declined: true };
+    }
+    
+    this.deferAmount(deferred);
+    log.info('Sale reduced to stay within price impact cap', 'impact_guard', {
+      sellNowRaw: sellNow.raw,
+      deferredRaw: deferred.raw,
+      priceImpact: reduced.quote.priceImpactPct
+    });
+    
+    return { quote: reduced.quote, declined: false };
+  }
+  
+  /**
+   * Requote if the quote is older than MAX_QUOTE_AGE_SECONDS and show how it
+   * moved. A fresh quote above the price impact cap goes back through
+   * applyImpactGuard (reduce or defer). Otherwise interactive callers are asked
+   * again when the minimum output got worse by more than REQUOTE_TOLERANCE_PCT;
+   * automated strategies continue with the fresh quote. Resolves with the quote
+   * to swap, or null if the user declined or the guard held the amount back.
+   */
+  async ensureFreshQuote(quote, outputToken, { interactive = false } = {}) {
+    const tolerancePct = CONFIG.REQUOTE_TOLERANCE_PCT ?? 0.5;
+    let current = quote;
+    
+    while (jupiterService.isQuoteStale(current)) {
+      const ageSeconds = ((Date.now() - current.timestamp) / 1000).toFixed(0);
+      console.log(chalk.yellow(`\n🔄 Quote is ${ageSeconds}s old (max ${CONFIG.MAX_QUOTE_AGE_SECONDS ?? 30}s), requoting...`));
+      
+      const fresh = await jupiterService.requote(current);
+      const change = jupiterService.compareQuotes(current, fresh);
+      const withinCap = jupiterService.isWithinImpactCap(fresh);
+      const worse = change.minimumOutputChangePct < -tolerancePct || !withinCap;
+      
+      this.displayQuoteChange(current, fresh, change, outputToken);
+      log.info('Stale quote refreshed', 'ensure_fresh_quote', {
+        ageSeconds: Number(ageSeconds),
+        ...change,
+        tolerancePct,
+        worse,
+        withinCap,
+        interactive
+      });
+      
+      if (!withinCap) {
+        const amount = tokenAmount.fromRaw(fresh.inAmount, fresh.inputDecimals, this.inputMint);
+        const guarded = await this.applyImpactGuard(fresh, amount, fresh.outputMint, { interactive });
+        return guarded.quote;
+      }
+      
+      if (!worse) {
+        return fresh;
+      }
+      
+      if (!interactive) {
+        console.log(chalk.yellow(`⚠️  Quote moved ${change.minimumOutputChangePct.toFixed(2)}% while stale; continuing with the fresh quote`));
+        return fresh;
+      }
+      
+      if (!this.confirm(chalk.yellow(`\n🎯 Minimum output changed ${change.minimumOutputChangePct.toFixed(2)}%. Execute at the new quote?`))) {
+        return null;
+      }
+      
+      // Check again: this answer may have taken long enough to go stale too
+      current = fresh;
+    }
+    
+    return current;
+  }
+  
+  /**
+   * Hold back an amount for a later run (e.g. via --resume)
+   */
+  deferAmount(amount) {
+    this.executionSummary.deferredRaw = (BigInt(this.executionSummary.deferredRaw) + BigInt(amount.raw)).toString();
+    this.executionSummary.deferredDecimals = amount.decimals;
+  }
+  
+  /**
+   * Keep the part of the remaining amount an emergency sale did not sell,
+   * so the strategy ending early does not hide it
+   */
+  recordUnsold(amount) {
+    if (tokenAmount.isZero(amount)) return;
+    this.executionSummary.unsoldRaw = (BigInt(this.executionSummary.unsoldRaw) + BigInt(amount.raw)).toString();
+    this.executionSummary.unsoldDecimals = amount.decimals;
+    this.journal.setUnsold(this.executionSummary.unsoldRaw);
+  }
+  
+  getUnsoldAmount() {
+    const { unsoldRaw, unsoldDecimals = 0 } = this.executionSummary;
+    return tokenAmount.fromRaw(unsoldRaw, unsoldDecimals, this.inputMint);
+  }
+  
+  hasUnsold() {
+    return BigInt(this.executionSummary.unsoldRaw) > 0n;
+  }
+  
+  getDeferredAmount() {
+    const { deferredRaw, deferredDecimals = 0 } = this.executionSummary;
+    return tokenAmount.fromRaw(deferredRaw, deferredDecimals, this.inputMint);
+  }
+  
+  hasDeferred() {
+    return BigInt(this.executionSummary.deferredRaw) > 0n;
+  }
+  
+  /**
+   * Nothing failed; everything that was not sold was deferred by the impact cap
+   */
+  isDeferredOnly() {
+    const summary = this.executionSummary;
+    return this.hasDeferred() && summary.transactionCount === 0 && !(summary.failedChunks?.length > 0);
+  }
+  
+  /**
+   * Hard deadline for the session's sell window
+   */
+  getDeadline() {
+    return this.startTime + CONFIG.SELL_TIMEOUT_HOURS * 60 * 60 * 1000;
+  }
+  
+  /**
+   * Swap through the active executor, journaling the in-flight swap
+   */
+  async executeSwap(quote) {
+    this.journal.setPendingSwap({
+      inAmount: quote.inAmount,
+      outAmount: quote.outAmount,
+      inputMint: quote.inputMint,
+      outputMint: quote.outputMint
+    });
+    
+    const before = await this.takeBalanceSnapshot(quote);
+    let result;
+    try {
+      result = await this.swapExecutor.executeSwap(quote.quoteResponse, true);
+    } catch (error) {
+      this.notifier.notify('swap_failed', {
+        sessionId: this.sessionId,
+        simulated: this.options.dryRun,
+        inputMint: quote.inputMint,
+        outputMint: quote.outputMint,
+        inAmountUi: quote.inAmountUi,
+        error: error.message
+      });
+      throw error;
+    }
+    
+    const reconciliation = before && await this.reconcileSwap(quote, result, before);
+    return reconciliation
+      ? { ...result, realizedOutAmount: reconciliation.realizedOutAmount, reconciliation }
+      : result;
+  }
+  
+  /**
+   * Raw input and output balances around a swap. Dry runs read the simulator's
+   * virtual balances. Resolves null when unreadable so the swap still goes ahead.
+   */
+  async takeBalanceSnapshot(quote) {
+    const source = this.swapExecutor.getBalanceSnapshot ? this.swapExecutor : walletService;
+    
+    try {
+      return await source.getBalanceSnapshot([quote.inputMint, quote.outputMint]);
+    } catch (error) {
+      log.warn('Balance snapshot failed, swap will not be reconciled', 'balance_snapshot', {
+        inputMint: quote.inputMint,
+        outputMint: quote.outputMint,
+        error: error.message
+      });
+      return null;
+    }
+  }
+  
+  /**
+   * Compare post-swap balances with the pre-swap snapshot. Balances can lag the
+   * swap, so an unchanged input balance is read again up to RECONCILE_MAX_ATTEMPTS times.
+   * Never throws: the swap has already happened.
+   */
+  async reconcileSwap(quote, result, before) {
+    const maxAttempts = CONFIG.RECONCILE_MAX_ATTEMPTS ?? 3;
+    
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const after = await this.takeBalanceSnapshot(quote);
+      
+      if (after && BigInt(after[quote.inputMint]) < BigInt(before[quote.inputMint])) {
+        const reconciliation = jupiterService.reconcileSwap(quote, before, after, result.feeCollection);
+        
+        const realizedInUi = tokenAmount.rawToUi(reconciliation.realizedInAmount, quote.inputDecimals);
+        const realizedOutUi = tokenAmount.rawToUi(reconciliation.realizedOutAmount, quote.outputDecimals);
+        
+        log.info('Swap reconciled', 'reconcile_swap', {
+          sessionId: this.sessionId,
+          transactionId: result.transactionId,
+          inputMint: quote.inputMint,
+          outputMint: quote.outputMint,
+          quotedOutAmount: quote.outAmount,
+          minimumOutput: quote.minimumOutput,
+          ...reconciliation,
+          realizedInAmountUi: realizedInUi,
+          realizedOutAmountUi: realizedOutUi,
+          realizedPrice: realizedInUi === 0 ? 0 : realizedOutUi / realizedInUi
+        });
+        if (reconciliation.belowMinimum) {
+          log.warn('Realized output below quoted minimum', 'reconcile_swap', {
+            transactionId: result.transactionId,
+            realizedOutAmount: reconciliation.realizedOutAmount,
+            minimumOutput: quote.minimumOutput
+          });
+          this.notifier.notify('guard_triggered', {
+            sessionId: this.sessionId,
+            simulated: this.options.dryRun,
+            guard: 'minimum_output',
+            reason: `Realized output ${realizedOutUi} below the quoted minimum ${quote.minimumOutputUi}`,
+            transactionId: result.transactionId
+          });
+        }
+        return reconciliation;
+      }
+      
+      if (attempt < maxAttempts) {
+        await this.sleep(CONFIG.RECONCILE_RETRY_DELAY_MS ?? 2000);
+      }
+    }
+    
+    log.warn('Swap not visible in balances, falling back to the quoted output', 'reconcile_swap', {
+      transactionId: result.transactionId,
+      attempts: maxAttempts
+    });
+    return null;
+  }
+  
+  /**
+   * Add a completed swap to the execution summary and refresh the average price
+   */
+  recordTransaction(quote, result) {
+    // Prefer the realized fill when the executor reports one
+    const outAmountRaw = result.realizedOutAmount ?? quote.outAmount;
+    
+    const entry = {
+      ...result,
+      timestamp: new Date().toISOString(),
+      inputMint: quote.inputMint,
+      outputMint: quote.outputMint,
+      inputDecimals: quote.inputDecimals,
+      outputDecimals: quote.outputDecimals,
+      inAmount: quote.inAmount,
+      outAmount: quote.outAmount,
+      inAmountUi: quote.inAmountUi,
+      outAmountUi: quote.outAmountUi,
+      minimumOutput: quote.minimumOutput,
+      realizedOutAmount: outAmountRaw,
+      realizedOutAmountUi: tokenAmount.rawToUi(outAmountRaw, quote.outputDecimals),
+      price: quote.price
+    };
+    
+    this.applyTransaction({ ...entry, quoteResponse: quote.quoteResponse || quote });
+    this.journal.recordTransaction(entry);
+    
+    this.notifier.notify('swap_succeeded', {
+      sessionId: this.sessionId,
+      simulated: Boolean(entry.simulated),
+      transactionId: entry.transactionId,
+      inputMint: entry.inputMint,
+      outputMint: entry.outputMint,
+      inAmountUi: entry.inAmountUi,
+      outAmountUi: entry.realizedOutAmountUi,
+      quotedOutAmountUi: entry.outAmountUi,
+      outputToken: this.executionSummary.outputToken,
+      solscanUrl: entry.simulated ? null : `https://solscan.io/tx/${entry.transactionId}`
+    });
+  }
+  
+  /**
+   * Fold a transaction entry into the execution summary totals
+   */
+  applyTransaction(entry) {
+    const summary = this.executionSummary;
+    
+    summary.totalTokensSoldRaw = (BigInt(summary.totalTokensSoldRaw) + BigInt(entry.inAmount)).toString();
+    summary.totalReceivedRaw = (BigInt(summary.totalReceivedRaw) + BigInt(entry.realizedOutAmount)).toString();
+    summary.totalQuotedRaw = (BigInt(summary.totalQuotedRaw) + BigInt(entry.outAmount)).toString();
+    summary.totalTokensSold = tokenAmount.rawToUi(summary.totalTokensSoldRaw, entry.inputDecimals);
+    summary.totalReceived = tokenAmount.rawToUi(summary.totalReceivedRaw, entry.outputDecimals);
+    summary.totalQuoted = tokenAmount.rawToUi(summary.totalQuotedRaw, entry.outputDecimals);
+    if (entry.reconciliation?.belowMinimum) {
+      summary.belowMinimumCount += 1;
+    }
+    summary.transactionCount += 1;
+    summary.feesPaid += entry.feeCollection?.feeAmount || 0;
+    summary.transactions.push(entry);
+    
+    // Volume-weighted: total output over total input across all swaps, in UI units
+    summary.averagePrice = summary.totalTokensSold === 0 ? 0 : summary.totalReceived / summary.totalTokensSold;
+  }
+  
+  /**
+   * Sleep utility for delays between chunks
+   */
+  sleep(ms) {
+    // Controlled runs wake up early when cancelled or asked to sell now
+    if (this.options.control) {
+      return this.options.control.sleep(ms);
+    }
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Display quote information
+   */
+  displayQuoteInfo(quote, outputToken) {
+    const quoteTable = new Table({
+      head: [chalk.cyan('Metric'), chalk.cyan('Value')],
+      style: { head: [], border: [] }
+    });
+    
+    quoteTable.push(
+      ['Input Amount', tokenAmount.formatAmount(quote.inAmountUi, quote.inputDecimals)],
+      ['Est. Output', `${tokenAmount.formatAmount(quote.outAmountUi, quote.outputDecimals)} ${outputToken}`],
+      ['Min. Output', `${tokenAmount.formatAmount(quote.minimumOutputUi, quote.outputDecimals)} ${outputToken}`],
+      ['Price', `${quote.price.toFixed(8)} ${outputToken} per token`],
+      ['Price Impact', `${quote.priceImpactPct}%`],
+      ['Route Length', quote.routeLength],
+      ['Slippage', `${quote.slippageBps / 100}%`]
+    );
+    
+    console.log(quoteTable.toString());
+  }
+  
+  /**
+   * Side-by-side view of a stale quote and its refresh
+   */
+  displayQuoteChange(original, fresh, change, outputToken) {
+    const formatPct = (pct) => `${pct >= 0 ? '+' : ''}${pct.toFixed(2)}%`;
+    const colorPct = (pct, text) => (pct < 0 ? chalk.red(text) : chalk.green(text));
+    
+    const changeTable = new Table({
+      head: ['Metric', 'Quoted', 'Now', 'Change'].map(h => chalk.cyan(h)),
+      style: { head: [], border: [] }
+    });
+    
+    changeTable.push(
+      ['Est. Output',
+        `${tokenAmount.formatAmount(original.outAmountUi, original.outputDecimals)} ${outputToken}`,
+        `${tokenAmount.formatAmount(fresh.outAmountUi, fresh.outputDecimals)} ${outputToken}`,
+        colorPct(change.outAmountChangePct, formatPct(change.outAmountChangePct))],
+      ['Min. Output',
+        `${tokenAmount.formatAmount(original.minimumOutputUi, original.outputDecimals)} ${outputToken}`,
+        `${tokenAmount.formatAmount(fresh.minimumOutputUi, fresh.outputDecimals)} ${outputToken}`,
+        colorPct(change.minimumOutputChangePct, formatPct(change.minimumOutputChangePct))],
+      ['Price Impact',
+        `${original.priceImpactPct}%`,
+        `${fresh.priceImpactPct}%`,
+        colorPct(-change.priceImpactChange, `${change.priceImpactChange >= 0 ? '+' : ''}${change.priceImpactChange.toFixed(4)} pts`)]
+    );
+    
+    console.log(changeTable.toString());
+  }
+  
+  /**
+   * Ranked slippage candidates with the reason for each position
+   */
+  displayQuoteRanking(ranked, outputToken) {
+    const rankingTable = new Table({
+      head: ['Rank', 'Slippage', 'Est. Output', 'Min. Output', 'Impact', 'Reason'].map(h => chalk.cyan(h)),
+      style: { head: [], border: [] }
+    });
+    
+    ranked.forEach(quote => rankingTable.push([
+      quote.rank === 1 ? chalk.green('1 ✓') : quote.rank,
+      `${quote.slippageBps / 100}%`,
+      `${tokenAmount.formatAmount(quote.outAmountUi, quote.outputDecimals)} ${outputToken}`,
+      `${tokenAmount.formatAmount(quote.minimumOutputUi, quote.outputDecimals)} ${outputToken}`,
+      `${quote.priceImpactPct}%`,
+      quote.rankReason
+    ]));
+    
+    console.log(chalk.blue.bold('\n📊 Quote Ranking'));
+    console.log(rankingTable.toString());
+  }
+  
+  /**
+   * Output tokens ranked by the value of their minimum output
+   */
+  displayOutputComparison(ranked) {
+    const valuationToken = CONFIG.VALUATION_TOKEN ?? 'USDC';
+    const comparisonTable = new Table({
+      head: ['Rank', 'Output', 'Min. Output', `Value (${valuationToken})`, 'Impact', 'Reason'].map(h => chalk.cyan(h)),
+      style: { head: [], border: [] }
+    });
+    
+    ranked.forEach(row => comparisonTable.push([
+      row.rank === 1 ? chalk.green('1 ✓') : row.rank,
+      row.outputToken,
+      row.quote ? tokenAmount.formatAmount(row.quote.minimumOutputUi, row.quote.outputDecimals) : '-',
+      row.quote ? tokenAmount.formatAmount(row.value, 6) : '-',
+      row.quote ? `${row.quote.priceImpactPct}%` : '-',
+      row.quote ? row.reason : chalk.red(row.reason)
+    ]));
+    
+    console.log(chalk.blue.bold('\n⚖️  Output Token Comparison'));
+    console.log(comparisonTable.toString());
+  }
+  
+  /**
+   * Mark the session completed and archive its journal. Sessions with a
+   * deferred amount stay journaled so the rest can be sold with --resume.
+   */
+  completeSession() {
+    this.transitionTo('COMPLETED');
+    if (this.hasDeferred()) {
+      this.journal.markDeferred(this.executionSummary.deferredRaw);
+    } else {
+      this.journal.complete();
+    }
+    this.endTime = Date.now();
+  }
+  
+  /**
+   * Journal the interruption on SIGINT and print a resume hint
+   */
+  handleInterrupt() {
+    if (this.journal.isStarted()) {
+      this.journal.markInterrupted();
+      console.log(chalk.yellow('♻️  Session journaled. Continue with: node src/index.js --resume'));
+    }
+  }
+  
+  /**
+   * Display execution summary
+   */
+  async displayExecutionSummary() {
+    this.completeSession();
+    
+    const simulated = this.executionSummary.simulated;
+    
+    console.log(chalk.blue.bold(`\n📊 EXECUTION SUMMARY${simulated ? chalk.magenta(' (SIMULATED - DRY RUN)') : ''}`));
+    console.log(chalk.blue.bold('═'.repeat(50)));
+    
+    const summaryTable = new Table({
+      head: [chalk.cyan('Metric'), chalk.cyan('Value')],
+      style: { head: [], border: [] }
     });
     
     const executionTime = ((this.endTime - this.startTime) / 1000 / 60).toFixed(2);
     
     summaryTable.push(
-      ['Status', this.executionSummary.success ? chalk.green('✅ SUCCESS') : chalk.red('❌ FAILED')],
-      ['Tokens Sold', this.executionSummary.totalTokensSold.toLocaleString()],
-      ['Total Received', `${this.executionSummary.totalReceived.toLocaleString()} ${this.executionSummary.transactions[0]?.quoteResponse?.outputMint}`],
-      ['Average Price', this.executionSummary.averagePrice.toFixed(8)],
+      ['Status', this.executionSummary.success ?
+        chalk.green(simulated ? '🧪 SIMULATED SUCCESS' : '✅ SUCCESS') :
+        this.isDeferredOnly() ? chalk.yellow('⏸️  DEFERRED') :
+        this.executionSummary.expired ? chalk.yellow('⌛ EXPIRED') : chalk.red('❌ FAILED')],
+      ['Tokens Sold', tokenAmount.formatAmount(this.executionSummary.totalTokensSold, 9)],
+      ['Total Received', `${tokenAmount.formatAmount(this.executionSummary.totalReceived, 9)} ${this.executionSummary.outputToken || ''}`],
+      ...this.getRealizedRows(),
+      ['Average Price', `${this.executionSummary.averagePrice.toFixed(8)} ${this.executionSummary.outputToken || ''} per token`],
       ['Transactions', this.executionSummary.transactionCount],
-      ['Fees Paid', `${this.executionSummary.feesPaid} SOL`],
+      ['Emergency Trigger', this.executionSummary.emergencyTrigger ?
+        chalk.red(this.executionSummary.emergencyTrigger.reason) : 'None'],
+      ['Fees Paid', `${tokenAmount.formatAmount(this.executionSummary.feesPaid, 9)} SOL`],
       ['Execution Time', `${executionTime} minutes`]
     );
     
+    if (this.executionSummary.belowMinimumCount > 0) {
+      summaryTable.push(['Below Min. Output', chalk.red(`⚠️  ${this.executionSummary.belowMinimumCount} swap(s)`)]);
+    }
+    
+    if (this.hasDeferred()) {
+      summaryTable.push(['Deferred (Impact Cap)', chalk.yellow(tokenAmount.formatAmount(this.getDeferredAmount(), 9))]);
+    }
+    
+    if (this.hasUnsold()) {
+      summaryTable.push(['Unsold (Emergency Portion)', chalk.yellow(tokenAmount.formatAmount(this.getUnsoldAmount(), 9))]);
+    }
+    
     console.log(summaryTable.toString());
     
+    const twap = this.executionSummary.twap;
+    if (twap && twap.executedSlices > 0) {
+      const twapTable = new Table({
+        head: [chalk.cyan('TWAP'), chalk.cyan('Value')],
+        style: { head: [], border: [] }
+      });
+      const output = this.executionSummary.outputToken;
+      
+      twapTable.push(
+        ['Arrival Price', `${twap.arrivalPrice.toFixed(8)} ${output}`],
+        ['Achieved (Volume-Weighted)', `${twap.achievedPrice.toFixed(8)} ${output}`],
+        ['Time-Weighted Slice Price', `${twap.timeWeightedPrice.toFixed(8)} ${output}`],
+        ['vs Arrival', (twap.vsArrivalBps >= 0 ? chalk.green : chalk.red)(`${twap.vsArrivalBps >= 0 ? '+' : ''}${twap.vsArrivalBps} bps`)],
+        ['Slices', `${twap.executedSlices}/${twap.plannedSlices} over ${twap.durationMinutes} minutes`]
+      );
+      
+      console.log(twapTable.toString());
+    }
+    
+    if (this.hasDeferred() && !simulated) {
+      console.log(chalk.yellow('♻️  Deferred amount journaled. Sell it later with: node src/index.js --resume'));
+    }
+    
     if (this.executionSummary.transactions && this.executionSummary.transactions.length > 0) {
       console.log(chalk.gray('\n🔗 Transaction IDs:'));
       this.executionSummary.transactions.forEach((tx, i) => {
         console.log(chalk.blue(`  ${i + 1}. ${tx.transactionId}`));
-        console.log(chalk.gray(`     https://solscan.io/tx/${tx.transactionId}`));
+        if (!tx.simulated) {
+          console.log(chalk.gray(`     https://solscan.io/tx/${tx.transactionId}`));
+        }
+        if (tx.reconciliation?.belowMinimum) {
+          console.log(chalk.red(`     ⚠️  Received ${tokenAmount.formatAmount(tx.realizedOutAmountUi, tx.outputDecimals)}, below the quoted minimum of ${tokenAmount.formatAmount(tokenAmount.rawToUi(tx.minimumOutput, tx.outputDecimals), tx.outputDecimals)}`));
+        }
+      });
+    }
+    
+    if (simulated) {
+      const balances = await this.swapExecutor.getBalanceSummary();
+      this.executionSummary.virtualBalances = balances;
+      
+      const balanceTable = new Table({
+        head: [chalk.cyan('Mint'), chalk.cyan('Virtual Balance')],
+        style: { head: [], border: [] }
       });
+      balances.forEach(({ mint, ui }) => balanceTable.push([walletService.formatAddress(mint), tokenAmount.formatAmount(ui, 9)]));
+      
+      console.log(chalk.magenta('\n🧪 Virtual balances after simulation:'));
+      console.log(balanceTable.toString());
+    }
+    
+    log.info('Execution completed', 'execution_summary', {
+      sessionId: this.sessionId,
+      status: this.getSessionStatus(),
+      strategy: this.preferences?.strategy,
+      ...this.executionSummary
+    });
+    this.notifySessionCompleted(this.getSessionStatus());
+    
+    this.writeReport();
+  }
+  
+  /**
+   * Summary rows comparing the realized output with what the quotes promised
+   */
+  getRealizedRows() {
+    const { totalQuotedRaw, totalReceivedRaw, totalQuoted, outputToken } = this.executionSummary;
+    if (BigInt(totalQuotedRaw) === 0n) {
+      return [];
+    }
+    
+    const realizedPct = Number((BigInt(totalReceivedRaw) - BigInt(totalQuotedRaw)) * 1000000n / BigInt(totalQuotedRaw)) / 10000;
+    const label = `${realizedPct >= 0 ? '+' : ''}${realizedPct.toFixed(2)}%`;
+    
+    return [
+      ['Quoted Output', `${tokenAmount.formatAmount(totalQuoted, 9)} ${outputToken || ''}`],
+      ['Realized vs Quote', realizedPct >= 0 ? chalk.green(label) : chalk.yellow(label)]
+    ];
+  }
+  
+  /**
+   * Final status as written to reports
+   */
+  getSessionStatus() {
+    const { success, cancelled, expired } = this.executionSummary;
+    if (success) return 'SUCCESS';
+    if (cancelled) return 'CANCELLED';
+    if (expired) return 'EXPIRED';
+    if (this.isDeferredOnly()) return 'DEFERRED';
+    return 'FAILED';
+  }
+  
+  /**
+   * Accounting view of this session: preferences, totals and every swap
+   */
+  buildReport(status = this.getSessionStatus()) {
+    const summary = this.executionSummary;
+    
+    return {
+      sessionId: this.sessionId,
+      status,
+      simulated: summary.simulated,
+      inputMint: this.inputMint,
+      walletAddress: CONFIG.WALLET_PUBLIC_KEY,
+      preferences: this.preferences ?? null,
+      startTime: new Date(this.startTime).toISOString(),
+      endTime: new Date(this.endTime ?? Date.now()).toISOString(),
+      totals: {
+        tokensSoldRaw: summary.totalTokensSoldRaw,
+        tokensSold: summary.totalTokensSold,
+        receivedRaw: summary.totalReceivedRaw,
+        received: summary.totalReceived,
+        quotedRaw: summary.totalQuotedRaw,
+        quoted: summary.totalQuoted,
+        belowMinimumCount: summary.belowMinimumCount,
+        outputToken: summary.outputToken,
+        averagePrice: summary.averagePrice,
+        transactionCount: summary.transactionCount,
+        feesPaid: summary.feesPaid,
+        deferredRaw: summary.deferredRaw,
+        unsoldRaw: summary.unsoldRaw
+      },
+      emergencyTrigger: summary.emergencyTrigger ?? null,
+      failedChunks: summary.failedChunks ?? [],
+      twap: summary.twap ?? null,
+      orderOutcome: summary.orderOutcome ?? null,
+      outputComparison: summary.outputComparison ?? null,
+      transactions: summary.transactions
+    };
+  }
+  
+  /**
+   * Write the JSON + CSV report for this session to REPORTS_DIR
+   */
+  writeReport(status) {
+    const paths = reportService.writeSessionReport(this.buildReport(status));
+    
+    if (paths) {
+      console.log(chalk.gray(`\n🧾 Report saved: ${paths.jsonPath} and ${paths.csvPath}`));
+    } else {
+      console.log(chalk.yellow('\n⚠️  Could not write the execution report (see logs)'));
     }
+    return paths;
+  }
+  
+  /**
+   * Send session_completed with the session totals
+   */
+  notifySessionCompleted(status, data = {}) {
+    const summary = this.executionSummary;
+    this.notifier.notify('session_completed', {
+      sessionId: this.sessionId,
+      simulated: summary.simulated,
+      status,
+      strategy: this.preferences?.strategy,
+      tokensSold: summary.totalTokensSold,
+      received: summary.totalReceived,
+      outputToken: summary.outputToken,
+      transactionCount: summary.transactionCount,
+      ...data
+    });
+  }
+  
+  /**
+   * A daemon job was cancelled: stop between swaps and report what was sold
+   */
+  async handleCancellation() {
+    console.log(chalk.red('❌ Job cancelled'));
+    log.info('Session cancelled', 'cancel', { sessionId: this.sessionId, transactionCount: this.executionSummary.transactionCount });
     
-    log.info('Execution completed', 'execution_summary', this.executionSummary);
+    this.executionSummary.cancelled = true;
+    await this.displayExecutionSummary();
+    return EXIT_CODES.SUCCESS;
   }
   
   /**
    * Handle critical errors
    */
   async handleCriticalError(error) {
-    log.error('Critical error occurred', 'critical_error', error);
+    log.error('Critical error occurred', 'critical_error', error, { sessionId: this.sessionId });
     
     console.log(chalk.red.bold('\n❌ CRITICAL ERROR'));
     console.log(chalk.red('═'.repeat(50)));
     console.log(chalk.red(`Error: ${error.message}`));
     
     this.executionSummary.success = false;
+    this.executionSummary.error = error.message;
     this.endTime = Date.now();
     
+    this.journal.markFailed(error);
+    if (this.journal.isStarted()) {
+      // Swaps may already have landed; accounting still needs them
+      this.writeReport('FAILED');
+      console.log(chalk.yellow(`\n♻️  Session journaled. Continue with: node src/index.js --resume`));
+    }
+    
     console.log(chalk.yellow('\n💡 Troubleshooting suggestions:'));
     console.log(chalk.gray('1. Check API server is running'));
     console.log(chalk.gray('2. Verify wallet has sufficient balance'));
     console.log(chalk.gray('3. Check network connectivity'));
     console.log(chalk.gray('4. Review logs for detailed error information'));
     
-    process.exit(1);
+    this.notifySessionCompleted('FAILED', { error: error.message });
+    await this.notifier.flush();
+    
+    const exitCode = error.exitCode ?? EXIT_CODES.UNEXPECTED_ERROR;
+    if (!this.options.exitOnError) {
+      return exitCode;
+    }
+    process.exit(exitCode);
   }
 }
 
 // Main execution
 async function main() {
-  const tokenSeller = new TokenSeller();
-  await tokenSeller.run();
+  let args;
+  let headlessPreferences;
+  let portfolioPlan;
+  let historyOptions;
+  
+  try {
+    args = parseArgs();
+    historyOptions = resolveHistoryOptions(args);
+    portfolioPlan = resolvePortfolioPlan(args);
+    headlessPreferences = resolveHeadlessPreferences(args);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    console.log(USAGE);
+    process.exit(error.exitCode ?? EXIT_CODES.VALIDATION_FAILURE);
+  }
+  
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  
+  if (historyOptions) {
+    logAnalyticsService.displayReport(logAnalyticsService.analyze(historyOptions));
+    return;
+  }
+  
+  if (portfolioPlan) {
+    activeSeller = new PortfolioSeller({
+      plan: portfolioPlan,
+      createSeller: options => new TokenSeller(options),
+      assumeYes: Boolean(args.yes),
+      dryRun: Boolean(args['dry-run']),
+      pessimisticFill: Boolean(args['pessimistic-fill'])
+    });
+    process.exitCode = await activeSeller.run();
+    return;
+  }
+  
+  // The dashboard needs a terminal for both its screen and its keys
+  const dashboard = Boolean(args.dashboard) && Boolean(process.stdout.isTTY && process.stdin.isTTY);
+  if (args.dashboard && !dashboard) {
+    console.log(chalk.yellow('⚠️  --dashboard needs an interactive terminal. Showing plain output.'));
+  }
+  
+  activeSeller = new TokenSeller({
+    headlessPreferences,
+    assumeYes: Boolean(args.yes),
+    dryRun: Boolean(args['dry-run']),
+    pessimisticFill: Boolean(args['pessimistic-fill']),
+    resume: Boolean(args.resume),
+    dashboard
+  });
+  process.exitCode = await activeSeller.run();
 }
 
-// Handle process signals
-process.on('SIGINT', () => {
-  console.log(chalk.yellow('\n\n⚠️  Process interrupted by user'));
-  console.log(chalk.gray('Goodbye!'));
-  process.exit(0);
-});
+// Seller of the current process, so signal handlers can journal its state
+let activeSeller = null;
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error(chalk.red('Unhandled Rejection at:'), promise, chalk.red('reason:'), reason);
-  process.exit(1);
-});
-
-// Run the application
+// Run the application. Signal handlers are only installed here, so the daemon
+// (which requires this module) keeps its own.
 if (require.main === module) {
+  process.on('SIGINT', () => {
+    console.log(chalk.yellow('\n\n⚠️  Process interrupted by user'));
+    activeSeller?.handleInterrupt();
+    console.log(chalk.gray('Goodbye!'));
+    process.exit(0);
+  });
+  
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error(chalk.red('Unhandled Rejection at:'), promise, chalk.red('reason:'), reason);
+    process.exit(1);
+  });
+  
   main().catch(error => {
     console.error(chalk.red('Fatal error:'), error.message);
     process.exit(1);
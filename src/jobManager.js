@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { CONFIG } = require('./config');
+const { createLogger } = require('./utils/logger');
+const { EmergencyTriggerService } = require('./services/emergencyTriggerService');
+const { SessionJournal } = require('./services/sessionJournal');
+const { JobStore } = require('./services/jobStore');
+const { reportService } = require('./services/reportService');
+const { JobControl } = require('./utils/jobControl');
+const { EXIT_CODES, createValidationError } = require('./utils/cliArgs');
+const { addressProblem } = require('./utils/solanaKeys');
+
+const log = createLogger('jobManager');
+
+const JOB_STATUS = {
+  QUEUED: 'QUEUED',
+  RUNNING: 'RUNNING',
+  PAUSED: 'PAUSED',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED'
+};
+
+// Fields a job request may carry, named like the --plan file
+const REQUEST_FIELDS = ['mint', 'amount', 'outputToken', 'strategy', 'slippageBps', 'limitPrice', 'stopPrice', 'durationMinutes', 'dryRun'];
+
+/**
+ * Error carrying the HTTP status the control API answers with
+ */
+const createJobError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Runs sell jobs for the daemon. Each job is one headless TokenSeller with its
+ * own journal and emergency triggers; at most DAEMON_MAX_CONCURRENT_JOBS run
+ * at once and the rest wait in submission order. Jobs are persisted through
+ * JobStore, so a restart picks up queued jobs and resumes interrupted ones
+ * from their journal.
+ */
+class JobManager {
+  /**
+   * @param {Object} options
+   * @param {Function} options.createSeller - Factory building a TokenSeller from its options
+   * @param {JobStore} options.store - Job persistence override
+   * @param {number} options.maxConcurrent - Jobs running at once
+   * @param {boolean} options.dryRun - Simulate every job, whatever it asks for
+   */
+  constructor(options = {}) {
+    this.createSeller = options.createSeller;
+    this.store = options.store ?? new JobStore();
+    this.maxConcurrent = options.maxConcurrent ?? CONFIG.DAEMON_MAX_CONCURRENT_JOBS ?? 1;
+    this.dryRun = options.dryRun ?? false;
+    this.jobs = new Map();
+    this.active = new Map(); // jobId → { seller, control, run }
+  }
+
+  /**
+   * Load persisted jobs and start whatever can run. Jobs that were running
+   * when the daemon stopped are queued again and resume from their journal.
+   */
+  recover() {
+    this.store.loadAll().forEach(job => {
+      this.jobs.set(job.id, job);
+
+      if (job.status !== JOB_STATUS.RUNNING) return;
+
+      // The session finished but the daemon stopped before recording it
+      const archived = this.store.archivedJournalPath(job.id, job.sessionId ?? job.id);
+      if (fs.existsSync(archived)) {
+        const journal = JSON.parse(fs.readFileSync(archived, 'utf8'));
+        this.update(job, {
+          status: JOB_STATUS.COMPLETED,
+          sessionStatus: journal.status,
+          finishedAt: journal.updatedAt,
+          transactions: journal.transactions.map(tx => reportService.toReportTransaction(tx))
+        });
+        log.info('Job completed before the restart', 'recover', { jobId: job.id });
+        return;
+      }
+
+      this.update(job, { status: JOB_STATUS.QUEUED, recovered: true });
+      log.info('Interrupted job queued for resume', 'recover', { jobId: job.id });
+    });
+
+    log.info('Jobs recovered', 'recover', {
+      total: this.jobs.size,
+      queued: [...this.jobs.values()].filter(job => job.status === JOB_STATUS.QUEUED).length
+    });
+    this.schedule();
+  }
+
+  /**
+   * Validate a job request and queue it. Throws a validation error (exitCode 2) for bad input.
+   */
+  submit(request = {}) {
+    const unknown = Object.keys(request).filter(field => !REQUEST_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw createValidationError(`Unknown job field(s): ${unknown.join(', ')}. Use ${REQUEST_FIELDS.join(', ')}.`);
+    }
+
+    const mint = request.mint ?? CONFIG.TARGET_TOKEN_MINT;
+    const mintProblem = typeof mint === 'string' ? addressProblem(mint) : 'not a string';
+    if (mintProblem) {
+      throw createValidationError(`Invalid mint ${mint} (${mintProblem})`);
+    }
+
+    const headlessPreferences = {
+      tokenAmount: request.amount,
+      outputToken: request.outputToken,
+      strategy: request.strategy,
+      maxSlippage: request.slippageBps,
+      limitPrice: request.limitPrice,
+      stopPrice: request.stopPrice,
+      durationMinutes: request.durationMinutes
+    };
+    const dryRun = this.dryRun || request.dryRun === true;
+
+    // Same checks as --amount/--output/... on the command line
+    const preferences = this.createSeller({ headlessPreferences, assumeYes: true, inputMint: mint, dryRun })
+      .parseHeadlessPreferences(headlessPreferences);
+    if (CONFIG.OUTPUT_TOKENS[preferences.outputToken] === mint) {
+      throw createValidationError(`Cannot sell ${preferences.outputToken} for itself`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: `job-${now.replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`,
+      status: JOB_STATUS.QUEUED,
+      mint,
+      dryRun,
+      headlessPreferences,
+      preferences,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      sessionId: null,
+      sessionStatus: null,
+      state: null,
+      error: null,
+      totals: null,
+      transactions: []
+    };
+
+    this.jobs.set(job.id, job);
+    this.store.save(job);
+    log.info('Job submitted', 'submit', { jobId: job.id, mint, dryRun, preferences });
+
+    this.schedule();
+    return this.toView(job);
+  }
+
+  list() {
+    return [...this.jobs.values()].map(job => this.toView(job));
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw createJobError(404, `Job ${jobId} not found`);
+    }
+    return job;
+  }
+
+  get(jobId) {
+    return this.toView(this.getJob(jobId));
+  }
+
+  /**
+   * Transactions of a job, live while it runs
+   */
+  transactions(jobId) {
+    const job = this.getJob(jobId);
+    const active = this.active.get(jobId);
+
+    return active
+      ? active.seller.executionSummary.transactions.map(tx => reportService.toReportTransaction(tx))
+      : job.transactions;
+  }
+
+  /**
+   * Queued jobs wait; running jobs stop at their next checkpoint between swaps
+   */
+  pause(jobId) {
+    const job = this.getJob(jobId);
+    this.assertStatus(job, [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING], 'pause');
+
+    this.active.get(jobId)?.control.pause();
+    this.update(job, { status: JOB_STATUS.PAUSED });
+    log.info('Job paused', 'pause', { jobId });
+    return this.toView(job);
+  }
+
+  resume(jobId) {
+    const job = this.getJob(jobId);
+    this.assertStatus(job, [JOB_STATUS.PAUSED], 'resume');
+
+    const active = this.active.get(jobId);
+    if (active) {
+      active.control.resume();
+      this.update(job, { status: JOB_STATUS.RUNNING });
+    } else {
+      this.update(job, { status: JOB_STATUS.QUEUED });
+      this.schedule();
+    }
+    log.info('Job resumed', 'resume', { jobId });
+    return this.toView(job);
+  }
+
+  /**
+   * Jobs that have not started are cancelled at once. A running job finishes
+   * its current swap and is CANCELLED at its next checkpoint.
+   */
+  cancel(jobId) {
+    const job = this.getJob(jobId);
+    this.assertStatus(job, [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING, JOB_STATUS.PAUSED], 'cancel');
+
+    const active = this.active.get(jobId);
+    if (active) {
+      active.control.cancel();
+      this.update(job, { cancelRequested: true });
+    } else {
+      this.update(job, { status: JOB_STATUS.CANCELLED, finishedAt: new Date().toISOString() });
+    }
+    log.info('Job cancellation requested', 'cancel', { jobId, running: Boolean(active) });
+    return this.toView(job);
+  }
+
+  assertStatus(job, allowed, action) {
+    if (!allowed.includes(job.status)) {
+      throw createJobError(409, `Cannot ${action} job ${job.id}: it is ${job.status}`);
+    }
+  }
+
+  /**
+   * Start queued jobs, oldest first, while there is capacity
+   */
+  schedule() {
+    const queued = [...this.jobs.values()].filter(job => job.status === JOB_STATUS.QUEUED);
+
+    while (this.active.size < this.maxConcurrent && queued.length > 0) {
+      this.start(queued.shift());
+    }
+  }
+
+  start(job) {
+    const control = new JobControl();
+    const journal = new SessionJournal(this.store.journalPath(job.id));
+    const resume = journal.hasResumableSession();
+
+    const seller = this.createSeller({
+      headlessPreferences: job.headlessPreferences,
+      assumeYes: true,
+      dryRun: job.dryRun,
+      resume,
+      inputMint: job.mint,
+      sessionId: job.id,
+      journal,
+      emergencyTriggers: new EmergencyTriggerService(),
+      control,
+      exitOnError: false
+    });
+
+    this.update(job, {
+      status: JOB_STATUS.RUNNING,
+      startedAt: job.startedAt ?? new Date().toISOString(),
+      sessionId: seller.sessionId
+    });
+    log.info('Job started', 'start', { jobId: job.id, resume });
+
+    const run = seller.run()
+      .then(exitCode => this.finish(job, seller, control, exitCode))
+      .catch(error => this.finish(job, seller, control, EXIT_CODES.UNEXPECTED_ERROR, error))
+      .finally(() => {
+        this.active.delete(job.id);
+        this.schedule();
+      });
+
+    this.active.set(job.id, { seller, control, run });
+  }
+
+  /**
+   * Record the outcome of a job's session
+   */
+  finish(job, seller, control, exitCode, error = null) {
+    const summary = seller.executionSummary;
+    const failedChunks = summary.failedChunks?.length ?? 0;
+
+    let status = JOB_STATUS.FAILED;
+    if (control.cancelled && summary.cancelled) {
+      status = JOB_STATUS.CANCELLED;
+    } else if (exitCode === EXIT_CODES.SUCCESS) {
+      status = JOB_STATUS.COMPLETED;
+    }
+
+    this.update(job, {
+      status,
+      sessionId: seller.sessionId,
+      sessionStatus: seller.getSessionStatus(),
+      state: seller.state,
+      finishedAt: new Date().toISOString(),
+      error: error?.message ?? summary.error ?? (failedChunks > 0 ? `${failedChunks} chunk(s) failed` : null),
+      totals: this.getTotals(summary),
+      transactions: summary.transactions.map(tx => reportService.toReportTransaction(tx))
+    });
+
+    log.info('Job finished', 'finish', { jobId: job.id, status, exitCode, sessionStatus: job.sessionStatus });
+  }
+
+  getTotals(summary) {
+    return {
+      tokensSold: summary.totalTokensSold,
+      received: summary.totalReceived,
+      outputToken: summary.outputToken,
+      averagePrice: summary.averagePrice,
+      transactionCount: summary.transactionCount
+    };
+  }
+
+  update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.store.save(job);
+  }
+
+  /**
+   * API view of a job: everything but the transactions, with live state and totals while it runs
+   */
+  toView(job) {
+    const { transactions, headlessPreferences, ...view } = job;
+    const active = this.active.get(job.id);
+
+    return active
+      ? { ...view, state: active.seller.state, totals: this.getTotals(active.seller.executionSummary) }
+      : view;
+  }
+
+  /**
+   * Stop for a daemon shutdown: journal running sessions as interrupted. Their
+   * jobs stay RUNNING (or PAUSED) and resume on the next start.
+   */
+  shutdown() {
+    this.active.forEach(({ seller }, jobId) => {
+      seller.handleInterrupt();
+      log.info('Job interrupted by shutdown', 'shutdown', { jobId });
+    });
+  }
+
+  /**
+   * Resolve once no job is running (queued jobs that start meanwhile included)
+   */
+  async idle() {
+    while (this.active.size > 0) {
+      await Promise.all([...this.active.values()].map(({ run }) => run));
+    }
+  }
+}
+
+module.exports = {
+  JobManager,
+  JOB_STATUS
+};
@@ -0,0 +1,641 @@
+#!/usr/bin/env node
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+
+/**
+ * Local stand-in for the remote trading API (see api.md). Serves the
+ * endpoints the seller uses from an in-memory wallet and a configurable
+ * price curve, and can inject failures (HTTP errors, timeouts) on demand.
+ *
+ * Dependency-free apart from chalk and independent of the seller's config, so it
+ * runs before the seller is configured and inside tests.
+ */
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const DEFAULT_SCENARIO = {
+  port: 3001,
+  latencyMs: 0,
+  swapFeeBps: 10, // Fee collected in the output token when collectFees is set
+  networkFeeLamports: 5000,
+  wallet: {
+    balanceSol: 2,
+    tokens: {}, // { [mint]: uiBalance }
+    defaultTokenBalance: 1000000 // UI balance for mints not listed above
+  },
+  tokens: {
+    SOL: { mint: 'So11111111111111111111111111111111111111112', decimals: 9, priceUsd: 150, liquidityUsd: 50000000 },
+    USDC: { mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6, priceUsd: 1, liquidityUsd: 100000000 },
+    USDT: { mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', decimals: 6, priceUsd: 1, liquidityUsd: 100000000 },
+    BONK: { mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', decimals: 5, priceUsd: 0.00002, liquidityUsd: 5000000 }
+  },
+  // Any mint not listed in tokens (e.g. TARGET_TOKEN_MINT) trades with these settings
+  defaultToken: {
+    decimals: 6,
+    priceUsd: 0.01,
+    liquidityUsd: 250000,
+    curve: { driftPctPerMinute: 0, amplitudePct: 3, periodMinutes: 30 }
+  },
+  // Failure rules applied in order, see injectFailure()
+  failures: []
+};
+
+const DEFAULT_FAILURE_MESSAGES = {
+  408: 'Request Timeout',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable'
+};
+
+/**
+ * Deep merge of plain objects; arrays and scalars from override win
+ */
+const mergeDeep = (base, override = {}) => {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && base[key] && typeof base[key] === 'object'
+      ? mergeDeep(base[key], value)
+      : value;
+  }
+
+  return merged;
+};
+
+/**
+ * Random base58 string shaped like a transaction signature
+ */
+const randomSignature = () => {
+  let value = BigInt(`0x${crypto.randomBytes(64).toString('hex')}`);
+  let encoded = '';
+
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+
+  return encoded;
+};
+
+/**
+ * Error answered with a specific HTTP status
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class MockApiServer {
+  /**
+   * @param {Object} scenario - Overrides merged over DEFAULT_SCENARIO
+   * @param {Object} options
+   * @param {boolean} options.quiet - Do not print a line per request
+   */
+  constructor(scenario = {}, { quiet = false } = {}) {
+    this.scenario = mergeDeep(DEFAULT_SCENARIO, scenario);
+    this.quiet = quiet;
+    this.server = null;
+    this.sockets = new Set();
+    this.reset();
+  }
+
+  /**
+   * Restore balances, prices, failures and the clock from the scenario
+   */
+  reset() {
+    this.tokens = new Map();
+    Object.entries(this.scenario.tokens).forEach(([symbol, token]) => {
+      this.tokens.set(token.mint, { symbol, ...token });
+    });
+
+    this.lamports = BigInt(Math.round(this.scenario.wallet.balanceSol * 1e9));
+    this.balances = new Map();
+    Object.entries(this.scenario.wallet.tokens).forEach(([mint, uiBalance]) => {
+      this.balances.set(mint, this.toRaw(uiBalance, this.getToken(mint).decimals));
+    });
+
+    this.failures = this.scenario.failures.map(rule => ({ ...rule }));
+    this.clockStart = Date.now();
+    this.clockOffsetMs = 0;
+    this.requests = [];
+    this.swaps = [];
+  }
+
+  /**
+   * Start listening. Resolves with the API base URL (…/api).
+   */
+  start(port = this.scenario.port) {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.server.on('connection', socket => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.port = this.server.address().port;
+        this.baseUrl = `http://127.0.0.1:${this.port}/api`;
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and drop open (including deliberately hung) connections
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    this.sockets.forEach(socket => socket.destroy());
+    return new Promise(resolve => this.server.close(() => {
+      this.server = null;
+      resolve();
+    }));
+  }
+
+  /**
+   * Add a failure rule:
+   * { route: 'jupiter/quote' | '*', method?, status?: 429, timeout?: true,
+   *   delayMs?, times?: 1, probability?: 1, message? }
+   * A rule without status or timeout only delays the request.
+   */
+  injectFailure(rule) {
+    this.failures.push({ route: '*', ...rule });
+  }
+
+  clearFailures() {
+    this.failures = [];
+  }
+
+  /**
+   * Move the price curve's clock forward
+   */
+  advanceClock(minutes) {
+    this.clockOffsetMs += minutes * 60000;
+  }
+
+  setPrice(mint, priceUsd) {
+    this.getToken(mint).priceUsd = priceUsd;
+  }
+
+  setBalance(mint, uiBalance) {
+    const raw = this.toRaw(uiBalance, this.getToken(mint).decimals);
+    if (mint === this.scenario.tokens.SOL.mint) {
+      this.lamports = raw;
+    } else {
+      this.balances.set(mint, raw);
+    }
+  }
+
+  /**
+   * Snapshot for assertions and GET /__mock/state
+   */
+  getState() {
+    const balances = {};
+    this.balances.forEach((raw, mint) => { balances[mint] = raw.toString(); });
+
+    return {
+      lamports: this.lamports.toString(),
+      balances,
+      prices: Object.fromEntries([...this.tokens.values()].map(token => [token.mint, this.getPriceUsd(token)])),
+      clockMinutes: this.getClockMinutes(),
+      failures: this.failures,
+      requests: this.requests,
+      swaps: this.swaps
+    };
+  }
+
+  // ---- Market model ----
+
+  /**
+   * Token settings by mint; unknown mints get the default token settings
+   */
+  getToken(mint) {
+    if (!this.tokens.has(mint)) {
+      this.tokens.set(mint, { symbol: null, mint, ...this.scenario.defaultToken });
+    }
+    return this.tokens.get(mint);
+  }
+
+  getClockMinutes() {
+    return (Date.now() - this.clockStart + this.clockOffsetMs) / 60000;
+  }
+
+  /**
+   * Price on the curve: linear drift times a sine wave around priceUsd
+   */
+  getPriceUsd(token) {
+    const curve = token.curve || {};
+    const minutes = this.getClockMinutes();
+    const drift = 1 + ((curve.driftPctPerMinute || 0) * minutes) / 100;
+    const wave = curve.amplitudePct && curve.periodMinutes
+      ? 1 + (curve.amplitudePct / 100) * Math.sin((2 * Math.PI * minutes) / curve.periodMinutes)
+      : 1;
+
+    return Math.max(0, token.priceUsd * drift * wave);
+  }
+
+  /**
+   * Constant-product style fill: impact = trade / (depth + trade),
+   * with depth the shallower side of the pair
+   */
+  priceSwap(inputMint, outputMint, inAmountRaw) {
+    const input = this.getToken(inputMint);
+    const output = this.getToken(outputMint);
+    const inputPrice = this.getPriceUsd(input);
+    const outputPrice = this.getPriceUsd(output);
+
+    if (!(inputPrice > 0) || !(outputPrice > 0)) {
+      throw httpError(400, 'No route found: token has no price');
+    }
+
+    const inUsd = (Number(inAmountRaw) / 10 ** input.decimals) * inputPrice;
+    const depthUsd = Math.min(input.liquidityUsd, output.liquidityUsd);
+    const impact = inUsd / (depthUsd + inUsd);
+    const outUi = (inUsd * (1 - impact)) / outputPrice;
+    const outAmountRaw = BigInt(Math.floor(outUi * 10 ** output.decimals));
+
+    return { outAmountRaw, impact, depthUsd };
+  }
+
+  // ---- Wallet model (one simulated wallet behind every public key) ----
+
+  getRawBalance(mint) {
+    if (mint === this.scenario.tokens.SOL.mint) {
+      return this.lamports;
+    }
+    if (!this.balances.has(mint)) {
+      this.balances.set(mint, this.toRaw(this.scenario.wallet.defaultTokenBalance, this.getToken(mint).decimals));
+    }
+    return this.balances.get(mint);
+  }
+
+  adjustRawBalance(mint, delta) {
+    const next = this.getRawBalance(mint) + delta;
+    if (mint === this.scenario.tokens.SOL.mint) {
+      this.lamports = next;
+    } else {
+      this.balances.set(mint, next);
+    }
+  }
+
+  toRaw(uiAmount, decimals) {
+    const [whole, fraction = ''] = String(uiAmount).split('.');
+    return BigInt(`${whole}${fraction.padEnd(decimals, '0').slice(0, decimals)}`);
+  }
+
+  toUi(raw, decimals) {
+    return Number(raw) / 10 ** decimals;
+  }
+
+  // ---- HTTP ----
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const route = url.pathname.replace(/^\/+/, '').replace(/^api\//, '').replace(/\/+$/, '');
+    const entry = { method: req.method, route, timestamp: new Date().toISOString() };
+    this.requests.push(entry);
+
+    try {
+      const body = await this.readBody(req);
+
+      if (!route.startsWith('__mock')) {
+        const failure = this.takeFailure(req.method, route);
+        if (failure) {
+          if (failure.delayMs) await this.sleep(failure.delayMs);
+          if (failure.timeout) {
+            entry.status = 'timeout';
+            this.logRequest(entry);
+            return; // Never answer; the client times out and stop() drops the socket
+          }
+          if (failure.status) {
+            throw httpError(failure.status, failure.message || DEFAULT_FAILURE_MESSAGES[failure.status] || 'Injected failure');
+          }
+        }
+
+        if (this.scenario.latencyMs) await this.sleep(this.scenario.latencyMs);
+      }
+
+      const payload = this.route(req.method, route, url.searchParams, body);
+      this.respond(res, 200, payload, entry);
+
+    } catch (error) {
+      this.respond(res, error.status || 500, { message: error.message, error: error.message }, entry);
+    }
+  }
+
+  route(method, route, query, body) {
+    const [section, action, param] = route.split('/');
+
+    if (section === '__mock') return this.routeAdmin(method, action, body);
+
+    if (method === 'GET' && route === 'jupiter/tokens') return this.handleTokens();
+    if (method === 'POST' && route === 'jupiter/quote') return this.handleQuote(body);
+    if (method === 'POST' && route === 'jupiter/swap') return this.handleSwap(body);
+    if (method === 'GET' && section === 'wallets' && action === 'mother' && param) return this.handleMotherWallet(param);
+    if (method === 'GET' && section === 'wallets' && action === 'token-balance' && param) {
+      return this.handleTokenBalance(param, query.get('mintAddress'));
+    }
+
+    throw httpError(404, `Route not found: ${method} /api/${route}`);
+  }
+
+  /**
+   * Test-control endpoints: state, reset, failures, clock, price, balance
+   */
+  routeAdmin(method, action, body) {
+    if (method === 'GET' && action === 'state') return this.getState();
+    if (method === 'POST' && action === 'reset') { this.reset(); return { message: 'Mock state reset' }; }
+    if (method === 'POST' && action === 'failures') {
+      (Array.isArray(body) ? body : [body]).forEach(rule => this.injectFailure(rule));
+      return { message: 'Failure rules added', failures: this.failures };
+    }
+    if (method === 'DELETE' && action === 'failures') { this.clearFailures(); return { message: 'Failure rules cleared' }; }
+    if (method === 'POST' && action === 'clock') {
+      this.advanceClock(Number(body.advanceMinutes) || 0);
+      return { message: 'Clock advanced', clockMinutes: this.getClockMinutes() };
+    }
+    if (method === 'POST' && action === 'price') {
+      this.setPrice(body.mint, Number(body.priceUsd));
+      return { message: 'Price set' };
+    }
+    if (method === 'POST' && action === 'balance') {
+      this.setBalance(body.mint, body.uiBalance);
+      return { message: 'Balance set' };
+    }
+
+    throw httpError(404, `Mock control route not found: ${method} /__mock/${action}`);
+  }
+
+  handleTokens() {
+    const tokens = {};
+    Object.entries(this.scenario.tokens).forEach(([symbol, token]) => { tokens[symbol] = token.mint; });
+    return { message: 'Supported tokens retrieved successfully', tokens };
+  }
+
+  handleQuote(body) {
+    const { inputMint, outputMint, amount } = body;
+    const slippageBps = Number(body.slippageBps ?? 50);
+
+    if (!inputMint || !outputMint || amount === undefined) {
+      throw httpError(400, 'inputMint, outputMint and amount are required');
+    }
+    if (inputMint === outputMint) {
+      throw httpError(400, 'inputMint and outputMint must differ');
+    }
+
+    let inAmountRaw;
+    try {
+      inAmountRaw = BigInt(amount);
+    } catch (error) {
+      throw httpError(400, `Invalid amount: ${amount}`);
+    }
+    if (inAmountRaw <= 0n) {
+      throw httpError(400, 'amount must be positive');
+    }
+
+    const { outAmountRaw, impact } = this.priceSwap(inputMint, outputMint, inAmountRaw);
+    if (outAmountRaw <= 0n) {
+      throw httpError(400, 'Amount too small to route');
+    }
+
+    const threshold = outAmountRaw * BigInt(10000 - slippageBps) / 10000n;
+
+    return {
+      message: 'Jupiter quote retrieved successfully',
+      quoteResponse: {
+        inputMint,
+        outputMint,
+        inAmount: inAmountRaw.toString(),
+        outAmount: outAmountRaw.toString(),
+        amount: inAmountRaw.toString(),
+        otherAmountThreshold: threshold.toString(),
+        swapMode: 'ExactIn',
+        slippageBps,
+        platformFee: null,
+        priceImpactPct: (impact * 100).toFixed(6),
+        routePlan: [{
+          swapInfo: {
+            ammKey: 'MockAmm1111111111111111111111111111111111111',
+            label: 'Mock AMM',
+            inputMint,
+            outputMint,
+            inAmount: inAmountRaw.toString(),
+            outAmount: outAmountRaw.toString(),
+            feeAmount: '0',
+            feeMint: inputMint
+          },
+          percent: 100
+        }],
+        contextSlot: Math.floor(this.getClockMinutes() * 150),
+        timeTaken: 0.01
+      }
+    };
+  }
+
+  /**
+   * Fill at the current curve price; fails like Jupiter when the fill would
+   * land below the quote's otherAmountThreshold
+   */
+  handleSwap(body) {
+    const { quoteResponse, userWalletPrivateKeyBase58, collectFees } = body;
+
+    if (!userWalletPrivateKeyBase58) {
+      throw httpError(400, 'userWalletPrivateKeyBase58 is required');
+    }
+    if (!quoteResponse || !quoteResponse.inputMint || !quoteResponse.outputMint || !quoteResponse.inAmount) {
+      throw httpError(400, 'A full quoteResponse is required');
+    }
+
+    const { inputMint, outputMint } = quoteResponse;
+    const inAmountRaw = BigInt(quoteResponse.inAmount);
+    const solMint = this.scenario.tokens.SOL.mint;
+    const networkFee = BigInt(this.scenario.networkFeeLamports);
+
+    const required = inAmountRaw + (inputMint === solMint ? networkFee : 0n);
+    if (this.getRawBalance(inputMint) < required) {
+      throw httpError(400, `Insufficient balance for ${inputMint}: required ${required}, available ${this.getRawBalance(inputMint)}`);
+    }
+    if (this.lamports < networkFee) {
+      throw httpError(400, 'Insufficient SOL for network fee');
+    }
+
+    const { outAmountRaw } = this.priceSwap(inputMint, outputMint, inAmountRaw);
+    const threshold = BigInt(quoteResponse.otherAmountThreshold || 0);
+    if (outAmountRaw < threshold) {
+      throw httpError(400, `Slippage tolerance exceeded: fill ${outAmountRaw} below minimum ${threshold}`);
+    }
+
+    const feeRaw = collectFees ? outAmountRaw * BigInt(this.scenario.swapFeeBps) / 10000n : 0n;
+    const outputToken = this.getToken(outputMint);
+
+    this.adjustRawBalance(inputMint, -inAmountRaw);
+    this.adjustRawBalance(outputMint, outAmountRaw - feeRaw);
+    this.lamports -= networkFee;
+
+    const transactionId = randomSignature();
+    this.swaps.push({
+      transactionId,
+      inputMint,
+      outputMint,
+      inAmount: inAmountRaw.toString(),
+      quotedOutAmount: quoteResponse.outAmount,
+      filledOutAmount: outAmountRaw.toString(),
+      feeAmount: feeRaw.toString()
+    });
+
+    return {
+      message: 'Swap executed successfully',
+      status: 'success',
+      transactionId,
+      feeCollection: collectFees
+        ? {
+          status: 'success',
+          transactionId: randomSignature(),
+          feeAmount: this.toUi(feeRaw, outputToken.decimals),
+          feeTokenMint: outputMint
+        }
+        : { status: 'skipped', feeAmount: 0 },
+      newBalanceSol: this.toUi(this.lamports, 9)
+    };
+  }
+
+  handleMotherWallet(publicKey) {
+    return {
+      publicKey,
+      balanceSol: this.toUi(this.lamports, 9),
+      balanceLamports: Number(this.lamports)
+    };
+  }
+
+  handleTokenBalance(walletAddress, mintAddress) {
+    if (!mintAddress) {
+      throw httpError(400, 'mintAddress query parameter is required');
+    }
+
+    const token = this.getToken(mintAddress);
+    const raw = this.getRawBalance(mintAddress);
+
+    return {
+      message: 'Token balance retrieved successfully',
+      data: {
+        walletAddress,
+        mintAddress,
+        balance: Number(raw),
+        decimals: token.decimals,
+        uiBalance: this.toUi(raw, token.decimals)
+      }
+    };
+  }
+
+  /**
+   * First matching failure rule, consuming one of its `times`
+   */
+  takeFailure(method, route) {
+    const index = this.failures.findIndex(rule =>
+      (rule.route === '*' || route === rule.route || route.startsWith(`${rule.route}/`)) &&
+      (!rule.method || rule.method.toUpperCase() === method));
+
+    if (index === -1) return null;
+
+    const rule = this.failures[index];
+    if (rule.probability !== undefined && Math.random() >= rule.probability) return null;
+
+    if (rule.times !== undefined) {
+      rule.times -= 1;
+      if (rule.times <= 0) this.failures.splice(index, 1);
+    }
+
+    return rule;
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      req.on('data', chunk => { data += chunk; });
+      req.on('end', () => {
+        if (!data) return resolve({});
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(httpError(400, `Invalid JSON body: ${error.message}`));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  respond(res, status, payload, entry) {
+    entry.status = status;
+    this.logRequest(entry);
+
+    if (res.writableEnded || res.destroyed) return;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+
+  logRequest({ method, route, status }) {
+    if (this.quiet) return;
+    const color = status === 200 ? chalk.green : chalk.red;
+    console.log(chalk.gray(`${new Date().toLocaleTimeString()} ${method} /api/${route} `) + color(status));
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+/**
+ * Load a scenario JSON file
+ */
+const loadScenario = (scenarioPath) => {
+  const resolved = path.resolve(scenarioPath);
+  try {
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read mock scenario ${resolved}: ${error.message}`);
+  }
+};
+
+// Run standalone: node src/mock/mockApiServer.js [--port 3001] [--scenario file.json] [--quiet]
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const flagValue = (name) => {
+    const index = argv.indexOf(`--${name}`);
+    return index === -1 ? undefined : argv[index + 1];
+  };
+
+  try {
+    const scenario = flagValue('scenario') ? loadScenario(flagValue('scenario')) : {};
+    const mock = new MockApiServer(scenario, { quiet: argv.includes('--quiet') });
+    const port = flagValue('port') !== undefined ? Number(flagValue('port')) : mock.scenario.port;
+
+    mock.start(port).then(baseUrl => {
+      console.log(chalk.cyan.bold(`🧪 Mock API listening on ${baseUrl}`));
+      console.log(chalk.gray(`   Set API_BASE_URL: '${baseUrl}' in src/config/config.json (or TOKEN_SELLER_API_BASE_URL=${baseUrl})`));
+      console.log(chalk.gray(`   Control: GET ${baseUrl.replace(/\/api$/, '')}/__mock/state`));
+    }).catch(error => {
+      console.error(chalk.red(`❌ Mock API failed to start: ${error.message}`));
+      process.exit(1);
+    });
+
+    process.on('SIGINT', () => mock.stop().then(() => process.exit(0)));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  MockApiServer,
+  DEFAULT_SCENARIO,
+  loadScenario
+};
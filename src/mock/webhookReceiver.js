@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+const http = require('http');
+const chalk = require('chalk');
+
+/**
+ * Local webhook endpoint for trying out WEBHOOKS notifications. Records every
+ * JSON POST it receives and can fail the first requests to exercise the
+ * notifier's retry queue.
+ *
+ * Dependency-free apart from chalk, like the mock API server.
+ */
+class WebhookReceiver {
+  /**
+   * @param {Object} options
+   * @param {number} options.failFirst - Answer this many requests with HTTP 500 first
+   * @param {boolean} options.quiet - Don't print received notifications
+   */
+  constructor(options = {}) {
+    this.failFirst = options.failFirst ?? 0;
+    this.quiet = options.quiet ?? false;
+    this.received = [];
+    this.requestCount = 0;
+    this.waiters = [];
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  /**
+   * Listen on 127.0.0.1. Resolves with the webhook URL.
+   */
+  start(port = 0) {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.server.on('connection', socket => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.port = this.server.address().port;
+        this.url = `http://127.0.0.1:${this.port}/webhook`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    this.sockets.forEach(socket => socket.destroy());
+    return new Promise(resolve => this.server.close(() => {
+      this.server = null;
+      resolve();
+    }));
+  }
+
+  /**
+   * Resolve once `count` notifications have been received, reject after `timeoutMs`
+   */
+  waitFor(count, timeoutMs = 5000) {
+    if (this.received.length >= count) {
+      return Promise.resolve(this.received);
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error(`Received ${this.received.length} of ${count} notifications within ${timeoutMs}ms`));
+      }, timeoutMs);
+      this.waiters.push({ count, resolve, timer });
+    });
+  }
+
+  handleRequest(req, res) {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      this.requestCount += 1;
+
+      if (this.requestCount <= this.failFirst) {
+        this.log(req.url, 500, '(failing on purpose)');
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Injected failure' }));
+        return;
+      }
+
+      let body;
+      try {
+        body = JSON.parse(data);
+      } catch (error) {
+        this.log(req.url, 400, `invalid JSON: ${error.message}`);
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `Invalid JSON body: ${error.message}` }));
+        return;
+      }
+
+      this.received.push({ path: req.url, headers: req.headers, body, receivedAt: new Date().toISOString() });
+      this.log(req.url, 200, JSON.stringify(body, null, 2));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+
+      this.waiters = this.waiters.filter(waiter => {
+        if (this.received.length < waiter.count) return true;
+        clearTimeout(waiter.timer);
+        waiter.resolve(this.received);
+        return false;
+      });
+    });
+  }
+
+  log(route, status, detail) {
+    if (this.quiet) return;
+    const color = status === 200 ? chalk.green : chalk.red;
+    console.log(chalk.gray(`${new Date().toLocaleTimeString()} POST ${route} `) + color(status));
+    console.log(chalk.gray(detail));
+  }
+}
+
+// Run standalone: node src/mock/webhookReceiver.js [--port 3002] [--fail-first 2] [--quiet]
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const flagValue = (name) => {
+    const index = argv.indexOf(`--${name}`);
+    return index === -1 ? undefined : argv[index + 1];
+  };
+
+  const receiver = new WebhookReceiver({
+    failFirst: Number(flagValue('fail-first') ?? 0),
+    quiet: argv.includes('--quiet')
+  });
+  const port = flagValue('port') !== undefined ? Number(flagValue('port')) : 3002;
+
+  receiver.start(port).then(url => {
+    console.log(chalk.cyan.bold(`📨 Webhook receiver listening on ${url}`));
+    console.log(chalk.gray(`   Add { "url": "${url}" } to WEBHOOKS in src/config/config.json`));
+  }).catch(error => {
+    console.error(chalk.red(`❌ Webhook receiver failed to start: ${error.message}`));
+    process.exit(1);
+  });
+
+  process.on('SIGINT', () => receiver.stop().then(() => process.exit(0)));
+}
+
+module.exports = {
+  WebhookReceiver
+};
@@ -0,0 +1,764 @@
+const path = require('path');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const { CONFIG, configInfo, validateConfig } = require('./config');
+const { createLogger, performanceLogger } = require('./utils/logger');
+const { walletService } = require('./services/walletService');
+const { jupiterService } = require('./services/jupiterService');
+const { apiValidator } = require('./services/apiValidator');
+const { EmergencyTriggerService } = require('./services/emergencyTriggerService');
+const { SimulatedSwapService } = require('./services/simulatedSwapService');
+const { SessionJournal } = require('./services/sessionJournal');
+const { reportService } = require('./services/reportService');
+const { keystoreService, promptKeystorePassphrase } = require('./services/keystoreService');
+const { notificationService } = require('./services/notificationService');
+const tokenAmount = require('./utils/tokenAmount');
+const { EXIT_CODES, createValidationError } = require('./utils/cliArgs');
+const { addressProblem } = require('./utils/solanaKeys');
+
+const log = createLogger('portfolioSeller');
+
+const PORTFOLIO_MODES = ['sequential', 'interleaved'];
+const STRATEGIES = ['immediate', 'gradual', 'optimal'];
+
+/**
+ * Liquidates several token positions in one session. Each position is sold by
+ * its own TokenSeller (own journal, own emergency triggers) sharing one swap
+ * executor, so dry runs keep a single set of virtual balances.
+ */
+class PortfolioSeller {
+  /**
+   * @param {Object} options
+   * @param {Object} options.plan - Raw portfolio plan: { mode, positions: [...] }
+   * @param {Function} options.createSeller - Factory building a TokenSeller from its options
+   * @param {boolean} options.assumeYes - Skip every confirmation prompt
+   * @param {boolean} options.dryRun - Real validation and quotes, simulated swaps
+   * @param {boolean} options.pessimisticFill - Dry-run swaps fill at minimum output
+   * @param {NotificationService} options.notifier - Webhook notifier override
+   */
+  constructor(options = {}) {
+    this.options = {
+      plan: null,
+      createSeller: null,
+      assumeYes: false,
+      dryRun: false,
+      pessimisticFill: false,
+      ...options
+    };
+
+    this.swapExecutor = this.options.dryRun
+      ? new SimulatedSwapService({ pessimisticFill: this.options.pessimisticFill })
+      : jupiterService;
+    this.notifier = this.options.notifier || notificationService;
+    this.sessionId = `portfolio-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    this.journalDir = path.join(
+      path.dirname(CONFIG.JOURNAL_FILE || 'sessions/current-session.json'),
+      'portfolio',
+      this.sessionId
+    );
+    this.mode = null;
+    this.positions = [];
+    this.startTime = Date.now();
+    this.endTime = null;
+
+    log.info('Portfolio seller initialized', 'init', {
+      sessionId: this.sessionId,
+      assumeYes: this.options.assumeYes,
+      dryRun: this.options.dryRun,
+      configFile: configInfo.file,
+      profile: configInfo.profile
+    });
+  }
+
+  /**
+   * Main execution flow. Resolves with the process exit code.
+   */
+  async run() {
+    try {
+      // Fail fast on a bad plan before touching the network
+      this.parsePlan(this.options.plan);
+
+      this.printWelcome();
+      await this.validateEnvironment();
+      await this.validatePositions();
+
+      if (!this.confirmPlan()) {
+        console.log(chalk.red('❌ Operation cancelled by user'));
+        return EXIT_CODES.SUCCESS;
+      }
+
+      if (this.mode === 'interleaved') {
+        await this.executeInterleaved();
+      } else {
+        await this.executeSequential();
+      }
+
+      await this.displayPortfolioSummary();
+
+      const allSucceeded = this.positions.every(({ seller }) =>
+        seller.executionSummary.success || seller.executionSummary.cancelled || seller.isDeferredOnly());
+      return allSucceeded ? EXIT_CODES.SUCCESS : EXIT_CODES.SWAP_FAILURE;
+
+    } catch (error) {
+      return await this.handleCriticalError(error);
+    } finally {
+      await this.notifier.flush();
+    }
+  }
+
+  /**
+   * Validate the plan shape and build one seller per position
+   */
+  parsePlan(plan) {
+    if (!plan || !Array.isArray(plan.positions) || plan.positions.length === 0) {
+      throw createValidationError('Portfolio plan needs a non-empty "positions" array');
+    }
+
+    const mode = plan.mode === undefined ? 'sequential' : String(plan.mode).toLowerCase();
+    if (!PORTFOLIO_MODES.includes(mode)) {
+      throw createValidationError(`Invalid portfolio mode: ${plan.mode}. Use ${PORTFOLIO_MODES.join('|')}.`);
+    }
+    this.mode = mode;
+
+    const seenMints = new Set();
+
+    this.positions = plan.positions.map((raw, index) => {
+      const preferences = this.parsePosition(raw, index);
+
+      if (seenMints.has(raw.mint)) {
+        throw createValidationError(`Position ${index + 1}: mint ${raw.mint} is listed more than once`);
+      }
+      seenMints.add(raw.mint);
+
+      return {
+        index,
+        mint: raw.mint,
+        percent: preferences.percent,
+        preferences,
+        seller: this.createPositionSeller(raw.mint, index),
+        error: null
+      };
+    });
+
+    log.info('Portfolio plan parsed', 'parse_plan', {
+      mode,
+      positions: this.positions.map(({ mint, preferences }) => ({ mint, ...preferences }))
+    });
+  }
+
+  /**
+   * Validate one position: { mint, amount | percent, outputToken, strategy, slippageBps }
+   */
+  parsePosition(raw, index) {
+    const label = `Position ${index + 1}`;
+
+    if (typeof raw?.mint !== 'string') {
+      throw createValidationError(`${label}: missing mint`);
+    }
+    const mintProblem = addressProblem(raw.mint);
+    if (mintProblem) {
+      throw createValidationError(`${label}: invalid mint ${raw.mint} (${mintProblem})`);
+    }
+
+    if ((raw.amount === undefined) === (raw.percent === undefined)) {
+      throw createValidationError(`${label}: give exactly one of "amount" or "percent"`);
+    }
+
+    let amount = null;
+    let percent = null;
+
+    if (raw.amount !== undefined) {
+      amount = tokenAmount.parsePositiveUiInput(raw.amount);
+      if (amount === null) {
+        throw createValidationError(`${label}: invalid amount: ${raw.amount}`);
+      }
+    } else {
+      percent = Number(raw.percent);
+      if (!(percent > 0 && percent <= 100)) {
+        throw createValidationError(`${label}: invalid percent: ${raw.percent}. Use a number above 0 and up to 100.`);
+      }
+    }
+
+    const outputToken = raw.outputToken === undefined ? undefined : String(raw.outputToken).toUpperCase();
+    if (!CONFIG.OUTPUT_TOKENS[outputToken]) {
+      throw createValidationError(`${label}: invalid or missing outputToken: ${raw.outputToken}. Use ${Object.keys(CONFIG.OUTPUT_TOKENS).join('|')}.`);
+    }
+    if (CONFIG.OUTPUT_TOKENS[outputToken] === raw.mint) {
+      throw createValidationError(`${label}: cannot sell ${outputToken} for itself`);
+    }
+
+    // Interleaved runs always sell in chunks, so only the gradual strategy applies
+    const defaultStrategy = this.mode === 'interleaved' ? 'gradual' : 'immediate';
+    const strategy = raw.strategy === undefined ? defaultStrategy : String(raw.strategy).toLowerCase();
+    if (!STRATEGIES.includes(strategy)) {
+      throw createValidationError(`${label}: invalid strategy: ${raw.strategy}. Use ${STRATEGIES.join('|')}.`);
+    }
+    if (this.mode === 'interleaved' && strategy !== 'gradual') {
+      throw createValidationError(`${label}: interleaved portfolios sell in chunks; strategy must be "gradual"`);
+    }
+
+    const maxSlippage = raw.slippageBps === undefined ? CONFIG.DEFAULT_SLIPPAGE_BPS : Number(raw.slippageBps);
+    if (!Number.isInteger(maxSlippage) || maxSlippage < CONFIG.MIN_SLIPPAGE_BPS || maxSlippage > CONFIG.MAX_SLIPPAGE_BPS) {
+      throw createValidationError(`${label}: invalid slippageBps: ${raw.slippageBps}. Use ${CONFIG.MIN_SLIPPAGE_BPS}-${CONFIG.MAX_SLIPPAGE_BPS}.`);
+    }
+
+    return { tokenAmount: amount, percent, outputToken, strategy, maxSlippage };
+  }
+
+  /**
+   * Seller for one position, journaling under this portfolio's session directory
+   */
+  createPositionSeller(mint, index) {
+    const journalPath = path.join(this.journalDir, `position-${index + 1}.json`);
+
+    return this.options.createSeller({
+      inputMint: mint,
+      sessionId: `${this.sessionId}-${index + 1}`,
+      assumeYes: this.options.assumeYes,
+      dryRun: this.options.dryRun,
+      pessimisticFill: this.options.pessimisticFill,
+      swapExecutor: this.swapExecutor,
+      journal: this.options.dryRun ? SessionJournal.forDryRun(journalPath) : new SessionJournal(journalPath),
+      emergencyTriggers: new EmergencyTriggerService()
+    });
+  }
+
+  /**
+   * Print welcome message and the portfolio overview
+   */
+  printWelcome() {
+    console.log(chalk.cyan.bold('╔═══════════════════════════════════════╗'));
+    console.log(chalk.cyan.bold('║     SOLANA PORTFOLIO LIQUIDATION      ║'));
+    console.log(chalk.cyan.bold('║    Intelligent Jupiter DEX Trading    ║'));
+    console.log(chalk.cyan.bold('╚═══════════════════════════════════════╝'));
+    console.log();
+
+    console.log(chalk.gray(`🕐 Session started: ${new Date().toLocaleString()}`));
+    console.log(chalk.gray(`📦 Positions: ${this.positions.length} (${this.mode})`));
+    console.log(chalk.gray(`⚙️  Config: ${configInfo.file ?? 'defaults only'}${configInfo.profile ? ` (profile ${configInfo.profile})` : ''}`));
+    console.log(chalk.gray(`⏰ Maximum execution time: ${CONFIG.SELL_TIMEOUT_HOURS} hours`));
+    if (this.options.dryRun) {
+      const fillMode = this.options.pessimisticFill ? 'minimum output' : 'quoted output';
+      console.log(chalk.magenta.bold(`🧪 DRY RUN: real quotes, simulated swaps filled at ${fillMode}. No funds will move.`));
+    }
+    console.log();
+  }
+
+  /**
+   * Validate configuration and API connectivity
+   */
+  async validateEnvironment() {
+    const perf = performanceLogger.start('validate_environment');
+
+    try {
+      console.log(chalk.yellow('🔍 Validating environment...'));
+
+      validateConfig();
+      console.log(chalk.green('✅ Configuration validated'));
+
+      // Dry runs never sign; --yes runs unlock from the passphrase env var
+      if (!this.options.dryRun) {
+        const source = await keystoreService.unlockForSession({
+          promptPassphrase: this.options.assumeYes ? null : promptKeystorePassphrase
+        });
+        console.log(source === 'plaintext'
+          ? chalk.yellow('⚠️  Using the plaintext WALLET_PRIVATE_KEY. Run "npm run setup" to encrypt it into a keystore.')
+          : chalk.green('🔐 Wallet keystore unlocked'));
+      }
+
+      console.log(chalk.yellow('🌐 Checking API connectivity...'));
+      const validationResults = await apiValidator.validateApi();
+
+      if (!validationResults.overallHealth) {
+        throw new Error('API validation failed. Please check the validation results above and ensure the API server is accessible.');
+      }
+
+      console.log(chalk.green('✅ API connectivity and endpoints confirmed'));
+      perf.end('portfolioSeller', true);
+
+    } catch (error) {
+      perf.end('portfolioSeller', false);
+      throw createValidationError(`Environment validation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve percentages against live balances and validate every position
+   * before anything is sold
+   */
+  async validatePositions() {
+    const perf = performanceLogger.start('validate_positions');
+
+    try {
+      for (const position of this.positions) {
+        const { seller, preferences, mint } = position;
+        const label = `Position ${position.index + 1} (${walletService.formatAddress(mint)})`;
+
+        console.log(chalk.blue.bold(`\n📦 ${label}`));
+
+        try {
+          let percentAmount = null;
+
+          if (position.percent !== null) {
+            const holding = await walletService.checkTokenHolding(mint);
+            const balance = tokenAmount.fromRaw(holding.rawBalance, holding.decimals, mint);
+            percentAmount = tokenAmount.scaleAmount(balance, position.percent);
+
+            if (tokenAmount.isZero(percentAmount)) {
+              throw new Error(`${position.percent}% of balance ${tokenAmount.formatAmount(balance, 9)} is zero`);
+            }
+            preferences.tokenAmount = percentAmount.ui;
+          }
+
+          await seller.validateUserInputs(preferences);
+
+          // Exact raw share of the balance, not the rounded UI value
+          if (percentAmount) {
+            preferences.sellAmount = percentAmount;
+          }
+        } catch (error) {
+          throw createValidationError(`${label}: ${error.message}`);
+        }
+      }
+
+      perf.end('portfolioSeller', true, { positions: this.positions.length });
+
+    } catch (error) {
+      perf.end('portfolioSeller', false);
+      throw error;
+    }
+  }
+
+  /**
+   * Display the validated plan and ask for one confirmation
+   */
+  confirmPlan() {
+    console.log(chalk.blue.bold(`\n📋 Portfolio Plan (${this.mode})`));
+
+    const planTable = new Table({
+      head: ['#', 'Token', 'Amount', 'Output', 'Strategy', 'Max Slippage'].map(h => chalk.cyan(h)),
+      style: { head: [], border: [] }
+    });
+
+    this.positions.forEach(({ index, mint, percent, preferences, seller }) => {
+      const amount = tokenAmount.formatAmount(preferences.sellAmount, 9);
+      planTable.push([
+        index + 1,
+        walletService.formatAddress(mint),
+        percent !== null ? `${amount} (${percent}%)` : amount,
+        preferences.outputToken,
+        seller.formatStrategy(preferences.strategy),
+        `${preferences.maxSlippage / 100}%`
+      ]);
+    });
+
+    console.log(planTable.toString());
+
+    const confirmed = this.positions[0].seller.confirm(
+      chalk.yellow(`\nLiquidate ${this.positions.length} positions?`)
+    );
+
+    log.info('Portfolio plan confirmation', 'confirm_plan', { confirmed });
+    return confirmed;
+  }
+
+  /**
+   * Run each position's strategy to completion, one after another.
+   * A failing position is recorded and the next one still runs.
+   */
+  async executeSequential() {
+    for (const position of this.positions) {
+      const { seller, preferences, mint } = position;
+
+      console.log(chalk.blue.bold(`\n━━━ Position ${position.index + 1}/${this.positions.length}: ${walletService.formatAddress(mint)} ━━━`));
+
+      try {
+        await seller.executeSellingStrategy(preferences);
+        this.finishPosition(position);
+      } catch (error) {
+        this.failPosition(position, error);
+      }
+    }
+  }
+
+  /**
+   * Sell every position in chunks, one chunk per position per round
+   */
+  async executeInterleaved() {
+    const perf = performanceLogger.start('interleaved_sale');
+
+    for (const position of this.positions) {
+      await position.seller.beginExecution(position.preferences);
+      position.chunks = position.seller.planChunks(position.preferences.sellAmount);
+      position.failedChunks = [];
+      position.stopped = false;
+      position.seller.journal.setPlan(position.chunks.map(chunk => chunk.raw));
+    }
+
+    const rounds = Math.max(...this.positions.map(position => position.chunks.length));
+
+    const scheduleTable = new Table({
+      head: [chalk.cyan('#'), chalk.cyan('Token'), chalk.cyan('Chunks'), chalk.cyan('Chunk Size')],
+      style: { head: [], border: [] }
+    });
+    this.positions.forEach(({ index, mint, chunks }) => scheduleTable.push([
+      index + 1,
+      walletService.formatAddress(mint),
+      chunks.length,
+      tokenAmount.formatAmount(chunks[0])
+    ]));
+
+    console.log(chalk.blue.bold(`\n🔀 Interleaved schedule: ${rounds} round(s)`));
+    console.log(scheduleTable.toString());
+    console.log(chalk.gray(`Delay between rounds: ${CONFIG.MIN_CHUNK_DELAY / 1000}s - ${CONFIG.MAX_CHUNK_DELAY / 1000}s`));
+
+    if (!this.positions[0].seller.confirm(chalk.yellow('\n🎯 Start interleaved selling?'))) {
+      this.positions.forEach(position => {
+        position.seller.executionSummary.cancelled = true;
+        this.finishPosition(position);
+      });
+      console.log(chalk.red('❌ Interleaved sale cancelled by user'));
+      perf.end('portfolioSeller', true, { cancelled: true });
+      return;
+    }
+
+    for (let round = 0; round < rounds; round++) {
+      for (const position of this.positions) {
+        if (!position.stopped && round < position.chunks.length) {
+          await this.sellChunk(position, round);
+        }
+      }
+
+      const hasMore = this.positions.some(position => !position.stopped && round + 1 < position.chunks.length);
+      if (hasMore) {
+        const delay = this.positions[0].seller.getRandomChunkDelay();
+        console.log(chalk.gray(`⏳ Waiting ${(delay / 1000).toFixed(0)}s before next round...`));
+        await this.positions[0].seller.sleep(delay);
+      }
+    }
+
+    for (const position of this.positions) {
+      const summary = position.seller.executionSummary;
+      summary.failedChunks = position.failedChunks;
+      summary.success = summary.transactionCount > 0 && position.failedChunks.length === 0;
+      this.finishPosition(position);
+    }
+
+    perf.end('portfolioSeller', this.positions.every(({ seller }) => seller.executionSummary.success), {
+      rounds,
+      positions: this.positions.length
+    });
+  }
+
+  /**
+   * Quote and sell one chunk of a position, or its whole remainder if an
+   * emergency trigger fires
+   */
+  async sellChunk(position, round) {
+    const { seller, preferences, chunks } = position;
+    const chunkAmount = chunks[round];
+    const outputMint = CONFIG.OUTPUT_TOKENS[preferences.outputToken];
+    const label = `[#${position.index + 1} ${round + 1}/${chunks.length}]`;
+
+    try {
+      console.log(chalk.yellow(`\n⚡ ${label} Quoting ${tokenAmount.formatAmount(chunkAmount)} tokens...`));
+      const chunkQuote = await seller.quoteSale(outputMint, chunkAmount.raw);
+
+      const evaluation = seller.emergencyTriggers.evaluate(chunkQuote);
+      if (evaluation.triggered) {
+        const remainingAmount = tokenAmount.sumAmounts(chunks.slice(round), chunkAmount.decimals, chunkAmount.mint);
+        position.stopped = true;
+        await seller.executeEmergencySale(remainingAmount, evaluation, outputMint);
+        return;
+      }
+
+      const guarded = await seller.applyImpactGuard(chunkQuote, chunkAmount, outputMint);
+      const quote = guarded.quote && await seller.ensureFreshQuote(guarded.quote, preferences.outputToken);
+      if (!quote) {
+        console.log(chalk.yellow(`⏭️  ${label} Chunk deferred: price impact above cap`));
+        return;
+      }
+
+      console.log(chalk.yellow(`📤 ${label} Executing swap...`));
+      const result = await seller.executeSwap(quote);
+      seller.recordTransaction(quote, result);
+
+      console.log(chalk.green(`✅ ${label} Sold ${tokenAmount.formatAmount(quote.inAmountUi, quote.inputDecimals)} tokens → ${tokenAmount.formatAmount(quote.outAmountUi)} ${preferences.outputToken}`));
+      if (!result.simulated) {
+        console.log(chalk.gray(`   https://solscan.io/tx/${result.transactionId}`));
+      }
+
+    } catch (error) {
+      position.failedChunks.push({ index: round, amount: chunkAmount.ui, amountRaw: chunkAmount.raw, error: error.message });
+      console.log(chalk.red(`❌ ${label} Chunk failed: ${error.message}`));
+      log.warn('Interleaved chunk failed', 'sell_chunk', {
+        mint: position.mint,
+        chunkIndex: round,
+        chunkAmount: chunkAmount.ui,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Close a position's session and archive its journal
+   */
+  finishPosition(position) {
+    position.seller.completeSession();
+  }
+
+  /**
+   * Record a failed position without stopping the rest of the portfolio
+   */
+  failPosition(position, error) {
+    const { seller } = position;
+
+    position.error = error.message;
+    seller.executionSummary.success = false;
+    seller.endTime = Date.now();
+    seller.journal.markFailed(error);
+
+    console.log(chalk.red(`❌ Position ${position.index + 1} failed: ${error.message}`));
+    log.error('Portfolio position failed', 'execute_position', error, {
+      mint: position.mint,
+      transactions: seller.executionSummary.transactionCount
+    });
+  }
+
+  /**
+   * Per-token summaries followed by the combined portfolio summary
+   */
+  async displayPortfolioSummary() {
+    this.endTime = Date.now();
+
+    const simulated = this.options.dryRun;
+    const summaries = this.positions.map(({ seller }) => seller.executionSummary);
+
+    console.log(chalk.blue.bold(`\n📊 PORTFOLIO SUMMARY${simulated ? chalk.magenta(' (SIMULATED - DRY RUN)') : ''}`));
+    console.log(chalk.blue.bold('═'.repeat(50)));
+
+    const positionTable = new Table({
+      head: ['#', 'Token', 'Status', 'Sold', 'Received', 'Avg Price', 'Txs'].map(h => chalk.cyan(h)),
+      style: { head: [], border: [] }
+    });
+
+    this.positions.forEach(({ index, mint, error, seller }, i) => {
+      const summary = summaries[i];
+      positionTable.push([
+        index + 1,
+        walletService.formatAddress(mint),
+        this.formatPositionStatus(seller, error),
+        tokenAmount.formatAmount(summary.totalTokensSold, 9),
+        `${tokenAmount.formatAmount(summary.totalReceived, 9)} ${summary.outputToken}`,
+        summary.averagePrice.toFixed(8),
+        summary.transactionCount
+      ]);
+    });
+
+    console.log(chalk.blue.bold('\nPer Token'));
+    console.log(positionTable.toString());
+
+    const totals = this.buildTotals(summaries);
+    const failedCount = this.positions.filter(({ seller }) =>
+      !seller.executionSummary.success && !seller.executionSummary.cancelled && !seller.isDeferredOnly()).length;
+    const executionTime = ((this.endTime - this.startTime) / 1000 / 60).toFixed(2);
+
+    const combinedTable = new Table({
+      head: [chalk.cyan('Metric'), chalk.cyan('Value')],
+      style: { head: [], border: [] }
+    });
+
+    combinedTable.push(
+      ['Status', failedCount === 0 ?
+        chalk.green(simulated ? '🧪 SIMULATED SUCCESS' : '✅ SUCCESS') :
+        chalk.red(`❌ ${failedCount} of ${this.positions.length} positions failed`)],
+      ['Positions', this.positions.length],
+      ...Object.entries(totals.receivedByOutput).map(([outputToken, received]) =>
+        [`Total Received (${outputToken})`, `${tokenAmount.formatAmount(received, 9)} ${outputToken}`]),
+      ['Transactions', totals.transactionCount],
+      ['Emergency Triggers', totals.emergencyTriggers],
+      ['Fees Paid', `${tokenAmount.formatAmount(totals.feesPaid, 9)} SOL`],
+      ['Execution Time', `${executionTime} minutes`]
+    );
+
+    console.log(chalk.blue.bold('\nCombined'));
+    console.log(combinedTable.toString());
+
+    const transactions = summaries.flatMap(summary => summary.transactions);
+    if (transactions.length > 0) {
+      console.log(chalk.gray('\n🔗 Transaction IDs:'));
+      transactions.forEach((tx, i) => {
+        console.log(chalk.blue(`  ${i + 1}. ${walletService.formatAddress(tx.inputMint)} ${tx.transactionId}`));
+        if (!tx.simulated) {
+          console.log(chalk.gray(`     https://solscan.io/tx/${tx.transactionId}`));
+        }
+      });
+    }
+
+    let virtualBalances;
+    if (simulated) {
+      virtualBalances = await this.swapExecutor.getBalanceSummary();
+
+      const balanceTable = new Table({
+        head: [chalk.cyan('Mint'), chalk.cyan('Virtual Balance')],
+        style: { head: [], border: [] }
+      });
+      virtualBalances.forEach(({ mint, ui }) => balanceTable.push([walletService.formatAddress(mint), tokenAmount.formatAmount(ui, 9)]));
+
+      console.log(chalk.magenta('\n🧪 Virtual balances after simulation:'));
+      console.log(balanceTable.toString());
+    }
+
+    const status = failedCount === 0 ? 'SUCCESS' : 'FAILED';
+    this.writeReport(status, totals);
+
+    log.info('Portfolio execution completed', 'portfolio_summary', {
+      sessionId: this.sessionId,
+      status,
+      mode: this.mode,
+      totals,
+      failedCount,
+      virtualBalances,
+      positions: this.positions.map(({ mint, error }, i) => ({ mint, error, ...summaries[i] }))
+    });
+    this.notifier.notify('session_completed', {
+      sessionId: this.sessionId,
+      simulated: this.options.dryRun,
+      portfolio: true,
+      status,
+      positions: this.positions.length,
+      failedCount,
+      transactionCount: totals.transactionCount,
+      receivedByOutput: totals.receivedByOutput
+    });
+  }
+
+  /**
+   * Write the combined JSON + CSV report for the portfolio to REPORTS_DIR
+   */
+  writeReport(status, totals = this.buildTotals(this.positions.map(({ seller }) => seller.executionSummary))) {
+    const paths = reportService.writePortfolioReport({
+      sessionId: this.sessionId,
+      mode: this.mode,
+      status,
+      simulated: this.options.dryRun,
+      startTime: new Date(this.startTime).toISOString(),
+      endTime: new Date(this.endTime ?? Date.now()).toISOString(),
+      totals,
+      positions: this.positions.map(({ index, error, seller, preferences }) => ({
+        position: index + 1,
+        error: error ?? null,
+        ...seller.buildReport(),
+        // Positions that never started have no seller preferences yet
+        preferences: seller.preferences ?? preferences
+      }))
+    });
+
+    if (paths) {
+      console.log(chalk.gray(`\n🧾 Report saved: ${paths.jsonPath} and ${paths.csvPath}`));
+    } else {
+      console.log(chalk.yellow('\n⚠️  Could not write the portfolio report (see logs)'));
+    }
+    return paths;
+  }
+
+  /**
+   * Status cell for the per-token table
+   */
+  formatPositionStatus(seller, error) {
+    const summary = seller.executionSummary;
+    const deferred = seller.hasDeferred()
+      ? chalk.yellow(` (${tokenAmount.formatAmount(seller.getDeferredAmount())} deferred)`)
+      : '';
+    const unsold = seller.hasUnsold()
+      ? chalk.yellow(` (${tokenAmount.formatAmount(seller.getUnsoldAmount())} unsold)`)
+      : '';
+    const belowMinimum = summary.belowMinimumCount > 0
+      ? chalk.red(` ⚠️  ${summary.belowMinimumCount} below min. output`)
+      : '';
+    const notes = deferred + unsold + belowMinimum;
+
+    if (error) return chalk.red(`❌ ${error}`);
+    if (summary.cancelled) return chalk.yellow('CANCELLED');
+    if (summary.emergencyTrigger) return chalk.red(`🚨 ${summary.emergencyTrigger.trigger}`) + notes;
+    if (seller.isDeferredOnly()) return chalk.yellow('⏸️  DEFERRED') + notes;
+    if (!summary.success) return chalk.red(`❌ FAILED (${summary.failedChunks?.length || 0} chunks)`);
+    return chalk.green(summary.simulated ? '🧪 SIMULATED' : '✅ SUCCESS') + notes;
+  }
+
+  /**
+   * Combined totals. Proceeds are only summed per output token.
+   */
+  buildTotals(summaries) {
+    const receivedRaw = {};
+    const outputDecimals = {};
+
+    summaries.forEach(summary => {
+      if (summary.transactionCount === 0) return;
+      const { outputToken } = summary;
+      receivedRaw[outputToken] = (receivedRaw[outputToken] || 0n) + BigInt(summary.totalReceivedRaw);
+      outputDecimals[outputToken] = summary.transactions[0].outputDecimals;
+    });
+
+    const receivedByOutput = {};
+    Object.entries(receivedRaw).forEach(([outputToken, raw]) => {
+      receivedByOutput[outputToken] = tokenAmount.rawToUi(raw, outputDecimals[outputToken]);
+    });
+
+    return {
+      receivedByOutput,
+      transactionCount: summaries.reduce((sum, summary) => sum + summary.transactionCount, 0),
+      feesPaid: summaries.reduce((sum, summary) => sum + summary.feesPaid, 0),
+      emergencyTriggers: summaries.filter(summary => summary.emergencyTrigger).length
+    };
+  }
+
+  /**
+   * Journal the interruption on SIGINT for every started position
+   */
+  handleInterrupt() {
+    const started = this.positions.filter(({ seller }) => seller.journal.isStarted());
+    started.forEach(({ seller }) => seller.journal.markInterrupted());
+
+    if (started.length > 0) {
+      console.log(chalk.yellow(`♻️  Position journals kept in ${this.journalDir} (--resume does not support portfolios)`));
+    }
+  }
+
+  /**
+   * Handle critical errors. Resolves with the exit code; exiting is left to the caller.
+   */
+  async handleCriticalError(error) {
+    log.error('Critical error occurred', 'critical_error', error, { sessionId: this.sessionId });
+
+    console.log(chalk.red.bold('\n❌ CRITICAL ERROR'));
+    console.log(chalk.red('═'.repeat(50)));
+    console.log(chalk.red(`Error: ${error.message}`));
+
+    this.endTime = Date.now();
+    this.positions.forEach(({ seller }) => seller.journal.markFailed(error));
+    if (this.positions.some(({ seller }) => seller.executionSummary.transactionCount > 0)) {
+      this.writeReport('FAILED');
+    }
+
+    console.log(chalk.yellow('\n💡 Troubleshooting suggestions:'));
+    console.log(chalk.gray('1. Check the portfolio plan file'));
+    console.log(chalk.gray('2. Verify wallet holds every listed token'));
+    console.log(chalk.gray('3. Check API server is running'));
+    console.log(chalk.gray('4. Review logs for detailed error information'));
+
+    this.notifier.notify('session_completed', {
+      sessionId: this.sessionId,
+      simulated: this.options.dryRun,
+      portfolio: true,
+      status: 'FAILED',
+      error: error.message
+    });
+    await this.notifier.flush();
+    return error.exitCode ?? EXIT_CODES.UNEXPECTED_ERROR;
+  }
+}
+
+module.exports = {
+  PortfolioSeller
+};
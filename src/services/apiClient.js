@@ -1,15 +1,29 @@
 const axios = require('axios');
-const { CONFIG } = require('../config/constants');
+const { CONFIG } = require('../config');
 const { createLogger, performanceLogger } = require('../utils/logger');
 
 const log = createLogger('apiClient');
 
 class ApiClient {
-  constructor() {
-    this.baseURL = CONFIG.API_BASE_URL;
-    this.timeout = CONFIG.API_TIMEOUT;
-    this.maxRetries = CONFIG.MAX_RETRIES;
-    this.retryDelay = CONFIG.RETRY_DELAY;
+  /**
+   * @param {Object} options - Overrides for baseURL, timeout, maxRetries and retryDelay
+   */
+  constructor(options = {}) {
+    this.baseURL = options.baseURL ?? CONFIG.API_BASE_URL;
+    this.timeout = options.timeout ?? CONFIG.API_TIMEOUT;
+    this.maxRetries = options.maxRetries ?? CONFIG.MAX_RETRIES;
+    this.retryDelay = options.retryDelay ?? CONFIG.RETRY_DELAY;
+    
+    // Per-attempt outcomes, shown on the dashboard
+    this.stats = {
+      requests: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastLatencyMs: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null
+    };
     
     // Initialize axios instance with defaults
     this.client = axios.create({
@@ -75,6 +89,8 @@ class ApiClient {
     const perf = performanceLogger.start(`${method.toUpperCase()} ${endpoint}`);
     
     for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      const attemptStart = Date.now();
+      
       try {
         log.info(`API request attempt ${attempt}`, 'request', {
           method: method.toUpperCase(),
@@ -101,6 +117,7 @@ class ApiClient {
             throw new Error(`Unsupported HTTP method: ${method}`);
         }
         
+        this.recordAttempt(attemptStart);
         perf.end('apiClient', true, {
           status: response.status,
           attempt
@@ -116,6 +133,7 @@ class ApiClient {
         return response.data;
         
       } catch (error) {
+        this.recordAttempt(attemptStart, error);
         const isLastAttempt = attempt > retries;
         const isRetryableError = this.isRetryableError(error);
         
@@ -158,6 +176,43 @@ class ApiClient {
     }
   }
   
+  /**
+   * Fold one attempt into the health stats
+   */
+  recordAttempt(startedAt, error = null) {
+    const now = Date.now();
+    this.stats.requests += 1;
+    this.stats.lastLatencyMs = now - startedAt;
+    
+    if (error) {
+      this.stats.failures += 1;
+      this.stats.consecutiveFailures += 1;
+      this.stats.lastFailureAt = now;
+      this.stats.lastError = error.response?.status ? `HTTP ${error.response.status}` : (error.code || error.message);
+    } else {
+      this.stats.consecutiveFailures = 0;
+      this.stats.lastSuccessAt = now;
+    }
+  }
+  
+  /**
+   * API health from recent attempts: unknown, healthy, degraded (failures
+   * since the last success) or down (MAX_RETRIES + 1 failures in a row)
+   */
+  getHealth() {
+    const { requests, consecutiveFailures } = this.stats;
+    let status = 'healthy';
+    if (requests === 0) {
+      status = 'unknown';
+    } else if (consecutiveFailures > this.maxRetries) {
+      status = 'down';
+    } else if (consecutiveFailures > 0) {
+      status = 'degraded';
+    }
+    
+    return { status, ...this.stats };
+  }
+  
   /**
    * Determine if error is retryable
    */
@@ -0,0 +1,173 @@
+const { CONFIG } = require('../config');
+const { createLogger } = require('../utils/logger');
+const { scaleAmount } = require('../utils/tokenAmount');
+
+const log = createLogger('emergencyTriggers');
+
+class EmergencyTriggerService {
+  constructor() {
+    this.reset();
+    log.info('Emergency trigger service initialized', 'init', CONFIG.EMERGENCY_TRIGGERS);
+  }
+
+  /**
+   * Clear session state
+   */
+  reset() {
+    this.deadline = null;
+    this.baselinePrice = null;
+    this.baselineLiquidity = null;
+    this.lastEvaluation = null;
+  }
+
+  /**
+   * Start a new trigger session with the strategy's hard deadline
+   */
+  startSession(deadline) {
+    this.reset();
+    this.deadline = deadline;
+
+    log.info('Emergency trigger session started', 'start_session', {
+      deadline: new Date(deadline).toISOString(),
+      triggers: CONFIG.EMERGENCY_TRIGGERS
+    });
+  }
+
+  /**
+   * Record the session baseline from the first quote
+   */
+  setBaseline(quote) {
+    this.baselinePrice = quote.price;
+    this.baselineLiquidity = this.estimateLiquidity(quote);
+
+    log.info('Emergency trigger baseline set', 'set_baseline', {
+      baselinePrice: this.baselinePrice,
+      baselineLiquidity: this.baselineLiquidity
+    });
+  }
+
+  /**
+   * Evaluate all triggers against the current quote and time.
+   * Pass a null quote to evaluate only the time trigger.
+   */
+  evaluate(quote, now = Date.now()) {
+    const triggers = CONFIG.EMERGENCY_TRIGGERS;
+
+    if (quote && this.baselinePrice === null) {
+      this.setBaseline(quote);
+    }
+
+    const metrics = this.measure(quote, now);
+    let evaluation = { triggered: false, trigger: null, reason: null, metrics };
+
+    if (metrics.minutesRemaining <= triggers.TIME_REMAINING_MINUTES) {
+      evaluation = {
+        triggered: true,
+        trigger: 'TIME_REMAINING',
+        reason: `Only ${Math.max(0, metrics.minutesRemaining).toFixed(1)} minutes remaining (threshold ${triggers.TIME_REMAINING_MINUTES})`,
+        metrics
+      };
+    } else if (metrics.priceDropPct >= triggers.PRICE_DROP_THRESHOLD) {
+      evaluation = {
+        triggered: true,
+        trigger: 'PRICE_DROP',
+        reason: `Price dropped ${metrics.priceDropPct.toFixed(2)}% from baseline (threshold ${triggers.PRICE_DROP_THRESHOLD}%)`,
+        metrics
+      };
+    } else if (metrics.liquidityDropPct >= triggers.LIQUIDITY_DROP_THRESHOLD) {
+      evaluation = {
+        triggered: true,
+        trigger: 'LIQUIDITY_DROP',
+        reason: `Estimated liquidity dropped ${metrics.liquidityDropPct.toFixed(2)}% from baseline (threshold ${triggers.LIQUIDITY_DROP_THRESHOLD}%)`,
+        metrics
+      };
+    }
+
+    this.lastEvaluation = { ...evaluation, timestamp: now };
+
+    if (evaluation.triggered) {
+      log.warn('Emergency trigger fired', 'evaluate', {
+        trigger: evaluation.trigger,
+        reason: evaluation.reason,
+        ...metrics
+      });
+    } else {
+      log.debug('Emergency triggers evaluated', 'evaluate', metrics);
+    }
+
+    return evaluation;
+  }
+
+  /**
+   * Trigger metrics for a quote (or null: time only) against the baseline, without side effects
+   */
+  measure(quote, now = Date.now()) {
+    const metrics = {
+      minutesRemaining: this.deadline ? (this.deadline - now) / 60000 : Infinity,
+      priceDropPct: 0,
+      liquidityDropPct: 0
+    };
+
+    if (quote && this.baselinePrice > 0) {
+      metrics.priceDropPct = ((this.baselinePrice - quote.price) / this.baselinePrice) * 100;
+    }
+
+    const liquidity = quote ? this.estimateLiquidity(quote) : null;
+    if (liquidity !== null && this.baselineLiquidity > 0 && Number.isFinite(this.baselineLiquidity)) {
+      metrics.liquidityDropPct = ((this.baselineLiquidity - liquidity) / this.baselineLiquidity) * 100;
+    }
+
+    return metrics;
+  }
+
+  /**
+   * How far each trigger is from firing for a quote. `distance` is in the
+   * trigger's unit (percent or minutes); zero or less means it would fire.
+   */
+  getDistances(quote, now = Date.now()) {
+    const triggers = CONFIG.EMERGENCY_TRIGGERS;
+    const metrics = this.measure(quote, now);
+
+    return [
+      { trigger: 'PRICE_DROP', value: metrics.priceDropPct, threshold: triggers.PRICE_DROP_THRESHOLD, unit: '%' },
+      { trigger: 'LIQUIDITY_DROP', value: metrics.liquidityDropPct, threshold: triggers.LIQUIDITY_DROP_THRESHOLD, unit: '%' },
+      { trigger: 'TIME_REMAINING', value: metrics.minutesRemaining, threshold: triggers.TIME_REMAINING_MINUTES, unit: 'm' }
+    ].map(entry => ({
+      ...entry,
+      distance: entry.trigger === 'TIME_REMAINING' ? entry.value - entry.threshold : entry.threshold - entry.value
+    }));
+  }
+
+  /**
+   * Estimate pool depth in output units from a quote's price impact.
+   * For a constant-product pool, impact ≈ trade / (depth + trade).
+   */
+  estimateLiquidity(quote) {
+    const impactFraction = parseFloat(quote.priceImpactPct || 0) / 100;
+    const outputAmount = parseInt(quote.outAmount);
+
+    if (!(impactFraction > 0)) {
+      return Infinity;
+    }
+
+    return outputAmount * (1 - impactFraction) / impactFraction;
+  }
+
+  /**
+   * Amount to sell when a trigger fires, per SELL_PORTION_PCT (default: everything).
+   * Takes and returns a tokenAmount model.
+   */
+  getEmergencySellAmount(remainingAmount) {
+    const portionPct = CONFIG.EMERGENCY_TRIGGERS.SELL_PORTION_PCT ?? 100;
+    const portion = Math.min(100, Math.max(0, portionPct));
+    return scaleAmount(remainingAmount, portion);
+  }
+}
+
+// Create singleton instance
+const emergencyTriggerService = new EmergencyTriggerService();
+
+module.exports = {
+  EmergencyTriggerService,
+  emergencyTriggerService
+};
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../config');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('jobStore');
+
+/**
+ * Persists daemon jobs, one directory per job: `<JOBS_DIR>/<jobId>/job.json`
+ * next to the job's session journal. Writes are synchronous and atomic
+ * (temp file + rename), like the session journal, so a restart never reads
+ * a half-written job.
+ */
+class JobStore {
+  constructor(dir = CONFIG.JOBS_DIR ?? 'jobs') {
+    this.dir = dir;
+  }
+
+  jobDir(jobId) {
+    return path.join(this.dir, jobId);
+  }
+
+  /**
+   * The job's session journal. Completed sessions are archived next to it as <sessionId>.json.
+   */
+  journalPath(jobId) {
+    return path.join(this.jobDir(jobId), 'session.json');
+  }
+
+  archivedJournalPath(jobId, sessionId = jobId) {
+    return path.join(this.jobDir(jobId), `${sessionId}.json`);
+  }
+
+  save(job) {
+    const dir = this.jobDir(job.id);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const filePath = path.join(dir, 'job.json');
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(job, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Every stored job, oldest first. Unreadable job files are skipped with a warning.
+   */
+  loadAll() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    const jobs = [];
+    fs.readdirSync(this.dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => {
+        const filePath = path.join(this.dir, entry.name, 'job.json');
+        if (!fs.existsSync(filePath)) return;
+
+        try {
+          jobs.push(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        } catch (error) {
+          log.warn('Skipping unreadable job file', 'load_all', { filePath, error: error.message });
+        }
+      });
+
+    return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+}
+
+module.exports = {
+  JobStore
+};
@@ -1,11 +1,23 @@
 const { apiClient } = require('./apiClient');
-const { CONFIG } = require('../config/constants');
+const { walletService } = require('./walletService');
+const { keystoreService } = require('./keystoreService');
+const { CONFIG } = require('../config');
 const { createLogger, performanceLogger } = require('../utils/logger');
+const { rawToUi, uiToRaw } = require('../utils/tokenAmount');
 
 const log = createLogger('jupiterService');
 
+// Percentage gap for ranking reasons; tiny gaps would otherwise print as 0.00%
+const formatGapPct = (pct) => (pct > 0 && pct < 0.01 ? '<0.01' : pct.toFixed(2));
+
 class JupiterService {
-  constructor() {
+  /**
+   * @param {Object} dependencies - Optional apiClient/walletService overrides (tests)
+   */
+  constructor(dependencies = {}) {
+    this.apiClient = dependencies.apiClient || apiClient;
+    this.walletService = dependencies.walletService || walletService;
+    this.keystoreService = dependencies.keystoreService || keystoreService;
     this.supportedTokens = null;
     log.info('Jupiter service initialized', 'init');
   }
@@ -20,7 +32,7 @@ class JupiterService {
       }
       
       log.info('Fetching supported tokens', 'get_tokens');
-      const response = await apiClient.get('jupiter/tokens');
+      const response = await this.apiClient.get('jupiter/tokens');
       
       if (!response.tokens) {
         throw new Error('Invalid response format: missing tokens');
@@ -40,7 +52,19 @@ class JupiterService {
   }
 
   /**
-   * Get single quote with specific parameters
+   * Resolve decimals for both sides of a swap
+   */
+  async getSwapDecimals(inputMint, outputMint) {
+    const [inputDecimals, outputDecimals] = await Promise.all([
+      this.walletService.getTokenDecimals(inputMint),
+      this.walletService.getTokenDecimals(outputMint)
+    ]);
+    return { inputDecimals, outputDecimals };
+  }
+
+  /**
+   * Get single quote with specific parameters.
+   * `amount` is in raw base units of the input mint.
    */
   async getQuote(inputMint, outputMint, amount, slippageBps = CONFIG.DEFAULT_SLIPPAGE_BPS) {
     const perf = performanceLogger.start('get_quote');
@@ -56,14 +80,14 @@ class JupiterService {
       const requestData = {
         inputMint,
         outputMint,
-        amount,
+        amount: String(amount),
         slippageBps,
         onlyDirectRoutes: false,
         asLegacyTransaction: false,
         platformFeeBps: 0
       };
       
-      const response = await apiClient.post('jupiter/quote', requestData);
+      const response = await this.apiClient.post('jupiter/quote', requestData);
       
       if (!response.quoteResponse) {
         throw new Error('Invalid response format: missing quoteResponse');
@@ -71,7 +95,8 @@ class JupiterService {
       
       const quote = response.quoteResponse;
       this.validateQuote(quote);
-      const enhancedQuote = this.enhanceQuote(quote, slippageBps);
+      const decimals = await this.getSwapDecimals(inputMint, outputMint);
+      const enhancedQuote = this.enhanceQuote(quote, slippageBps, decimals);
       
       perf.end('jupiterService', true, {
         inputAmount: amount,
@@ -82,10 +107,15 @@ class JupiterService {
       log.logQuote(
         inputMint,
         outputMint,
-        amount,
-        quote.outAmount,
+        enhancedQuote.inAmountUi,
+        enhancedQuote.outAmountUi,
         quote.priceImpactPct,
-        quote.routePlan?.length || 1
+        quote.routePlan?.length || 1,
+        {
+          inAmountRaw: quote.inAmount,
+          outAmountRaw: quote.outAmount,
+          ...decimals
+        }
       );
       
       return enhancedQuote;
@@ -100,57 +130,334 @@ class JupiterService {
   }
   
   /**
-   * Get multiple quotes with different slippage settings for optimization
+   * Quote every slippage level up to `maxSlippageBps` and rank the results.
+   * Failed levels are skipped; throws if none succeeds.
    */
-  async getOptimalQuote(inputMint, outputMint, amount) {
-    const perf = performanceLogger.start('get_optimal_quote');
+  async getRankedQuotes(inputMint, outputMint, amount, { maxSlippageBps = CONFIG.MAX_SLIPPAGE_BPS } = {}) {
+    const perf = performanceLogger.start('get_ranked_quotes');
     
     try {
-      log.info('Getting optimal quote with multiple slippage settings', 'get_optimal_quote', {
-        inputMint, outputMint, amount
-      });
-      
-      const slippageOptions = [
+      const slippageOptions = [...new Set([
         CONFIG.MIN_SLIPPAGE_BPS,
         CONFIG.DEFAULT_SLIPPAGE_BPS,
         CONFIG.MAX_SLIPPAGE_BPS
-      ];
+      ])].filter(slippage => slippage <= maxSlippageBps);
+      
+      // A cap below every level still gets one quote at the cap itself
+      if (slippageOptions.length === 0) {
+        slippageOptions.push(maxSlippageBps);
+      }
+      
+      log.info('Getting quotes for every slippage level', 'get_ranked_quotes', {
+        inputMint, outputMint, amount, slippageOptions
+      });
       
+      // Sequential on purpose: parallel quotes trip the API rate limit
+      const quotes = [];
+      let lastError = null;
       for (const slippage of slippageOptions) {
         try {
-          const quote = await this.getQuote(inputMint, outputMint, amount, slippage);
-          if (quote) {
-            perf.end('jupiterService', true, {
-              quotesReceived: 1,
-              selectedSlippage: quote.slippageBps,
-              outputAmount: quote.outAmount
-            });
-            
-            log.info('Optimal quote selected', 'get_optimal_quote', {
-              selectedSlippage: quote.slippageBps,
-              outputAmount: quote.outAmount,
-              priceImpact: quote.priceImpactPct
-            });
-            
-            return quote;
-          }
+          quotes.push(await this.getQuote(inputMint, outputMint, amount, slippage));
         } catch (error) {
-          log.warn('Quote failed for slippage', 'get_optimal_quote', {
+          lastError = error;
+          log.warn('Quote failed for slippage', 'get_ranked_quotes', {
             slippage,
             error: error.message
           });
         }
       }
       
-      throw new Error('No valid quotes received');
+      if (quotes.length === 0) {
+        throw new Error(`No valid quotes received (last error: ${lastError.message})`);
+      }
+      
+      const ranked = this.rankQuotes(quotes);
+      
+      perf.end('jupiterService', true, {
+        quotesRequested: slippageOptions.length,
+        quotesReceived: quotes.length,
+        selectedSlippage: ranked[0].slippageBps
+      });
+      
+      return ranked;
       
     } catch (error) {
       perf.end('jupiterService', false);
+      throw error;
+    }
+  }
+  
+  /**
+   * Best quote across slippage levels (see getRankedQuotes)
+   */
+  async getOptimalQuote(inputMint, outputMint, amount, options = {}) {
+    try {
+      const [best, ...others] = await this.getRankedQuotes(inputMint, outputMint, amount, options);
+      
+      log.info('Optimal quote selected', 'get_optimal_quote', {
+        selectedSlippage: best.slippageBps,
+        minimumOutput: best.minimumOutput,
+        priceImpact: best.priceImpactPct,
+        alternatives: others.length
+      });
+      
+      return best;
+      
+    } catch (error) {
       log.error('Failed to get optimal quote', 'get_optimal_quote', error);
       throw new Error(`Failed to get optimal quote: ${error.message}`);
     }
   }
   
+  /**
+   * Order quotes by guaranteed (minimum) output, then by lower price impact.
+   * Each quote gets a `rankReason` explaining its position.
+   */
+  rankQuotes(quotes) {
+    const ranked = [...quotes].sort((a, b) => {
+      const diff = BigInt(b.minimumOutput) - BigInt(a.minimumOutput);
+      if (diff !== 0n) return diff > 0n ? 1 : -1;
+      return a.priceImpactPct - b.priceImpactPct;
+    });
+    
+    const best = ranked[0];
+    return ranked.map((quote, i) => ({
+      ...quote,
+      rank: i + 1,
+      rankReason: this.describeRank(quote, best, i)
+    }));
+  }
+  
+  describeRank(quote, best, index) {
+    if (index === 0) {
+      return 'Highest minimum output';
+    }
+    
+    const bestMin = BigInt(best.minimumOutput);
+    const shortfall = bestMin - BigInt(quote.minimumOutput);
+    if (shortfall > 0n) {
+      const pct = bestMin === 0n ? 0 : Number(shortfall * 1000000n / bestMin) / 10000;
+      return `Minimum output ${formatGapPct(pct)}% lower`;
+    }
+    return `Same minimum output, price impact ${quote.priceImpactPct}% vs ${best.priceImpactPct}%`;
+  }
+  
+  /**
+   * Quote every output token and value each one's minimum output in a common
+   * valuation token, using the price of one whole output token. Rows are ranked
+   * by value; outputs that fail to quote are listed last with their error.
+   */
+  async compareOutputTokens(inputMint, amount, options = {}) {
+    const perf = performanceLogger.start('compare_output_tokens');
+    const valuationToken = options.valuationToken ?? CONFIG.VALUATION_TOKEN ?? 'USDC';
+    const outputTokens = options.outputTokens ?? CONFIG.OUTPUT_TOKENS;
+    const valuationMint = outputTokens[valuationToken] ?? CONFIG.OUTPUT_TOKENS[valuationToken];
+    
+    if (!valuationMint) {
+      throw new Error(`Unknown valuation token: ${valuationToken}`);
+    }
+    
+    const rows = [];
+    
+    for (const [outputToken, outputMint] of Object.entries(outputTokens)) {
+      if (outputMint === inputMint) continue;
+      
+      try {
+        const quote = await this.getOptimalQuote(inputMint, outputMint, amount, options);
+        const unitValue = outputMint === valuationMint
+          ? 1
+          : await this.getUnitValue(outputMint, valuationMint, quote.outputDecimals);
+        
+        rows.push({
+          outputToken,
+          outputMint,
+          quote,
+          unitValue,
+          value: quote.minimumOutputUi * unitValue
+        });
+      } catch (error) {
+        log.warn('Output token comparison failed', 'compare_output_tokens', {
+          outputToken,
+          error: error.message
+        });
+        rows.push({ outputToken, outputMint, quote: null, unitValue: null, value: null, error: error.message });
+      }
+    }
+    
+    const ranked = this.rankOutputComparison(rows, valuationToken);
+    
+    if (!ranked[0]?.quote) {
+      perf.end('jupiterService', false);
+      throw new Error('No output token could be quoted');
+    }
+    
+    perf.end('jupiterService', true, {
+      compared: rows.length,
+      selected: ranked[0].outputToken,
+      valuationToken
+    });
+    log.info('Output tokens compared', 'compare_output_tokens', {
+      valuationToken,
+      ranking: ranked.map(({ outputToken, value, error }) => ({ outputToken, value, error }))
+    });
+    
+    return ranked;
+  }
+  
+  /**
+   * Value of one whole output token in the valuation token
+   */
+  async getUnitValue(outputMint, valuationMint, outputDecimals) {
+    const oneToken = (10n ** BigInt(outputDecimals)).toString();
+    const quote = await this.getQuote(outputMint, valuationMint, oneToken);
+    return quote.outAmountUi;
+  }
+  
+  /**
+   * Order output comparison rows by value, then by lower price impact
+   */
+  rankOutputComparison(rows, valuationToken) {
+    const quoted = rows.filter(row => row.quote)
+      .sort((a, b) => (b.value - a.value) || (a.quote.priceImpactPct - b.quote.priceImpactPct));
+    const failed = rows.filter(row => !row.quote);
+    const best = quoted[0];
+    
+    return [...quoted, ...failed].map((row, i) => {
+      let reason;
+      if (!row.quote) {
+        reason = `Quote failed: ${row.error}`;
+      } else if (row === best) {
+        reason = `Highest value in ${valuationToken}`;
+      } else {
+        const pct = best.value === 0 ? 0 : ((best.value - row.value) / best.value) * 100;
+        reason = `${formatGapPct(pct)}% less than ${best.outputToken}`;
+      }
+      return { ...row, rank: i + 1, reason };
+    });
+  }
+  
+  /**
+   * Whether a quote's price impact is within the hard cap
+   */
+  isWithinImpactCap(quote, maxImpactPct = CONFIG.MAX_PRICE_IMPACT_PCT) {
+    return parseFloat(quote.priceImpactPct || 0) <= maxImpactPct;
+  }
+  
+  /**
+   * Binary search for the largest raw amount (below `amount`) whose quote stays
+   * within the price impact cap. Returns { amount, quote } or null if no
+   * probed size fits.
+   */
+  async findMaxSizeWithinImpact(inputMint, outputMint, amount, slippageBps, maxImpactPct = CONFIG.MAX_PRICE_IMPACT_PCT) {
+    const perf = performanceLogger.start('find_max_size_within_impact');
+    const iterations = CONFIG.IMPACT_SEARCH_ITERATIONS ?? 10;
+    
+    let low = 0n;
+    let high = BigInt(amount);
+    let best = null;
+    let probes = 0;
+    
+    try {
+      while (probes < iterations && high - low > 1n) {
+        const mid = (low + high) / 2n;
+        const quote = await this.getQuote(inputMint, outputMint, mid.toString(), slippageBps);
+        probes++;
+        
+        if (this.isWithinImpactCap(quote, maxImpactPct)) {
+          low = mid;
+          best = quote;
+        } else {
+          high = mid;
+        }
+      }
+      
+      perf.end('jupiterService', true, {
+        probes,
+        requestedAmount: String(amount),
+        maxAmount: best ? low.toString() : null
+      });
+      log.info('Price impact size search finished', 'find_max_size_within_impact', {
+        requestedAmount: String(amount),
+        maxAmount: best ? low.toString() : null,
+        priceImpact: best?.priceImpactPct,
+        maxImpactPct,
+        probes
+      });
+      
+      return best ? { amount: low.toString(), quote: best } : null;
+      
+    } catch (error) {
+      perf.end('jupiterService', false, { probes });
+      log.error('Price impact size search failed', 'find_max_size_within_impact', error, { amount: String(amount) });
+      throw new Error(`Failed to search size within price impact cap: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Whether a quote is older than MAX_QUOTE_AGE_SECONDS
+   */
+  isQuoteStale(quote, now = Date.now()) {
+    const maxAgeMs = (CONFIG.MAX_QUOTE_AGE_SECONDS ?? 30) * 1000;
+    return now - quote.timestamp > maxAgeMs;
+  }
+  
+  /**
+   * Fresh quote for the same pair, size and slippage as an earlier one
+   */
+  async requote(quote) {
+    log.info('Requoting stale quote', 'requote', {
+      inputMint: quote.inputMint,
+      outputMint: quote.outputMint,
+      amount: quote.inAmount,
+      ageMs: Date.now() - quote.timestamp
+    });
+    return this.getQuote(quote.inputMint, quote.outputMint, quote.inAmount, quote.slippageBps);
+  }
+  
+  /**
+   * Relative change from an earlier quote to a fresh one. Negative output
+   * changes are worse for the seller.
+   */
+  compareQuotes(original, fresh) {
+    const pctChange = (from, to) => {
+      const base = BigInt(from);
+      return base === 0n ? 0 : Number((BigInt(to) - base) * 1000000n / base) / 10000;
+    };
+    
+    return {
+      outAmountChangePct: pctChange(original.outAmount, fresh.outAmount),
+      minimumOutputChangePct: pctChange(original.minimumOutput, fresh.minimumOutput),
+      priceImpactChange: fresh.priceImpactPct - original.priceImpactPct
+    };
+  }
+  
+  /**
+   * Realized fill from balance snapshots taken before and after a swap.
+   * The platform fee is added back so realized slippage measures the fill
+   * against the quote; `belowMinimum` is judged on what actually arrived.
+   */
+  reconcileSwap(quote, before, after, feeCollection) {
+    const { inputMint, outputMint, outputDecimals = 0 } = quote;
+    const realizedInAmount = BigInt(before[inputMint]) - BigInt(after[inputMint]);
+    const realizedOutAmount = BigInt(after[outputMint]) - BigInt(before[outputMint]);
+    
+    const feeInOutput = feeCollection?.status === 'success' && feeCollection.feeTokenMint === outputMint;
+    const feeAmount = feeInOutput ? BigInt(uiToRaw(feeCollection.feeAmount, outputDecimals)) : 0n;
+    const filledOutAmount = realizedOutAmount + feeAmount;
+    const quotedOutAmount = BigInt(quote.outAmount);
+    
+    return {
+      realizedInAmount: realizedInAmount.toString(),
+      realizedOutAmount: realizedOutAmount.toString(),
+      filledOutAmount: filledOutAmount.toString(),
+      feeDeductionAmount: feeAmount.toString(),
+      realizedSlippagePct: quotedOutAmount === 0n
+        ? 0
+        : Number((filledOutAmount - quotedOutAmount) * 1000000n / quotedOutAmount) / 10000,
+      belowMinimum: realizedOutAmount < BigInt(quote.minimumOutput)
+    };
+  }
+  
   /**
    * Execute swap using Jupiter by calling the backend API.
    */
@@ -164,15 +471,21 @@ class JupiterService {
         collectFees
       });
       
+      // Resolve decimals before swapping so a lookup failure can never mask a completed swap
+      const { inputDecimals, outputDecimals } = await this.getSwapDecimals(
+        quoteResponse.inputMint,
+        quoteResponse.outputMint
+      );
+      
       const requestData = {
-        userWalletPrivateKeyBase58: CONFIG.WALLET_PRIVATE_KEY,
+        userWalletPrivateKeyBase58: this.keystoreService.getPrivateKey(),
         quoteResponse,
         wrapAndUnwrapSol: true,
         asLegacyTransaction: false,
         collectFees
       };
       
-      const response = await apiClient.post('jupiter/swap', requestData);
+      const response = await this.apiClient.post('jupiter/swap', requestData);
       
       if (!response.transactionId) {
         throw new Error('Invalid response from swap API: missing transactionId');
@@ -187,8 +500,8 @@ class JupiterService {
         'Jupiter swap executed successfully',
         response.transactionId,
         CONFIG.WALLET_PUBLIC_KEY,
-        quoteResponse.inAmount,
-        this.calculatePrice(quoteResponse),
+        rawToUi(quoteResponse.inAmount, inputDecimals),
+        this.calculatePrice(quoteResponse, inputDecimals, outputDecimals),
         quoteResponse.slippageBps
       );
       
@@ -221,6 +534,7 @@ class JupiterService {
     }
     
     if (quote.priceImpactPct && parseFloat(quote.priceImpactPct) > CONFIG.MAX_PRICE_IMPACT_PCT) {
+      // Enforced by TokenSeller.applyImpactGuard before any swap
       log.warn('High price impact detected', 'validate_quote', {
         priceImpact: quote.priceImpactPct,
         maxAllowed: CONFIG.MAX_PRICE_IMPACT_PCT
@@ -229,14 +543,23 @@ class JupiterService {
   }
   
   /**
-   * Enhance quote with additional calculated fields
+   * Enhance quote with additional calculated fields.
+   * Raw amounts stay as returned by Jupiter; *Ui fields are decimals-adjusted.
    */
-  enhanceQuote(quote, slippageBps) {
+  enhanceQuote(quote, slippageBps, { inputDecimals = 0, outputDecimals = 0 } = {}) {
+    const minimumOutput = this.calculateMinimumOutput(quote, slippageBps);
+    
     return {
       ...quote,
+      quoteResponse: quote, // Untouched Jupiter quote, as expected by jupiter/swap
       slippageBps,
-      price: this.calculatePrice(quote),
-      minimumOutput: this.calculateMinimumOutput(quote, slippageBps),
+      inputDecimals,
+      outputDecimals,
+      inAmountUi: rawToUi(quote.inAmount, inputDecimals),
+      outAmountUi: rawToUi(quote.outAmount, outputDecimals),
+      price: this.calculatePrice(quote, inputDecimals, outputDecimals),
+      minimumOutput,
+      minimumOutputUi: rawToUi(minimumOutput, outputDecimals),
       priceImpactPct: parseFloat(quote.priceImpactPct || 0),
       routeLength: quote.routePlan?.length || 1,
       timestamp: Date.now()
@@ -244,20 +567,20 @@ class JupiterService {
   }
   
   /**
-   * Calculate price from quote
+   * Calculate price from quote in output tokens per input token (UI units)
    */
-  calculatePrice(quote) {
-    const inputAmount = parseInt(quote.inAmount);
-    const outputAmount = parseInt(quote.outAmount);
+  calculatePrice(quote, inputDecimals = 0, outputDecimals = 0) {
+    const inputAmount = rawToUi(quote.inAmount, inputDecimals);
+    const outputAmount = rawToUi(quote.outAmount, outputDecimals);
     return inputAmount === 0 ? 0 : outputAmount / inputAmount;
   }
   
   /**
-   * Calculate minimum output considering slippage
+   * Calculate minimum output (raw base units) considering slippage
    */
   calculateMinimumOutput(quote, slippageBps) {
-    const outputAmount = parseInt(quote.outAmount);
-    return Math.floor(outputAmount * (10000 - slippageBps) / 10000);
+    const outputAmount = BigInt(quote.outAmount);
+    return (outputAmount * BigInt(10000 - slippageBps) / 10000n).toString();
   }
 }
 
@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const readlineSync = require('readline-sync');
+const { CONFIG } = require('../config');
+const { createLogger } = require('../utils/logger');
+const { assertKeyPair } = require('../utils/solanaKeys');
+
+const log = createLogger('keystore');
+const scrypt = promisify(crypto.scrypt);
+
+const KEYSTORE_VERSION = 1;
+
+// scrypt cost parameters for new keystores; existing files keep the ones they were written with
+const DEFAULT_KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1, dklen: 32 };
+
+// Unlock attempts at the passphrase prompt
+const MAX_PROMPT_ATTEMPTS = 3;
+
+/**
+ * True when WALLET_PRIVATE_KEY holds something other than the example placeholder
+ */
+const hasPlaintextKey = () =>
+  Boolean(CONFIG.WALLET_PRIVATE_KEY) && !String(CONFIG.WALLET_PRIVATE_KEY).includes('YOUR_');
+
+/**
+ * Hidden passphrase prompt for interactive unlocks
+ */
+const promptKeystorePassphrase = (attempt = 1) => readlineSync.question(
+  attempt === 1 ? '🔐 Keystore passphrase: ' : `🔐 Wrong passphrase, try again (${attempt}/${MAX_PROMPT_ATTEMPTS}): `,
+  { hideEchoBack: true, mask: '' }
+);
+
+/**
+ * Encrypted wallet keystore: scrypt-derived key, AES-256-GCM. The public key is
+ * bound to the ciphertext as additional authenticated data. The decrypted
+ * private key only lives in memory and is never logged.
+ */
+class KeystoreService {
+  constructor(filePath = CONFIG.KEYSTORE_FILE ?? 'keystore/wallet.json') {
+    this.filePath = filePath;
+    this.privateKey = null;
+    this.source = null; // 'keystore' or 'plaintext' once unlocked
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  isUnlocked() {
+    return this.privateKey !== null;
+  }
+
+  /**
+   * Encrypt a base58 private key into a keystore object. The key must belong to `publicKey`.
+   */
+  async encrypt(privateKey, passphrase, publicKey = CONFIG.WALLET_PUBLIC_KEY) {
+    if (!privateKey) {
+      throw new Error('Private key is required');
+    }
+    if (!passphrase) {
+      throw new Error('Passphrase is required');
+    }
+    assertKeyPair(privateKey, publicKey);
+
+    const salt = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const kdfParams = { ...DEFAULT_KDF_PARAMS, salt: salt.toString('hex') };
+    const key = await this.deriveKey(passphrase, kdfParams);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(this.additionalData(publicKey));
+    const ciphertext = Buffer.concat([cipher.update(privateKey, 'utf8'), cipher.final()]);
+
+    return {
+      version: KEYSTORE_VERSION,
+      publicKey,
+      kdf: 'scrypt',
+      kdfParams,
+      cipher: 'aes-256-gcm',
+      cipherParams: { iv: iv.toString('hex') },
+      ciphertext: ciphertext.toString('hex'),
+      authTag: cipher.getAuthTag().toString('hex'),
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Decrypt a keystore object. A wrong passphrase and a tampered file fail the same way.
+   */
+  async decrypt(keystore, passphrase) {
+    if (keystore.version !== KEYSTORE_VERSION || keystore.kdf !== 'scrypt' || keystore.cipher !== 'aes-256-gcm') {
+      throw new Error(`Unsupported keystore format (version ${keystore.version}, ${keystore.kdf}/${keystore.cipher})`);
+    }
+
+    const key = await this.deriveKey(passphrase, keystore.kdfParams);
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.cipherParams.iv, 'hex'));
+      decipher.setAAD(this.additionalData(keystore.publicKey));
+      decipher.setAuthTag(Buffer.from(keystore.authTag, 'hex'));
+      return Buffer.concat([
+        decipher.update(Buffer.from(keystore.ciphertext, 'hex')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (error) {
+      throw new Error('Wrong passphrase or corrupted keystore');
+    }
+  }
+
+  /**
+   * Encrypt a private key and write it to the keystore file (owner read/write only)
+   */
+  async create(privateKey, passphrase, publicKey = CONFIG.WALLET_PUBLIC_KEY) {
+    const keystore = await this.encrypt(privateKey, passphrase, publicKey);
+
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+
+    // Atomic: never leave a half-written keystore behind
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+
+    log.info('Keystore written', 'create', { filePath: this.filePath, publicKey });
+    return keystore;
+  }
+
+  /**
+   * Read the keystore file
+   */
+  load() {
+    if (!this.exists()) {
+      throw new Error(`No keystore found at ${this.filePath}`);
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Corrupt keystore at ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decrypt the keystore file and keep the private key in memory
+   */
+  async unlock(passphrase) {
+    const keystore = this.load();
+
+    if (keystore.publicKey !== CONFIG.WALLET_PUBLIC_KEY) {
+      throw new Error(`Keystore belongs to ${keystore.publicKey}, not the configured wallet ${CONFIG.WALLET_PUBLIC_KEY}`);
+    }
+
+    const privateKey = await this.decrypt(keystore, passphrase);
+    assertKeyPair(privateKey, CONFIG.WALLET_PUBLIC_KEY);
+
+    this.privateKey = privateKey;
+    this.source = 'keystore';
+
+    log.info('Keystore unlocked', 'unlock', { filePath: this.filePath, publicKey: keystore.publicKey });
+  }
+
+  /**
+   * Unlock for a selling session. The passphrase comes from the environment
+   * variable named by KEYSTORE_PASSPHRASE_ENV, else from `promptPassphrase`
+   * (interactive runs only). Without a keystore file, a plaintext
+   * WALLET_PRIVATE_KEY is still accepted, with a warning. Either way the key
+   * must derive WALLET_PUBLIC_KEY.
+   */
+  async unlockForSession({ promptPassphrase = null } = {}) {
+    if (this.isUnlocked()) {
+      return this.source;
+    }
+
+    if (!this.exists()) {
+      if (!hasPlaintextKey()) {
+        throw new Error(`No keystore found at ${this.filePath}. Run "npm run setup" to create one.`);
+      }
+
+      assertKeyPair(CONFIG.WALLET_PRIVATE_KEY, CONFIG.WALLET_PUBLIC_KEY);
+
+      log.warn('Using plaintext WALLET_PRIVATE_KEY; run setup to move it into an encrypted keystore', 'unlock');
+      this.privateKey = CONFIG.WALLET_PRIVATE_KEY;
+      this.source = 'plaintext';
+      return this.source;
+    }
+
+    const envName = CONFIG.KEYSTORE_PASSPHRASE_ENV ?? 'TOKEN_SELLER_KEYSTORE_PASSPHRASE';
+    if (process.env[envName]) {
+      await this.unlock(process.env[envName]);
+      return this.source;
+    }
+
+    if (!promptPassphrase) {
+      throw new Error(`Keystore is locked. Set ${envName} to unlock it in headless runs.`);
+    }
+
+    for (let attempt = 1; attempt <= MAX_PROMPT_ATTEMPTS; attempt++) {
+      try {
+        await this.unlock(promptPassphrase(attempt));
+        return this.source;
+      } catch (error) {
+        log.warn('Keystore unlock failed', 'unlock', { attempt, error: error.message });
+        if (attempt === MAX_PROMPT_ATTEMPTS || !error.message.startsWith('Wrong passphrase')) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * The unlocked private key, for signing requests
+   */
+  getPrivateKey() {
+    if (!this.isUnlocked()) {
+      throw new Error('Wallet keystore is locked');
+    }
+    return this.privateKey;
+  }
+
+  /**
+   * Drop the decrypted key from memory
+   */
+  lock() {
+    this.privateKey = null;
+    this.source = null;
+  }
+
+  async deriveKey(passphrase, { N, r, p, dklen, salt }) {
+    // scrypt needs 128 * N * r bytes; leave headroom over Node's 32 MB default
+    return scrypt(passphrase, Buffer.from(salt, 'hex'), dklen, { N, r, p, maxmem: 256 * N * r });
+  }
+
+  additionalData(publicKey) {
+    return Buffer.from(JSON.stringify({ version: KEYSTORE_VERSION, publicKey }), 'utf8');
+  }
+}
+
+const keystoreService = new KeystoreService();
+
+module.exports = {
+  KeystoreService,
+  keystoreService,
+  hasPlaintextKey,
+  promptKeystorePassphrase
+};
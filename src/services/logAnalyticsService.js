@@ -0,0 +1,515 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const { CONFIG } = require('../config');
+const { createLogger } = require('../utils/logger');
+const { formatAmount } = require('../utils/tokenAmount');
+
+const log = createLogger('logAnalytics');
+
+// performanceLogger writes "Operation completed" / "Operation failed" with data.duration
+const PERFORMANCE_MESSAGE = /^Operation (completed|failed)$/;
+
+// Path segments that are wallet addresses or mints (base58, 32+ chars)
+const ADDRESS_SEGMENT = /^[1-9A-HJ-NP-Za-km-z]{32,}$/;
+
+// Most recent rows shown in the session and swap tables
+const MAX_TABLE_ROWS = 25;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Collapse addresses and query strings so "GET wallets/token-balance/<wallet>?mintAddress=..."
+ * groups as one operation
+ */
+const normalizeOperation = (operation = 'unknown') => {
+  const [pathPart] = String(operation).split('?');
+  return pathPart
+    .split('/')
+    .map(segment => (ADDRESS_SEGMENT.test(segment) ? ':address' : segment))
+    .join('/');
+};
+
+/**
+ * Nearest-rank percentile of an ascending list
+ */
+const percentile = (sorted, pct) => {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.max(0, Math.ceil((pct / 100) * sorted.length) - 1)];
+};
+
+/**
+ * Mint → symbol for the configured output tokens, else a shortened address
+ */
+const formatMint = (mint) => {
+  const symbol = Object.keys(CONFIG.OUTPUT_TOKENS).find(key => CONFIG.OUTPUT_TOKENS[key] === mint);
+  if (symbol) return symbol;
+  return mint && mint.length > 12 ? `${mint.slice(0, 4)}...${mint.slice(-4)}` : String(mint);
+};
+
+/**
+ * Reads the structured JSON log (LOG_FILE and its rotated siblings) back into
+ * session, swap, failure, latency and retry statistics
+ */
+class LogAnalyticsService {
+  constructor(logFile = CONFIG.LOG_FILE) {
+    this.logFile = logFile;
+  }
+
+  /**
+   * LOG_FILE plus the files winston rotated it into (token-seller1.log, token-seller2.log, ...)
+   */
+  listLogFiles() {
+    const dir = path.dirname(this.logFile);
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    const ext = path.extname(this.logFile);
+    const pattern = new RegExp(`^${escapeRegExp(path.basename(this.logFile, ext))}(\\d*)${escapeRegExp(ext)}$`);
+
+    return fs.readdirSync(dir)
+      .map(name => ({ name, match: name.match(pattern) }))
+      .filter(({ match }) => match)
+      .sort((a, b) => Number(a.match[1] || 0) - Number(b.match[1] || 0))
+      .map(({ name }) => path.join(dir, name));
+  }
+
+  /**
+   * Parsed log entries in time order, limited to [since, until].
+   * Lines that are not JSON (e.g. a partially written last line) are counted and skipped.
+   */
+  readEntries({ since = null, until = null } = {}) {
+    const files = this.listLogFiles();
+    const entries = [];
+    let malformedLines = 0;
+
+    files.forEach(file => {
+      fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+        if (!line.trim()) return;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          malformedLines += 1;
+          return;
+        }
+
+        const time = Date.parse(entry.timestamp);
+        if (Number.isNaN(time)) {
+          malformedLines += 1;
+          return;
+        }
+        if ((since && time < since.getTime()) || (until && time > until.getTime())) {
+          return;
+        }
+
+        entries.push({ ...entry, time });
+      });
+    });
+
+    entries.sort((a, b) => a.time - b.time);
+    return { files, entries, malformedLines };
+  }
+
+  /**
+   * Full analytics report. `operation` narrows the operation, latency and retry
+   * statistics to names containing it (case-insensitive).
+   */
+  analyze({ since = null, until = null, operation = null } = {}) {
+    const { files, entries, malformedLines } = this.readEntries({ since, until });
+    const matchesOperation = (name) => !operation || name.toLowerCase().includes(operation.toLowerCase());
+
+    const swaps = this.collectSwaps(entries);
+    const operations = this.collectOperationStats(entries).filter(stats => matchesOperation(stats.operation));
+
+    const report = {
+      files,
+      entryCount: entries.length,
+      malformedLines,
+      filters: { since, until, operation },
+      firstEntry: entries[0]?.timestamp ?? null,
+      lastEntry: entries[entries.length - 1]?.timestamp ?? null,
+      sessions: this.collectSessions(entries),
+      swaps,
+      realizedPrices: this.collectRealizedPrices(swaps),
+      operations,
+      apiLatency: operations.filter(stats => stats.component === 'apiClient'),
+      retries: this.collectRetries(entries).filter(stats => matchesOperation(stats.endpoint))
+    };
+
+    log.info('Log analytics generated', 'analyze', {
+      files: files.length,
+      entries: entries.length,
+      malformedLines,
+      sessions: report.sessions.length,
+      swaps: swaps.length
+    });
+
+    return report;
+  }
+
+  /**
+   * Sessions keyed by sessionId from the seller init, summary and critical error entries.
+   * Portfolio positions are reported under their portfolio session.
+   */
+  collectSessions(entries) {
+    const sessions = new Map();
+    const getSession = (sessionId) => {
+      if (!sessions.has(sessionId)) {
+        sessions.set(sessionId, { sessionId, type: 'single', status: 'INCOMPLETE', startTime: null, endTime: null });
+      }
+      return sessions.get(sessionId);
+    };
+
+    entries.forEach(entry => {
+      const data = entry.data || {};
+      if (!data.sessionId) return;
+
+      if (entry.operation === 'init' && ['tokenSeller', 'portfolioSeller'].includes(entry.component)) {
+        const session = getSession(data.sessionId);
+        session.type = entry.component === 'portfolioSeller' ? 'portfolio' : 'single';
+        session.startTime = entry.timestamp;
+        session.simulated = Boolean(data.dryRun);
+      }
+
+      if (entry.operation === 'execution_summary') {
+        Object.assign(getSession(data.sessionId), {
+          status: data.status ?? (data.success ? 'SUCCESS' : 'FAILED'),
+          endTime: entry.timestamp,
+          strategy: data.strategy ?? null,
+          tokensSold: data.totalTokensSold,
+          received: data.outputToken ? { [data.outputToken]: data.totalReceived } : {},
+          averagePrice: data.averagePrice,
+          transactionCount: data.transactionCount,
+          simulated: Boolean(data.simulated)
+        });
+      }
+
+      if (entry.operation === 'portfolio_summary') {
+        Object.assign(getSession(data.sessionId), {
+          type: 'portfolio',
+          status: data.status ?? (data.failedCount === 0 ? 'SUCCESS' : 'FAILED'),
+          endTime: entry.timestamp,
+          strategy: data.mode ?? null,
+          received: data.totals?.receivedByOutput ?? {},
+          transactionCount: data.totals?.transactionCount ?? 0
+        });
+      }
+
+      if (entry.operation === 'critical_error') {
+        Object.assign(getSession(data.sessionId), {
+          status: 'FAILED',
+          endTime: entry.timestamp,
+          error: entry.error?.message ?? null
+        });
+      }
+    });
+
+    const portfolioIds = [...sessions.values()].filter(session => session.type === 'portfolio').map(session => session.sessionId);
+    return [...sessions.values()].filter(session => !portfolioIds.some(id => session.sessionId.startsWith(`${id}-`)));
+  }
+
+  /**
+   * Swaps keyed by transaction ID, joining the swap log with its reconciliation
+   */
+  collectSwaps(entries) {
+    const swaps = new Map();
+    const getSwap = (transactionId, timestamp) => {
+      if (!swaps.has(transactionId)) {
+        swaps.set(transactionId, { transactionId, timestamp, reconciled: false });
+      }
+      return swaps.get(transactionId);
+    };
+
+    entries.forEach(entry => {
+      if (entry.operation === 'transaction' && entry.transactionId) {
+        Object.assign(getSwap(entry.transactionId, entry.timestamp), {
+          inAmount: entry.tokenAmount,
+          quotedPrice: entry.price,
+          slippageBps: entry.slippage
+        });
+      }
+
+      const data = entry.data || {};
+      if (entry.operation === 'reconcile_swap' && data.transactionId && data.realizedPrice !== undefined) {
+        Object.assign(getSwap(data.transactionId, entry.timestamp), {
+          reconciled: true,
+          sessionId: data.sessionId,
+          inputMint: data.inputMint,
+          outputMint: data.outputMint,
+          realizedInAmount: data.realizedInAmountUi,
+          realizedOutAmount: data.realizedOutAmountUi,
+          realizedPrice: data.realizedPrice,
+          realizedSlippagePct: data.realizedSlippagePct,
+          belowMinimum: Boolean(data.belowMinimum)
+        });
+      }
+    });
+
+    return [...swaps.values()];
+  }
+
+  /**
+   * Volume-weighted realized price per input → output pair, from reconciled swaps
+   */
+  collectRealizedPrices(swaps) {
+    const pairs = new Map();
+
+    swaps.filter(swap => swap.reconciled).forEach(swap => {
+      const key = `${swap.inputMint}→${swap.outputMint}`;
+      if (!pairs.has(key)) {
+        pairs.set(key, { inputMint: swap.inputMint, outputMint: swap.outputMint, swaps: 0, sold: 0, received: 0, slippageSum: 0, belowMinimum: 0 });
+      }
+
+      const pair = pairs.get(key);
+      pair.swaps += 1;
+      pair.sold += swap.realizedInAmount || 0;
+      pair.received += swap.realizedOutAmount || 0;
+      pair.slippageSum += swap.realizedSlippagePct || 0;
+      pair.belowMinimum += swap.belowMinimum ? 1 : 0;
+    });
+
+    return [...pairs.values()].map(({ slippageSum, ...pair }) => ({
+      ...pair,
+      averagePrice: pair.sold === 0 ? 0 : pair.received / pair.sold,
+      averageSlippagePct: slippageSum / pair.swaps
+    }));
+  }
+
+  /**
+   * Calls, failures and duration percentiles per performanceLogger operation
+   */
+  collectOperationStats(entries) {
+    const groups = new Map();
+
+    entries
+      .filter(entry => PERFORMANCE_MESSAGE.test(entry.message) && typeof entry.data?.duration === 'number')
+      .forEach(entry => {
+        const operation = normalizeOperation(entry.operation);
+        const key = `${entry.component} ${operation}`;
+        if (!groups.has(key)) {
+          groups.set(key, { component: entry.component, operation, durations: [], failures: 0 });
+        }
+
+        const group = groups.get(key);
+        group.durations.push(entry.data.duration);
+        if (entry.data.success === false) {
+          group.failures += 1;
+        }
+      });
+
+    return [...groups.values()]
+      .map(({ durations, ...group }) => {
+        const sorted = durations.sort((a, b) => a - b);
+        return {
+          ...group,
+          calls: sorted.length,
+          failureRatePct: (group.failures / sorted.length) * 100,
+          p50: percentile(sorted, 50),
+          p90: percentile(sorted, 90),
+          p99: percentile(sorted, 99),
+          max: sorted[sorted.length - 1]
+        };
+      })
+      .sort((a, b) => b.calls - a.calls);
+  }
+
+  /**
+   * Retried and exhausted API requests per endpoint, from apiClient retry warnings
+   */
+  collectRetries(entries) {
+    const endpoints = new Map();
+
+    entries
+      .filter(entry => entry.component === 'apiClient' && entry.operation === 'retry' && entry.data)
+      .forEach(entry => {
+        const endpoint = `${entry.data.method} ${normalizeOperation(entry.data.endpoint)}`;
+        if (!endpoints.has(endpoint)) {
+          endpoints.set(endpoint, { endpoint, retries: 0, exhausted: 0, errorTypes: {} });
+        }
+
+        const stats = endpoints.get(endpoint);
+        if (entry.data.isLastAttempt || !entry.data.isRetryableError) {
+          stats.exhausted += 1;
+        } else {
+          stats.retries += 1;
+        }
+        const errorType = entry.data.httpStatus ? `HTTP ${entry.data.httpStatus}` : entry.data.errorType || 'unknown';
+        stats.errorTypes[errorType] = (stats.errorTypes[errorType] || 0) + 1;
+      });
+
+    return [...endpoints.values()].sort((a, b) => b.retries - a.retries);
+  }
+
+  /**
+   * Print the report as tables
+   */
+  displayReport(report) {
+    console.log(chalk.blue.bold('\n📈 SESSION HISTORY & ANALYTICS'));
+    console.log(chalk.blue.bold('═'.repeat(50)));
+
+    if (report.files.length === 0) {
+      console.log(chalk.yellow(`No log files found for ${this.logFile}`));
+      return;
+    }
+
+    const { since, until, operation } = report.filters;
+    console.log(chalk.gray(`Files: ${report.files.join(', ')}`));
+    console.log(chalk.gray(`Entries: ${report.entryCount}${report.firstEntry ? ` (${report.firstEntry} → ${report.lastEntry})` : ''}`));
+    if (since || until || operation) {
+      console.log(chalk.gray(`Filters: ${[
+        since && `since ${since.toISOString()}`,
+        until && `until ${until.toISOString()}`,
+        operation && `operation ~ "${operation}"`
+      ].filter(Boolean).join(', ')}`));
+    }
+    if (report.malformedLines > 0) {
+      console.log(chalk.yellow(`⚠️  Skipped ${report.malformedLines} unreadable log line(s)`));
+    }
+
+    this.displaySessions(report.sessions);
+    this.displaySwaps(report.swaps, report.realizedPrices);
+    this.displayOperations(report.operations, report.apiLatency);
+    this.displayRetries(report.retries);
+  }
+
+  displaySessions(sessions) {
+    console.log(chalk.cyan.bold(`\n🗂️  Sessions (${sessions.length})`));
+    if (sessions.length === 0) {
+      console.log(chalk.gray('  None in range'));
+      return;
+    }
+
+    const table = new Table({
+      head: ['Session', 'Started', 'Strategy', 'Status', 'Sold', 'Received', 'Swaps'].map(head => chalk.cyan(head)),
+      style: { head: [], border: [] }
+    });
+    const colorStatus = (status) => {
+      if (status === 'SUCCESS') return chalk.green(status);
+      if (status === 'FAILED') return chalk.red(status);
+      return chalk.yellow(status);
+    };
+
+    sessions.slice(-MAX_TABLE_ROWS).forEach(session => {
+      table.push([
+        session.sessionId,
+        session.startTime ?? '-',
+        session.strategy ?? '-',
+        colorStatus(session.status) + (session.simulated ? chalk.magenta(' (dry run)') : ''),
+        session.tokensSold === undefined ? '-' : formatAmount(session.tokensSold, 9),
+        Object.entries(session.received ?? {}).map(([token, amount]) => `${formatAmount(amount, 9)} ${token}`).join('\n') || '-',
+        session.transactionCount ?? '-'
+      ]);
+    });
+
+    console.log(table.toString());
+    if (sessions.length > MAX_TABLE_ROWS) {
+      console.log(chalk.gray(`  ${sessions.length - MAX_TABLE_ROWS} older session(s) not shown. Narrow the range with --since/--until.`));
+    }
+  }
+
+  displaySwaps(swaps, realizedPrices) {
+    const reconciled = swaps.filter(swap => swap.reconciled).length;
+    console.log(chalk.cyan.bold(`\n🔁 Swaps (${swaps.length}, ${reconciled} reconciled)`));
+    if (swaps.length === 0) {
+      console.log(chalk.gray('  None in range'));
+      return;
+    }
+
+    const swapTable = new Table({
+      head: ['Time', 'Transaction', 'Sold', 'Quoted Price', 'Realized Price', 'Slippage'].map(head => chalk.cyan(head)),
+      style: { head: [], border: [] }
+    });
+
+    swaps.slice(-MAX_TABLE_ROWS).forEach(swap => {
+      const slippage = swap.realizedSlippagePct === undefined ? '-' : `${swap.realizedSlippagePct.toFixed(2)}%`;
+      swapTable.push([
+        swap.timestamp,
+        `${swap.transactionId.slice(0, 12)}...`,
+        formatAmount(swap.realizedInAmount ?? swap.inAmount ?? 0, 9),
+        swap.quotedPrice === undefined ? '-' : swap.quotedPrice.toFixed(8),
+        swap.realizedPrice === undefined ? '-' : swap.realizedPrice.toFixed(8),
+        swap.belowMinimum ? chalk.red(`${slippage} ⚠️  below min.`) : slippage
+      ]);
+    });
+    console.log(swapTable.toString());
+
+    if (realizedPrices.length > 0) {
+      const priceTable = new Table({
+        head: ['Pair', 'Swaps', 'Sold', 'Received', 'Avg. Realized Price', 'Avg. Slippage', 'Below Min.'].map(head => chalk.cyan(head)),
+        style: { head: [], border: [] }
+      });
+
+      realizedPrices.forEach(pair => {
+        priceTable.push([
+          `${formatMint(pair.inputMint)} → ${formatMint(pair.outputMint)}`,
+          pair.swaps,
+          formatAmount(pair.sold, 9),
+          formatAmount(pair.received, 9),
+          pair.averagePrice.toFixed(8),
+          `${pair.averageSlippagePct.toFixed(2)}%`,
+          pair.belowMinimum > 0 ? chalk.red(pair.belowMinimum) : 0
+        ]);
+      });
+      console.log(priceTable.toString());
+    }
+  }
+
+  displayOperations(operations, apiLatency) {
+    console.log(chalk.cyan.bold('\n⚙️  Failure rates by operation'));
+    if (operations.length === 0) {
+      console.log(chalk.gray('  None in range'));
+      return;
+    }
+
+    const failureTable = new Table({
+      head: ['Component', 'Operation', 'Calls', 'Failed', 'Failure Rate'].map(head => chalk.cyan(head)),
+      style: { head: [], border: [] }
+    });
+    operations.forEach(stats => {
+      const rate = `${stats.failureRatePct.toFixed(1)}%`;
+      failureTable.push([stats.component, stats.operation, stats.calls, stats.failures, stats.failures > 0 ? chalk.red(rate) : rate]);
+    });
+    console.log(failureTable.toString());
+
+    if (apiLatency.length > 0) {
+      console.log(chalk.cyan.bold('\n⏱️  API latency (ms)'));
+      const latencyTable = new Table({
+        head: ['Request', 'Calls', 'p50', 'p90', 'p99', 'Max'].map(head => chalk.cyan(head)),
+        style: { head: [], border: [] }
+      });
+      apiLatency.forEach(stats => latencyTable.push([stats.operation, stats.calls, stats.p50, stats.p90, stats.p99, stats.max]));
+      console.log(latencyTable.toString());
+    }
+  }
+
+  displayRetries(retries) {
+    console.log(chalk.cyan.bold('\n🔄 API retries'));
+    if (retries.length === 0) {
+      console.log(chalk.gray('  None in range'));
+      return;
+    }
+
+    const table = new Table({
+      head: ['Request', 'Retries', 'Gave Up', 'Errors'].map(head => chalk.cyan(head)),
+      style: { head: [], border: [] }
+    });
+    retries.forEach(stats => {
+      const errors = Object.entries(stats.errorTypes).map(([type, count]) => `${type} ×${count}`).join(', ');
+      table.push([stats.endpoint, stats.retries, stats.exhausted > 0 ? chalk.red(stats.exhausted) : 0, errors]);
+    });
+    console.log(table.toString());
+  }
+}
+
+const logAnalyticsService = new LogAnalyticsService();
+
+module.exports = {
+  LogAnalyticsService,
+  logAnalyticsService,
+  normalizeOperation,
+  percentile
+};
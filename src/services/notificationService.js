@@ -0,0 +1,257 @@
+const axios = require('axios');
+const { CONFIG } = require('../config');
+const { NOTIFICATION_EVENTS } = require('../config/schema');
+const { createLogger, logEvents } = require('../utils/logger');
+
+const log = createLogger('notificationService');
+
+// Title and accent color per event; `text` summarizes the payload in one line
+const EVENT_STYLES = {
+  state_change: {
+    title: 'State change',
+    color: '#439fe0',
+    text: (data) => `${data.fromState} → ${data.toState}`
+  },
+  swap_succeeded: {
+    title: 'Swap succeeded',
+    color: '#2eb67d',
+    text: (data) => `Sold ${data.inAmountUi} for ${data.outAmountUi} ${data.outputToken ?? ''}`.trim()
+  },
+  swap_failed: {
+    title: 'Swap failed',
+    color: '#e01e5a',
+    text: (data) => data.error
+  },
+  guard_triggered: {
+    title: 'Guard triggered',
+    color: '#ecb22e',
+    text: (data) => `${data.guard}: ${data.reason}`
+  },
+  session_completed: {
+    title: 'Session completed',
+    color: '#6c757d',
+    text: (data) => `${data.sessionId} finished with status ${data.status}`
+  }
+};
+
+// Chat templates show at most this many payload fields
+const MAX_CHAT_FIELDS = 10;
+
+/**
+ * Scalar payload entries, rendered as chat message fields
+ */
+const chatFields = (data) => Object.entries(data)
+  .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object')
+  .slice(0, MAX_CHAT_FIELDS);
+
+/**
+ * Request bodies per webhook template: plain JSON, Slack incoming webhook and Discord webhook
+ */
+const TEMPLATES = {
+  json: (message) => ({
+    event: message.event,
+    timestamp: message.timestamp,
+    title: message.title,
+    text: message.text,
+    data: message.data
+  }),
+
+  slack: (message) => ({
+    text: `*${message.title}*\n${message.text}`,
+    attachments: [{
+      color: message.color,
+      fields: chatFields(message.data).map(([title, value]) => ({ title, value: String(value), short: true })),
+      ts: Math.floor(Date.parse(message.timestamp) / 1000)
+    }]
+  }),
+
+  discord: (message) => ({
+    embeds: [{
+      title: message.title,
+      description: message.text,
+      color: parseInt(message.color.slice(1), 16),
+      fields: chatFields(message.data).map(([name, value]) => ({ name, value: String(value), inline: true })),
+      timestamp: message.timestamp
+    }]
+  })
+};
+
+/**
+ * Webhook URLs can embed tokens; only their origin is ever logged
+ */
+const redactUrl = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return '<invalid url>';
+  }
+};
+
+/**
+ * Posts trade lifecycle events to the configured WEBHOOKS. Notifications are
+ * queued and delivered in the background with exponential backoff, so a slow
+ * or failing webhook never holds up trading. Call flush() before exiting.
+ */
+class NotificationService {
+  constructor(options = {}) {
+    this.webhooks = options.webhooks ?? CONFIG.WEBHOOKS ?? [];
+    this.timeout = options.timeout ?? CONFIG.WEBHOOK_TIMEOUT_MS ?? 5000;
+    this.maxAttempts = options.maxAttempts ?? CONFIG.WEBHOOK_MAX_ATTEMPTS ?? 5;
+    this.retryDelay = options.retryDelay ?? CONFIG.WEBHOOK_RETRY_DELAY_MS ?? 2000;
+    this.flushTimeout = options.flushTimeout ?? CONFIG.WEBHOOK_FLUSH_TIMEOUT_MS ?? 15000;
+    this.httpClient = options.httpClient ?? axios;
+    this.queue = [];
+    this.delivering = null;
+    this.stats = { delivered: 0, failed: 0 };
+  }
+
+  isEnabled() {
+    return this.webhooks.length > 0;
+  }
+
+  /**
+   * Queue `event` for every webhook subscribed to it. Never throws.
+   */
+  notify(event, data = {}) {
+    if (!NOTIFICATION_EVENTS.includes(event)) {
+      log.warn('Unknown notification event ignored', 'notify', { event });
+      return;
+    }
+
+    const style = EVENT_STYLES[event];
+    const message = {
+      event,
+      timestamp: new Date().toISOString(),
+      title: data.simulated ? `[DRY RUN] ${style.title}` : style.title,
+      text: style.text(data),
+      color: style.color,
+      data
+    };
+
+    this.webhooks
+      .filter(webhook => !webhook.events || webhook.events.includes(event))
+      .forEach(webhook => {
+        try {
+          this.queue.push({
+            webhook,
+            event,
+            body: TEMPLATES[webhook.template ?? 'json'](message),
+            attempts: 0,
+            nextAttemptAt: Date.now()
+          });
+        } catch (error) {
+          log.warn('Notification could not be rendered', 'notify', { event, url: redactUrl(webhook.url), error: error.message });
+        }
+      });
+
+    this.startDelivery();
+  }
+
+  /**
+   * Forward 'state_change' events from the logger (see logEvents)
+   */
+  attach(emitter) {
+    emitter.on('state_change', ({ component, fromState, toState, data }) => {
+      this.notify('state_change', { component, fromState, toState, ...data });
+    });
+    return this;
+  }
+
+  startDelivery() {
+    if (!this.delivering && this.queue.length > 0) {
+      this.delivering = this.deliverQueued().finally(() => {
+        this.delivering = null;
+      });
+    }
+  }
+
+  /**
+   * Deliver until the queue is empty, earliest due notification first
+   */
+  async deliverQueued() {
+    while (this.queue.length > 0) {
+      this.queue.sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+      const item = this.queue[0];
+
+      const wait = item.nextAttemptAt - Date.now();
+      if (wait > 0) {
+        await this.sleep(wait);
+        continue; // Newer notifications may be due first
+      }
+
+      this.queue.shift();
+      await this.deliver(item);
+    }
+  }
+
+  /**
+   * One delivery attempt; failures are requeued with a doubled delay until
+   * WEBHOOK_MAX_ATTEMPTS is reached
+   */
+  async deliver(item) {
+    item.attempts += 1;
+    const url = redactUrl(item.webhook.url);
+
+    try {
+      await this.httpClient.post(item.webhook.url, item.body, {
+        timeout: this.timeout,
+        headers: { 'Content-Type': 'application/json' }
+      });
+      this.stats.delivered += 1;
+      log.debug('Notification delivered', 'deliver', { event: item.event, url, attempts: item.attempts });
+    } catch (error) {
+      const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+
+      if (item.attempts >= this.maxAttempts) {
+        this.stats.failed += 1;
+        log.warn('Notification dropped after repeated failures', 'deliver', {
+          event: item.event,
+          url,
+          attempts: item.attempts,
+          error: reason
+        });
+        return;
+      }
+
+      const delay = this.retryDelay * 2 ** (item.attempts - 1);
+      log.debug('Notification delivery failed, retrying', 'deliver', { event: item.event, url, attempts: item.attempts, delay, error: reason });
+      item.nextAttemptAt = Date.now() + delay;
+      this.queue.push(item);
+    }
+  }
+
+  /**
+   * Wait for queued notifications, at most `timeoutMs`. Resolves true when
+   * everything was delivered or dropped, false when some were still pending.
+   */
+  async flush(timeoutMs = this.flushTimeout) {
+    if (!this.delivering) {
+      return true;
+    }
+
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const drained = await Promise.race([this.delivering.then(() => true), timedOut]);
+    clearTimeout(timer);
+
+    if (!drained) {
+      log.warn('Exiting with undelivered notifications', 'flush', { pending: this.queue.length });
+    }
+    return drained;
+  }
+
+  sleep(ms) {
+    // Unref'd: pending retries alone don't keep the process alive; flush() does
+    return new Promise(resolve => setTimeout(resolve, ms).unref());
+  }
+}
+
+const notificationService = new NotificationService().attach(logEvents);
+
+module.exports = {
+  NotificationService,
+  notificationService,
+  TEMPLATES
+};
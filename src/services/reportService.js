@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../config');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('reportService');
+
+// One CSV row per transaction, in this column order
+const CSV_COLUMNS = [
+  'sessionId',
+  'strategy',
+  'timestamp',
+  'transactionId',
+  'inputMint',
+  'outputMint',
+  'inAmountRaw',
+  'inAmount',
+  'quotedOutAmountRaw',
+  'quotedOutAmount',
+  'realizedOutAmountRaw',
+  'realizedOutAmount',
+  'minimumOutAmountRaw',
+  'realizedSlippagePct',
+  'belowMinimum',
+  'feeAmount',
+  'feeTokenMint',
+  'feeStatus',
+  'simulated',
+  'solscanUrl'
+];
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ */
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes per-session execution reports (JSON + CSV) for accounting
+ */
+class ReportService {
+  constructor(reportsDir = CONFIG.REPORTS_DIR ?? 'reports') {
+    this.reportsDir = reportsDir;
+  }
+
+  /**
+   * Flatten a swap as recorded by TokenSeller into a report transaction
+   */
+  toReportTransaction(tx) {
+    return {
+      timestamp: tx.timestamp,
+      transactionId: tx.transactionId,
+      inputMint: tx.inputMint,
+      outputMint: tx.outputMint,
+      inAmountRaw: tx.inAmount,
+      inAmount: tx.inAmountUi,
+      quotedOutAmountRaw: tx.outAmount,
+      quotedOutAmount: tx.outAmountUi,
+      realizedOutAmountRaw: tx.realizedOutAmount,
+      realizedOutAmount: tx.realizedOutAmountUi,
+      minimumOutAmountRaw: tx.minimumOutput ?? null,
+      // Null when the swap could not be reconciled against balances
+      realizedSlippagePct: tx.reconciliation?.realizedSlippagePct ?? null,
+      belowMinimum: tx.reconciliation?.belowMinimum ?? null,
+      feeAmount: tx.feeCollection?.feeAmount ?? 0,
+      feeTokenMint: tx.feeCollection?.feeTokenMint ?? null,
+      feeStatus: tx.feeCollection?.status ?? 'skipped',
+      simulated: Boolean(tx.simulated),
+      solscanUrl: tx.simulated ? null : `https://solscan.io/tx/${tx.transactionId}`
+    };
+  }
+
+  /**
+   * CSV with one row per transaction. `rowContext` adds session-level columns.
+   */
+  toCsv(transactions, rowContext = () => ({})) {
+    const lines = [CSV_COLUMNS.join(',')];
+
+    transactions.forEach(tx => {
+      const row = { ...rowContext(tx), ...tx };
+      lines.push(CSV_COLUMNS.map(column => escapeCsv(row[column])).join(','));
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Write <name>.json and <name>.csv to the reports directory.
+   * Resolves the written paths; never throws so a report can't fail a sale.
+   */
+  writeReport(name, report, csv) {
+    try {
+      if (!fs.existsSync(this.reportsDir)) {
+        fs.mkdirSync(this.reportsDir, { recursive: true });
+      }
+
+      const jsonPath = path.join(this.reportsDir, `${name}.json`);
+      const csvPath = path.join(this.reportsDir, `${name}.csv`);
+
+      // Synchronous so reports survive a process.exit() right after
+      fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+      fs.writeFileSync(csvPath, csv);
+
+      log.info('Execution report written', 'write_report', { name, jsonPath, csvPath });
+      return { jsonPath, csvPath };
+
+    } catch (error) {
+      log.error('Failed to write execution report', 'write_report', error, { name, reportsDir: this.reportsDir });
+      return null;
+    }
+  }
+
+  /**
+   * Report for a single-token session
+   */
+  writeSessionReport(session) {
+    const transactions = session.transactions.map(tx => this.toReportTransaction(tx));
+    const report = { ...session, generatedAt: new Date().toISOString(), transactions };
+    const csv = this.toCsv(transactions, () => ({
+      sessionId: session.sessionId,
+      strategy: session.preferences?.strategy
+    }));
+
+    return this.writeReport(this.reportName(session.sessionId, session.simulated), report, csv);
+  }
+
+  /**
+   * Report for a portfolio session: every position plus all transactions in one CSV
+   */
+  writePortfolioReport(portfolio) {
+    const positions = portfolio.positions.map(position => ({
+      ...position,
+      transactions: position.transactions.map(tx => this.toReportTransaction(tx))
+    }));
+    const report = { ...portfolio, generatedAt: new Date().toISOString(), positions };
+
+    const rows = positions.flatMap(position => position.transactions.map(tx => ({
+      ...tx,
+      sessionId: position.sessionId,
+      strategy: position.preferences?.strategy
+    })));
+
+    return this.writeReport(this.reportName(portfolio.sessionId, portfolio.simulated), report, this.toCsv(rows));
+  }
+
+  reportName(sessionId, simulated) {
+    return simulated ? `${sessionId}.dry-run` : sessionId;
+  }
+}
+
+const reportService = new ReportService();
+
+module.exports = {
+  ReportService,
+  reportService,
+  CSV_COLUMNS
+};
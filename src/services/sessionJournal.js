@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../config');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('sessionJournal');
+
+const JOURNAL_VERSION = 1;
+
+// Journal statuses; only COMPLETED sessions are not resumable
+const JOURNAL_STATUS = {
+  ACTIVE: 'ACTIVE',
+  INTERRUPTED: 'INTERRUPTED',
+  FAILED: 'FAILED',
+  DEFERRED: 'DEFERRED', // Finished with an amount held back by the price impact cap
+  COMPLETED: 'COMPLETED'
+};
+
+/**
+ * Crash-safe session journal. Written synchronously and atomically
+ * (temp file + rename) so it survives process.exit() right after an update.
+ */
+class SessionJournal {
+  constructor(filePath = CONFIG.JOURNAL_FILE || 'sessions/current-session.json') {
+    this.filePath = filePath;
+    this.data = null;
+  }
+
+  /**
+   * Journal path for dry runs, kept apart so a rehearsal never clobbers a real session
+   */
+  static forDryRun(filePath = CONFIG.JOURNAL_FILE || 'sessions/current-session.json') {
+    const { dir, name, ext } = path.parse(filePath);
+    return new SessionJournal(path.join(dir, `${name}.dry-run${ext}`));
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Load the journal from disk
+   */
+  load() {
+    if (!this.exists()) {
+      throw new Error(`No session journal found at ${this.filePath}`);
+    }
+
+    try {
+      this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Corrupt session journal at ${this.filePath}: ${error.message}`);
+    }
+
+    if (this.data.version !== JOURNAL_VERSION) {
+      throw new Error(`Unsupported session journal version: ${this.data.version}`);
+    }
+
+    log.info('Session journal loaded', 'load', {
+      sessionId: this.data.sessionId,
+      status: this.data.status,
+      state: this.data.state,
+      transactions: this.data.transactions.length
+    });
+
+    return this.data;
+  }
+
+  /**
+   * Whether the journal on disk belongs to a session that can still be resumed
+   */
+  hasResumableSession() {
+    if (!this.exists()) return false;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return data.status !== JOURNAL_STATUS.COMPLETED;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Begin journaling a new session
+   */
+  start({ sessionId, startTime, preferences, initialBalanceRaw, dryRun, state }) {
+    const now = new Date().toISOString();
+
+    this.data = {
+      version: JOURNAL_VERSION,
+      sessionId,
+      status: JOURNAL_STATUS.ACTIVE,
+      state,
+      dryRun,
+      startTime,
+      createdAt: now,
+      updatedAt: now,
+      resumedAt: [],
+      preferences,
+      initialBalanceRaw,
+      plannedChunks: [],
+      pendingSwap: null,
+      transactions: [],
+      error: null
+    };
+
+    this.write();
+    log.info('Session journal started', 'start', { sessionId, filePath: this.filePath });
+  }
+
+  /**
+   * Mark a loaded session as resumed
+   */
+  resume() {
+    this.data.status = JOURNAL_STATUS.ACTIVE;
+    this.data.error = null;
+    this.data.resumedAt.push(new Date().toISOString());
+    this.write();
+  }
+
+  isStarted() {
+    return this.data !== null;
+  }
+
+  setState(state, details = {}) {
+    if (!this.isStarted()) return;
+    this.data.state = state;
+    this.data.stateDetails = details;
+    this.write();
+  }
+
+  setPlan(chunks) {
+    if (!this.isStarted()) return;
+    this.data.plannedChunks = chunks;
+    this.write();
+  }
+
+  /**
+   * Record a swap that was sent but not yet confirmed, so a crash in between is detectable
+   */
+  setPendingSwap(pendingSwap) {
+    if (!this.isStarted()) return;
+    this.data.pendingSwap = pendingSwap ? { ...pendingSwap, startedAt: new Date().toISOString() } : null;
+    this.write();
+  }
+
+  recordTransaction(entry) {
+    if (!this.isStarted()) return;
+    this.data.transactions.push(entry);
+    this.data.pendingSwap = null;
+    this.write();
+  }
+
+  markInterrupted() {
+    this.setStatus(JOURNAL_STATUS.INTERRUPTED);
+  }
+
+  /**
+   * Record what an emergency sale left unsold
+   */
+  setUnsold(unsoldRaw) {
+    if (!this.isStarted()) return;
+    this.data.unsoldRaw = unsoldRaw;
+    this.write();
+  }
+
+  markDeferred(deferredRaw) {
+    if (!this.isStarted()) return;
+    this.data.deferredRaw = deferredRaw;
+    this.setStatus(JOURNAL_STATUS.DEFERRED);
+  }
+
+  markFailed(error) {
+    if (!this.isStarted()) return;
+    this.data.error = error.message;
+    this.setStatus(JOURNAL_STATUS.FAILED);
+  }
+
+  /**
+   * Mark the session complete and move it out of the way of future --resume runs
+   */
+  complete() {
+    if (!this.isStarted()) return;
+    this.setStatus(JOURNAL_STATUS.COMPLETED);
+    this.archive();
+  }
+
+  setStatus(status) {
+    if (!this.isStarted()) return;
+    this.data.status = status;
+    this.write();
+    log.info('Session journal status changed', 'set_status', {
+      sessionId: this.data.sessionId,
+      status
+    });
+  }
+
+  /**
+   * Move the current journal next to it as <sessionId>.json
+   */
+  archive() {
+    if (!this.exists()) return null;
+
+    const sessionId = this.data?.sessionId || JSON.parse(fs.readFileSync(this.filePath, 'utf8')).sessionId;
+    const archivePath = path.join(path.dirname(this.filePath), `${sessionId}.json`);
+
+    fs.renameSync(this.filePath, archivePath);
+    log.info('Session journal archived', 'archive', { sessionId, archivePath });
+    return archivePath;
+  }
+
+  /**
+   * Atomic synchronous write
+   */
+  write() {
+    this.data.updatedAt = new Date().toISOString();
+
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = {
+  SessionJournal,
+  JOURNAL_STATUS
+};
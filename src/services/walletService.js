@@ -1,13 +1,39 @@
 const { apiClient } = require('./apiClient');
-const { CONFIG } = require('../config/constants');
+const { CONFIG } = require('../config');
 const { createLogger, performanceLogger } = require('../utils/logger');
 
 const log = createLogger('walletService');
 
+// Decimals for well-known mints, so output tokens never need a balance lookup
+const KNOWN_TOKEN_DECIMALS = {
+  So11111111111111111111111111111111111111112: 9, // SOL
+  EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: 6, // USDC
+  Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB: 6 // USDT
+};
+
+/**
+ * Raw balance as an integer string. A JSON number above 2^53 is only the
+ * nearest double to the real balance, so it is rounded down by half the
+ * spacing between doubles: never more than the wallet holds.
+ */
+const toRawBalance = (balance) => {
+  if (typeof balance === 'string') return balance;
+  if (Number.isSafeInteger(balance)) return String(balance);
+  if (!(balance > 0)) return '0';
+
+  const halfSpacing = 2n ** BigInt(Math.floor(Math.log2(balance)) - 53);
+  return (BigInt(balance) - halfSpacing).toString();
+};
+
 class WalletService {
-  constructor() {
+  /**
+   * @param {Object} dependencies - Optional apiClient override (tests)
+   */
+  constructor(dependencies = {}) {
+    this.apiClient = dependencies.apiClient || apiClient;
     this.walletInfo = null;
     this.lastBalanceCheck = null;
+    this.decimalsCache = new Map(Object.entries(KNOWN_TOKEN_DECIMALS));
     log.info('Wallet service initialized', 'init', {
       walletPublicKey: CONFIG.WALLET_PUBLIC_KEY
     });
@@ -31,7 +57,7 @@ class WalletService {
         forceRefresh
       });
       
-      const response = await apiClient.get(`wallets/mother/${CONFIG.WALLET_PUBLIC_KEY}`);
+      const response = await this.apiClient.get(`wallets/mother/${CONFIG.WALLET_PUBLIC_KEY}`);
       
       if (!response.publicKey) {
         throw new Error('Invalid response format: missing publicKey');
@@ -137,23 +163,30 @@ class WalletService {
         tokenMint
       });
       
-      const balanceData = await apiClient.getTokenBalance(CONFIG.WALLET_PUBLIC_KEY, tokenMint);
+      const balanceData = await this.apiClient.getTokenBalance(CONFIG.WALLET_PUBLIC_KEY, tokenMint);
 
       const balance = balanceData.balance || 0;
       const decimals = balanceData.decimals || 0;
       const adjustedBalance = balance / Math.pow(10, decimals);
+      const rawBalance = toRawBalance(balance);
+      
+      if (!balanceData.error && typeof balanceData.decimals === 'number') {
+        this.decimalsCache.set(tokenMint, balanceData.decimals);
+      }
 
       log.info('Token holding check complete', 'check_token_holding', {
         tokenMint,
         hasToken: adjustedBalance > 0,
         balance: adjustedBalance,
-        rawBalance: balance,
+        rawBalance,
         decimals: decimals
       });
 
       return {
           hasToken: adjustedBalance > 0,
           balance: adjustedBalance,
+          rawBalance,
+          decimals,
           mint: tokenMint
       };
       
@@ -165,6 +198,54 @@ class WalletService {
     }
   }
   
+  /**
+   * Get decimals for a token mint. Fetched once per mint, then cached.
+   */
+  async getTokenDecimals(tokenMint) {
+    if (this.decimalsCache.has(tokenMint)) {
+      return this.decimalsCache.get(tokenMint);
+    }
+    
+    log.info('Fetching token decimals', 'get_token_decimals', { tokenMint });
+    
+    const balanceData = await this.apiClient.getTokenBalance(CONFIG.WALLET_PUBLIC_KEY, tokenMint);
+    
+    // getTokenBalance falls back to a default on failure; never cache a guess
+    if (balanceData.error || typeof balanceData.decimals !== 'number') {
+      const error = new Error(`Unable to determine decimals for ${tokenMint}: ${balanceData.error || 'missing decimals'}`);
+      log.error('Failed to get token decimals', 'get_token_decimals', error, { tokenMint });
+      throw error;
+    }
+    
+    this.decimalsCache.set(tokenMint, balanceData.decimals);
+    log.info('Token decimals resolved', 'get_token_decimals', {
+      tokenMint,
+      decimals: balanceData.decimals
+    });
+    
+    return balanceData.decimals;
+  }
+  
+  /**
+   * Raw balances for the given mints, keyed by mint, for swap reconciliation.
+   * Throws on a failed read: getTokenBalance's zero fallback would skew the diff.
+   */
+  async getBalanceSnapshot(mints) {
+    const snapshot = {};
+    
+    for (const mint of mints) {
+      const balanceData = await this.apiClient.getTokenBalance(CONFIG.WALLET_PUBLIC_KEY, mint);
+      
+      if (balanceData.error) {
+        throw new Error(`Unable to read balance for ${mint}: ${balanceData.error}`);
+      }
+      
+      snapshot[mint] = BigInt(Math.round(balanceData.balance || 0)).toString();
+    }
+    
+    return snapshot;
+  }
+  
   /**
    * Validate token amount for selling against actual balance.
    */
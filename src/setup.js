@@ -3,7 +3,11 @@
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
-const { CONFIG } = require('./config/constants');
+const readlineSync = require('readline-sync');
+const { CONFIG, configInfo, getConfigErrors } = require('./config');
+const { DEFAULT_CONFIG_FILE } = require('./config/configLoader');
+const { keystoreService, hasPlaintextKey } = require('./services/keystoreService');
+const { assertKeyPair } = require('./utils/solanaKeys');
 
 /**
  * One-command setup script following MONOCODE principles
@@ -21,7 +25,9 @@ class Setup {
     
     try {
       this.createDirectories();
+      this.createConfigFile();
       this.validateConfiguration();
+      await this.setupKeystore();
       this.createLogFile();
       this.displaySummary();
       this.displayUsageInstructions();
@@ -56,42 +62,104 @@ class Setup {
   }
   
   /**
-   * Validate configuration
+   * Create src/config/config.json from the example when no config file exists
+   */
+  createConfigFile() {
+    console.log(chalk.yellow('\n⚙️  Checking config file...'));
+    
+    if (configInfo.file) {
+      const profile = configInfo.profile ? ` (profile ${configInfo.profile})` : '';
+      console.log(chalk.gray(`⚙️  Config file: ${path.relative(process.cwd(), configInfo.file)}${profile}`));
+      return;
+    }
+    
+    fs.copyFileSync(path.join(path.dirname(DEFAULT_CONFIG_FILE), 'config.example.json'), DEFAULT_CONFIG_FILE);
+    console.log(chalk.green(`✅ Created ${path.relative(process.cwd(), DEFAULT_CONFIG_FILE)} from config.example.json`));
+    this.warnings.push('Fill in src/config/config.json, then run setup again');
+  }
+  
+  /**
+   * Validate configuration against the schema (the private key goes into the keystore)
    */
   validateConfiguration() {
     console.log(chalk.yellow('\n🔍 Validating configuration...'));
     
-    // Check required configuration
-    const requiredFields = [
-      'TARGET_TOKEN_MINT',
-      'WALLET_PRIVATE_KEY',
-      'WALLET_PUBLIC_KEY',
-      'API_BASE_URL'
-    ];
+    const errors = getConfigErrors();
+    this.errors.push(...errors);
+    this.warnings.push(...configInfo.warnings);
     
-    requiredFields.forEach(field => {
-      if (!CONFIG[field]) {
-        this.errors.push(`Missing required configuration: ${field}`);
-      } else {
-        console.log(chalk.green(`✅ ${field} configured`));
-      }
-    });
+    if (errors.length === 0) {
+      console.log(chalk.green('✅ Every configuration field is valid'));
+    }
+    
+    console.log(chalk.green('✅ Configuration validation completed'));
+  }
+  
+  /**
+   * Create the encrypted wallet keystore. Imports WALLET_PRIVATE_KEY from
+   * the configuration when set, otherwise asks for the key.
+   */
+  async setupKeystore() {
+    console.log(chalk.yellow('\n🔐 Setting up wallet keystore...'));
     
-    // Validate wallet addresses format
-    if (CONFIG.WALLET_PUBLIC_KEY && CONFIG.WALLET_PUBLIC_KEY.length !== 44) {
-      this.errors.push('Invalid wallet public key format (should be 44 characters)');
+    if (keystoreService.exists()) {
+      console.log(chalk.gray(`🔐 Keystore exists: ${keystoreService.filePath}`));
+      return;
     }
     
-    if (CONFIG.TARGET_TOKEN_MINT && CONFIG.TARGET_TOKEN_MINT.length !== 44) {
-      this.errors.push('Invalid target token mint format (should be 44 characters)');
+    if (this.errors.length > 0) {
+      console.log(chalk.gray('⏭️  Skipped until the configuration errors are fixed'));
+      return;
     }
     
-    // Check API URL format
-    if (CONFIG.API_BASE_URL && !CONFIG.API_BASE_URL.startsWith('http')) {
-      this.warnings.push('API_BASE_URL should start with http:// or https://');
+    if (!process.stdin.isTTY) {
+      this.warnings.push(`No keystore at ${keystoreService.filePath}. Run "node src/setup.js" in a terminal to create one.`);
+      return;
     }
     
-    console.log(chalk.green('✅ Configuration validation completed'));
+    const importing = hasPlaintextKey();
+    let privateKey;
+    
+    if (importing) {
+      if (!readlineSync.keyInYN('Encrypt WALLET_PRIVATE_KEY from the configuration into the keystore?')) {
+        this.warnings.push('WALLET_PRIVATE_KEY is still stored in plaintext');
+        return;
+      }
+      privateKey = CONFIG.WALLET_PRIVATE_KEY;
+    } else {
+      privateKey = readlineSync.question(`Private key for ${CONFIG.WALLET_PUBLIC_KEY} (base58, hidden): `, {
+        hideEchoBack: true,
+        mask: ''
+      }).trim();
+      
+      if (!privateKey) {
+        this.errors.push('No private key entered; keystore not created');
+        return;
+      }
+    }
+    
+    // Catch a mismatched or mistyped key before asking for a passphrase
+    try {
+      assertKeyPair(privateKey, CONFIG.WALLET_PUBLIC_KEY);
+    } catch (error) {
+      this.errors.push(`${error.message}; keystore not created`);
+      return;
+    }
+    
+    const passphrase = readlineSync.questionNewPassword('New keystore passphrase (12+ characters): ', {
+      min: 12,
+      max: 256,
+      mask: '',
+      confirmMessage: 'Repeat the passphrase: ',
+      unmatchMessage: 'Passphrases do not match. Try again.'
+    });
+    
+    await keystoreService.create(privateKey, passphrase);
+    console.log(chalk.green(`✅ Created encrypted keystore: ${keystoreService.filePath}`));
+    
+    if (importing) {
+      this.warnings.push(`Remove WALLET_PRIVATE_KEY from ${configInfo.sources.WALLET_PRIVATE_KEY ?? 'your configuration'} now that it is in the keystore`);
+    }
   }
   
   /**
@@ -161,6 +229,7 @@ class Setup {
     console.log(chalk.green('   npm start'));
     console.log(chalk.gray('   or'));
     console.log(chalk.green('   node src/index.js'));
+    console.log(chalk.gray(`   Headless runs unlock the keystore from ${CONFIG.KEYSTORE_PASSPHRASE_ENV ?? 'TOKEN_SELLER_KEYSTORE_PASSPHRASE'}`));
     
     console.log(chalk.white('\n3. Configuration:'));
     console.log(chalk.gray('   • Target Token:', CONFIG.TARGET_TOKEN_MINT));
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
 const chalk = require('chalk');
-const { CONFIG } = require('./config/constants');
+const { CONFIG } = require('./config');
 const { createLogger } = require('./utils/logger');
 const { apiClient } = require('./services/apiClient');
 const { jupiterService } = require('./services/jupiterService');
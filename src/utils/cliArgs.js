@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+
+// Process exit codes for headless runs (cron, CI, servers)
+const EXIT_CODES = {
+  SUCCESS: 0,
+  UNEXPECTED_ERROR: 1,
+  VALIDATION_FAILURE: 2,
+  SWAP_FAILURE: 3
+};
+
+// Flags that take a value
+const VALUE_FLAGS = ['amount', 'output', 'strategy', 'slippage-bps', 'limit-price', 'stop-price', 'duration', 'plan', 'portfolio', 'since', 'until', 'operation', 'profile'];
+
+// Flags that never take a value
+const BOOLEAN_FLAGS = ['yes', 'non-interactive', 'dry-run', 'pessimistic-fill', 'resume', 'dashboard', 'history', 'help'];
+
+// Filters that only apply to --history
+const HISTORY_FLAGS = ['since', 'until', 'operation'];
+
+// Short aliases
+const ALIASES = {
+  y: 'yes',
+  h: 'help'
+};
+
+/**
+ * Parse argv into a flag map. Supports `--key value`, `--key=value` and boolean flags.
+ */
+const parseArgs = (argv = process.argv.slice(2)) => {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+
+    if (!token.startsWith('-')) {
+      throw createValidationError(`Unexpected argument: ${token}`);
+    }
+
+    let [key, value] = token.replace(/^--?/, '').split(/=(.*)/s);
+    key = ALIASES[key] || key;
+
+    if (!VALUE_FLAGS.includes(key) && !BOOLEAN_FLAGS.includes(key)) {
+      throw createValidationError(`Unknown option: ${token}`);
+    }
+
+    if (BOOLEAN_FLAGS.includes(key)) {
+      args[key] = value === undefined ? true : value !== 'false';
+      continue;
+    }
+
+    if (value === undefined) {
+      value = argv[i + 1];
+      if (value === undefined || value.startsWith('--')) {
+        throw createValidationError(`Missing value for --${key}`);
+      }
+      i++;
+    }
+
+    args[key] = value;
+  }
+
+  return args;
+};
+
+/**
+ * Read a JSON sell plan file
+ */
+const readPlanFile = (planPath) => {
+  const resolved = path.resolve(planPath);
+
+  if (!fs.existsSync(resolved)) {
+    throw createValidationError(`Sell plan not found: ${resolved}`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw createValidationError(`Invalid sell plan JSON in ${resolved}: ${error.message}`);
+  }
+};
+
+/**
+ * Build raw headless preferences from a plan file and flags (flags win).
+ * Returns null when no preference was given, i.e. the run is interactive.
+ */
+const resolveHeadlessPreferences = (args) => {
+  const plan = args.plan ? readPlanFile(args.plan) : {};
+
+  const preferences = {
+    tokenAmount: args.amount ?? plan.amount,
+    outputToken: args.output ?? plan.outputToken,
+    strategy: args.strategy ?? plan.strategy,
+    maxSlippage: args['slippage-bps'] ?? plan.slippageBps,
+    limitPrice: args['limit-price'] ?? plan.limitPrice,
+    stopPrice: args['stop-price'] ?? plan.stopPrice,
+    durationMinutes: args.duration ?? plan.durationMinutes
+  };
+
+  const hasAny = Object.values(preferences).some(value => value !== undefined);
+  return hasAny || args['non-interactive'] ? preferences : null;
+};
+
+/**
+ * Read the portfolio plan given with --portfolio, or null for a single-token run.
+ * Single-token flags cannot be combined with a portfolio.
+ */
+const resolvePortfolioPlan = (args) => {
+  if (args.portfolio === undefined) {
+    return null;
+  }
+
+  const conflicting = ['amount', 'output', 'strategy', 'slippage-bps', 'limit-price', 'stop-price', 'duration', 'plan', 'resume', 'non-interactive', 'dashboard']
+    .filter(flag => args[flag] !== undefined);
+  if (conflicting.length > 0) {
+    throw createValidationError(`--portfolio cannot be combined with ${conflicting.map(flag => `--${flag}`).join(', ')}`);
+  }
+
+  return readPlanFile(args.portfolio);
+};
+
+/**
+ * Parse a --since/--until date. A bare YYYY-MM-DD used as an upper bound covers that whole day.
+ */
+const parseDateFlag = (value, flag, endOfDay = false) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createValidationError(`Invalid date for --${flag}: ${value}`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+/**
+ * Filters for the --history log analytics, or null for a selling run.
+ * History filters cannot be given without --history, and --history cannot be combined with selling flags.
+ */
+const resolveHistoryOptions = (args) => {
+  if (!args.history) {
+    const stray = HISTORY_FLAGS.filter(flag => args[flag] !== undefined);
+    if (stray.length > 0) {
+      throw createValidationError(`${stray.map(flag => `--${flag}`).join(', ')} can only be used with --history`);
+    }
+    return null;
+  }
+
+  const conflicting = Object.keys(args).filter(flag => ![...HISTORY_FLAGS, 'history', 'profile', 'help'].includes(flag));
+  if (conflicting.length > 0) {
+    throw createValidationError(`--history cannot be combined with ${conflicting.map(flag => `--${flag}`).join(', ')}`);
+  }
+
+  const since = args.since === undefined ? null : parseDateFlag(args.since, 'since');
+  const until = args.until === undefined ? null : parseDateFlag(args.until, 'until', true);
+  if (since && until && since > until) {
+    throw createValidationError('--since must be before --until');
+  }
+
+  return { since, until, operation: args.operation ?? null };
+};
+
+/**
+ * Error carrying the validation exit code
+ */
+const createValidationError = (message) => {
+  const error = new Error(message);
+  error.exitCode = EXIT_CODES.VALIDATION_FAILURE;
+  return error;
+};
+
+const USAGE = `
+Usage: node src/index.js [options]
+
+Without options the seller runs interactively.
+
+Headless options:
+  --amount <tokens>        Amount to sell in whole tokens (fractions allowed)
+  --output <symbol>        Output token: SOL, USDC, USDT, or BEST to compare them all
+  --strategy <name>        immediate | gradual | optimal | limit | stop-loss | twap
+  --slippage-bps <bps>     Maximum slippage in basis points (e.g. 75)
+  --limit-price <price>    Limit order: sell once the price reaches this (output per token)
+  --stop-price <price>     Stop-loss: sell if the price falls to this (output per token)
+  --duration <minutes>     TWAP: window to spread the sale over
+  --plan <file.json>       JSON sell plan: { amount, outputToken, strategy, slippageBps,
+                             limitPrice, stopPrice, durationMinutes }
+  --non-interactive        Never prompt, even if no preferences are given
+  -y, --yes                Skip all confirmations (required in headless mode)
+
+Portfolio:
+  --portfolio <file.json>  Sell several tokens in one session:
+                           { mode: sequential|interleaved,
+                             positions: [{ mint, amount|percent, outputToken, strategy, slippageBps }] }
+
+Simulation:
+  --dry-run                Real validation and quotes, simulated swaps (no funds move)
+  --pessimistic-fill       In dry runs, fill at minimum output instead of quoted output
+
+Recovery:
+  --resume                 Continue the interrupted session from the journal
+  -h, --help               Show this help
+
+Monitoring:
+  --dashboard              Full-screen live view of gradual, twap, optimal, limit and
+                             stop-loss runs. Keys: [p] pause, [r] resume,
+                             [s] sell the remainder now, [q] abort
+
+Configuration:
+  --profile <name>         Apply a named profile from the config file (or set TOKEN_SELLER_PROFILE)
+
+History:
+  --history                Analyze past sessions from the log file (rotated files included)
+  --since <date>           Only entries at or after this date/time (e.g. 2026-01-31)
+  --until <date>           Only entries up to this date/time (a bare date includes that day)
+  --operation <name>       Narrow the operation, latency and retry tables (substring match)
+
+Exit codes:
+  0  success
+  1  unexpected error
+  2  validation failure
+  3  swap failure
+`;
+
+module.exports = {
+  EXIT_CODES,
+  USAGE,
+  parseArgs,
+  readPlanFile,
+  resolveHeadlessPreferences,
+  resolvePortfolioPlan,
+  resolveHistoryOptions,
+  createValidationError
+};
@@ -0,0 +1,111 @@
+const { EventEmitter } = require('events');
+const { EXIT_CODES } = require('./cliArgs');
+
+/**
+ * Error thrown at a checkpoint once the job was cancelled. Not a failure:
+ * the seller reports the session as CANCELLED. `details` is copied onto the
+ * error (e.g. `declined` when the user said no before anything was sold).
+ */
+const createCancellationError = (message = 'Job cancelled', details = {}) => {
+  const error = new Error(message);
+  error.cancelled = true;
+  error.exitCode = EXIT_CODES.SUCCESS;
+  return Object.assign(error, details);
+};
+
+/**
+ * Pause/resume/cancel switch shared by a TokenSeller and whoever drives it
+ * (a daemon job or the dashboard). The seller calls checkpoint() between
+ * swaps, so a swap in flight always finishes; pausing holds the job at its
+ * next checkpoint. sellNow() asks the seller to sell what is left at once.
+ */
+class JobControl extends EventEmitter {
+  constructor() {
+    super();
+    this.paused = false;
+    this.cancelled = false;
+    this.sellNowRequested = false;
+  }
+
+  pause() {
+    this.paused = true;
+    this.emit('pause');
+  }
+
+  resume() {
+    this.paused = false;
+    this.emit('resume');
+  }
+
+  cancel() {
+    this.cancelled = true;
+    this.emit('cancel');
+  }
+
+  /**
+   * Request a sale of the remainder at the next checkpoint. Also ends a pause.
+   */
+  sellNow() {
+    this.sellNowRequested = true;
+    this.paused = false;
+    this.emit('sell_now');
+  }
+
+  /**
+   * Whether a sell-now request is pending; clears it
+   */
+  takeSellNow() {
+    const requested = this.sellNowRequested;
+    this.sellNowRequested = false;
+    return requested;
+  }
+
+  /**
+   * Resolve when the job may continue; reject once it is cancelled
+   */
+  async checkpoint() {
+    while (this.paused && !this.cancelled) {
+      await new Promise(resolve => {
+        const wake = () => {
+          this.off('resume', wake);
+          this.off('cancel', wake);
+          this.off('sell_now', wake);
+          resolve();
+        };
+        this.once('resume', wake);
+        this.once('cancel', wake);
+        this.once('sell_now', wake);
+      });
+    }
+
+    if (this.cancelled) {
+      throw createCancellationError();
+    }
+  }
+
+  /**
+   * Sleep that ends early when the job is cancelled or asked to sell now
+   */
+  sleep(ms) {
+    if (this.cancelled || this.sellNowRequested) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const wake = () => {
+        clearTimeout(timer);
+        this.off('cancel', wake);
+        this.off('sell_now', wake);
+        resolve();
+      };
+      const timer = setTimeout(wake, ms);
+      this.once('cancel', wake);
+      this.once('sell_now', wake);
+    });
+  }
+}
+
+module.exports = {
+  JobControl,
+  createCancellationError
+};
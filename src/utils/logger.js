@@ -1,7 +1,8 @@
 const winston = require('winston');
 const fs = require('fs');
+const { EventEmitter } = require('events');
 const path = require('path');
-const { CONFIG } = require('../config/constants');
+const { CONFIG } = require('../config');
 
 // Ensure logs directory exists
 const logsDir = path.dirname(CONFIG.LOG_FILE);
@@ -9,6 +10,10 @@ if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
 
+// Lifecycle events for in-process listeners (e.g. webhook notifications).
+// 'state_change' carries { component, fromState, toState, data }.
+const logEvents = new EventEmitter();
+
 // Custom format for structured logging
 const structuredFormat = winston.format.combine(
   winston.format.timestamp(),
@@ -51,6 +56,11 @@ const consoleFormat = winston.format.combine(
   })
 );
 
+// Console transport for development; muted while the dashboard owns the screen
+const consoleTransport = new winston.transports.Console({
+  format: consoleFormat
+});
+
 // Create winston logger
 const logger = winston.createLogger({
   level: CONFIG.LOG_LEVEL,
@@ -63,10 +73,7 @@ const logger = winston.createLogger({
       maxFiles: 5
     }),
     
-    // Console transport for development
-    new winston.transports.Console({
-      format: consoleFormat
-    })
+    consoleTransport
   ]
 });
 
@@ -133,9 +140,10 @@ const createLogger = (component) => {
           ...data
         }
       });
+      logEvents.emit('state_change', { component, fromState, toState, data });
     },
     
-    logQuote: (inputToken, outputToken, inputAmount, outputAmount, priceImpact, route) => {
+    logQuote: (inputToken, outputToken, inputAmount, outputAmount, priceImpact, route, data = {}) => {
       logger.info('Quote received', {
         component,
         operation: 'quote',
@@ -145,13 +153,21 @@ const createLogger = (component) => {
           inputAmount,
           outputAmount,
           priceImpact,
-          route
+          route,
+          ...data
         }
       });
     }
   };
 };
 
+/**
+ * Turn log lines on the terminal on or off. The log file is unaffected.
+ */
+const setConsoleLogging = (enabled) => {
+  consoleTransport.silent = !enabled;
+};
+
 // Performance logging utility
 const performanceLogger = {
   start: (operation) => {
@@ -177,5 +193,7 @@ const performanceLogger = {
 module.exports = {
   logger,
   createLogger,
-  performanceLogger
+  performanceLogger,
+  logEvents,
+  setConsoleLogging
 }; 
\ No newline at end of file
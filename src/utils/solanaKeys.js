@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE58_INDEX = Object.fromEntries([...BASE58_ALPHABET].map((char, index) => [char, index]));
+
+// Public keys and mints are 32 bytes; secret keys are a 32-byte seed, usually followed by the public key
+const PUBLIC_KEY_BYTES = 32;
+const SEED_BYTES = 32;
+const SECRET_KEY_BYTES = 64;
+
+// DER prefix of a PKCS#8 ed25519 private key; the 32-byte seed follows
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+/**
+ * Decode a base58 string. Throws on characters outside the alphabet.
+ */
+const decodeBase58 = (text) => {
+  if (typeof text !== 'string' || text.length === 0) {
+    throw new Error('Base58 value is empty');
+  }
+
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_INDEX[char];
+    if (digit === undefined) {
+      throw new Error(`Invalid base58 character "${char}"`);
+    }
+    value = value * 58n + BigInt(digit);
+  }
+
+  const bytes = [];
+  while (value > 0n) {
+    bytes.unshift(Number(value % 256n));
+    value /= 256n;
+  }
+
+  // Each leading "1" is a leading zero byte
+  const zeros = text.match(/^1*/)[0].length;
+  return Buffer.from([...new Array(zeros).fill(0), ...bytes]);
+};
+
+/**
+ * Encode bytes as base58
+ */
+const encodeBase58 = (bytes) => {
+  let value = BigInt(`0x${Buffer.from(bytes).toString('hex') || '0'}`);
+  let text = '';
+
+  while (value > 0n) {
+    text = BASE58_ALPHABET[Number(value % 58n)] + text;
+    value /= 58n;
+  }
+
+  const zeros = Buffer.from(bytes).findIndex(byte => byte !== 0);
+  return '1'.repeat(zeros === -1 ? bytes.length : zeros) + text;
+};
+
+/**
+ * Why `address` is not a valid Solana address (base58, 32 bytes), or null when it is
+ */
+const addressProblem = (address) => {
+  let bytes;
+  try {
+    bytes = decodeBase58(address);
+  } catch (error) {
+    // Read as part of a sentence: "must be a 32-byte base58 address: invalid base58 character ..."
+    return error.message.charAt(0).toLowerCase() + error.message.slice(1);
+  }
+  return bytes.length === PUBLIC_KEY_BYTES ? null : `decodes to ${bytes.length} bytes, expected ${PUBLIC_KEY_BYTES}`;
+};
+
+const isValidAddress = (address) => addressProblem(address) === null;
+
+/**
+ * Base58 public key of a base58 secret key: a 64-byte keypair (seed + public
+ * key, as exported by Solana wallets) or a bare 32-byte seed. A 64-byte key
+ * whose second half is not the seed's public key is rejected.
+ */
+const derivePublicKey = (secretKey) => {
+  let bytes;
+  try {
+    bytes = decodeBase58(secretKey);
+  } catch (error) {
+    throw new Error(`Private key is not valid base58: ${error.message}`);
+  }
+
+  if (bytes.length !== SECRET_KEY_BYTES && bytes.length !== SEED_BYTES) {
+    throw new Error(`Private key decodes to ${bytes.length} bytes, expected ${SECRET_KEY_BYTES} (or a ${SEED_BYTES}-byte seed)`);
+  }
+
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, bytes.subarray(0, SEED_BYTES)]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  const publicKey = crypto.createPublicKey(privateKey).export({ format: 'der', type: 'spki' }).subarray(-PUBLIC_KEY_BYTES);
+
+  if (bytes.length === SECRET_KEY_BYTES && !publicKey.equals(bytes.subarray(SEED_BYTES))) {
+    throw new Error('Private key is corrupt: its embedded public key does not match its seed');
+  }
+
+  return encodeBase58(publicKey);
+};
+
+/**
+ * Throw unless `secretKey` is the private key of `publicKey`
+ */
+const assertKeyPair = (secretKey, publicKey) => {
+  const derived = derivePublicKey(secretKey);
+  if (derived !== publicKey) {
+    throw new Error(`Private key does not match WALLET_PUBLIC_KEY ${publicKey} (it belongs to ${derived})`);
+  }
+};
+
+module.exports = {
+  decodeBase58,
+  encodeBase58,
+  addressProblem,
+  isValidAddress,
+  derivePublicKey,
+  assertKeyPair
+};
@@ -0,0 +1,160 @@
+/**
+ * Token amount model.
+ *
+ * Every amount carries its raw base-unit value (an integer string, so large
+ * supplies never lose precision), its UI value (human-readable number), the
+ * mint's decimals and, optionally, the mint itself. Jupiter always receives
+ * `raw`; tables and log lines always show `ui`.
+ */
+
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$|^\.\d+$/;
+
+/**
+ * Normalize user input ("1,000.5") into a plain decimal string, or null if invalid
+ */
+const parseUiInput = (input) => {
+  const normalized = String(input).trim().replace(/,/g, '');
+  if (!DECIMAL_PATTERN.test(normalized)) {
+    return null;
+  }
+  return normalized;
+};
+
+/**
+ * Like parseUiInput, but also null unless the amount is above zero (checked on the digits, not a float)
+ */
+const parsePositiveUiInput = (input) => {
+  const normalized = parseUiInput(input);
+  return normalized !== null && /[1-9]/.test(normalized) ? normalized : null;
+};
+
+/**
+ * Decimal string for a UI number without exponent notation
+ */
+const toDecimalString = (uiAmount) => {
+  if (typeof uiAmount === 'string') {
+    return uiAmount;
+  }
+  const asString = String(uiAmount);
+  return asString.includes('e') ? uiAmount.toFixed(20) : asString;
+};
+
+/**
+ * Convert a UI amount to raw base units. Extra fractional digits are truncated.
+ */
+const uiToRaw = (uiAmount, decimals) => {
+  const decimalString = parseUiInput(toDecimalString(uiAmount));
+  if (decimalString === null) {
+    throw new Error(`Invalid token amount: ${uiAmount}`);
+  }
+
+  const [whole = '', fraction = ''] = decimalString.split('.');
+  const paddedFraction = fraction.padEnd(decimals, '0').slice(0, decimals);
+  return BigInt(`${whole || '0'}${paddedFraction}`).toString();
+};
+
+/**
+ * Convert raw base units to a UI number
+ */
+const rawToUi = (rawAmount, decimals) => {
+  const raw = BigInt(rawAmount);
+  const negative = raw < 0n;
+  const digits = (negative ? -raw : raw).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = decimals > 0 ? `.${digits.slice(-decimals)}` : '';
+  return Number(`${negative ? '-' : ''}${whole}${fraction}`);
+};
+
+/**
+ * Build an amount from raw base units
+ */
+const fromRaw = (rawAmount, decimals, mint = null) => {
+  const raw = BigInt(rawAmount).toString();
+  return { mint, decimals, raw, ui: rawToUi(raw, decimals) };
+};
+
+/**
+ * Build an amount from a UI value
+ */
+const fromUi = (uiAmount, decimals, mint = null) => {
+  return fromRaw(uiToRaw(uiAmount, decimals), decimals, mint);
+};
+
+/**
+ * Sum two amounts of the same mint
+ */
+const addAmounts = (a, b) => {
+  return fromRaw(BigInt(a.raw) + BigInt(b.raw), a.decimals, a.mint);
+};
+
+/**
+ * Subtract b from a, clamped at zero
+ */
+const subtractAmounts = (a, b) => {
+  const difference = BigInt(a.raw) - BigInt(b.raw);
+  return fromRaw(difference > 0n ? difference : 0n, a.decimals, a.mint);
+};
+
+/**
+ * Sum a list of amounts of the same mint
+ */
+const sumAmounts = (amounts, decimals, mint = null) => {
+  return amounts.reduce((total, amount) => addAmounts(total, amount), fromRaw(0, decimals, mint));
+};
+
+/**
+ * Percentage of an amount, rounded down to whole base units
+ */
+const scaleAmount = (amount, percent) => {
+  const basisPoints = BigInt(Math.round(percent * 100));
+  return fromRaw(BigInt(amount.raw) * basisPoints / 10000n, amount.decimals, amount.mint);
+};
+
+/**
+ * Split an amount into parts that differ by at most one base unit
+ */
+const splitAmount = (amount, parts) => {
+  const total = BigInt(amount.raw);
+  const count = BigInt(Math.max(1, parts));
+  const baseSize = total / count;
+  const remainder = total - baseSize * count;
+
+  return Array.from({ length: Number(count) }, (_, i) =>
+    fromRaw(baseSize + (BigInt(i) < remainder ? 1n : 0n), amount.decimals, amount.mint)
+  );
+};
+
+/**
+ * -1, 0 or 1 comparing two amounts by raw value
+ */
+const compareAmounts = (a, b) => {
+  const difference = BigInt(a.raw) - BigInt(b.raw);
+  return difference === 0n ? 0 : (difference > 0n ? 1 : -1);
+};
+
+const isZero = (amount) => BigInt(amount.raw) === 0n;
+
+/**
+ * Format an amount (or plain UI number or decimal string) for display
+ */
+const formatAmount = (amount, maxFractionDigits = 6) => {
+  const ui = typeof amount === 'object' ? amount.ui : Number(amount);
+  return ui.toLocaleString(undefined, { maximumFractionDigits: maxFractionDigits });
+};
+
+module.exports = {
+  parseUiInput,
+  parsePositiveUiInput,
+  uiToRaw,
+  rawToUi,
+  fromRaw,
+  fromUi,
+  addAmounts,
+  subtractAmounts,
+  sumAmounts,
+  scaleAmount,
+  splitAmount,
+  compareAmounts,
+  isZero,
+  formatAmount
+};
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ApiClient } = require('../src/services/apiClient');
+const { httpError, networkError } = require('./helpers/fakes');
+
+/**
+ * ApiClient whose axios instance answers from a scripted list of outcomes
+ */
+const scriptedClient = (outcomes, options = {}) => {
+  const client = new ApiClient({ baseURL: 'http://api.test/api', maxRetries: 3, retryDelay: 100, ...options });
+  const delays = [];
+  let attempts = 0;
+
+  const respond = async () => {
+    const outcome = outcomes[Math.min(attempts++, outcomes.length - 1)];
+    if (outcome instanceof Error) throw outcome;
+    return { status: 200, data: outcome };
+  };
+  client.client.get = respond;
+  client.client.post = respond;
+  client.sleep = async (ms) => { delays.push(ms); };
+
+  return { client, delays, attempts: () => attempts };
+};
+
+describe('ApiClient retry logic', () => {
+  it('retries retryable errors with exponential backoff', async () => {
+    const { client, delays, attempts } = scriptedClient([httpError(503, 'Unavailable'), httpError(429, 'Slow down'), { ok: true }]);
+
+    assert.deepEqual(await client.get('jupiter/tokens'), { ok: true });
+    assert.equal(attempts(), 3);
+    assert.deepEqual(delays, [100, 200]);
+  });
+
+  it('gives up after maxRetries + 1 attempts', async () => {
+    const { client, delays, attempts } = scriptedClient([networkError('ECONNRESET')]);
+
+    await assert.rejects(client.post('jupiter/quote', {}), /Network error: ECONNRESET/);
+    assert.equal(attempts(), 4);
+    assert.deepEqual(delays, [100, 200, 400]);
+  });
+
+  it('does not retry client errors', async () => {
+    const { client, delays, attempts } = scriptedClient([httpError(400, 'Bad amount')]);
+
+    await assert.rejects(client.post('jupiter/quote', {}), /HTTP 400: Bad amount/);
+    assert.equal(attempts(), 1);
+    assert.deepEqual(delays, []);
+  });
+
+  it('honors a per-call retry override', async () => {
+    const { client, attempts } = scriptedClient([httpError(502, 'Bad Gateway')]);
+
+    await assert.rejects(client.get('jupiter/tokens', 1));
+    assert.equal(attempts(), 2);
+  });
+
+  it('classifies retryable errors', () => {
+    const client = new ApiClient({ baseURL: 'http://api.test/api' });
+
+    for (const code of ['ECONNRESET', 'ENOTFOUND', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT']) {
+      assert.equal(client.isRetryableError(networkError(code)), true, code);
+    }
+    for (const status of [408, 429, 500, 502, 503]) {
+      assert.equal(client.isRetryableError(httpError(status, 'x')), true, String(status));
+    }
+    for (const status of [400, 401, 404]) {
+      assert.equal(client.isRetryableError(httpError(status, 'x')), false, String(status));
+    }
+    assert.equal(client.isRetryableError(new Error('boom')), false);
+  });
+});
+
+describe('ApiClient.formatError', () => {
+  const client = new ApiClient({ baseURL: 'http://api.test/api' });
+
+  it('maps HTTP statuses to actionable messages', () => {
+    const notFound = client.formatError(httpError(404, 'Missing', 'jupiter/nope'));
+    assert.match(notFound.message, /^HTTP 404: Endpoint not found/);
+    assert.match(notFound.message, /Full URL: http:\/\/api\.test\/apijupiter\/nope/);
+
+    assert.match(client.formatError(httpError(502, 'Bad Gateway')).message, /^HTTP 502: Bad Gateway\. The API server/);
+    assert.match(client.formatError(httpError(500, 'Exploded')).message, /^HTTP 500: Internal Server Error\. Exploded\./);
+    assert.equal(client.formatError(httpError(429, 'Too Many Requests')).message, 'HTTP 429: Too Many Requests');
+  });
+
+  it('maps network and other errors', () => {
+    assert.match(client.formatError(networkError('ETIMEDOUT')).message, /^Network timeout/);
+    assert.equal(client.formatError(networkError('ECONNREFUSED')).message, 'Network error: ECONNREFUSED');
+    assert.equal(client.formatError(new Error('bad config')).message, 'Request error: bad config');
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  EXIT_CODES,
+  parseArgs,
+  resolveHeadlessPreferences,
+  resolvePortfolioPlan,
+  resolveHistoryOptions
+} = require('../src/utils/cliArgs');
+
+describe('cliArgs', () => {
+  it('parses value, inline and boolean flags', () => {
+    assert.deepEqual(
+      parseArgs(['--amount', '1.5', '--output=usdc', '-y', '--dry-run=false']),
+      { amount: '1.5', output: 'usdc', yes: true, 'dry-run': false }
+    );
+  });
+
+  it('rejects unknown options and missing values with the validation exit code', () => {
+    for (const argv of [['--amout', '1'], ['--amount'], ['stray']]) {
+      assert.throws(() => parseArgs(argv), error => error.exitCode === EXIT_CODES.VALIDATION_FAILURE);
+    }
+  });
+
+  it('treats a run without preferences as interactive', () => {
+    assert.equal(resolveHeadlessPreferences({}), null);
+    assert.deepEqual(resolveHeadlessPreferences({ amount: '5' }), {
+      tokenAmount: '5',
+      outputToken: undefined,
+      strategy: undefined,
+      maxSlippage: undefined,
+      limitPrice: undefined,
+      stopPrice: undefined,
+      durationMinutes: undefined
+    });
+  });
+
+  it('reads order prices from flags', () => {
+    const preferences = resolveHeadlessPreferences(parseArgs(['--strategy', 'limit', '--limit-price', '0.012', '--stop-price=0.008']));
+    assert.equal(preferences.limitPrice, '0.012');
+    assert.equal(preferences.stopPrice, '0.008');
+  });
+
+  it('refuses to mix a portfolio with single-token flags', () => {
+    assert.equal(resolvePortfolioPlan({}), null);
+    assert.throws(() => resolvePortfolioPlan({ portfolio: 'p.json', amount: '1' }), /cannot be combined with --amount/);
+  });
+
+  it('resolves history filters and keeps them out of selling runs', () => {
+    assert.equal(resolveHistoryOptions({}), null);
+
+    const options = resolveHistoryOptions(parseArgs(['--history', '--since', '2026-01-01', '--until=2026-01-31', '--operation', 'quote']));
+    assert.equal(options.since.toISOString(), '2026-01-01T00:00:00.000Z');
+    assert.equal(options.until.toISOString(), '2026-01-31T23:59:59.999Z');
+    assert.equal(options.operation, 'quote');
+
+    assert.throws(() => resolveHistoryOptions({ since: '2026-01-01' }), /only be used with --history/);
+    assert.throws(() => resolveHistoryOptions({ history: true, amount: '1' }), /cannot be combined with --amount/);
+    assert.equal(resolveHistoryOptions({ history: true, profile: 'mainnet-main' }).operation, null);
+    assert.throws(() => resolveHistoryOptions({ history: true, since: 'soon' }), /Invalid date for --since/);
+    assert.throws(() => resolveHistoryOptions({ history: true, since: '2026-02-01', until: '2026-01-01' }), /before --until/);
+  });
+});
@@ -0,0 +1,159 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, formatConfigError } = require('../src/config/configLoader');
+const { collectConfigErrors } = require('../src/config/schema');
+const { encodeBase58, derivePublicKey } = require('../src/utils/solanaKeys');
+
+const MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const WALLET = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB';
+
+describe('configLoader', () => {
+  let dir;
+  let file;
+
+  const label = () => path.relative(process.cwd(), file);
+  const writeConfig = (values) => fs.writeFileSync(file, JSON.stringify(values));
+
+  /**
+   * Load with only the given env, and report every error the way validateConfig does
+   */
+  const load = (env = {}, argv = []) => {
+    const loaded = loadConfig({ env: { TOKEN_SELLER_CONFIG: file, ...env }, argv });
+    const errors = [...loaded.errors, ...collectConfigErrors(loaded.config)]
+      .map(error => formatConfigError(error, loaded.sources));
+    return { ...loaded, errors };
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    file = path.join(dir, 'config.json');
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('layers defaults, the config file, a profile and env vars in that order', () => {
+    writeConfig({
+      TARGET_TOKEN_MINT: MINT,
+      WALLET_PUBLIC_KEY: WALLET,
+      MAX_CHUNK_SIZE: 5000,
+      DEFAULT_SLIPPAGE_BPS: 60,
+      profiles: {
+        'test-wallet': { MAX_CHUNK_SIZE: 100, EMERGENCY_TRIGGERS: { PRICE_DROP_THRESHOLD: 20 } }
+      }
+    });
+
+    const { config, sources, profile, errors } = load(
+      { TOKEN_SELLER_DEFAULT_SLIPPAGE_BPS: '80', TOKEN_SELLER_OUTPUT_TOKENS__BONK: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263' },
+      ['--profile', 'test-wallet']
+    );
+
+    assert.deepEqual(errors, []);
+    assert.equal(profile, 'test-wallet');
+    assert.equal(config.API_TIMEOUT, 30000);
+    assert.equal(config.MAX_CHUNK_SIZE, 100);
+    assert.equal(config.DEFAULT_SLIPPAGE_BPS, 80);
+    assert.equal(config.EMERGENCY_TRIGGERS.PRICE_DROP_THRESHOLD, 20);
+    assert.equal(config.EMERGENCY_TRIGGERS.SELL_PORTION_PCT, 100);
+    assert.deepEqual(Object.keys(config.OUTPUT_TOKENS), ['SOL', 'USDC', 'USDT', 'BONK']);
+    assert.equal(sources.MAX_CHUNK_SIZE, 'profile test-wallet');
+    assert.equal(sources.DEFAULT_SLIPPAGE_BPS, 'env TOKEN_SELLER_DEFAULT_SLIPPAGE_BPS');
+    assert.equal(sources.API_TIMEOUT, undefined);
+  });
+
+  it('names the field, the reason and where the value was set', () => {
+    writeConfig({
+      TARGET_TOKEN_MINT: 'YOUR_TARGET_TOKEN_MINT_ADDRESS_HERE',
+      WALLET_PUBLIC_KEY: 'not-a-wallet',
+      MAX_SLIPPAGE_BPS: 40,
+      MAX_CHUNK_DELAY: 1.5,
+      PRICE_IMPACT_BREACH_ACTION: 'ignore',
+      SLIPAGE: 10
+    });
+
+    const { errors } = load({
+      TOKEN_SELLER_API_BASE_URL: 'ftp://example.com',
+      TOKEN_SELLER_MAX_RETRIES: 'three',
+      TOKEN_SELLER_EMERGENCY_TRIGGERS__PRICE_DROP_THRESHOLD: '150'
+    });
+
+    assert.deepEqual(errors, [
+      `SLIPAGE: is not a configuration field (${label()})`,
+      `TARGET_TOKEN_MINT: still has the placeholder value (set in ${label()})`,
+      `WALLET_PUBLIC_KEY: must be a 32-byte base58 address: invalid base58 character "-" (got "not-a-wallet") (set in ${label()})`,
+      'API_BASE_URL: must be an http(s) URL (got "ftp://example.com") (set in env TOKEN_SELLER_API_BASE_URL)',
+      'MAX_RETRIES: must be a number (got "three") (set in env TOKEN_SELLER_MAX_RETRIES)',
+      `MAX_CHUNK_DELAY: must be a whole number (got 1.5) (set in ${label()})`,
+      `PRICE_IMPACT_BREACH_ACTION: must be one of reduce, abort (got "ignore") (set in ${label()})`,
+      'EMERGENCY_TRIGGERS.PRICE_DROP_THRESHOLD: must be at most 100 (got 150) (set in env TOKEN_SELLER_EMERGENCY_TRIGGERS__PRICE_DROP_THRESHOLD)',
+      'MIN_SLIPPAGE_BPS: must not exceed MAX_SLIPPAGE_BPS (50 > 40)',
+      'DEFAULT_SLIPPAGE_BPS: must be between MIN_SLIPPAGE_BPS and MAX_SLIPPAGE_BPS (50-40, got 75)'
+    ]);
+  });
+
+  it('never echoes the private key in errors', () => {
+    writeConfig({ TARGET_TOKEN_MINT: MINT, WALLET_PUBLIC_KEY: WALLET, WALLET_PRIVATE_KEY: 12345 });
+
+    assert.deepEqual(load().errors, [
+      `WALLET_PRIVATE_KEY: must be a non-empty string (set in ${label()})`
+    ]);
+  });
+
+  it('rejects a plaintext private key that belongs to another wallet', () => {
+    const otherKey = encodeBase58(Buffer.alloc(32, 9));
+    writeConfig({ TARGET_TOKEN_MINT: MINT, WALLET_PUBLIC_KEY: WALLET, WALLET_PRIVATE_KEY: otherKey });
+
+    assert.deepEqual(load().errors, [
+      `WALLET_PRIVATE_KEY: does not match WALLET_PUBLIC_KEY ${WALLET} (it belongs to ${derivePublicKey(otherKey)}) (set in ${label()})`
+    ]);
+    assert.deepEqual(load({ TOKEN_SELLER_WALLET_PUBLIC_KEY: derivePublicKey(otherKey) }).errors, []);
+  });
+
+  it('validates each webhook and reads the list from JSON in the environment', () => {
+    writeConfig({
+      TARGET_TOKEN_MINT: MINT,
+      WALLET_PUBLIC_KEY: WALLET,
+      WEBHOOKS: [
+        { url: 'https://hooks.slack.com/services/T000/B000/secret', template: 'slack' },
+        { url: 'hooks.example.com/secret', template: 'teams', events: ['swap_failed', 'swap_done'], channel: '#ops' }
+      ]
+    });
+
+    assert.deepEqual(load().errors, [
+      'WEBHOOKS[1].channel: is not a configuration field',
+      'WEBHOOKS[1].url: must be an http(s) URL',
+      'WEBHOOKS[1].template: must be one of json, slack, discord (got "teams")',
+      'WEBHOOKS[1].events[1]: must be one of state_change, swap_succeeded, swap_failed, guard_triggered, session_completed (got "swap_done")'
+    ]);
+
+    const { config, errors } = load({ TOKEN_SELLER_WEBHOOKS: '[{"url":"http://127.0.0.1:3002/webhook","events":["session_completed"]}]' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(config.WEBHOOKS, [{ url: 'http://127.0.0.1:3002/webhook', events: ['session_completed'] }]);
+    assert.deepEqual(load({ TOKEN_SELLER_WEBHOOKS: 'not json' }).errors, [
+      'WEBHOOKS: must be a list (got "not json") (set in env TOKEN_SELLER_WEBHOOKS)'
+    ]);
+  });
+
+  it('reports unknown profiles and unreadable files instead of throwing', () => {
+    writeConfig({ TARGET_TOKEN_MINT: MINT, WALLET_PUBLIC_KEY: WALLET, profiles: { 'mainnet-main': {} } });
+    assert.deepEqual(load({ TOKEN_SELLER_PROFILE: 'staging' }).errors, [
+      'profile: "staging" is not defined in the config file (available: mainnet-main)'
+    ]);
+
+    fs.writeFileSync(file, '{ not json');
+    const { errors } = load();
+    assert.match(errors[0], /^config file: .*config\.json could not be read/);
+    assert.ok(errors.includes('TARGET_TOKEN_MINT: is required'));
+  });
+
+  it('reads the CONFIG object of a legacy constants.js', () => {
+    const legacy = path.join(dir, 'constants.js');
+    fs.writeFileSync(legacy, `module.exports = { CONFIG: { TARGET_TOKEN_MINT: '${MINT}', WALLET_PUBLIC_KEY: '${WALLET}', MAX_RETRIES: 5 } };`);
+
+    const { config, errors } = load({ TOKEN_SELLER_CONFIG: legacy });
+    assert.deepEqual(errors, []);
+    assert.equal(config.MAX_RETRIES, 5);
+  });
+});
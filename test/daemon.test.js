@@ -0,0 +1,288 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { CONFIG } = require('../src/config');
+const { MockApiServer } = require('../src/mock/mockApiServer');
+const { JobStore } = require('../src/services/jobStore');
+const { muteConsole } = require('./helpers/fakes');
+
+// End-to-end: the control API and JobManager driving real TokenSellers against the local mock API
+const STARTING_BALANCE = 500000;
+const TOKEN = 's3cret';
+
+let mock;
+let TokenSeller;
+let JobManager;
+let SellDaemon;
+let restoreConsole;
+let savedConfig;
+
+/**
+ * Poll until `condition` holds
+ */
+const waitUntil = async (condition, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Condition not met in time');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+before(async () => {
+  mock = new MockApiServer({
+    wallet: { tokens: { [CONFIG.TARGET_TOKEN_MINT]: STARTING_BALANCE } },
+    defaultToken: { priceUsd: 0.01, curve: { amplitudePct: 0 } }
+  }, { quiet: true });
+
+  // Services read API_BASE_URL when first required
+  CONFIG.API_BASE_URL = await mock.start(0);
+  ({ TokenSeller } = require('../src/index'));
+  ({ JobManager } = require('../src/jobManager'));
+  ({ SellDaemon } = require('../src/daemon'));
+});
+
+after(() => mock.stop());
+
+describe('SellDaemon', () => {
+  let dir;
+  let store;
+  let manager;
+  let daemon;
+  let baseUrl;
+
+  const createManager = (options = {}) => new JobManager({
+    createSeller: sellerOptions => new TokenSeller(sellerOptions),
+    store,
+    maxConcurrent: 1,
+    ...options
+  });
+
+  /**
+   * JSON request with the bearer token; a header set to null is left out
+   */
+  const api = async (method, route, body, headers = {}) => {
+    const allHeaders = { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}`, ...headers };
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: Object.fromEntries(Object.entries(allHeaders).filter(([, value]) => value !== null)),
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  /**
+   * Request with a Host header of our choosing (fetch always sends the real one)
+   */
+  const requestWithHost = (host) => new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}/health`, { headers: { Host: host, Authorization: `Bearer ${TOKEN}` } }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+
+  beforeEach(async () => {
+    mock.reset();
+    savedConfig = { ...CONFIG };
+    restoreConsole = muteConsole();
+    CONFIG.MAX_CHUNK_SIZE = 400;
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    store = new JobStore(dir);
+    manager = createManager();
+    daemon = new SellDaemon({ manager, token: TOKEN });
+    baseUrl = await daemon.start(0);
+  });
+
+  afterEach(async () => {
+    await daemon.stop();
+    await manager.idle();
+    Object.assign(CONFIG, savedConfig);
+    restoreConsole();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('runs a submitted job and reports its status and transactions', async () => {
+    const submitted = await api('POST', '/jobs', { amount: '1000', outputToken: 'usdc', strategy: 'immediate' });
+
+    assert.equal(submitted.status, 201);
+    assert.equal(submitted.body.preferences.outputToken, 'USDC');
+    assert.equal(submitted.body.mint, CONFIG.TARGET_TOKEN_MINT);
+
+    await manager.idle();
+
+    const { body: job } = await api('GET', `/jobs/${submitted.body.id}`);
+    assert.equal(job.status, 'COMPLETED');
+    assert.equal(job.sessionStatus, 'SUCCESS');
+    assert.equal(job.totals.transactionCount, 1);
+    assert.equal(job.totals.tokensSold, 1000);
+
+    const { body } = await api('GET', `/jobs/${job.id}/transactions`);
+    assert.equal(body.transactions.length, 1);
+    assert.equal(body.transactions[0].inAmount, 1000);
+    assert.match(body.transactions[0].solscanUrl, /^https:\/\/solscan\.io\/tx\//);
+
+    const { body: list } = await api('GET', '/jobs');
+    assert.deepEqual(list.jobs.map(({ id }) => id), [job.id]);
+
+    const persisted = JSON.parse(fs.readFileSync(path.join(dir, job.id, 'job.json'), 'utf8'));
+    assert.equal(persisted.status, 'COMPLETED');
+    assert.equal(persisted.transactions.length, 1);
+  });
+
+  it('answers bad requests with 4xx errors', async () => {
+    let response = await api('POST', '/jobs', { amount: '-5', outputToken: 'USDC' });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /Invalid or missing amount/);
+
+    response = await api('POST', '/jobs', { amount: '5', outputToken: 'USDC', slippage: 50 });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /Unknown job field\(s\): slippage/);
+
+    response = await api('POST', '/jobs', { amount: '5', outputToken: 'USDC', mint: 'not-a-mint' });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /Invalid mint not-a-mint/);
+
+    assert.equal((await api('GET', '/jobs/job-missing')).status, 404);
+    assert.equal((await api('DELETE', '/jobs')).status, 405);
+    assert.equal((await api('GET', '/nothing')).status, 404);
+
+    const { body: job } = await api('POST', '/jobs', { amount: '5', outputToken: 'USDC' });
+    await manager.idle();
+    response = await api('POST', `/jobs/${job.id}/resume`);
+    assert.equal(response.status, 409);
+    assert.match(response.body.error, /it is COMPLETED/);
+    assert.equal(mock.swaps.length, 1);
+  });
+
+  it('rejects requests without the right bearer token', async () => {
+    assert.equal((await api('GET', '/health', undefined, { Authorization: null })).status, 401);
+    assert.equal((await api('GET', '/health', undefined, { Authorization: 'Bearer wrong!' })).status, 401);
+    assert.equal((await api('POST', '/jobs', { amount: '5', outputToken: 'USDC' }, { Authorization: null })).status, 401);
+    assert.deepEqual(manager.list(), []);
+
+    const { status, body } = await api('GET', '/health');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ok');
+  });
+
+  it('generates a token when none is configured', async () => {
+    const configured = process.env[CONFIG.DAEMON_TOKEN_ENV];
+    delete process.env[CONFIG.DAEMON_TOKEN_ENV];
+    await daemon.stop();
+    daemon = new SellDaemon({ manager });
+    baseUrl = await daemon.start(0);
+    if (configured !== undefined) process.env[CONFIG.DAEMON_TOKEN_ENV] = configured;
+
+    assert.equal(daemon.tokenGenerated, true);
+    assert.match(daemon.token, /^[0-9a-f]{48}$/);
+    assert.equal((await api('GET', '/health')).status, 401);
+    assert.equal((await api('GET', '/health', undefined, { Authorization: `Bearer ${daemon.token}` })).status, 200);
+  });
+
+  it('only accepts JSON posts addressed to the daemon itself', async () => {
+    const response = await api('POST', '/jobs', { amount: '5', outputToken: 'USDC' }, { 'Content-Type': 'text/plain' });
+    assert.equal(response.status, 415);
+    assert.match(response.body.error, /application\/json/);
+    assert.equal((await api('POST', '/jobs', undefined, { 'Content-Type': null })).status, 415);
+    assert.deepEqual(manager.list(), []);
+
+    assert.equal(await requestWithHost(`localhost:${daemon.port}`), 200);
+    assert.equal(await requestWithHost(`127.0.0.1:${daemon.port}`), 200);
+    assert.equal(await requestWithHost(`attacker.example:${daemon.port}`), 403);
+    assert.equal(await requestWithHost('127.0.0.1:1'), 403);
+  });
+
+  it('holds a paused job between swaps until it is resumed', async () => {
+    const { body: job } = await api('POST', '/jobs', { amount: '1000', outputToken: 'USDC', strategy: 'gradual' });
+    assert.equal((await api('POST', `/jobs/${job.id}/pause`)).body.status, 'PAUSED');
+
+    await waitUntil(() => manager.get(job.id).state === 'EXECUTING');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(mock.swaps.length, 0);
+
+    assert.equal((await api('POST', `/jobs/${job.id}/resume`)).body.status, 'RUNNING');
+    await manager.idle();
+
+    assert.equal(manager.get(job.id).status, 'COMPLETED');
+    assert.equal(mock.swaps.length, 3);
+  });
+
+  it('cancels queued jobs at once and running jobs at their next checkpoint', async () => {
+    const { body: first } = await api('POST', '/jobs', { amount: '1000', outputToken: 'USDC', strategy: 'gradual' });
+    const { body: second } = await api('POST', '/jobs', { amount: '1000', outputToken: 'USDC' });
+    assert.equal(second.status, 'QUEUED');
+
+    assert.equal((await api('POST', `/jobs/${second.id}/cancel`)).body.status, 'CANCELLED');
+
+    await api('POST', `/jobs/${first.id}/pause`);
+    await waitUntil(() => manager.get(first.id).state === 'EXECUTING');
+    assert.equal((await api('POST', `/jobs/${first.id}/cancel`)).body.cancelRequested, true);
+    await manager.idle();
+
+    const job = manager.get(first.id);
+    assert.equal(job.status, 'CANCELLED');
+    assert.equal(job.sessionStatus, 'CANCELLED');
+    assert.equal(mock.swaps.length, 0);
+    assert.equal((await api('POST', `/jobs/${first.id}/cancel`)).status, 409);
+  });
+
+  it('resumes a job interrupted by a restart from its journal', async () => {
+    // Pause after the first of three swaps, then stop the daemon
+    const pausingManager = createManager({
+      createSeller: options => {
+        const seller = new TokenSeller(options);
+        const recordTransaction = seller.recordTransaction.bind(seller);
+        seller.recordTransaction = (quote, result) => {
+          recordTransaction(quote, result);
+          pausingManager.pause(options.sessionId);
+        };
+        return seller;
+      }
+    });
+    const job = pausingManager.submit({ amount: '1000', outputToken: 'USDC', strategy: 'gradual' });
+    await waitUntil(() => mock.swaps.length === 1 && pausingManager.get(job.id).status === 'PAUSED');
+    pausingManager.shutdown();
+
+    const restarted = createManager();
+    restarted.recover();
+    assert.equal(restarted.get(job.id).status, 'PAUSED');
+
+    restarted.resume(job.id);
+    await restarted.idle();
+
+    const resumed = restarted.get(job.id);
+    assert.equal(resumed.status, 'COMPLETED');
+    assert.equal(resumed.totals.tokensSold, 1000);
+    assert.equal(restarted.transactions(job.id).length, 3);
+    assert.equal(mock.swaps.length, 3);
+  });
+
+  it('runs jobs queued before a restart and closes out sessions that already finished', async () => {
+    const stopped = createManager({ maxConcurrent: 0 });
+    const queued = stopped.submit({ amount: '1000', outputToken: 'USDC' });
+
+    // A job whose session completed just before the daemon went down
+    const finished = { ...stopped.getJob(queued.id), id: 'job-finished', status: 'RUNNING', sessionId: 'job-finished' };
+    store.save(finished);
+    fs.writeFileSync(store.archivedJournalPath('job-finished'), JSON.stringify({
+      status: 'COMPLETED',
+      updatedAt: '2026-01-01T00:00:00.000Z',
+      transactions: []
+    }));
+
+    const restarted = createManager();
+    restarted.recover();
+    await restarted.idle();
+
+    assert.equal(restarted.get('job-finished').status, 'COMPLETED');
+    assert.equal(restarted.get(queued.id).status, 'COMPLETED');
+    assert.equal(mock.swaps.length, 1);
+  });
+});
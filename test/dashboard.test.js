@@ -0,0 +1,196 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const { CONFIG } = require('../src/config');
+const { MockApiServer } = require('../src/mock/mockApiServer');
+const { EXIT_CODES } = require('../src/utils/cliArgs');
+const { muteConsole } = require('./helpers/fakes');
+
+// End-to-end: a TokenSeller with the dashboard against the local mock API.
+// The screen is a captured stream; keys are fed to the dashboard directly.
+const STARTING_BALANCE = 500000;
+
+let mock;
+let TokenSeller;
+let restoreConsole;
+let savedConfig;
+
+/**
+ * Stream standing in for the terminal; `frame()` is the last full redraw, without colours
+ */
+const createScreen = () => {
+  const screen = new Writable({
+    write(chunk, encoding, callback) {
+      screen.writes.push(chunk.toString());
+      callback();
+    }
+  });
+  screen.writes = [];
+  screen.columns = 120;
+  screen.rows = 40;
+  screen.frame = () => [...screen.writes].reverse()
+    .find(text => text.startsWith('\x1b[H'))
+    .replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '');
+  return screen;
+};
+
+/**
+ * Headless seller with the dashboard drawn on `screen`. `onSwap(seller, count)` runs after each swap.
+ */
+const createSeller = (preferences, screen, onSwap = () => {}, dashboardOptions = {}) => {
+  const seller = new TokenSeller({
+    headlessPreferences: preferences,
+    assumeYes: true,
+    dashboard: { output: screen, input: { isTTY: false }, refreshMs: 60000, quoteIntervalMs: 60000, ...dashboardOptions }
+  });
+
+  const recordTransaction = seller.recordTransaction.bind(seller);
+  seller.recordTransaction = (quote, result) => {
+    recordTransaction(quote, result);
+    onSwap(seller, seller.executionSummary.transactionCount);
+  };
+
+  return seller;
+};
+
+const press = (seller, ...keys) => keys.forEach(name => seller.dashboard.handleKey(name, { name }));
+
+before(async () => {
+  mock = new MockApiServer({
+    wallet: { tokens: { [CONFIG.TARGET_TOKEN_MINT]: STARTING_BALANCE } },
+    defaultToken: { priceUsd: 0.01, curve: { amplitudePct: 0 } }
+  }, { quiet: true });
+
+  // Services read API_BASE_URL when first required
+  CONFIG.API_BASE_URL = await mock.start(0);
+  ({ TokenSeller } = require('../src/index'));
+});
+
+after(() => mock.stop());
+
+beforeEach(() => {
+  mock.reset();
+  savedConfig = { ...CONFIG };
+  restoreConsole = muteConsole();
+  CONFIG.MAX_CHUNK_SIZE = 400;
+});
+
+afterEach(() => {
+  Object.assign(CONFIG, savedConfig);
+  restoreConsole();
+});
+
+describe('Dashboard', () => {
+  it('shows progress, triggers, API health and transactions while a gradual sale runs', async () => {
+    const screen = createScreen();
+    let frame = null;
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'gradual' }, screen, (current, count) => {
+      if (count === 1) {
+        current.dashboard.render();
+        frame = screen.frame();
+      }
+    });
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+    assert.equal(mock.swaps.length, 3);
+
+    assert.match(frame, /Gradual Sale → USDC/);
+    assert.match(frame, /333\.333334 \/ 1,000 sold · 666\.666666 left/);
+    assert.match(frame, /33\.3%/);
+    assert.match(frame, /Price drop\s+0\.0% \/ 10%/);
+    assert.match(frame, /Time left/);
+    assert.match(frame, /● healthy/);
+    assert.match(frame, /Recent transactions \(1\)/);
+    assert.match(frame, /https:\/\/solscan\.io\/tx\//);
+    assert.match(frame, /\[p\] pause {2}\[r\] resume {2}\[s\] sell remainder now {2}\[q\] abort/);
+
+    // The terminal is handed back
+    assert.ok(screen.writes[0].startsWith('\x1b[?1049h'));
+    assert.ok(screen.writes.at(-1).endsWith('\x1b[?1049l'));
+    assert.equal(seller.dashboard, null);
+  });
+
+  it('shows the strategy quotes and only quotes itself when they go stale', async () => {
+    const screen = createScreen();
+    const quoteSource = { calls: 0, getQuote: async () => { quoteSource.calls += 1; throw new Error('quote stub'); } };
+    let frame = null;
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'gradual' }, screen, async (current, count) => {
+      if (count !== 1) return;
+
+      // A strategy quote was just fetched: nothing to poll
+      await current.dashboard.pollQuote();
+      current.dashboard.render();
+      frame = screen.frame();
+
+      current.dashboard.lastQuoteAt = Date.now() - 60000;
+      await current.dashboard.pollQuote();
+    }, { quoteSource });
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+
+    assert.match(frame, /Quote\s+0\.0\d+ USDC\/token/);
+    assert.match(frame, /333\.333334 → [\d.]+ USDC · impact/);
+    assert.equal(quoteSource.calls, 1);
+    assert.equal(mock.swaps.length, 3);
+  });
+
+  it('sells the remainder at once after "s" is confirmed', async () => {
+    const screen = createScreen();
+    let prompt = null;
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'gradual' }, screen, (current, count) => {
+      if (count === 1) {
+        press(current, 's');
+        prompt = screen.frame();
+        press(current, 'y');
+      }
+    });
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+
+    assert.match(prompt, /Sell the remaining 666\.666666 tokens now\? \[y\/N\]/);
+    assert.deepEqual(mock.swaps.map(swap => swap.inAmount), ['333333334', '666666666']);
+    assert.equal(seller.executionSummary.totalTokensSoldRaw, '1000000000');
+  });
+
+  it('holds the sale while paused and aborts it on "q"', async () => {
+    const screen = createScreen();
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'gradual' }, screen, (current, count) => {
+      if (count === 1) press(current, 'p');
+    });
+
+    const run = seller.run();
+    await new Promise(resolve => seller.options.control.once('pause', resolve));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    seller.dashboard.render();
+    assert.match(screen.frame(), /PAUSED/);
+    assert.match(screen.frame(), /Chunk 2\/3: 333\.333333 tokens .*\(held by pause\)/);
+    assert.equal(mock.swaps.length, 1);
+
+    press(seller, 'q', 'n');
+    assert.equal(seller.options.control.cancelled, false);
+    press(seller, 'q', 'y');
+
+    assert.equal(await run, EXIT_CODES.SUCCESS);
+    assert.equal(seller.executionSummary.cancelled, true);
+    assert.equal(mock.swaps.length, 1);
+  });
+
+  it('sells on request between optimal timing checks', async () => {
+    const screen = createScreen();
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'optimal' }, screen);
+
+    const run = seller.run();
+    while (seller.nextStep?.label !== 'Price check') {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.equal(mock.swaps.length, 0);
+
+    press(seller, 's', 'y');
+
+    assert.equal(await run, EXIT_CODES.SUCCESS);
+    assert.equal(mock.swaps.length, 1);
+    assert.equal(mock.swaps[0].inAmount, '1000000000');
+    assert.equal(seller.executionSummary.success, true);
+  });
+});
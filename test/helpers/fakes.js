@@ -0,0 +1,101 @@
+const MINTS = {
+  SOL: 'So11111111111111111111111111111111111111112',
+  USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  TOKEN: 'TestMint111111111111111111111111111111111ab'
+};
+
+/**
+ * In-memory stand-in for ApiClient. Routes map "METHOD endpoint" to a
+ * response object or a handler (data, endpoint) => response; every call is
+ * recorded in `calls`.
+ */
+class FakeApiClient {
+  constructor({ routes = {}, balances = {} } = {}) {
+    this.routes = routes;
+    this.balances = balances; // { [mint]: { balance, decimals } }
+    this.calls = [];
+  }
+
+  async get(endpoint) {
+    return this.handle('GET', endpoint);
+  }
+
+  async post(endpoint, data) {
+    return this.handle('POST', endpoint, data);
+  }
+
+  async getTokenBalance(walletAddress, mintAddress) {
+    this.calls.push({ method: 'GET', endpoint: `wallets/token-balance/${walletAddress}`, data: { mintAddress } });
+    return this.balances[mintAddress] || { balance: 0, decimals: 6, error: 'Unknown mint' };
+  }
+
+  async handle(method, endpoint, data) {
+    this.calls.push({ method, endpoint, data });
+
+    const key = `${method} ${endpoint}`;
+    const routeKey = Object.keys(this.routes).find(route => key === route || key.startsWith(`${route}/`));
+    if (!routeKey) {
+      throw new Error(`No fake route for ${key}`);
+    }
+
+    const handler = this.routes[routeKey];
+    return typeof handler === 'function' ? handler(data, endpoint) : handler;
+  }
+}
+
+/**
+ * Raw Jupiter quote as returned inside quoteResponse
+ */
+const buildRawQuote = (overrides = {}) => ({
+  inputMint: MINTS.TOKEN,
+  outputMint: MINTS.USDC,
+  inAmount: '2000000',
+  outAmount: '500000',
+  otherAmountThreshold: '496250',
+  slippageBps: 75,
+  priceImpactPct: '0.25',
+  routePlan: [{ percent: 100 }],
+  ...overrides
+});
+
+/**
+ * Axios-shaped HTTP error
+ */
+const httpError = (status, message, url = 'jupiter/quote') => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, statusText: message, data: { message } };
+  error.config = { url, baseURL: 'http://api.test/api' };
+  return error;
+};
+
+/**
+ * Axios-shaped network error (no response)
+ */
+const networkError = (code) => {
+  const error = new Error(code);
+  error.code = code;
+  error.request = {};
+  return error;
+};
+
+/**
+ * Silence console.log/console.clear during a test; returns a restore function
+ */
+const muteConsole = () => {
+  const { log, clear } = console;
+  console.log = () => {};
+  console.clear = () => {};
+  return () => {
+    console.log = log;
+    console.clear = clear;
+  };
+};
+
+module.exports = {
+  MINTS,
+  FakeApiClient,
+  buildRawQuote,
+  httpError,
+  networkError,
+  muteConsole
+};
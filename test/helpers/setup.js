@@ -0,0 +1,40 @@
+/**
+ * Preloaded by `npm test` (node --require). Points the configuration loader
+ * at a test config file, so the suite runs without a local config.json or
+ * constants.js, without real keys and without network access.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-seller-test-'));
+const configFile = path.join(testDir, 'config.json');
+
+fs.writeFileSync(configFile, JSON.stringify({
+  TARGET_TOKEN_MINT: 'TestMint111111111111111111111111111111111ab',
+  // Real ed25519 key pair (seed of 0x07 bytes), so key pair checks pass
+  WALLET_PRIVATE_KEY: '99eUso3aSbE9tqGSTXzo3TLfKb9RkMTURrHKQ1K7Zh3StnzFNUx8FKCPPPPpR479qsw5zv2WNBKmgiz7WqgAJfM',
+  WALLET_PUBLIC_KEY: 'GmaDrppBC7P5ARKV8g3djiwP89vz1jLK23V2GBjuAEGB',
+  API_BASE_URL: 'http://127.0.0.1:9/api', // Discard port: nothing should reach it
+  API_TIMEOUT: 2000,
+  MAX_RETRIES: 2,
+  RETRY_DELAY: 1,
+  MIN_CHUNK_DELAY: 1,
+  MAX_CHUNK_DELAY: 2,
+  LOG_LEVEL: 'error',
+  LOG_FILE: path.join(testDir, 'token-seller.log'),
+  JOURNAL_FILE: path.join(testDir, 'sessions', 'current-session.json'),
+  REPORTS_DIR: path.join(testDir, 'reports'),
+  KEYSTORE_FILE: path.join(testDir, 'keystore', 'wallet.json')
+}));
+
+// Only the test file applies: no profile, no overrides from the developer's shell
+Object.keys(process.env)
+  .filter(name => name.startsWith('TOKEN_SELLER_'))
+  .forEach(name => delete process.env[name]);
+process.env.TOKEN_SELLER_CONFIG = configFile;
+
+// Keep test output readable; assertions cover behavior, not log lines
+require('../../src/utils/logger').logger.silent = true;
+
+process.on('exit', () => fs.rmSync(testDir, { recursive: true, force: true }));
@@ -0,0 +1,299 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { JupiterService } = require('../src/services/jupiterService');
+const { WalletService } = require('../src/services/walletService');
+const { MINTS, FakeApiClient, buildRawQuote } = require('./helpers/fakes');
+
+/**
+ * JupiterService wired to a fake API client with a 6-decimal test token
+ */
+const createService = (routes = {}) => {
+  const apiClient = new FakeApiClient({
+    routes,
+    balances: { [MINTS.TOKEN]: { balance: 5000000000, decimals: 6 } }
+  });
+  const walletService = new WalletService({ apiClient });
+  const keystoreService = { getPrivateKey: () => 'UnlockedTestKey' };
+  return { service: new JupiterService({ apiClient, walletService, keystoreService }), apiClient };
+};
+
+describe('JupiterService.validateQuote', () => {
+  const { service } = createService();
+
+  it('accepts a complete quote', () => {
+    assert.doesNotThrow(() => service.validateQuote(buildRawQuote()));
+  });
+
+  it('rejects missing fields', () => {
+    for (const field of ['inputMint', 'outputMint', 'inAmount', 'outAmount']) {
+      assert.throws(() => service.validateQuote(buildRawQuote({ [field]: undefined })), new RegExp(`missing ${field}`));
+    }
+  });
+
+  it('rejects non-positive amounts', () => {
+    assert.throws(() => service.validateQuote(buildRawQuote({ outAmount: '-5' })), /must be positive/);
+  });
+});
+
+describe('JupiterService.enhanceQuote', () => {
+  const { service } = createService();
+
+  it('adds decimals-aware UI amounts, price and minimum output', () => {
+    const raw = buildRawQuote();
+    const quote = service.enhanceQuote(raw, 75, { inputDecimals: 6, outputDecimals: 6 });
+
+    assert.equal(quote.quoteResponse, raw);
+    assert.equal(quote.inAmountUi, 2);
+    assert.equal(quote.outAmountUi, 0.5);
+    assert.equal(quote.price, 0.25);
+    assert.equal(quote.minimumOutput, '496250');
+    assert.equal(quote.minimumOutputUi, 0.49625);
+    assert.equal(quote.priceImpactPct, 0.25);
+    assert.equal(quote.routeLength, 1);
+  });
+
+  it('keeps raw amounts exact beyond Number precision', () => {
+    const quote = service.enhanceQuote(buildRawQuote({ outAmount: '123456789012345678901' }), 100, { inputDecimals: 6, outputDecimals: 9 });
+    assert.equal(quote.minimumOutput, '122222221122222222111');
+  });
+});
+
+describe('JupiterService quotes and swaps', () => {
+  it('requests quotes with raw string amounts and enhances the response', async () => {
+    const { service, apiClient } = createService({
+      'POST jupiter/quote': data => ({ quoteResponse: buildRawQuote({ inAmount: data.amount, slippageBps: data.slippageBps }) })
+    });
+
+    const quote = await service.getQuote(MINTS.TOKEN, MINTS.USDC, 2000000, 50);
+
+    const request = apiClient.calls.find(call => call.endpoint === 'jupiter/quote').data;
+    assert.equal(request.amount, '2000000');
+    assert.equal(request.slippageBps, 50);
+    assert.equal(quote.inputDecimals, 6);
+    assert.equal(quote.outputDecimals, 6);
+    assert.equal(quote.slippageBps, 50);
+  });
+
+  it('fails on a response without quoteResponse', async () => {
+    const { service } = createService({ 'POST jupiter/quote': { message: 'nope' } });
+    await assert.rejects(service.getQuote(MINTS.TOKEN, MINTS.USDC, 1, 50), /missing quoteResponse/);
+  });
+
+  it('quotes every slippage level and skips the ones that fail', async () => {
+    const attempted = [];
+    const { service } = createService({
+      'POST jupiter/quote': data => {
+        attempted.push(data.slippageBps);
+        if (attempted.length === 1) throw new Error('HTTP 502: Bad Gateway');
+        return { quoteResponse: buildRawQuote() };
+      }
+    });
+
+    const quote = await service.getOptimalQuote(MINTS.TOKEN, MINTS.USDC, '2000000');
+    assert.deepEqual(attempted, [50, 75, 100]);
+    assert.equal(quote.slippageBps, 75);
+  });
+
+  it('never quotes above the max slippage', async () => {
+    const attempted = [];
+    const { service } = createService({
+      'POST jupiter/quote': data => {
+        attempted.push(data.slippageBps);
+        return { quoteResponse: buildRawQuote() };
+      }
+    });
+
+    await service.getOptimalQuote(MINTS.TOKEN, MINTS.USDC, '2000000', { maxSlippageBps: 75 });
+    assert.deepEqual(attempted, [50, 75]);
+  });
+
+  it('ranks by minimum output, then by price impact', async () => {
+    // Wider slippage gets a better route here, enough to beat the tighter minimum
+    const outAmounts = { 50: '500000', 75: '510000', 100: '510000' };
+    const impacts = { 50: '0.2', 75: '0.4', 100: '0.1' };
+    const { service } = createService({
+      'POST jupiter/quote': data => ({
+        quoteResponse: buildRawQuote({ outAmount: outAmounts[data.slippageBps], priceImpactPct: impacts[data.slippageBps] })
+      })
+    });
+
+    const ranked = await service.getRankedQuotes(MINTS.TOKEN, MINTS.USDC, '2000000');
+
+    assert.deepEqual(ranked.map(quote => quote.slippageBps), [75, 100, 50]);
+    assert.deepEqual(ranked.map(quote => quote.minimumOutput), ['506175', '504900', '497500']);
+    assert.equal(ranked[0].rank, 1);
+    assert.equal(ranked[0].rankReason, 'Highest minimum output');
+    assert.match(ranked[2].rankReason, /Minimum output 1\.71% lower/);
+  });
+
+  it('reports when no slippage level yields a quote', async () => {
+    const { service } = createService({ 'POST jupiter/quote': () => { throw new Error('down'); } });
+    await assert.rejects(service.getOptimalQuote(MINTS.TOKEN, MINTS.USDC, '1'), /No valid quotes received/);
+  });
+
+  it('posts the untouched quote to jupiter/swap', async () => {
+    const { service, apiClient } = createService({ 'POST jupiter/swap': { status: 'success', transactionId: 'sig123' } });
+    const raw = buildRawQuote();
+
+    const result = await service.executeSwap(raw, false);
+
+    const request = apiClient.calls.find(call => call.endpoint === 'jupiter/swap').data;
+    assert.equal(result.transactionId, 'sig123');
+    assert.equal(request.quoteResponse, raw);
+    assert.equal(request.collectFees, false);
+    assert.equal(request.userWalletPrivateKeyBase58, 'UnlockedTestKey');
+  });
+
+  it('rejects a swap response without transactionId', async () => {
+    const { service } = createService({ 'POST jupiter/swap': { status: 'failed' } });
+    await assert.rejects(service.executeSwap(buildRawQuote()), /missing transactionId/);
+  });
+
+  it('caches supported tokens', async () => {
+    const { service, apiClient } = createService({ 'GET jupiter/tokens': { tokens: { SOL: MINTS.SOL } } });
+
+    await service.getSupportedTokens();
+    await service.getSupportedTokens();
+    assert.equal(apiClient.calls.length, 1);
+  });
+});
+
+describe('JupiterService price impact search', () => {
+  // Impact grows linearly: 1% per 1,000,000 raw units
+  const impactRoutes = {
+    'POST jupiter/quote': data => ({
+      quoteResponse: buildRawQuote({ inAmount: data.amount, outAmount: data.amount, priceImpactPct: String(Number(data.amount) / 1000000) })
+    })
+  };
+
+  it('checks quotes against the cap', () => {
+    const { service } = createService();
+    assert.equal(service.isWithinImpactCap({ priceImpactPct: 5 }, 5), true);
+    assert.equal(service.isWithinImpactCap({ priceImpactPct: 5.01 }, 5), false);
+  });
+
+  it('binary searches the largest size within the cap', async () => {
+    const { service, apiClient } = createService(impactRoutes);
+
+    const result = await service.findMaxSizeWithinImpact(MINTS.TOKEN, MINTS.USDC, '10000000', 50, 4);
+
+    const probes = apiClient.calls.filter(call => call.endpoint === 'jupiter/quote');
+    assert.equal(probes.length, 10);
+    assert.ok(BigInt(result.amount) <= 4000000n && BigInt(result.amount) > 3980000n, `found ${result.amount}`);
+    assert.equal(result.quote.inAmount, result.amount);
+    assert.ok(result.quote.priceImpactPct <= 4);
+  });
+
+  it('returns null when no probed size fits', async () => {
+    const { service } = createService({
+      'POST jupiter/quote': data => ({ quoteResponse: buildRawQuote({ inAmount: data.amount, priceImpactPct: '50' }) })
+    });
+
+    assert.equal(await service.findMaxSizeWithinImpact(MINTS.TOKEN, MINTS.USDC, '10000000', 50, 4), null);
+  });
+});
+
+describe('JupiterService output token comparison', () => {
+  const OUTPUT_TOKENS = { SOL: MINTS.SOL, USDC: MINTS.USDC };
+
+  it('values every output in the valuation token and ranks by value', async () => {
+    const { service } = createService({
+      'POST jupiter/quote': data => {
+        // 1 SOL (9 decimals) = 150 USDC; the token sells for 0.003 SOL or 0.5 USDC
+        if (data.inputMint === MINTS.SOL) {
+          return { quoteResponse: buildRawQuote({ inputMint: MINTS.SOL, inAmount: data.amount, outAmount: '150000000' }) };
+        }
+        const outAmount = data.outputMint === MINTS.SOL ? '6000000' : '1000000';
+        return { quoteResponse: buildRawQuote({ outputMint: data.outputMint, inAmount: data.amount, outAmount }) };
+      }
+    });
+    service.getSwapDecimals = async (inputMint, outputMint) => ({
+      inputDecimals: inputMint === MINTS.SOL ? 9 : 6,
+      outputDecimals: outputMint === MINTS.SOL ? 9 : 6
+    });
+
+    const ranked = await service.compareOutputTokens(MINTS.TOKEN, '2000000', { outputTokens: OUTPUT_TOKENS, valuationToken: 'USDC' });
+
+    assert.deepEqual(ranked.map(row => row.outputToken), ['USDC', 'SOL']);
+    assert.equal(ranked[1].unitValue, 150);
+    assert.ok(Math.abs(ranked[1].value - 0.8955) < 1e-9, `SOL value ${ranked[1].value}`);
+    assert.equal(ranked[0].reason, 'Highest value in USDC');
+    assert.match(ranked[1].reason, /% less than USDC/);
+  });
+
+  it('lists outputs that fail to quote last', async () => {
+    const { service } = createService({
+      'POST jupiter/quote': data => {
+        if (data.outputMint === MINTS.SOL) throw new Error('No route');
+        return { quoteResponse: buildRawQuote({ outputMint: data.outputMint }) };
+      }
+    });
+
+    const ranked = await service.compareOutputTokens(MINTS.TOKEN, '2000000', { outputTokens: OUTPUT_TOKENS });
+
+    assert.equal(ranked[0].outputToken, 'USDC');
+    assert.equal(ranked[1].quote, null);
+    assert.match(ranked[1].reason, /Quote failed: .*No route/);
+  });
+
+  it('fails when no output can be quoted', async () => {
+    const { service } = createService({ 'POST jupiter/quote': () => { throw new Error('down'); } });
+    await assert.rejects(service.compareOutputTokens(MINTS.TOKEN, '1', { outputTokens: OUTPUT_TOKENS }), /No output token could be quoted/);
+  });
+});
+
+describe('JupiterService quote freshness', () => {
+  const { service } = createService();
+
+  it('flags quotes older than MAX_QUOTE_AGE_SECONDS', () => {
+    const now = Date.now();
+    assert.equal(service.isQuoteStale({ timestamp: now - 1000 }, now), false);
+    assert.equal(service.isQuoteStale({ timestamp: now - 60000 }, now), true);
+  });
+
+  it('measures output and impact changes between quotes', () => {
+    const original = { outAmount: '1000000', minimumOutput: '995000', priceImpactPct: 0.5 };
+    const fresh = { outAmount: '980000', minimumOutput: '975100', priceImpactPct: 0.75 };
+
+    assert.deepEqual(service.compareQuotes(original, fresh), {
+      outAmountChangePct: -2,
+      minimumOutputChangePct: -2,
+      priceImpactChange: 0.25
+    });
+  });
+});
+
+describe('JupiterService swap reconciliation', () => {
+  const { service } = createService();
+  const quote = {
+    inputMint: MINTS.TOKEN,
+    outputMint: MINTS.USDC,
+    outputDecimals: 6,
+    outAmount: '1000000',
+    minimumOutput: '995000'
+  };
+  const before = { [MINTS.TOKEN]: '5000000', [MINTS.USDC]: '0' };
+
+  it('adds the platform fee back before measuring slippage', () => {
+    const after = { [MINTS.TOKEN]: '4000000', [MINTS.USDC]: '988000' };
+    const fee = { status: 'success', feeAmount: 0.002, feeTokenMint: MINTS.USDC };
+
+    assert.deepEqual(service.reconcileSwap(quote, before, after, fee), {
+      realizedInAmount: '1000000',
+      realizedOutAmount: '988000',
+      filledOutAmount: '990000',
+      feeDeductionAmount: '2000',
+      realizedSlippagePct: -1,
+      belowMinimum: true
+    });
+  });
+
+  it('ignores fees taken in another mint or not collected', () => {
+    const after = { [MINTS.TOKEN]: '4000000', [MINTS.USDC]: '1000000' };
+
+    const reconciled = service.reconcileSwap(quote, before, after, { status: 'skipped', feeAmount: 0 });
+    assert.equal(reconciled.feeDeductionAmount, '0');
+    assert.equal(reconciled.realizedSlippagePct, 0);
+    assert.equal(reconciled.belowMinimum, false);
+  });
+});
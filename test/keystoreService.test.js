@@ -0,0 +1,117 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG } = require('../src/config');
+const { KeystoreService } = require('../src/services/keystoreService');
+
+const { encodeBase58 } = require('../src/utils/solanaKeys');
+
+// The test config's key pair; a key for another wallet (seed of 0x09 bytes)
+const PRIVATE_KEY = CONFIG.WALLET_PRIVATE_KEY;
+const OTHER_WALLET_KEY = encodeBase58(Buffer.alloc(32, 9));
+const PASSPHRASE = 'correct horse battery staple';
+
+describe('KeystoreService', () => {
+  let dir;
+  let keystore;
+  let savedEnv;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+    keystore = new KeystoreService(path.join(dir, 'wallet.json'));
+    savedEnv = process.env[CONFIG.KEYSTORE_PASSPHRASE_ENV];
+    delete process.env[CONFIG.KEYSTORE_PASSPHRASE_ENV];
+  });
+
+  afterEach(() => {
+    if (savedEnv === undefined) {
+      delete process.env[CONFIG.KEYSTORE_PASSPHRASE_ENV];
+    } else {
+      process.env[CONFIG.KEYSTORE_PASSPHRASE_ENV] = savedEnv;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('round-trips a key through scrypt and AES-256-GCM without storing it in plaintext', async () => {
+    const written = await keystore.create(PRIVATE_KEY, PASSPHRASE);
+    const raw = fs.readFileSync(keystore.filePath, 'utf8');
+
+    assert.equal(written.kdf, 'scrypt');
+    assert.equal(written.cipher, 'aes-256-gcm');
+    assert.equal(written.publicKey, CONFIG.WALLET_PUBLIC_KEY);
+    assert.ok(!raw.includes(PRIVATE_KEY));
+    if (process.platform !== 'win32') {
+      assert.equal(fs.statSync(keystore.filePath).mode & 0o777, 0o600);
+    }
+
+    await keystore.unlock(PASSPHRASE);
+    assert.equal(keystore.getPrivateKey(), PRIVATE_KEY);
+
+    keystore.lock();
+    assert.throws(() => keystore.getPrivateKey(), /locked/);
+  });
+
+  it('rejects a wrong passphrase and a tampered file', async () => {
+    const written = await keystore.encrypt(PRIVATE_KEY, PASSPHRASE);
+
+    await assert.rejects(keystore.decrypt(written, 'not the passphrase'), /Wrong passphrase or corrupted keystore/);
+    await assert.rejects(keystore.decrypt({ ...written, publicKey: 'SomeoneElse' }, PASSPHRASE), /Wrong passphrase or corrupted keystore/);
+    await assert.rejects(keystore.decrypt({ ...written, version: 99 }, PASSPHRASE), /Unsupported keystore format/);
+  });
+
+  it('refuses to store or use a private key that does not belong to WALLET_PUBLIC_KEY', async () => {
+    await assert.rejects(keystore.create(OTHER_WALLET_KEY, PASSPHRASE), /does not match WALLET_PUBLIC_KEY/);
+    await assert.rejects(keystore.create('not base58!', PASSPHRASE), /not valid base58/);
+    assert.equal(keystore.exists(), false);
+
+    const savedKey = CONFIG.WALLET_PRIVATE_KEY;
+    CONFIG.WALLET_PRIVATE_KEY = OTHER_WALLET_KEY;
+    try {
+      await assert.rejects(keystore.unlockForSession(), /does not match WALLET_PUBLIC_KEY/);
+      assert.equal(keystore.isUnlocked(), false);
+    } finally {
+      CONFIG.WALLET_PRIVATE_KEY = savedKey;
+    }
+  });
+
+  it('unlocks from the passphrase env var and refuses headless runs without it', async () => {
+    await keystore.create(PRIVATE_KEY, PASSPHRASE);
+
+    await assert.rejects(keystore.unlockForSession(), new RegExp(`Set ${CONFIG.KEYSTORE_PASSPHRASE_ENV}`));
+
+    process.env[CONFIG.KEYSTORE_PASSPHRASE_ENV] = PASSPHRASE;
+    assert.equal(await keystore.unlockForSession(), 'keystore');
+    assert.equal(keystore.getPrivateKey(), PRIVATE_KEY);
+  });
+
+  it('prompts again after a wrong passphrase, up to three times', async () => {
+    await keystore.create(PRIVATE_KEY, PASSPHRASE);
+
+    const answers = ['typo', PASSPHRASE];
+    assert.equal(await keystore.unlockForSession({ promptPassphrase: () => answers.shift() }), 'keystore');
+
+    keystore.lock();
+    let prompts = 0;
+    await assert.rejects(
+      keystore.unlockForSession({ promptPassphrase: () => { prompts += 1; return 'typo'; } }),
+      /Wrong passphrase/
+    );
+    assert.equal(prompts, 3);
+  });
+
+  it('falls back to a plaintext WALLET_PRIVATE_KEY only when there is no keystore', async () => {
+    assert.equal(await keystore.unlockForSession(), 'plaintext');
+    assert.equal(keystore.getPrivateKey(), CONFIG.WALLET_PRIVATE_KEY);
+
+    const savedKey = CONFIG.WALLET_PRIVATE_KEY;
+    CONFIG.WALLET_PRIVATE_KEY = 'YOUR_WALLET_PRIVATE_KEY_HERE';
+    try {
+      keystore.lock();
+      await assert.rejects(keystore.unlockForSession(), /No keystore found/);
+    } finally {
+      CONFIG.WALLET_PRIVATE_KEY = savedKey;
+    }
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LogAnalyticsService, normalizeOperation, percentile } = require('../src/services/logAnalyticsService');
+
+const WALLET = 'WaLLet1111111111111111111111111111111111111';
+const TOKEN = 'TokenMint111111111111111111111111111111111ab';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+const line = (timestamp, component, operation, fields = {}) => JSON.stringify({
+  timestamp,
+  level: 'info',
+  message: 'entry',
+  component,
+  operation,
+  ...fields
+});
+
+const perf = (timestamp, operation, duration, success = true) =>
+  line(timestamp, 'apiClient', operation, { message: `Operation ${success ? 'completed' : 'failed'}`, data: { duration, success } });
+
+describe('LogAnalyticsService', () => {
+  let service;
+
+  before(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-analytics-'));
+    service = new LogAnalyticsService(path.join(dir, 'token-seller.log'));
+
+    // Oldest entries live in the base file, newer ones in the rotated file
+    fs.writeFileSync(path.join(dir, 'token-seller.log'), [
+      line('2026-01-01T10:00:00.000Z', 'tokenSeller', 'init', { data: { sessionId: 'session-a', dryRun: false } }),
+      perf('2026-01-01T10:00:01.000Z', `GET wallets/token-balance/${WALLET}?mintAddress=${TOKEN}`, 10),
+      perf('2026-01-01T10:00:02.000Z', 'POST jupiter/quote', 40),
+      line('2026-01-01T10:00:03.000Z', 'apiClient', 'retry', {
+        level: 'warn',
+        data: { method: 'POST', endpoint: 'jupiter/swap', isLastAttempt: false, isRetryableError: true, httpStatus: 502 }
+      }),
+      line('2026-01-01T10:00:04.000Z', 'jupiterService', 'transaction', { transactionId: 'tx1', tokenAmount: 1000, price: 0.01, slippage: 50 }),
+      line('2026-01-01T10:00:05.000Z', 'tokenSeller', 'reconcile_swap', {
+        message: 'Swap reconciled',
+        data: {
+          sessionId: 'session-a',
+          transactionId: 'tx1',
+          inputMint: TOKEN,
+          outputMint: USDC,
+          realizedInAmountUi: 1000,
+          realizedOutAmountUi: 9.9,
+          realizedPrice: 0.0099,
+          realizedSlippagePct: -0.5,
+          belowMinimum: false
+        }
+      }),
+      line('2026-01-01T10:00:06.000Z', 'tokenSeller', 'execution_summary', {
+        data: { sessionId: 'session-a', status: 'SUCCESS', strategy: 'immediate', totalTokensSold: 1000, totalReceived: 9.9, outputToken: 'USDC', transactionCount: 1 }
+      }),
+      '{"timestamp":"2026-01-01T10:00:07'
+    ].join('\n'));
+
+    fs.writeFileSync(path.join(dir, 'token-seller1.log'), [
+      line('2026-01-02T09:00:00.000Z', 'tokenSeller', 'init', { data: { sessionId: 'session-b' } }),
+      perf('2026-01-02T09:00:01.000Z', 'POST jupiter/quote', 20),
+      perf('2026-01-02T09:00:02.000Z', 'POST jupiter/quote', 900, false),
+      line('2026-01-02T09:00:03.000Z', 'tokenSeller', 'critical_error', { level: 'error', error: { message: 'boom' }, data: { sessionId: 'session-b' } })
+    ].join('\n'));
+
+    fs.writeFileSync(path.join(dir, 'other.log'), line('2026-01-01T00:00:00.000Z', 'tokenSeller', 'init', { data: { sessionId: 'ignored' } }));
+  });
+
+  it('reads the log and its rotated files, skipping unreadable lines', () => {
+    const report = service.analyze();
+
+    assert.equal(report.files.length, 2);
+    assert.equal(report.malformedLines, 1);
+    assert.deepEqual(report.sessions.map(({ sessionId, status }) => [sessionId, status]), [
+      ['session-a', 'SUCCESS'],
+      ['session-b', 'FAILED']
+    ]);
+  });
+
+  it('joins swaps with their reconciliation and averages realized prices per pair', () => {
+    const { swaps, realizedPrices } = service.analyze();
+
+    assert.equal(swaps.length, 1);
+    assert.equal(swaps[0].quotedPrice, 0.01);
+    assert.equal(swaps[0].realizedPrice, 0.0099);
+    assert.equal(realizedPrices.length, 1);
+    assert.equal(realizedPrices[0].averagePrice, 0.0099);
+    assert.equal(realizedPrices[0].averageSlippagePct, -0.5);
+  });
+
+  it('reports failure rates, latency percentiles and retries per operation', () => {
+    const { operations, apiLatency, retries } = service.analyze();
+
+    const quote = operations.find(stats => stats.operation === 'POST jupiter/quote');
+    assert.equal(quote.calls, 3);
+    assert.equal(quote.failures, 1);
+    assert.equal(quote.p50, 40);
+    assert.equal(quote.max, 900);
+    assert.ok(apiLatency.some(stats => stats.operation === 'GET wallets/token-balance/:address'));
+    assert.deepEqual(retries, [{ endpoint: 'POST jupiter/swap', retries: 1, exhausted: 0, errorTypes: { 'HTTP 502': 1 } }]);
+  });
+
+  it('filters by date range and operation', () => {
+    const report = service.analyze({ since: new Date('2026-01-02T00:00:00.000Z'), operation: 'QUOTE' });
+
+    assert.deepEqual(report.sessions.map(session => session.sessionId), ['session-b']);
+    assert.equal(report.swaps.length, 0);
+    assert.deepEqual(report.operations.map(stats => stats.operation), ['POST jupiter/quote']);
+    assert.equal(report.operations[0].failureRatePct, 50);
+    assert.equal(report.retries.length, 0);
+  });
+
+  it('normalizes addresses and computes nearest-rank percentiles', () => {
+    assert.equal(normalizeOperation(`GET wallets/mother/${WALLET}`), 'GET wallets/mother/:address');
+    assert.equal(percentile([1, 2, 3, 4], 50), 2);
+    assert.equal(percentile([1, 2, 3, 4], 99), 4);
+    assert.equal(percentile([], 90), 0);
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { NotificationService } = require('../src/services/notificationService');
+const { WebhookReceiver } = require('../src/mock/webhookReceiver');
+const { createLogger, logEvents } = require('../src/utils/logger');
+
+const SWAP = {
+  sessionId: 'session-1',
+  transactionId: 'sig1',
+  inAmountUi: 1000,
+  outAmountUi: 9.95,
+  outputToken: 'USDC',
+  solscanUrl: 'https://solscan.io/tx/sig1'
+};
+
+describe('NotificationService', () => {
+  let receiver;
+  let url;
+
+  beforeEach(async () => {
+    receiver = new WebhookReceiver({ quiet: true });
+    url = await receiver.start(0);
+  });
+
+  afterEach(() => receiver.stop());
+
+  const createService = (webhooks, options = {}) =>
+    new NotificationService({ webhooks, retryDelay: 5, timeout: 2000, ...options });
+
+  it('posts the plain JSON template with the event payload', async () => {
+    const service = createService([{ url }]);
+
+    service.notify('swap_succeeded', SWAP);
+    assert.equal(await service.flush(), true);
+
+    const [{ body }] = receiver.received;
+    assert.equal(body.event, 'swap_succeeded');
+    assert.equal(body.title, 'Swap succeeded');
+    assert.equal(body.text, 'Sold 1000 for 9.95 USDC');
+    assert.deepEqual(body.data, SWAP);
+    assert.ok(!Number.isNaN(Date.parse(body.timestamp)));
+  });
+
+  it('renders Slack and Discord webhook payloads and marks dry runs', async () => {
+    const service = createService([{ url, template: 'slack' }, { url, template: 'discord' }]);
+
+    service.notify('guard_triggered', { sessionId: 'session-1', simulated: true, guard: 'price_impact', reason: 'Impact 4% over cap' });
+    await service.flush();
+
+    const [slack, discord] = receiver.received.map(({ body }) => body);
+    assert.equal(slack.text, '*[DRY RUN] Guard triggered*\nprice_impact: Impact 4% over cap');
+    assert.deepEqual(slack.attachments[0].fields[2], { title: 'guard', value: 'price_impact', short: true });
+
+    assert.equal(discord.embeds[0].title, '[DRY RUN] Guard triggered');
+    assert.equal(discord.embeds[0].description, 'price_impact: Impact 4% over cap');
+    assert.equal(typeof discord.embeds[0].color, 'number');
+    assert.deepEqual(discord.embeds[0].fields[0], { name: 'sessionId', value: 'session-1', inline: true });
+  });
+
+  it('retries failed deliveries with backoff until the webhook accepts', async () => {
+    receiver.failFirst = 2;
+    const service = createService([{ url }]);
+
+    service.notify('swap_failed', { sessionId: 'session-1', error: 'Blockhash expired' });
+    assert.equal(await service.flush(), true);
+
+    assert.equal(receiver.requestCount, 3);
+    assert.equal(receiver.received.length, 1);
+    assert.equal(receiver.received[0].body.text, 'Blockhash expired');
+    assert.deepEqual(service.stats, { delivered: 1, failed: 0 });
+  });
+
+  it('drops a notification after WEBHOOK_MAX_ATTEMPTS and keeps delivering later ones', async () => {
+    receiver.failFirst = 3;
+    const service = createService([{ url }], { maxAttempts: 3 });
+
+    service.notify('swap_failed', { error: 'first' });
+    assert.equal(await service.flush(), true);
+    assert.equal(receiver.requestCount, 3);
+    assert.equal(receiver.received.length, 0);
+
+    service.notify('swap_failed', { error: 'second' });
+    await service.flush();
+
+    assert.deepEqual(receiver.received.map(({ body }) => body.data.error), ['second']);
+    assert.deepEqual(service.stats, { delivered: 1, failed: 1 });
+  });
+
+  it('only sends the events a webhook subscribed to', async () => {
+    const service = createService([{ url, events: ['session_completed'] }]);
+
+    service.notify('swap_succeeded', SWAP);
+    service.notify('session_completed', { sessionId: 'session-1', status: 'SUCCESS' });
+    await service.flush();
+
+    assert.deepEqual(receiver.received.map(({ body }) => body.event), ['session_completed']);
+  });
+
+  it('stops waiting at the flush timeout', async () => {
+    receiver.failFirst = Infinity;
+    const service = createService([{ url }], { retryDelay: 60000 });
+
+    service.notify('swap_failed', { error: 'unreachable' });
+    assert.equal(await service.flush(50), false);
+    assert.equal(service.queue.length, 1);
+  });
+
+  it('forwards state changes logged by any component', async () => {
+    // Relay through a private emitter so the listener can be removed afterwards
+    const events = new EventEmitter();
+    const service = createService([{ url }]).attach(events);
+    const forward = payload => events.emit('state_change', payload);
+    logEvents.on('state_change', forward);
+
+    try {
+      createLogger('tokenSeller').logStateChange('VALIDATED', 'EXECUTING', { sessionId: 'session-1' });
+      await service.flush();
+    } finally {
+      logEvents.off('state_change', forward);
+    }
+
+    const [{ body }] = receiver.received;
+    assert.equal(body.event, 'state_change');
+    assert.equal(body.text, 'VALIDATED → EXECUTING');
+    assert.deepEqual(body.data, { component: 'tokenSeller', fromState: 'VALIDATED', toState: 'EXECUTING', sessionId: 'session-1' });
+  });
+});
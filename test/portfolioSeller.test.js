@@ -0,0 +1,72 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG } = require('../src/config');
+const { MockApiServer } = require('../src/mock/mockApiServer');
+const { EXIT_CODES } = require('../src/utils/cliArgs');
+const { muteConsole } = require('./helpers/fakes');
+
+// End-to-end: PortfolioSeller and real TokenSellers against the local mock API.
+// The balance is above 2^53 base units, more than a JSON number holds exactly.
+const BALANCE_UI = '123456789012.345678901';
+const BALANCE_RAW = 123456789012345678901n;
+
+let mock;
+let TokenSeller;
+let PortfolioSeller;
+let restoreConsole;
+let savedConfig;
+
+const createPortfolio = (plan) => new PortfolioSeller({
+  plan,
+  createSeller: options => new TokenSeller(options),
+  assumeYes: true
+});
+
+before(async () => {
+  mock = new MockApiServer({
+    wallet: { tokens: { [CONFIG.TARGET_TOKEN_MINT]: BALANCE_UI } },
+    defaultToken: { decimals: 9, priceUsd: 1e-12, curve: { amplitudePct: 0 } }
+  }, { quiet: true });
+
+  // Services read API_BASE_URL when first required
+  CONFIG.API_BASE_URL = await mock.start(0);
+  ({ TokenSeller } = require('../src/index'));
+  ({ PortfolioSeller } = require('../src/portfolioSeller'));
+});
+
+after(() => mock.stop());
+
+beforeEach(() => {
+  mock.reset();
+  savedConfig = { ...CONFIG };
+  restoreConsole = muteConsole();
+});
+
+afterEach(() => {
+  Object.assign(CONFIG, savedConfig);
+  restoreConsole();
+});
+
+describe('PortfolioSeller', () => {
+  it('sells 100% of a balance above 2^53 base units without asking for more than the wallet holds', async () => {
+    const portfolio = createPortfolio({
+      positions: [{ mint: CONFIG.TARGET_TOKEN_MINT, percent: 100, outputToken: 'USDC' }]
+    });
+
+    assert.equal(await portfolio.run(), EXIT_CODES.SUCCESS);
+
+    assert.equal(mock.swaps.length, 1);
+    const sold = BigInt(mock.swaps[0].inAmount);
+    assert.ok(sold <= BALANCE_RAW, `sold ${sold} of ${BALANCE_RAW}`);
+    assert.ok(BALANCE_RAW - sold < 2n ** 14n, `left ${BALANCE_RAW - sold} unsold`);
+  });
+
+  it('resolves with the exit code of a critical error instead of exiting', async (t) => {
+    const exit = t.mock.method(process, 'exit', () => {});
+    const portfolio = createPortfolio({ positions: [] });
+
+    assert.equal(await portfolio.run(), EXIT_CODES.VALIDATION_FAILURE);
+    assert.equal(exit.mock.callCount(), 0);
+    assert.equal(mock.swaps.length, 0);
+  });
+});
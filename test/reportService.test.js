@@ -0,0 +1,82 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReportService, CSV_COLUMNS } = require('../src/services/reportService');
+
+const recordedTx = (overrides = {}) => ({
+  transactionId: 'sig1',
+  timestamp: '2026-01-01T00:00:00.000Z',
+  inputMint: 'MintA',
+  outputMint: 'MintB',
+  inAmount: '1000000',
+  inAmountUi: 1,
+  outAmount: '500000',
+  outAmountUi: 0.5,
+  realizedOutAmount: '499000',
+  realizedOutAmountUi: 0.499,
+  feeCollection: { status: 'success', feeAmount: 0.0005, feeTokenMint: 'MintB' },
+  quoteResponse: { large: 'payload' },
+  ...overrides
+});
+
+describe('ReportService', () => {
+  let dir;
+  let service;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+    service = new ReportService(dir);
+  });
+
+  it('flattens transactions with quoted vs realized output, fees and Solscan links', () => {
+    const tx = service.toReportTransaction(recordedTx());
+
+    assert.equal(tx.quotedOutAmountRaw, '500000');
+    assert.equal(tx.realizedOutAmountRaw, '499000');
+    assert.equal(tx.feeAmount, 0.0005);
+    assert.equal(tx.feeStatus, 'success');
+    assert.equal(tx.solscanUrl, 'https://solscan.io/tx/sig1');
+    assert.equal(tx.quoteResponse, undefined);
+
+    const simulated = service.toReportTransaction(recordedTx({ simulated: true, feeCollection: undefined }));
+    assert.equal(simulated.solscanUrl, null);
+    assert.equal(simulated.feeStatus, 'skipped');
+  });
+
+  it('escapes CSV fields', () => {
+    const csv = service.toCsv([{ transactionId: 'a,b', feeStatus: 'say "hi"' }]);
+    const [header, row] = csv.trim().split('\n');
+
+    assert.equal(header, CSV_COLUMNS.join(','));
+    assert.ok(row.includes('"a,b"'));
+    assert.ok(row.includes('"say ""hi"""'));
+  });
+
+  it('writes JSON and CSV named after the session', () => {
+    const paths = service.writeSessionReport({
+      sessionId: 'session-1',
+      simulated: false,
+      preferences: { strategy: 'gradual' },
+      transactions: [recordedTx(), recordedTx({ transactionId: 'sig2' })]
+    });
+
+    assert.equal(paths.jsonPath, path.join(dir, 'session-1.json'));
+    const report = JSON.parse(fs.readFileSync(paths.jsonPath, 'utf8'));
+    assert.equal(report.transactions.length, 2);
+    assert.ok(report.generatedAt);
+
+    const lines = fs.readFileSync(paths.csvPath, 'utf8').trim().split('\n');
+    assert.equal(lines.length, 3);
+    assert.ok(lines[1].startsWith('session-1,gradual,2026-01-01T00:00:00.000Z,sig1,'));
+  });
+
+  it('keeps dry-run reports apart and never throws on write errors', () => {
+    assert.match(service.writeSessionReport({ sessionId: 's', simulated: true, transactions: [] }).jsonPath, /s\.dry-run\.json$/);
+
+    const blocked = path.join(dir, 'file');
+    fs.writeFileSync(blocked, '');
+    assert.equal(new ReportService(path.join(blocked, 'sub')).writeSessionReport({ sessionId: 's', transactions: [] }), null);
+  });
+});
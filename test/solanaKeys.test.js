@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  decodeBase58,
+  encodeBase58,
+  addressProblem,
+  isValidAddress,
+  derivePublicKey,
+  assertKeyPair
+} = require('../src/utils/solanaKeys');
+
+// RFC 8032 ed25519 test vector 1
+const SEED = Buffer.from('9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60', 'hex');
+const PUBLIC_KEY = Buffer.from('d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a', 'hex');
+
+describe('solanaKeys', () => {
+  it('round-trips base58, keeping leading zero bytes as "1"s', () => {
+    assert.equal(encodeBase58(Buffer.alloc(32)), '11111111111111111111111111111111');
+    assert.deepEqual(decodeBase58('1112'), Buffer.from([0, 0, 0, 1]));
+
+    for (const address of ['So11111111111111111111111111111111111111112', 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v']) {
+      assert.equal(encodeBase58(decodeBase58(address)), address);
+    }
+
+    assert.throws(() => decodeBase58('0OIl'), /Invalid base58 character "0"/);
+  });
+
+  it('accepts only addresses that decode to 32 bytes, whatever their length', () => {
+    assert.equal(isValidAddress('So11111111111111111111111111111111111111112'), true);
+    assert.equal(isValidAddress('11111111111111111111111111111111'), true);
+
+    // 44 characters used to pass; this one is 33 bytes
+    assert.equal(addressProblem('TestMint1111111111111111111111111111111111ab'), 'decodes to 33 bytes, expected 32');
+    assert.equal(addressProblem('abc'), 'decodes to 3 bytes, expected 32');
+    assert.match(addressProblem('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1O'), /invalid base58 character "O"/);
+  });
+
+  it('derives the public key from a 64-byte secret key or a 32-byte seed', () => {
+    const expected = encodeBase58(PUBLIC_KEY);
+
+    assert.equal(derivePublicKey(encodeBase58(Buffer.concat([SEED, PUBLIC_KEY]))), expected);
+    assert.equal(derivePublicKey(encodeBase58(SEED)), expected);
+
+    const corrupt = Buffer.concat([SEED, Buffer.alloc(32, 1)]);
+    assert.throws(() => derivePublicKey(encodeBase58(corrupt)), /embedded public key does not match/);
+    assert.throws(() => derivePublicKey(encodeBase58(Buffer.alloc(48, 1))), /decodes to 48 bytes/);
+  });
+
+  it('names both wallets when a key pair does not match', () => {
+    const secretKey = encodeBase58(SEED);
+    const otherWallet = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+    assert.doesNotThrow(() => assertKeyPair(secretKey, encodeBase58(PUBLIC_KEY)));
+    assert.throws(
+      () => assertKeyPair(secretKey, otherWallet),
+      new RegExp(`does not match WALLET_PUBLIC_KEY ${otherWallet} \\(it belongs to ${encodeBase58(PUBLIC_KEY)}\\)`)
+    );
+  });
+});
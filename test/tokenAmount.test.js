@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const tokenAmount = require('../src/utils/tokenAmount');
+
+describe('tokenAmount', () => {
+  it('parses user input', () => {
+    assert.equal(tokenAmount.parseUiInput('1,000.5'), '1000.5');
+    assert.equal(tokenAmount.parseUiInput('.25'), '.25');
+    assert.equal(tokenAmount.parseUiInput('-1'), null);
+    assert.equal(tokenAmount.parseUiInput('abc'), null);
+  });
+
+  it('converts between UI and raw without losing precision', () => {
+    assert.equal(tokenAmount.uiToRaw('1.5', 6), '1500000');
+    assert.equal(tokenAmount.uiToRaw('0.1234567', 6), '123456');
+    assert.equal(tokenAmount.uiToRaw(1e-7, 9), '100');
+    assert.equal(tokenAmount.rawToUi('1500000', 6), 1.5);
+    assert.equal(tokenAmount.fromUi('99999999999.999999', 6).raw, '99999999999999999');
+  });
+
+  it('splits amounts into parts that sum to the total', () => {
+    const total = tokenAmount.fromRaw('10', 0);
+    const parts = tokenAmount.splitAmount(total, 3);
+
+    assert.deepEqual(parts.map(part => part.raw), ['4', '3', '3']);
+    assert.equal(tokenAmount.sumAmounts(parts, 0).raw, '10');
+  });
+
+  it('scales, subtracts and compares', () => {
+    const amount = tokenAmount.fromRaw('1000', 2);
+
+    assert.equal(tokenAmount.scaleAmount(amount, 12.5).raw, '125');
+    assert.equal(tokenAmount.subtractAmounts(amount, tokenAmount.fromRaw('5000', 2)).raw, '0');
+    assert.equal(tokenAmount.compareAmounts(amount, tokenAmount.fromRaw('999', 2)), 1);
+    assert.equal(tokenAmount.isZero(tokenAmount.fromRaw(0, 2)), true);
+  });
+});
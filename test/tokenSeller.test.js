@@ -0,0 +1,666 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../src/config');
+const { MockApiServer } = require('../src/mock/mockApiServer');
+const { EXIT_CODES } = require('../src/utils/cliArgs');
+const tokenAmount = require('../src/utils/tokenAmount');
+const { muteConsole } = require('./helpers/fakes');
+
+// End-to-end: TokenSeller and the real services against the local mock API
+const STARTING_BALANCE = 500000;
+const STARTING_PRICE = 0.01;
+
+let mock;
+let TokenSeller;
+let restoreConsole;
+let savedConfig;
+
+/**
+ * Headless, auto-confirmed seller that records its state transitions and never sleeps
+ */
+const createSeller = (preferences, options = {}) => {
+  const seller = new TokenSeller({ headlessPreferences: preferences, assumeYes: true, ...options });
+  const transitionTo = seller.transitionTo.bind(seller);
+
+  seller.states = [];
+  seller.transitionTo = (state, data) => {
+    seller.states.push(state);
+    transitionTo(state, data);
+  };
+  seller.sleep = async () => {};
+
+  return seller;
+};
+
+const tokenBalanceRaw = () => BigInt(mock.getState().balances[CONFIG.TARGET_TOKEN_MINT]);
+const uiToRaw = (ui) => BigInt(ui) * 10n ** 6n;
+
+before(async () => {
+  mock = new MockApiServer({
+    wallet: { tokens: { [CONFIG.TARGET_TOKEN_MINT]: STARTING_BALANCE } },
+    defaultToken: { priceUsd: STARTING_PRICE, curve: { amplitudePct: 0 } }
+  }, { quiet: true });
+
+  // Services read API_BASE_URL when first required
+  CONFIG.API_BASE_URL = await mock.start(0);
+  ({ TokenSeller } = require('../src/index'));
+});
+
+after(() => mock.stop());
+
+beforeEach(() => {
+  mock.reset();
+  savedConfig = { ...CONFIG };
+  restoreConsole = muteConsole();
+});
+
+afterEach(() => {
+  Object.assign(CONFIG, savedConfig);
+  restoreConsole();
+});
+
+describe('TokenSeller immediate strategy', () => {
+  it('walks through every state and sells the requested amount', async () => {
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'immediate' });
+
+    const exitCode = await seller.run();
+
+    assert.equal(exitCode, EXIT_CODES.SUCCESS);
+    assert.deepEqual(seller.states, ['VALIDATED', 'COLLECTING_INPUT', 'VALIDATING_INPUTS', 'EXECUTING', 'COMPLETED']);
+    assert.equal(mock.swaps.length, 1);
+    assert.equal(tokenBalanceRaw(), uiToRaw(STARTING_BALANCE - 1000));
+
+    const summary = seller.executionSummary;
+    assert.equal(summary.success, true);
+    assert.equal(summary.totalTokensSoldRaw, uiToRaw(1000).toString());
+    assert.ok(summary.totalReceived > 9.9 && summary.totalReceived < 10, `received ${summary.totalReceived}`);
+  });
+
+  it('fails validation before any swap when the balance is too low', async () => {
+    const seller = createSeller({ tokenAmount: STARTING_BALANCE + 1, outputToken: 'USDC' });
+    const prefs = seller.parseHeadlessPreferences(seller.options.headlessPreferences);
+
+    await assert.rejects(seller.validateUserInputs(prefs), error => {
+      assert.equal(error.exitCode, EXIT_CODES.VALIDATION_FAILURE);
+      assert.match(error.message, /Insufficient token balance/);
+      return true;
+    });
+    assert.equal(mock.swaps.length, 0);
+  });
+
+  it('returns instead of exiting when the configuration is declined', async (t) => {
+    const exit = t.mock.method(process, 'exit', () => {});
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC' });
+    seller.confirm = () => false;
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+    assert.equal(exit.mock.callCount(), 0);
+    assert.equal(seller.executionSummary.cancelled, true);
+    assert.equal(seller.states.at(-1), 'COLLECTING_INPUT');
+    assert.equal(mock.swaps.length, 0);
+  });
+
+  it('keeps every digit of an amount with 18 fractional digits', () => {
+    const seller = createSeller({ tokenAmount: '1,234,567.123456789012345678', outputToken: 'USDC' });
+    const prefs = seller.parseHeadlessPreferences(seller.options.headlessPreferences);
+
+    assert.equal(prefs.tokenAmount, '1234567.123456789012345678');
+    assert.equal(tokenAmount.fromUi(prefs.tokenAmount, 18).raw, '1234567123456789012345678');
+
+    for (const invalid of ['0', '0.000000000000000000', '-1']) {
+      assert.throws(() => seller.parseHeadlessPreferences({ tokenAmount: invalid, outputToken: 'USDC' }), /Invalid or missing amount/);
+    }
+  });
+});
+
+describe('TokenSeller gradual strategy', () => {
+  it('sells in chunks and retries transient API errors', async () => {
+    CONFIG.MAX_CHUNK_SIZE = 400;
+    mock.injectFailure({ route: 'jupiter/quote', status: 429, times: 1 });
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'SOL', strategy: 'gradual' });
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+    assert.equal(mock.swaps.length, 3);
+    assert.deepEqual(mock.swaps.map(swap => swap.inAmount), ['333333334', '333333333', '333333333']);
+    assert.equal(seller.executionSummary.totalTokensSoldRaw, uiToRaw(1000).toString());
+  });
+
+  it('reports a failed chunk and exits with the swap failure code', async () => {
+    CONFIG.MAX_CHUNK_SIZE = 400;
+    mock.injectFailure({ route: 'jupiter/swap', status: 400, message: 'Blockhash expired', times: 1 });
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'gradual' });
+
+    assert.equal(await seller.run(), EXIT_CODES.SWAP_FAILURE);
+    assert.equal(mock.swaps.length, 2);
+    assert.equal(seller.executionSummary.success, false);
+    assert.equal(seller.executionSummary.failedChunks.length, 1);
+    assert.match(seller.executionSummary.failedChunks[0].error, /Blockhash expired/);
+  });
+
+  it('sells the remainder at once when the price drop trigger fires', async () => {
+    CONFIG.MAX_CHUNK_SIZE = 400;
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'gradual' });
+    seller.sleep = async () => mock.setPrice(CONFIG.TARGET_TOKEN_MINT, STARTING_PRICE * 0.8);
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+    assert.ok(seller.states.includes('EMERGENCY_EXECUTION'));
+    assert.equal(seller.executionSummary.emergencyTrigger.trigger, 'PRICE_DROP');
+    assert.equal(mock.swaps.length, 2);
+    assert.equal(tokenBalanceRaw(), uiToRaw(STARTING_BALANCE - 1000));
+  });
+
+  it('reports what an emergency sale of a partial portion left unsold', async () => {
+    CONFIG.MAX_CHUNK_SIZE = 400;
+    CONFIG.EMERGENCY_TRIGGERS = { ...CONFIG.EMERGENCY_TRIGGERS, SELL_PORTION_PCT: 50 };
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'gradual' });
+    seller.sleep = async () => mock.setPrice(CONFIG.TARGET_TOKEN_MINT, STARTING_PRICE * 0.8);
+    const lines = [];
+    console.log = (...args) => lines.push(args.join(' '));
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+
+    assert.deepEqual(mock.swaps.map(swap => swap.inAmount), ['333333334', '333333333']);
+    assert.equal(seller.executionSummary.unsoldRaw, '333333333');
+    assert.equal(seller.journal.data.unsoldRaw, '333333333');
+    assert.equal(seller.buildReport().totals.unsoldRaw, '333333333');
+    assert.ok(lines.some(line => /Unsold \(Emergency Portion\).*333\.333333/.test(line)));
+  });
+});
+
+describe('TokenSeller webhook notifications', () => {
+  /**
+   * Notifier stand-in that records what would have been posted
+   */
+  const recordingNotifier = () => ({
+    sent: [],
+    notify(event, data) { this.sent.push({ event, data }); },
+    flush: async () => true
+  });
+
+  it('notifies each swap, failed swap and the session outcome', async () => {
+    CONFIG.MAX_CHUNK_SIZE = 400;
+    mock.injectFailure({ route: 'jupiter/swap', status: 400, message: 'Blockhash expired', times: 1 });
+    const notifier = recordingNotifier();
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'gradual' }, { notifier });
+
+    assert.equal(await seller.run(), EXIT_CODES.SWAP_FAILURE);
+
+    assert.deepEqual(notifier.sent.map(({ event }) => event),
+      ['swap_failed', 'swap_succeeded', 'swap_succeeded', 'session_completed']);
+    assert.match(notifier.sent[0].data.error, /Blockhash expired/);
+    assert.equal(notifier.sent[1].data.transactionId, seller.executionSummary.transactions[0].transactionId);
+    assert.match(notifier.sent[1].data.solscanUrl, /^https:\/\/solscan\.io\/tx\//);
+    assert.equal(notifier.sent[3].data.status, 'FAILED');
+    assert.equal(notifier.sent[3].data.transactionCount, 2);
+  });
+
+  it('notifies triggered guards', async () => {
+    CONFIG.MAX_CHUNK_SIZE = 400;
+    const notifier = recordingNotifier();
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'gradual' }, { notifier });
+    seller.sleep = async () => mock.setPrice(CONFIG.TARGET_TOKEN_MINT, STARTING_PRICE * 0.8);
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+
+    const guard = notifier.sent.find(({ event }) => event === 'guard_triggered');
+    assert.equal(guard.data.guard, 'emergency_trigger');
+    assert.equal(guard.data.trigger, 'PRICE_DROP');
+    assert.equal(notifier.sent.at(-1).data.status, 'SUCCESS');
+  });
+});
+
+describe('TokenSeller optimal timing strategy', () => {
+  it('sells immediately when too little of the sell window remains', async () => {
+    CONFIG.SELL_TIMEOUT_HOURS = 0.25;
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'optimal' });
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+    assert.ok(seller.states.includes('MONITORING'));
+    assert.ok(seller.states.includes('EMERGENCY_EXECUTION'));
+    assert.equal(seller.executionSummary.emergencyTrigger.trigger, 'TIME_REMAINING');
+    assert.equal(mock.swaps.length, 1);
+  });
+
+  it('waits for a price above the running average', async () => {
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'optimal' });
+    const preferences = seller.parseHeadlessPreferences(seller.options.headlessPreferences);
+    await seller.validateUserInputs(preferences);
+    await seller.beginExecution(preferences);
+
+    const monitor = {
+      preferences,
+      outputMint: CONFIG.OUTPUT_TOKENS.USDC,
+      intervalMs: 5 * 60 * 1000,
+      deadline: seller.getDeadline(),
+      improvementPct: 2,
+      priceSamples: [],
+      baselinePrice: null
+    };
+
+    assert.equal(await seller.monitorTick(monitor), null);
+    mock.setPrice(CONFIG.TARGET_TOKEN_MINT, STARTING_PRICE * 1.01);
+    assert.equal(await seller.monitorTick(monitor), null);
+    assert.equal(mock.swaps.length, 0);
+
+    mock.setPrice(CONFIG.TARGET_TOKEN_MINT, STARTING_PRICE * 1.05);
+    const outcome = await seller.monitorTick(monitor);
+
+    assert.equal(outcome.reason, 'favorable price');
+    assert.equal(mock.swaps.length, 1);
+    assert.equal(seller.executionSummary.success, true);
+    seller.completeSession();
+  });
+
+  it('spaces checks by the full interval, even when it does not divide an hour', async () => {
+    CONFIG.CHECK_INTERVAL_MINUTES = 0.0015; // 90ms
+    const intervalMs = CONFIG.CHECK_INTERVAL_MINUTES * 60 * 1000;
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'optimal' });
+    const monitor = { preferences: { sellAmount: tokenAmount.fromUi('1000', 6) } };
+    const ticks = [];
+
+    const outcome = await seller.runMonitoringLoop(monitor, async () => {
+      ticks.push(Date.now());
+      return ticks.length === 3 ? { reason: 'done' } : null;
+    });
+
+    assert.equal(outcome.reason, 'done');
+    assert.equal(ticks.length, 3);
+    for (let i = 1; i < ticks.length; i++) {
+      assert.ok(ticks[i] - ticks[i - 1] >= intervalMs - 1, `gap ${ticks[i] - ticks[i - 1]}ms`);
+    }
+    assert.equal(seller.nextStep, null);
+  });
+});
+
+describe('TokenSeller output token comparison', () => {
+  it('sells into the highest-valued output when BEST is chosen', async () => {
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'best' });
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+
+    const comparison = seller.executionSummary.outputComparison;
+    assert.deepEqual(comparison.map(row => row.outputToken).sort(), ['SOL', 'USDC', 'USDT']);
+    assert.ok(comparison[0].value >= comparison[1].value && comparison[1].value >= comparison[2].value);
+    assert.equal(seller.executionSummary.outputToken, comparison[0].outputToken);
+    assert.equal(mock.swaps.length, 1);
+    assert.equal(mock.swaps[0].outputMint, CONFIG.OUTPUT_TOKENS[comparison[0].outputToken]);
+  });
+});
+
+describe('TokenSeller dry run', () => {
+  it('quotes for real but never swaps', async () => {
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC' }, { dryRun: true });
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+    assert.equal(mock.swaps.length, 0);
+    assert.equal(tokenBalanceRaw(), uiToRaw(STARTING_BALANCE));
+    assert.equal(seller.executionSummary.simulated, true);
+    assert.match(seller.executionSummary.transactions[0].transactionId, /^SIMULATED-/);
+  });
+});
+
+describe('TokenSeller swap reconciliation', () => {
+  it('records the realized output from balance changes', async () => {
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'immediate' });
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+
+    const [swap] = mock.swaps;
+    const [tx] = seller.executionSummary.transactions;
+    const realized = BigInt(swap.filledOutAmount) - BigInt(swap.feeAmount);
+    assert.equal(tx.realizedOutAmount, realized.toString());
+    assert.equal(tx.reconciliation.realizedInAmount, uiToRaw(1000).toString());
+    assert.equal(tx.reconciliation.feeDeductionAmount, swap.feeAmount);
+    assert.equal(tx.reconciliation.belowMinimum, false);
+    assert.equal(seller.executionSummary.totalReceivedRaw, realized.toString());
+    assert.equal(seller.executionSummary.totalQuotedRaw, swap.quotedOutAmount);
+  });
+
+  it('flags swaps whose realized output is below the quoted minimum', async () => {
+    mock.scenario.swapFeeBps = 200; // Fee larger than the 0.5% slippage allowance
+    try {
+      const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'immediate', maxSlippage: '50' });
+
+      assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+      assert.equal(seller.executionSummary.belowMinimumCount, 1);
+      assert.equal(seller.executionSummary.transactions[0].reconciliation.belowMinimum, true);
+    } finally {
+      mock.scenario.swapFeeBps = 10;
+    }
+  });
+
+  it('falls back to the quote when the swap never shows up in balances', async () => {
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'immediate' });
+    seller.swapExecutor = { executeSwap: async () => ({ status: 'success', transactionId: 'LaggingTx' }) };
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+
+    const [tx] = seller.executionSummary.transactions;
+    assert.equal(tx.reconciliation, undefined);
+    assert.equal(tx.realizedOutAmount, tx.outAmount);
+  });
+});
+
+describe('TokenSeller price impact guard', () => {
+  it('sells the largest size within the cap and journals the rest for --resume', async () => {
+    CONFIG.MAX_PRICE_IMPACT_PCT = 0.1;
+    const seller = createSeller({ tokenAmount: '100000', outputToken: 'USDC' });
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+    assert.equal(mock.swaps.length, 1);
+
+    const summary = seller.executionSummary;
+    const sold = BigInt(summary.totalTokensSoldRaw);
+    assert.ok(sold > 0n && sold < uiToRaw(100000), `sold ${sold}`);
+    assert.equal(BigInt(summary.deferredRaw) + sold, uiToRaw(100000));
+    assert.ok(summary.transactions[0].quoteResponse.priceImpactPct <= 0.1);
+    assert.equal(seller.journal.load().status, 'DEFERRED');
+
+    // With the cap lifted, resuming sells exactly the deferred remainder
+    CONFIG.MAX_PRICE_IMPACT_PCT = 5;
+    const resumed = createSeller({}, { resume: true });
+
+    assert.equal(await resumed.run(), EXIT_CODES.SUCCESS);
+    assert.equal(mock.swaps.length, 2);
+    assert.equal(tokenBalanceRaw(), uiToRaw(STARTING_BALANCE - 100000));
+    assert.equal(resumed.hasDeferred(), false);
+  });
+
+  it('defers every chunk above the cap when configured to abort', async () => {
+    CONFIG.MAX_PRICE_IMPACT_PCT = 0.1;
+    CONFIG.PRICE_IMPACT_BREACH_ACTION = 'abort';
+    CONFIG.MAX_CHUNK_SIZE = 50000;
+    const seller = createSeller({ tokenAmount: '100000', outputToken: 'USDC', strategy: 'gradual' });
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+    assert.equal(mock.swaps.length, 0);
+    assert.equal(seller.isDeferredOnly(), true);
+    assert.equal(seller.executionSummary.deferredRaw, uiToRaw(100000).toString());
+
+    // Declining the resume keeps the journal for a later --resume
+    const resumed = createSeller({}, { resume: true });
+    resumed.confirm = () => false;
+
+    assert.equal(await resumed.run(), EXIT_CODES.SUCCESS);
+    assert.equal(mock.swaps.length, 0);
+    assert.equal(resumed.journal.load().status, 'INTERRUPTED');
+    resumed.journal.archive();
+  });
+});
+
+describe('TokenSeller quote freshness', () => {
+  /**
+   * Immediate seller whose quotes always count as stale. Confirming the swap
+   * runs `onConfirm`; requote prompts are recorded and answered with `answer`.
+   */
+  const createStaleSeller = (onConfirm, answer) => {
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC' });
+    // Out of the schema's range, so only set once the config has been validated
+    const validateEnvironment = seller.validateEnvironment.bind(seller);
+    seller.validateEnvironment = async () => {
+      await validateEnvironment();
+      CONFIG.MAX_QUOTE_AGE_SECONDS = -1;
+    };
+    seller.prompts = [];
+    seller.confirm = (message) => {
+      if (message.includes('Execute this swap')) {
+        onConfirm();
+        return true;
+      }
+      if (message.includes('new quote')) {
+        seller.prompts.push(message);
+        return answer;
+      }
+      return true;
+    };
+    return seller;
+  };
+
+  it('requotes silently when the price moved within tolerance', async () => {
+    const seller = createStaleSeller(() => {}, false);
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+    assert.equal(seller.prompts.length, 0);
+    assert.equal(mock.swaps.length, 1);
+  });
+
+  it('asks again when the refreshed quote is worse and honors a decline', async () => {
+    const seller = createStaleSeller(() => mock.setPrice(CONFIG.TARGET_TOKEN_MINT, STARTING_PRICE * 0.95), false);
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+    assert.equal(seller.prompts.length, 1);
+    assert.match(seller.prompts[0], /Minimum output changed -5\.00%/);
+    assert.equal(seller.executionSummary.cancelled, true);
+    assert.equal(mock.swaps.length, 0);
+  });
+
+  it('swaps at the refreshed quote once accepted', async () => {
+    const seller = createStaleSeller(() => mock.setPrice(CONFIG.TARGET_TOKEN_MINT, STARTING_PRICE * 0.95), true);
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+    assert.equal(seller.prompts.length, 1);
+    assert.equal(mock.swaps.length, 1);
+    assert.equal(mock.swaps[0].quotedOutAmount, seller.executionSummary.transactions[0].outAmount);
+    assert.ok(seller.executionSummary.totalReceived < 9.6, `received ${seller.executionSummary.totalReceived}`);
+  });
+
+  it('sends a refreshed quote above the impact cap back through the guard', async () => {
+    CONFIG.MAX_CHUNK_SIZE = 100000;
+    const seller = createSeller({ tokenAmount: '100000', outputToken: 'USDC', strategy: 'gradual' });
+    const validateEnvironment = seller.validateEnvironment.bind(seller);
+    seller.validateEnvironment = async () => {
+      await validateEnvironment();
+      CONFIG.MAX_QUOTE_AGE_SECONDS = -1;
+    };
+    // Liquidity dries up after the first guard passed, so only the requote breaches the cap
+    const applyImpactGuard = seller.applyImpactGuard.bind(seller);
+    seller.applyImpactGuard = async (...args) => {
+      const guarded = await applyImpactGuard(...args);
+      mock.getToken(CONFIG.TARGET_TOKEN_MINT).liquidityUsd = 5000;
+      return guarded;
+    };
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+
+    const summary = seller.executionSummary;
+    const sold = BigInt(summary.totalTokensSoldRaw);
+    assert.equal(mock.swaps.length, 1);
+    assert.ok(summary.transactions[0].quoteResponse.priceImpactPct <= CONFIG.MAX_PRICE_IMPACT_PCT);
+    assert.ok(sold > 0n && sold < uiToRaw(100000), `sold ${sold}`);
+    assert.equal(BigInt(summary.deferredRaw) + sold, uiToRaw(100000));
+    seller.journal.archive();
+  });
+});
+
+describe('TokenSeller limit and stop-loss orders', () => {
+  /**
+   * Validated seller with an order in progress; ticks are driven by the test
+   */
+  const startOrder = async (preferences) => {
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', ...preferences });
+    const parsed = seller.parseHeadlessPreferences(seller.options.headlessPreferences);
+    await seller.validateUserInputs(parsed);
+    await seller.beginExecution(parsed);
+    return { seller, order: seller.createOrder(parsed) };
+  };
+
+  it('validates order prices', () => {
+    const seller = createSeller({});
+    const parse = (raw) => seller.parseHeadlessPreferences({ tokenAmount: '1', outputToken: 'USDC', ...raw });
+
+    assert.throws(() => parse({ strategy: 'limit' }), /needs --limit-price/);
+    assert.throws(() => parse({ strategy: 'stop-loss', stopPrice: '-1' }), /Invalid --stop-price/);
+    assert.throws(() => parse({ strategy: 'limit', limitPrice: '0.01', stopPrice: '0.02' }), /must be below/);
+    assert.throws(() => parse({ strategy: 'immediate', limitPrice: '0.01' }), /only apply to the limit and stop-loss/);
+    assert.throws(() => parse({ strategy: 'limit', limitPrice: '0.01', outputToken: 'best' }), /instead of BEST/);
+
+    const preferences = parse({ strategy: 'limit', limitPrice: '0.012', stopPrice: '0.008' });
+    assert.equal(preferences.limitPrice, 0.012);
+    assert.equal(preferences.stopPrice, 0.008);
+  });
+
+  it('fills a limit order once the price reaches the limit', async () => {
+    const { seller, order } = await startOrder({ strategy: 'limit', limitPrice: STARTING_PRICE * 1.04 });
+
+    assert.equal(await seller.orderTick(order), null);
+    mock.setPrice(CONFIG.TARGET_TOKEN_MINT, STARTING_PRICE * 1.05);
+    const outcome = await seller.orderTick(order);
+
+    assert.match(outcome.reason, /limit price reached/);
+    assert.equal(mock.swaps.length, 1);
+    assert.equal(order.checks, 2);
+    seller.completeSession();
+  });
+
+  it('sells on a stop-loss when the price falls to the floor', async () => {
+    const { seller, order } = await startOrder({ strategy: 'stop-loss', stopPrice: STARTING_PRICE * 0.9 });
+
+    mock.setPrice(CONFIG.TARGET_TOKEN_MINT, STARTING_PRICE * 0.95);
+    assert.equal(await seller.orderTick(order), null);
+    mock.setPrice(CONFIG.TARGET_TOKEN_MINT, STARTING_PRICE * 0.85);
+    const outcome = await seller.orderTick(order);
+
+    assert.match(outcome.reason, /stop-loss triggered/);
+    assert.equal(tokenBalanceRaw(), uiToRaw(STARTING_BALANCE - 1000));
+    seller.completeSession();
+  });
+
+  it('expires unfilled after the sell window without selling', async () => {
+    const { seller, order } = await startOrder({ strategy: 'limit', limitPrice: STARTING_PRICE * 2 });
+
+    const outcome = await seller.orderTick(order, order.deadline);
+
+    assert.equal(outcome.expired, true);
+    assert.equal(seller.executionSummary.expired, true);
+    assert.equal(mock.swaps.length, 0);
+    seller.completeSession();
+  });
+});
+
+describe('TokenSeller TWAP strategy', () => {
+  it('plans jittered slices that keep the exact total inside the window', () => {
+    CONFIG.TWAP_SLICE_INTERVAL_SECONDS = 60;
+    CONFIG.TWAP_SIZE_JITTER_PCT = 20;
+    CONFIG.TWAP_TIME_JITTER_PCT = 30;
+    const seller = createSeller({});
+    const total = { raw: '1000000001', decimals: 6, mint: CONFIG.TARGET_TOKEN_MINT };
+    const durationMs = 10 * 60 * 1000;
+
+    const slices = seller.planTwapSlices(total, durationMs);
+
+    assert.equal(slices.length, 10);
+    assert.equal(slices.reduce((sum, { amount }) => sum + BigInt(amount.raw), 0n), 1000000001n);
+    assert.equal(slices[0].offsetMs, 0);
+    slices.forEach(({ amount, offsetMs }, i) => {
+      assert.ok(BigInt(amount.raw) >= 80000000n && BigInt(amount.raw) <= 120000001n, `slice ${i}: ${amount.raw}`);
+      assert.ok(offsetMs >= 0 && offsetMs < durationMs, `slice ${i} at ${offsetMs}`);
+      if (i > 0) assert.ok(offsetMs > slices[i - 1].offsetMs);
+    });
+  });
+
+  it('never plans more slices than base units', () => {
+    const seller = createSeller({});
+    const slices = seller.planTwapSlices({ raw: '3', decimals: 0, mint: null }, 60 * 60 * 1000);
+    assert.deepEqual(slices.map(({ amount }) => amount.raw).sort(), ['1', '1', '1']);
+  });
+
+  it('sells every slice and reports against the arrival price', async () => {
+    CONFIG.TWAP_SLICE_INTERVAL_SECONDS = 60;
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'twap', durationMinutes: 5 });
+    let slept = 0;
+    seller.sleep = async () => {
+      slept++;
+      mock.setPrice(CONFIG.TARGET_TOKEN_MINT, STARTING_PRICE * (1 + slept * 0.01));
+    };
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+    assert.equal(mock.swaps.length, 5);
+    assert.equal(tokenBalanceRaw(), uiToRaw(STARTING_BALANCE - 1000));
+
+    const twap = seller.executionSummary.twap;
+    assert.equal(twap.executedSlices, 5);
+    assert.ok(Math.abs(twap.arrivalPrice - STARTING_PRICE) / STARTING_PRICE < 0.01, `arrival ${twap.arrivalPrice}`);
+    assert.ok(twap.vsArrivalBps > 100, `vs arrival ${twap.vsArrivalBps} bps`);
+    assert.ok(twap.timeWeightedPrice > twap.arrivalPrice);
+  });
+
+  it('requires a duration within the sell window', () => {
+    const seller = createSeller({});
+    const parse = (raw) => seller.parseHeadlessPreferences({ tokenAmount: '1', outputToken: 'USDC', ...raw });
+
+    assert.throws(() => parse({ strategy: 'twap' }), /missing --duration/);
+    assert.throws(() => parse({ strategy: 'twap', durationMinutes: CONFIG.SELL_TIMEOUT_HOURS * 60 + 1 }), /up to/);
+
+    // The window has to end before the TIME_REMAINING emergency trigger fires
+    const maxMinutes = CONFIG.SELL_TIMEOUT_HOURS * 60 - CONFIG.EMERGENCY_TRIGGERS.TIME_REMAINING_MINUTES;
+    assert.equal(parse({ strategy: 'twap', durationMinutes: maxMinutes }).durationMinutes, maxMinutes);
+    assert.throws(() => parse({ strategy: 'twap', durationMinutes: maxMinutes + 1 }), /up to \d+ \(SELL_TIMEOUT_HOURS minus the TIME_REMAINING_MINUTES/);
+    assert.throws(() => parse({ strategy: 'gradual', durationMinutes: 10 }), /only applies to the twap/);
+    assert.equal(parse({ strategy: 'twap', durationMinutes: '30' }).durationMinutes, 30);
+  });
+});
+
+describe('TokenSeller wallet keystore', () => {
+  let keystoreService;
+  const passphraseEnv = () => CONFIG.KEYSTORE_PASSPHRASE_ENV;
+
+  beforeEach(async () => {
+    ({ keystoreService } = require('../src/services/keystoreService'));
+    keystoreService.lock();
+    await keystoreService.create(CONFIG.WALLET_PRIVATE_KEY, 'test passphrase 123');
+  });
+
+  afterEach(() => {
+    keystoreService.lock();
+    fs.rmSync(keystoreService.filePath, { force: true });
+    delete process.env[passphraseEnv()];
+  });
+
+  it('unlocks from the env var in headless runs and signs with the decrypted key', async () => {
+    process.env[passphraseEnv()] = 'test passphrase 123';
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'immediate' });
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+    assert.equal(keystoreService.source, 'keystore');
+    assert.equal(keystoreService.getPrivateKey(), CONFIG.WALLET_PRIVATE_KEY);
+    assert.equal(mock.swaps.length, 1);
+  });
+
+  it('fails validation before any swap when a headless run has no passphrase', async () => {
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'immediate' });
+    const exit = process.exit;
+    let exitCode;
+    process.exit = (code) => { exitCode = code; };
+
+    try {
+      await seller.run();
+    } finally {
+      process.exit = exit;
+    }
+
+    assert.equal(exitCode, EXIT_CODES.VALIDATION_FAILURE);
+    assert.equal(mock.swaps.length, 0);
+  });
+});
+
+describe('TokenSeller execution reports', () => {
+  it('writes a JSON and CSV report for every session', async () => {
+    CONFIG.MAX_CHUNK_SIZE = 400;
+    const seller = createSeller({ tokenAmount: '1000', outputToken: 'USDC', strategy: 'gradual' });
+
+    assert.equal(await seller.run(), EXIT_CODES.SUCCESS);
+
+    const jsonPath = path.join(CONFIG.REPORTS_DIR, `${seller.sessionId}.json`);
+    const report = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    assert.equal(report.status, 'SUCCESS');
+    assert.equal(report.preferences.strategy, 'gradual');
+    assert.equal(report.totals.tokensSoldRaw, uiToRaw(1000).toString());
+    assert.deepEqual(report.transactions.map(tx => tx.transactionId), mock.swaps.map(swap => swap.transactionId));
+    assert.ok(report.transactions.every(tx => tx.solscanUrl === `https://solscan.io/tx/${tx.transactionId}` && tx.feeAmount > 0));
+
+    const csv = fs.readFileSync(path.join(CONFIG.REPORTS_DIR, `${seller.sessionId}.csv`), 'utf8').trim().split('\n');
+    assert.equal(csv.length, 1 + mock.swaps.length);
+  });
+});
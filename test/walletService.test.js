@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { WalletService } = require('../src/services/walletService');
+const { ApiValidator } = require('../src/services/apiValidator');
+const { MINTS, FakeApiClient, buildRawQuote, muteConsole } = require('./helpers/fakes');
+
+const createWallet = (balanceSol = 1) => {
+  const apiClient = new FakeApiClient({
+    routes: { 'GET wallets/mother': { publicKey: 'TestWallet', balanceSol, balanceLamports: balanceSol * 1e9 } },
+    balances: { [MINTS.TOKEN]: { balance: 1234500000, decimals: 6 } }
+  });
+  return { wallet: new WalletService({ apiClient }), apiClient };
+};
+
+describe('WalletService', () => {
+  it('converts raw token balances using the mint decimals', async () => {
+    const { wallet } = createWallet();
+    const holding = await wallet.checkTokenHolding(MINTS.TOKEN);
+
+    assert.equal(holding.hasToken, true);
+    assert.equal(holding.balance, 1234.5);
+    assert.equal(holding.rawBalance, '1234500000');
+    assert.equal(await wallet.getTokenDecimals(MINTS.TOKEN), 6);
+  });
+
+  it('never reports more raw balance than a balance above 2^53 can hold', async () => {
+    const exact = 123456789012345678901n;
+    const apiClient = new FakeApiClient({ balances: { [MINTS.TOKEN]: { balance: Number(exact), decimals: 9 } } });
+    const holding = await new WalletService({ apiClient }).checkTokenHolding(MINTS.TOKEN);
+
+    const raw = BigInt(holding.rawBalance);
+    assert.ok(raw <= exact, `${raw} > ${exact}`);
+    assert.ok(exact - raw < 2n ** 14n, `${raw} is too far below ${exact}`);
+
+    apiClient.balances[MINTS.TOKEN] = { balance: exact.toString(), decimals: 9 };
+    assert.equal((await new WalletService({ apiClient }).checkTokenHolding(MINTS.TOKEN)).rawBalance, exact.toString());
+  });
+
+  it('knows output token decimals without a lookup', async () => {
+    const { wallet, apiClient } = createWallet();
+
+    assert.equal(await wallet.getTokenDecimals(MINTS.SOL), 9);
+    assert.equal(await wallet.getTokenDecimals(MINTS.USDC), 6);
+    assert.equal(apiClient.calls.length, 0);
+  });
+
+  it('validates token amounts against the balance', async () => {
+    const { wallet } = createWallet();
+
+    assert.equal(await wallet.validateTokenAmount(MINTS.TOKEN, 1000), true);
+    await assert.rejects(wallet.validateTokenAmount(MINTS.TOKEN, 5000), /Insufficient token balance/);
+    await assert.rejects(wallet.validateTokenAmount(MINTS.TOKEN, 0), /must be positive/);
+  });
+
+  it('snapshots raw balances and refuses defaulted reads', async () => {
+    const { wallet } = createWallet();
+
+    assert.deepEqual(await wallet.getBalanceSnapshot([MINTS.TOKEN]), { [MINTS.TOKEN]: '1234500000' });
+    await assert.rejects(wallet.getBalanceSnapshot([MINTS.TOKEN, MINTS.USDC]), /Unable to read balance/);
+  });
+
+  it('requires SOL for fees', async () => {
+    await assert.doesNotReject(createWallet(0.5).wallet.validateSolForFees());
+    await assert.rejects(createWallet(0.001).wallet.validateSolForFees(), /Insufficient SOL balance/);
+  });
+});
+
+describe('ApiValidator', () => {
+  it('reports healthy when tokens and quote endpoints answer', async () => {
+    const restore = muteConsole();
+    try {
+      const validator = new ApiValidator({
+        apiClient: new FakeApiClient({
+          routes: {
+            'GET jupiter/tokens': { tokens: { SOL: MINTS.SOL, USDC: MINTS.USDC, USDT: 'x' } },
+            'POST jupiter/quote': { quoteResponse: buildRawQuote() }
+          }
+        })
+      });
+
+      const results = await validator.validateApi();
+      assert.equal(results.overallHealth, true);
+      assert.equal(results.jupiterQuote, true);
+    } finally {
+      restore();
+    }
+  });
+
+  it('reports unhealthy and skips the quote test when tokens fail', async () => {
+    const restore = muteConsole();
+    try {
+      const apiClient = new FakeApiClient({ routes: {} });
+      const results = await new ApiValidator({ apiClient }).validateApi();
+
+      assert.equal(results.overallHealth, false);
+      assert.equal(apiClient.calls.some(call => call.endpoint === 'jupiter/quote'), false);
+    } finally {
+      restore();
+    }
+  });
+});